@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import './App.css';
 import VertexCoverGame from './components/VertexCoverGame';
 import IndependentSetGame from './components/IndependentSetGame';
@@ -9,6 +9,16 @@ import TravelingSalesmanGame from './components/TravelingSalesmanGame';
 import ThreeSatGame from './components/ThreeSatGame';
 import SubsetSumGame from './components/SubsetSumGame';
 import PartitionGame from './components/PartitionGame';
+import DailyChallenge from './components/DailyChallenge';
+import ProfilePanel from './components/ProfilePanel';
+import StatsDashboard from './components/StatsDashboard';
+import { useHashRoute } from './utils/router';
+import { seedOptions } from './utils/seedLink';
+import { DAILY_LENGTH, dateKey, useDailyResults, dailyStreak, isComplete } from './utils/daily';
+import { useProfiles } from './utils/profiles';
+import { MODES, useMode } from './utils/modes';
+import { SCORING, useScoring } from './utils/scoring';
+import { useSavedSession, clearSession, resumeSettings } from './utils/session';
 
 const games = [
   {
@@ -72,10 +82,104 @@ const games = [
   
 ];
 
-function MainMenu({ onSelect }) {
+function DailyEntry({ onClick }) {
+  const today = dateKey();
+  const all = useDailyResults();
+  const streak = dailyStreak(all, today);
+  return (
+    <button className="daily-entry" onClick={onClick}>
+      <span className="daily-entry-title">Daily Challenge</span>
+      <span className="daily-entry-info">
+        {isComplete(all[today]) ? "Today's puzzles are done" : `${DAILY_LENGTH} new puzzles every day`}
+        {streak > 0 && ` · ${streak} day streak`}
+      </span>
+    </button>
+  );
+}
+
+// Offers the run left in progress, if any, where it was left.
+function ResumeEntry({ onResume }) {
+  const session = useSavedSession();
+  const game = session && games.find(g => g.id === session.gameId);
+  if (!game) return null;
+  const { run } = session;
+  const mode = MODES[run.mode];
+  return (
+    <div className="resume-entry">
+      <span className="resume-entry-info">
+        <strong>{game.name}</strong> in progress: {mode ? mode.name : run.mode}, {run.rounds} solved,{' '}
+        {run.left !== null ? `${run.left}s left` : `${run.total}s so far`}
+      </span>
+      <button onClick={() => onResume(session)}>Resume</button>
+      <button onClick={() => clearSession(session.gameId)}>Discard</button>
+    </div>
+  );
+}
+
+function ProfileBar({ onStats }) {
+  const { current, profiles } = useProfiles();
+  const [open, setOpen] = useState(false);
+  return (
+    <div className="profile-bar">
+      Playing as <strong>{profiles[current].name}</strong>
+      <button onClick={() => setOpen(true)}>Profiles</button>
+      <button onClick={onStats}>Statistics</button>
+      {open && <ProfilePanel onClose={() => setOpen(false)} />}
+    </div>
+  );
+}
+
+function ModePicker() {
+  const [mode, setMode] = useMode();
+  return (
+    <div className="mode-picker">
+      <div className="mode-buttons">
+        {Object.entries(MODES).map(([id, { name }]) => (
+          <button
+            key={id}
+            className={`mode-button${id === mode ? ' selected' : ''}`}
+            onClick={() => setMode(id)}
+            aria-pressed={id === mode}
+          >
+            {name}
+          </button>
+        ))}
+      </div>
+      <div className="mode-description">{MODES[mode].description}</div>
+    </div>
+  );
+}
+
+function ScoringPicker() {
+  const [scoring, setScoring] = useScoring();
+  return (
+    <div className="mode-picker">
+      <div className="mode-buttons">
+        {Object.entries(SCORING).map(([id, { name }]) => (
+          <button
+            key={id}
+            className={`mode-button${id === scoring ? ' selected' : ''}`}
+            onClick={() => setScoring(id)}
+            aria-pressed={id === scoring}
+          >
+            {name}
+          </button>
+        ))}
+      </div>
+      <div className="mode-description">{SCORING[scoring].description}</div>
+    </div>
+  );
+}
+
+function MainMenu({ onSelect, onResume }) {
   return (
     <div className="main-menu">
       <h1 className="menu-title">Play NP-hard Problems</h1>
+      <ProfileBar onStats={() => onSelect('stats')} />
+      <ResumeEntry onResume={onResume} />
+      <DailyEntry onClick={() => onSelect('daily')} />
+      <ModePicker />
+      <ScoringPicker />
       <div className="menu-grid">
         {games.map(game => (
           <button
@@ -93,24 +197,55 @@ function MainMenu({ onSelect }) {
 }
 
 function App() {
-  const [current, setCurrent] = useState(null);
+  const { route, navigate, back } = useHashRoute();
 
-  const handleSelect = id => {
-    setCurrent(id);
+  const selectedGame = games.find(g => g.id === route.gameId);
+
+  useEffect(() => {
     window.scrollTo(0, 0);
-  };
+  }, [selectedGame]);
+
+  if (route.gameId === 'daily') {
+    return (
+      <DailyChallenge
+        key={`${route.query.date}/${route.query.practice}`}
+        games={games}
+        date={route.query.date}
+        practice={route.query.practice === '1'}
+        onBack={() => back({})}
+        onNavigate={query => navigate({ gameId: 'daily', query }, { replace: true })}
+      />
+    );
+  }
 
-  const selectedGame = games.find(g => g.id === current);
+  if (route.gameId === 'stats') {
+    return <StatsDashboard games={games} onBack={() => back({})} />;
+  }
 
   if (!selectedGame) {
-    return <MainMenu onSelect={handleSelect} />;
+    const resume = session => {
+      resumeSettings(session);
+      navigate({ gameId: session.gameId, query: { resume: '1' } });
+    };
+    return <MainMenu onSelect={id => navigate({ gameId: id })} onResume={resume} />;
   }
 
   const GameComponent = selectedGame.component;
-  return <GameComponent onBack={() => {
-    setCurrent(null);
-    window.scrollTo(0, 0);
-  }} />;
+  return (
+    <GameComponent
+      key={selectedGame.id}
+      onBack={() => back({})}
+      seeded={seedOptions(selectedGame.id, route.query)}
+      puzzle={route.query.p}
+      resume={route.query.resume === '1'}
+      reducedFrom={route.query.via ? { via: route.query.via, source: route.query.src } : null}
+      onOpenGame={(gameId, query) => navigate({ gameId, query })}
+      showHelp={route.help}
+      setShowHelp={open => open
+        ? navigate({ gameId: selectedGame.id, help: true, query: route.query })
+        : back({ gameId: selectedGame.id, query: route.query })}
+    />
+  );
 }
 
 
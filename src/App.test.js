@@ -1,8 +1,392 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
 import App from './App';
+import { recordRound } from './utils/stats';
+import { updateProfile } from './utils/profiles';
+import { packInstance, unpackInstance, packGraph } from './utils/share';
+import { parseHash } from './utils/router';
+import { GENERATORS } from './puzzles';
+import { fromShared } from './puzzles/tsp';
 
-test('renders learn react link', () => {
+beforeEach(() => {
+  window.scrollTo = jest.fn();
+  window.history.replaceState(null, '', '#/');
+});
+
+test('renders the main menu', () => {
+  render(<App />);
+  expect(screen.getByText(/play np-hard problems/i)).toBeInTheDocument();
+});
+
+test('deep link opens the game and its help page', () => {
+  window.history.replaceState(null, '', '#/vertex-cover/help');
+  render(<App />);
+  expect(screen.getByText(/what is a vertex cover/i)).toBeInTheDocument();
+});
+
+test('opening and closing help keeps the query of the round', () => {
+  window.history.replaceState(null, '', '#/vertex-cover/help?seed=k3f9z2');
+  render(<App />);
+  fireEvent.click(screen.getByText('Got it!'));
+  expect(window.location.hash).toBe('#/vertex-cover?seed=k3f9z2');
+  fireEvent.click(screen.getByText('?'));
+  expect(window.location.hash).toBe('#/vertex-cover/help?seed=k3f9z2');
+});
+
+test('selecting a game updates the hash and main menu returns', () => {
+  render(<App />);
+  fireEvent.click(screen.getByText('3-Satisfiability'));
+  expect(window.location.hash).toBe('#/three-sat-game');
+  expect(screen.getByText(/3-satisfiability challenge/i)).toBeInTheDocument();
+
+  act(() => {
+    window.history.replaceState(null, '', '#/');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+  });
+  expect(screen.getByText(/play np-hard problems/i)).toBeInTheDocument();
+});
+
+test('the daily challenge plays its first puzzle with one attempt', async () => {
+  localStorage.clear();
+  render(<App />);
+  fireEvent.click(screen.getByText('Daily Challenge'));
+  expect(window.location.hash).toBe('#/daily');
+  expect(screen.getByText(/streak/i)).toHaveTextContent('Streak: 0 days');
+  fireEvent.click(screen.getByText('Start'));
+  expect(screen.getByText(/^Daily /)).toHaveTextContent('Puzzle 1 of 5');
+  // The seed line shows the day's first puzzle once it is generated.
+  expect(await screen.findByText(/^\d{4}-\d{2}-\d{2}\/1$/)).toBeInTheDocument();
+  expect(screen.queryByText('Settings')).toBeNull();
+  expect(screen.queryByText('Share')).toBeNull();
+
+  fireEvent.click(screen.getByText('Main Menu'));
+  expect(screen.getByText('Continue with puzzle 2')).toBeInTheDocument();
+});
+
+test('a new profile starts without the daily results of the last', () => {
+  localStorage.clear();
+  render(<App />);
+  fireEvent.click(screen.getByText('Daily Challenge'));
+  fireEvent.click(screen.getByText('Start'));
+  fireEvent.click(screen.getByText('Main Menu'));
+  expect(screen.getByText('Continue with puzzle 2')).toBeInTheDocument();
+  act(() => {
+    window.history.replaceState(null, '', '#/');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+  });
+
+  expect(screen.getByText(/playing as/i)).toHaveTextContent('Playing as Player');
+  fireEvent.click(screen.getByText('Profiles'));
+  fireEvent.change(screen.getByLabelText('New profile name'), { target: { value: 'Ada' } });
+  fireEvent.click(screen.getByText('Add profile'));
+  fireEvent.click(screen.getByText('Done'));
+  expect(screen.getByText(/playing as/i)).toHaveTextContent('Playing as Ada');
+
+  fireEvent.click(screen.getByText('Daily Challenge'));
+  expect(screen.getByText('Start')).toBeInTheDocument();
+});
+
+test('the statistics page shows the logged rounds of a game', () => {
+  localStorage.clear();
+  recordRound({ gameId: 'partition-game', tier: 'medium', size: 9, seconds: 21, mistakes: 1, solved: true });
+  render(<App />);
+  fireEvent.click(screen.getByText('Statistics'));
+  expect(window.location.hash).toBe('#/stats');
+  expect(screen.getByText(/^Rounds/)).toHaveTextContent('Rounds 1');
+
+  fireEvent.click(screen.getByText('Subset Sum'));
+  expect(screen.getByText(/no rounds played yet/i)).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Partition Problem'));
+  expect(screen.getByText(/^Average solve$/)).toHaveTextContent('Average solve 21s');
+  expect(screen.getByText('9 numbers')).toBeInTheDocument();
+});
+
+test('show violations counts the uncovered edges after every move', async () => {
+  window.history.replaceState(null, '', '#/vertex-cover?seed=violations');
+  render(<App />);
+  fireEvent.click(await screen.findByLabelText('Show violations'));
+  const uncovered = () => Number(screen.getByText(/uncovered edges/).textContent.match(/(\d+) uncovered/)[1]);
+  const before = uncovered();
+  expect(before).toBeGreaterThan(0);
+
+  // The last "1" on the page is the label of vertex 1, under the controls.
+  fireEvent.click(screen.getAllByText('1').pop());
+  expect(uncovered()).toBeLessThan(before);
+  fireEvent.click(screen.getByText('↶ Undo'));
+  expect(uncovered()).toBe(before);
+});
+
+test('an imported graph starts a new run', () => {
+  localStorage.clear();
+  render(<App />);
+  fireEvent.click(screen.getByText('Zen'));
+  const edge = packGraph([{ x: 100, y: 100 }, { x: 300, y: 300 }], [{ u: 0, v: 1 }]);
+  act(() => {
+    window.history.replaceState(null, '', `#/vertex-cover?p=${packInstance({ l: 'planar', ...edge, k: 1 })}`);
+    window.dispatchEvent(new PopStateEvent('popstate'));
+  });
+  fireEvent.click(screen.getAllByText('1').pop());
+  expect(screen.getByText(/^Solved:/)).toHaveTextContent('Solved: 1');
+
+  fireEvent.click(screen.getByText('Import / Export'));
+  fireEvent.change(screen.getByRole('textbox'), { target: { value: 'p edge 2 1\ne 1 2' } });
+  fireEvent.click(screen.getByText('Load'));
+  expect(screen.getByText(/^Solved:/)).toHaveTextContent('Solved: 0');
+});
+
+test('a hint nudges first, then makes the move, and both cost time', async () => {
+  localStorage.clear();
+  window.history.replaceState(null, '', '#/three-sat-game?seed=hints');
+  render(<App />);
+  const timeLeft = () => Number(screen.getByText(/^\d+s$/).textContent.slice(0, -1));
+  fireEvent.click(await screen.findByText(/^Hint/));
+  expect(screen.getByRole('status')).toHaveTextContent(/^Clause \d+ is unsatisfied\.$/);
+  const afterNudge = timeLeft();
+
+  fireEvent.click(screen.getByText(/^Show me/));
+  expect(timeLeft()).toBeLessThanOrEqual(afterNudge - 15);
+  expect(screen.queryByRole('status')).toBeNull();
+  expect(screen.getByText('↶ Undo')).toBeEnabled();
+});
+
+test('the mode picked on the menu times every game', async () => {
+  localStorage.clear();
+  render(<App />);
+  fireEvent.click(screen.getByText('Marathon'));
+  expect(screen.getByText(/ten puzzles against one clock/i)).toBeInTheDocument();
+  expect(screen.getByText('Marathon')).toHaveAttribute('aria-pressed', 'true');
+
+  fireEvent.click(screen.getByText('Subset Sum'));
+  expect(await screen.findByText('0 of 10')).toBeInTheDocument();
+  expect(await screen.findByText(/\| Time:$/)).toBeInTheDocument();
+  expect(screen.queryByText(/Time Left/)).toBeNull();
+});
+
+test('a paused run is offered on the menu and resumes where it was left', async () => {
+  localStorage.clear();
+  window.history.replaceState(null, '', '#/subset-sum-game?seed=paused');
+  render(<App />);
+  fireEvent.click(await screen.findByText('Pause'));
+  expect(screen.getByText('Paused')).toBeInTheDocument();
+
+  act(() => {
+    window.history.replaceState(null, '', '#/');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+  });
+  expect(screen.getByText(/in progress/)).toHaveTextContent(/Subset Sum in progress: Classic, 0 solved, \d+s left/);
+  fireEvent.click(screen.getByText('Resume'));
+  expect(window.location.hash).toBe('#/subset-sum-game?resume=1');
+  expect(screen.getByText('Paused')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Resume'));
+  expect(screen.queryByText('Paused')).toBeNull();
+
+  act(() => {
+    window.history.replaceState(null, '', '#/');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+  });
+  fireEvent.click(screen.getByText('Discard'));
+  expect(screen.queryByText(/in progress/)).toBeNull();
+});
+
+test('a seed link names the same puzzle whatever tier the viewer plays', async () => {
+  localStorage.clear();
+  const writeText = jest.fn(() => Promise.resolve());
+  Object.assign(navigator, { clipboard: { writeText } });
+  const sharedRound = async tier => {
+    updateProfile(profile => ({ ...profile, tiers: { ...profile.tiers, 'subset-sum-game': tier } }));
+    window.history.replaceState(null, '', '#/subset-sum-game?seed=linked&tier=hard');
+    const { unmount } = render(<App />);
+    expect(await screen.findByRole('link', { name: 'linked' })).toHaveAttribute(
+      'href',
+      '#/subset-sum-game?seed=linked&tier=hard'
+    );
+    fireEvent.click(screen.getByText('Share'));
+    unmount();
+    return writeText.mock.calls[writeText.mock.calls.length - 1][0];
+  };
+  expect(await sharedRound('easy')).toBe(await sharedRound('expert'));
+});
+
+test('a resumed run comes back on the same instance', async () => {
+  localStorage.clear();
+  const writeText = jest.fn(() => Promise.resolve());
+  Object.assign(navigator, { clipboard: { writeText } });
+  const sharedRound = () => {
+    fireEvent.click(screen.getByText('Share'));
+    const url = writeText.mock.calls[writeText.mock.calls.length - 1][0];
+    return fromShared(unpackInstance(parseHash(new URL(url).hash).query.p));
+  };
+  window.history.replaceState(null, '', '#/traveling-salesman-game?seed=resumed');
+  render(<App />);
+  fireEvent.click(await screen.findByText('Pause'));
+
+  act(() => {
+    window.history.replaceState(null, '', '#/');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+  });
+  fireEvent.click(screen.getByText('Resume'));
+  fireEvent.click(screen.getByText('Resume'));
+  const round = GENERATORS['traveling-salesman-game']({ seed: 'resumed', tier: 'easy', width: 400, height: 400, radius: 15 });
+  const resumed = sharedRound();
+  expect(resumed.weights).toEqual(round.weights);
+  expect(resumed.optimalLen).toBe(round.optimalLen);
+});
+
+test('partial credit takes a near answer and lists its points', async () => {
+  localStorage.clear();
+  render(<App />);
+  fireEvent.click(screen.getByText('Partial credit'));
+  act(() => {
+    window.history.replaceState(null, '', `#/subset-sum-game?p=${packInstance({ v: [3, 5, 17], t: 20 })}`);
+    window.dispatchEvent(new PopStateEvent('popstate'));
+  });
+  expect(screen.getByText('Submit')).toBeDisabled();
+  fireEvent.click(screen.getByRole('button', { name: '17' }));
+  expect(screen.getByText('1.18× the best, 4 points')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Submit'));
+  expect(screen.getByRole('list', { name: 'Points by round' })).toHaveTextContent('1.18× the best +4');
+  expect(screen.getByText('Submit')).toBeDisabled();
+});
+
+test('game over shows what the classic heuristics find on the round', async () => {
+  localStorage.clear();
+  render(<App />);
+  fireEvent.click(screen.getByText('Sudden Death'));
+  act(() => {
+    window.history.replaceState(null, '', `#/partition-game?p=${packInstance({ v: [8, 7, 6, 5, 4] })}`);
+    window.dispatchEvent(new PopStateEvent('popstate'));
+  });
+  // Moving the 8 down and back up again is a mistake.
+  fireEvent.click(screen.getByRole('button', { name: '8' }));
+  fireEvent.click(screen.getByRole('button', { name: '8' }));
+  expect(screen.getByText(/A mistake ended the run \d+\.\ds later\.$/)).toBeInTheDocument();
+  const greedy = screen.getByRole('button', { name: /^Greedy/ });
+  const differencing = screen.getByRole('button', { name: /^Karmarkar-Karp/ });
+  expect(greedy).toHaveTextContent('sums 17 and 13, ratio 1.13');
+  expect(differencing).toHaveTextContent('sums 16 and 14, ratio 1.07');
+  fireEvent.click(differencing);
+  expect(differencing).toHaveAttribute('aria-pressed', 'true');
+  expect(greedy).toHaveAttribute('aria-pressed', 'false');
+});
+
+// Opens the formula x1 ∧ ¬x2 in Sudden Death.
+const openSuddenDeathFormula = () => {
+  fireEvent.click(screen.getByText('Sudden Death'));
+  act(() => {
+    window.history.replaceState(null, '', `#/three-sat-game?p=${packInstance({ v: 2, c: [[1, 1, 1], [-2, -2, -2]] })}`);
+    window.dispatchEvent(new PopStateEvent('popstate'));
+  });
+};
+
+test('3SAT counts a mistake only once every variable is set', async () => {
+  localStorage.clear();
+  render(<App />);
+  openSuddenDeathFormula();
+  // Setting x2 first breaks the second clause, but x1 is still open.
+  fireEvent.click(screen.getByText('x2: ?'));
+  expect(screen.getByText('x2: T')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('x1: ?'));
+  expect(screen.getByText(/A mistake ended the run \d+\.\ds later\.$/)).toBeInTheDocument();
+});
+
+test('an undone variable is unset again for the 3SAT mistake rule', () => {
+  localStorage.clear();
+  render(<App />);
+  openSuddenDeathFormula();
+  fireEvent.click(screen.getByText('x2: ?'));
+  fireEvent.click(screen.getByText('↶ Undo'));
+  fireEvent.click(screen.getByText('x1: ?'));
+  expect(screen.getByText('x2: ?')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('x2: ?'));
+  expect(screen.getByText(/A mistake ended the run/)).toBeInTheDocument();
+});
+
+test('a variable a hint set counts toward a full 3SAT assignment', () => {
+  localStorage.clear();
+  render(<App />);
+  openSuddenDeathFormula();
+  fireEvent.click(screen.getByText(/^Hint/));
+  fireEvent.click(screen.getByText(/^Show me/));
+  expect(screen.getByText('x1: T')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('x2: ?'));
+  expect(screen.getByText(/A mistake ended the run/)).toBeInTheDocument();
+});
+
+test('a resumed 3SAT round keeps which variables are set', () => {
+  localStorage.clear();
+  render(<App />);
+  openSuddenDeathFormula();
+  fireEvent.click(screen.getByText('x1: ?'));
+  fireEvent.click(screen.getByText('Pause'));
+  act(() => {
+    window.history.replaceState(null, '', '#/');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+  });
+  fireEvent.click(screen.getByText('Resume'));
+  fireEvent.click(screen.getByText('Resume'));
+  expect(screen.getByText('x1: T')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('x2: ?'));
+  expect(screen.getByText(/A mistake ended the run/)).toBeInTheDocument();
+});
+
+test('Zen lets the solver be watched step by step on the round', async () => {
+  localStorage.clear();
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Zen'));
+  act(() => {
+    window.history.replaceState(null, '', `#/subset-sum-game?p=${packInstance({ v: [3, 5, 17], t: 20 })}`);
+    window.dispatchEvent(new PopStateEvent('popstate'));
+  });
+  fireEvent.click(screen.getByText('Watch the algorithm'));
+  expect(screen.getByRole('dialog', { name: 'Dynamic programming' })).toBeInTheDocument();
+  expect(screen.getByRole('status')).toHaveTextContent('Step 1 of 8: Row 0: with no numbers only the sum 0 is reached.');
+  fireEvent.click(screen.getByText('Step ▶'));
+  expect(screen.getByRole('status')).toHaveTextContent(/^Step 2 of 8: Row 1:/);
+  fireEvent.change(screen.getByLabelText('Solver step'), { target: { value: 7 } });
+  expect(screen.getByRole('status')).toHaveTextContent('Step 8 of 8: The numbers taken sum to 20.');
+
+  fireEvent.click(screen.getByText('Close'));
+  expect(screen.queryByRole('dialog')).toBeNull();
+});
+
+test('a round reduced to another game maps answers back to the original', async () => {
+  localStorage.clear();
+  render(<App />);
+  fireEvent.click(screen.getByText('Zen'));
+  act(() => {
+    window.history.replaceState(null, '', `#/subset-sum-game?p=${packInstance({ v: [3, 5, 17], t: 20 })}`);
+    window.dispatchEvent(new PopStateEvent('popstate'));
+  });
+  fireEvent.click(screen.getByText('Reduce…'));
+  expect(screen.getByRole('dialog', { name: 'Reductions' })).toHaveTextContent('4 numbers');
+  fireEvent.click(screen.getByText('Play it as Partition'));
+
+  // 3 + 5 + 17 is 25, so the balancing number is 2 × 20 - 25 = 15.
+  expect(screen.getByRole('button', { name: '15' })).toBeInTheDocument();
+  expect(screen.getByText(/^Reduced from Subset Sum by balancing number\./)).toBeInTheDocument();
+  expect(screen.getByText('nothing picked, target 20')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: '3' }));
+  fireEvent.click(screen.getByRole('button', { name: '17' }));
+  expect(screen.getByText('3 + 17 = 20, target 20')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Open the original'));
+  expect(screen.getByText('Subset Sum Challenge')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: '17' })).toBeInTheDocument();
+});
+
+test('a generated formula opens reduced to 3-Colorability and Independent Set', async () => {
+  localStorage.clear();
+  render(<App />);
+  fireEvent.click(screen.getByText('Zen'));
+  act(() => {
+    window.history.replaceState(null, '', '#/three-sat-game?seed=gadgets');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+  });
+  fireEvent.click(await screen.findByText('Reduce…'));
+  fireEvent.click(screen.getByText('Play it as 3-Colorability'));
+  expect(screen.getByText(/^Reduced from 3SAT by colouring gadgets\./)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Open the original'));
+  fireEvent.click(screen.getByText('Reduce…'));
+  fireEvent.click(screen.getByText('Play it as Independent Set'));
+  expect(screen.getByText(/^Reduced from 3SAT by clause triangles\./)).toBeInTheDocument();
 });
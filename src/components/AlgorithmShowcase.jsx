@@ -0,0 +1,31 @@
+import React, { useState } from 'react';
+import './GraphCommon.css';
+
+/**
+ * What classic approximation algorithms and heuristics find on the round,
+ * for the game-over screen. results are { name, summary, ratio, value }:
+ * summary describes the answer, ratio is how many times the best answer it
+ * is (see the ratios in utils/verifiers.js) and render(value) draws it.
+ * One result is drawn at a time, picked with its button.
+ */
+export default function AlgorithmShowcase({ results, render }) {
+  const [shown, setShown] = useState(0);
+  if (results.length === 0) return null;
+  const { value } = results[Math.min(shown, results.length - 1)];
+  return (
+    <div className="algorithm-showcase">
+      <div>What classic algorithms find:</div>
+      <div className="algorithm-buttons">
+        {results.map(({ name, summary, ratio }, i) => (
+          <button key={name} onClick={() => setShown(i)} aria-pressed={i === shown}>
+            <span className="algorithm-name">{name}</span>
+            <span className="algorithm-result">
+              {summary}, ratio <span className="mono">{ratio === null ? '—' : ratio.toFixed(2)}</span>
+            </span>
+          </button>
+        ))}
+      </div>
+      {render(value)}
+    </div>
+  );
+}
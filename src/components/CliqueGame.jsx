@@ -1,232 +1,163 @@
-import React, { useState, useEffect, useRef, useMemo } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import './GraphCommon.css';
 import './CliqueGame.css';
-
-
-function generateGraph() {
-  const maxAttempts = 10;
-  for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    const nodeCount = Math.floor(Math.random() * 4) + 8; 
-    const nodes = Array.from({ length: nodeCount }, (_, i) => ({ id: i }));
-    const edges = [];
-    for (let i = 0; i < nodeCount; i++) {
-      for (let j = i + 1; j < nodeCount; j++) {
-        if (Math.random() < 0.8) edges.push({ u: i, v: j });
-      }
-    }
-    if (edges.length === 0) edges.push({ u: 0, v: 1 });
-    const k = findMinVertexCover(nodeCount, edges); 
-    if (k > 1) return { nodes, edges, k };
-  }
-
-  return { nodes: [{ id: 0 }, { id: 1 }], edges: [{ u: 0, v: 1 }], k: 2 };
-}
-
-
-function generatePlanarGraph() {
-  const nodeCount = Math.floor(Math.random() * 4) + 6;
-  const minDist = 100;
-  const nodes = [];
-  while (nodes.length < nodeCount) {
-    const x = Math.random() * 360 + 20;
-    const y = Math.random() * 360 + 20;
-    if (!nodes.some(n => Math.hypot(n.x - x, n.y - y) < minDist)) {
-      nodes.push({ id: nodes.length, x, y });
-    }
-  }
-  const edges = [];
-  for (let i = 0; i < nodeCount; i++) {
-    const dists = nodes
-      .map(n => ({ id: n.id, dist: Math.hypot(n.x - nodes[i].x, n.y - nodes[i].y) }))
-      .sort((a, b) => a.dist - b.dist);
-    for (let j = 1; j <= 3 && j < dists.length; j++) {
-      const v = dists[j].id;
-      if (edges.some(e => (e.u === i && e.v === v) || (e.u === v && e.v === i))) continue;
-      const crosses = edges.some(e => {
-        const A = nodes.find(n => n.id === e.u);
-        const B = nodes.find(n => n.id === e.v);
-        const C = nodes[i];
-        const D = nodes.find(n => n.id === v);
-        function orient(P, Q, R) {
-          return (Q.x - P.x) * (R.y - P.y) - (Q.y - P.y) * (R.x - P.x);
-        }
-        function intersect(P, Q, R, S) {
-          return (
-            orient(P, Q, R) * orient(P, Q, S) < 0 &&
-            orient(R, S, P) * orient(R, S, Q) < 0
-          );
-        }
-        return intersect(A, B, C, D);
-      });
-      if (!crosses) edges.push({ u: i, v });
-    }
-  }
-  if (edges.length < nodeCount - 1) {
-    for (let i = 1; i < nodeCount; i++) edges.push({ u: i - 1, v: i });
-  }
-  const k = findMinVertexCover(nodeCount, edges);  
-  return { nodes, edges, k };
+import { createRng } from '../utils/random';
+import { unpackInstance, packInstance, packGraph, unpackGraph } from '../utils/share';
+import { maxClique, MAX_SOLVER_NODES } from '../utils/solvers';
+import { usePuzzleGenerator } from '../utils/usePuzzleGenerator';
+import { useRoundSettings } from '../utils/useGameSettings';
+import { useChallenge } from '../utils/useChallenge';
+import { useRun } from '../utils/useRun';
+import { useRoundLog } from '../utils/useRoundLog';
+import { loadSession, useSessionSaver } from '../utils/session';
+import { OVER_TITLES } from '../utils/modes';
+import { useMoveLog } from '../utils/useMoveLog';
+import { greedyClique } from '../utils/approximations';
+import { cliqueHint } from '../utils/hints';
+import { TIME_FACTORS } from '../puzzles/difficulty';
+import { isClique, missingEdges, cliqueRatio } from '../utils/verifiers';
+import ShareButton from './ShareButton';
+import SeedInfo from './SeedInfo';
+import GraphImportPanel from './GraphImportPanel';
+import GeneratingNotice from './GeneratingNotice';
+import SettingsPanel from './SettingsPanel';
+import TierPicker from './TierPicker';
+import MoveControls from './MoveControls';
+import MoveReplay from './MoveReplay';
+import AlgorithmShowcase from './AlgorithmShowcase';
+import HintButton from './HintButton';
+import SubmitAnswer from './SubmitAnswer';
+import Scoreboard from './Scoreboard';
+import RunClock from './RunClock';
+import ViolationsToggle from './ViolationsToggle';
+import ReductionPanel from './ReductionPanel';
+import ReductionBanner from './ReductionBanner';
+
+
+function fromShared(data) {
+  const g = data && unpackGraph(data, MAX_SOLVER_NODES);
+  if (!g) return null;
+  const round = fromImported(g, data.l);
+  return round.graph.k === data.k ? round : null;
 }
 
-
-function findMinVertexCover(n, edges) {
-
-  const adj = Array.from({ length: n }, () => new Set());
-  edges.forEach(({ u, v }) => {
-    adj[u].add(v);
-    adj[v].add(u);
-  });
-  let best = 0;
-  for (let mask = 0; mask < (1 << n); mask++) {
-    const sel = [];
-    for (let i = 0; i < n; i++) {
-      if (mask & (1 << i)) sel.push(i);
-    }
-    if (sel.length <= best) continue;
-
-    let isClique = true;
-    for (let i = 0; i < sel.length; i++) {
-      for (let j = i + 1; j < sel.length; j++) {
-        if (!adj[sel[i]].has(sel[j])) {
-          isClique = false;
-          break;
-        }
-      }
-      if (!isClique) break;
-    }
-    if (isClique) best = sel.length;
-  }
-  return best;
+function fromImported(g, layout = g.nodes.every(n => n.x !== undefined) ? 'planar' : 'circle') {
+  const k = maxClique(g.nodes.length, g.edges).size;
+  return {
+    seed: null,
+    layout: ['circle', 'grid', 'planar'].includes(layout) ? layout : 'planar',
+    graph: { ...g, k },
+  };
 }
 
+export default function CliqueGame({ onBack, showHelp, setShowHelp, seeded, puzzle, resume, challenge, reducedFrom, onOpenGame }) {
+  const { settings, setSettings, tier, setTier, mode, scoring } = useRoundSettings('clique-game', challenge);
+  const [showSettings, setShowSettings] = useState(false);
+  const TIMER = Math.round(settings.timer * TIME_FACTORS[tier]);
+  const roundOptions = useMemo(() => ({ ...settings, tier }), [settings, tier]);
+  const width = 400, height = 400, radius = 15;
 
-function getMinVertexCoverNodes(n, edges) {
-  const adj = Array.from({ length: n }, () => new Set());
-  edges.forEach(({ u, v }) => {
-    adj[u].add(v);
-    adj[v].add(u);
-  });
-  let best = 0;
-  let bestSel = [];
-  for (let mask = 0; mask < (1 << n); mask++) {
-    const sel = [];
-    for (let i = 0; i < n; i++) {
-      if (mask & (1 << i)) sel.push(i);
-    }
-    if (sel.length < best) continue;
-    let isClique = true;
-    for (let i = 0; i < sel.length; i++) {
-      for (let j = i + 1; j < sel.length; j++) {
-        if (!adj[sel[i]].has(sel[j])) {
-          isClique = false;
-          break;
-        }
-      }
-      if (!isClique) break;
-    }
-    if (isClique && sel.length > best) {
-      best = sel.length;
-      bestSel = sel;
-    }
-  }
-  return new Set(bestSel);
-}
-
+  const [resumed] = useState(() => (resume && !challenge ? loadSession('clique-game') : null));
+  const [init] = useState(() => fromShared(unpackInstance(resumed ? resumed.puzzle : puzzle)));
 
-function newRound() {
-  let layout, g;
-  do {
-    const r = Math.random();
-    layout = r < 0.30 ? 'circle' : r < 0.60 ? 'grid' : 'planar';
-    g = layout === 'planar' ? generatePlanarGraph() : generateGraph();
-  } while (layout === 'grid' && g.nodes.length > 8);
-  return { layout, graph: g };
-}
 
-export default function CliqueGame({ onBack }) {
-  const TIMER = 30;
-  const width = 400, height = 400, radius = 15;
+  const [seed, setSeed]               = useState(init && init.seed);
+  const [layout, setLayout]           = useState(init && init.layout);
+  const [graph,  setGraph]            = useState(init && init.graph);
+  const [gameOver, setGameOver]       = useState(false);
+  const [errorFlash, setErrorFlash]   = useState(false);
+  const [showImport, setShowImport]   = useState(false);
+  const [showReductions, setShowReductions] = useState(false);
+  const [showViolations, setShowViolations] = useState(false);
 
-  const init = useMemo(() => newRound(), []);
+  const applyRound = next => {
+    setSeed(next.seed);
+    setLayout(next.layout);
+    setGraph(next.graph);
+    setGameOver(false);
+  };
 
+  const { generating, progress, error, options, generate, retry } = usePuzzleGenerator('clique-game', {
+    first: init ? null : seeded || roundOptions,
+    onReady: applyRound,
+  });
 
-  const [layout, setLayout]           = useState(init.layout);
-  const [graph,  setGraph]            = useState(init.graph);
-  const [selected, setSelected]       = useState(new Set());
-  const [timeLeft, setTimeLeft]       = useState(TIMER);
-  const [gameOver, setGameOver]       = useState(false);
-  const [score, setScore]             = useState(0);
-  const [highScore, setHighScore] = useState(() => {
-    const saved = localStorage.getItem('CliqueHighScore');
-    return saved !== null ? Number(saved) : 0;
+  const run = useRun('clique-game', {
+    mode,
+    scoring,
+    tier,
+    round: graph,
+    roundTime: TIMER,
+    running: !gameOver && !showHelp && !showImport && !showSettings && !showReductions && !generating,
+    saved: resumed && resumed.run,
+  });
+  const finish = useChallenge(challenge, run.elapsed);
+  const moves = useMoveLog(graph, () => new Set(), init && resumed && resumed.selection, run.clock);
+  const selected = moves.value;
+  const { solve, isOver } = run;
+  const roundLog = useRoundLog('clique-game', {
+    tier,
+    size: graph ? graph.nodes.length : 0,
+    elapsed: run.elapsed,
+    onMistake: run.mistake,
   });
-  const [errorFlash, setErrorFlash]   = useState(false);
-  const [showHelp, setShowHelp]       = useState(false);
-  const timerRef                      = useRef(null);
 
 
   const correctCover = useMemo(
-    () => getMinVertexCoverNodes(graph.nodes.length, graph.edges),
+    () => (graph ? new Set(maxClique(graph.nodes.length, graph.edges).nodes) : new Set()),
     [graph]
   );
 
-  useEffect(() => {
-    localStorage.setItem('CliqueHighScore', highScore);
-  }, [highScore]);
-  
+  // What classic algorithms find on the round, for the game-over screen.
+  const showcase = useMemo(() => {
+    if (!gameOver || !graph) return [];
+    const n = graph.nodes.length;
+    return [
+      ['Greedy max degree', greedyClique(n, graph.edges)],
+    ].map(([name, nodes]) => {
+      const set = new Set(nodes);
+      const ratio = cliqueRatio(graph.edges, set, correctCover.size);
+      return { name, summary: `${set.size} vertices`, ratio, value: set };
+    });
+  }, [gameOver, graph, correctCover]);
 
-  useEffect(() => setSelected(new Set()), [graph]);
-  useEffect(() => setTimeLeft(TIMER), [graph]);
+  
 
+  useEffect(() => roundLog.start(), [graph, roundLog]);
 
   useEffect(() => {
-    clearInterval(timerRef.current);
-    if (!gameOver && !showHelp) {
-      timerRef.current = setInterval(() => {
-        setTimeLeft(t => t - 1);
-      }, 1000);
-    }
-    return () => clearInterval(timerRef.current);
-  }, [gameOver, showHelp]);
-
+    if (errorFlash) roundLog.mistake();
+  }, [errorFlash, roundLog]);
 
   useEffect(() => {
-    if (timeLeft <= 0) {
-      clearInterval(timerRef.current);
-      setGameOver(true);
-      setHighScore(hs => Math.max(hs, score));
+    if (run.over) {
+      setGameOver(run.over);
+      roundLog.end(false);
     }
-  }, [timeLeft, score]);
+  }, [run.over, roundLog]);
 
 
-  const startNext = () => {
-    const next = newRound();
-    setLayout(next.layout);
-    setGraph(next.graph);
-    setGameOver(false);
-    setTimeLeft(TIMER);
-  };
+  const startNext = () => generate(roundOptions);
 
 
   useEffect(() => {
-    if (selected.size === graph.k) {
-      const arr = Array.from(selected);
-      const isClique = arr.every((u, i) =>
-        arr.slice(i + 1).every(v =>
-          graph.edges.some(e => (e.u === u && e.v === v) || (e.u === v && e.v === u))
-        )
-      );
-      if (isClique) {
-        setScore(s => s + 1);
-        setTimeout(startNext, 500);
-      }
+    if (!graph) return;
+    if (isClique(graph.edges, selected, graph.k)) {
+      solve();
+      roundLog.end(true);
+      setTimeout(() => {
+        if (!finish(true) && !isOver()) generate(roundOptions);
+      }, 500);
+    } else if (selected.size === graph.k) {
+      // Every pick used up on vertices that are not all adjacent.
+      roundLog.mistake();
     }
-  }, [selected, graph]);
+  }, [selected, graph, roundOptions, generate, finish, roundLog, solve, isOver]);
 
 
   const handleNodeClick = id => {
-    if (gameOver || showHelp) return;
-    setSelected(prev => {
+    if (gameOver || showHelp || showImport || showSettings || showReductions || generating) return;
+    moves.move(prev => {
       const c = new Set(prev);
       if (c.has(id)) {
         c.delete(id);
@@ -242,20 +173,47 @@ export default function CliqueGame({ onBack }) {
     });
   };
 
+  const handleSettings = next => {
+    setSettings(next);
+    setShowSettings(false);
+    run.restart();
+    generate({ ...next, tier });
+  };
+
+  // A new tier starts a new run, so scores from different tiers never mix.
+  const handleTier = id => {
+    setTier(id);
+    run.restart();
+    generate({ ...settings, tier: id });
+  };
+
   const handleRetry = () => {
-    setScore(0);
+    if (finish(false)) return;
+    run.restart();
     startNext();
   };
 
+  // An imported graph starts a new run, so it never scores toward one
+  // played on generated rounds.
+  const handleImport = g => {
+    const round = fromImported(g);
+    run.restart();
+    applyRound(round);
+    setShowImport(false);
+  };
+
 
   const positions = useMemo(() => {
+    if (!graph) return [];
+    if (graph.nodes.every(n => n.x !== undefined)) return graph.nodes;
     if (layout === 'grid' && graph.nodes.length <= 8) {
+      const rng = createRng(`${seed}/layout`);
       const cols = 4, rows = 2;
       const xSp = width / (cols + 1), ySp = height / (rows + 1);
       const spots = Array.from({ length: cols * rows }, (_, i) => ({
         row: Math.floor(i / cols),
         col: i % cols
-      })).sort(() => Math.random() - 0.5);
+      })).sort(() => rng() - 0.5);
       return graph.nodes.map((n, i) => ({
         ...n,
         x: xSp * (spots[i].col + 1),
@@ -270,7 +228,7 @@ export default function CliqueGame({ onBack }) {
     } else {
       return graph.nodes;
     }
-  }, [graph, layout]);
+  }, [graph, layout, seed]);
 
 
   const renderSVG = highlightSet => (
@@ -303,6 +261,12 @@ export default function CliqueGame({ onBack }) {
           );
         }
       })}
+      {showViolations &&
+        missingEdges(graph.edges, highlightSet).map(({ u, v }) => {
+          const a = positions.find(p => p.id === u);
+          const b = positions.find(p => p.id === v);
+          return <line key={`missing-${u}-${v}`} x1={a.x} y1={a.y} x2={b.x} y2={b.y} className="violation" />;
+        })}
       {positions.map(n => (
         <g
           key={n.id}
@@ -328,48 +292,140 @@ export default function CliqueGame({ onBack }) {
     </svg>
   );
 
+  // Under partial credit a valid answer short of the best can be submitted.
+  const handleSubmit = ratio => {
+    solve(ratio);
+    roundLog.end(true);
+    setTimeout(() => {
+      if (!finish(true) && !isOver()) generate(roundOptions);
+    }, 500);
+  };
+
+  const shareInstance = () => ({ l: layout, ...packGraph(positions, graph.edges), k: graph.k });
+  useSessionSaver('clique-game', {
+    enabled: !challenge,
+    snapshot: () =>
+      graph && run.progress && { puzzle: packInstance(shareInstance()), selection: selected, run: run.progress },
+    paused: run.paused,
+    over: run.over,
+  });
+
   return (
     <div className="graph-container">
       <button className="back-button" onClick={onBack}>
         Main Menu
       </button>
       <button className="help-button" onClick={() => setShowHelp(true)}>?</button>
+      {graph && !challenge && (
+        <>
+          <ShareButton getInstance={shareInstance} />
+          <button className="import-button" onClick={() => setShowImport(true)}>Import / Export</button>
+        </>
+      )}
+      {!challenge && (
+        <button className="settings-button" onClick={() => setShowSettings(true)}>Settings</button>
+      )}
 
       {!gameOver && <h1 className="header">Clique Challenge</h1>}
 
-      {gameOver && <h1 className="game-over-text">Time's up!</h1>}
+      {gameOver && <h1 className="game-over-text">{OVER_TITLES[gameOver]}</h1>}
 
-      <div className="scoreboard">
-        Score: <span className="mono">{score}</span> | High Score: <span className="mono">{highScore}</span>
-      </div>
+      {!gameOver && !challenge && (
+        <TierPicker gameId="clique-game" tier={tier} onChange={handleTier} timer={settings.timer} />
+      )}
+      <Scoreboard run={run} />
+      <SeedInfo gameId="clique-game" seed={seed} options={options} />
+      <ReductionBanner reducedFrom={reducedFrom} round={graph} selection={selected} onOpenGame={onOpenGame} />
 
-      {!gameOver && (
+      {!gameOver && graph && (
         <div className={`stats ${errorFlash ? 'error' : ''}`}>
-          Time Left: <span className="mono">{timeLeft}s</span> | You have to select{' '}
+          <RunClock run={run} /> | You have to select{' '}
           <span className="mono">{graph.k - selected.size}</span> more vertices
         </div>
       )}
+      {!gameOver && graph && (
+        <MoveControls moves={moves} disabled={run.paused || showHelp || showImport || showSettings || generating} />
+      )}
+      {!gameOver && graph && (
+        <HintButton
+          value={selected}
+          getHint={() => cliqueHint(graph.edges, selected, correctCover)}
+          onMove={moves.move}
+          onPenalty={run.penalize}
+          disabled={showHelp || showImport || showSettings || generating}
+        />
+      )}
+      {!gameOver && graph && (
+        <SubmitAnswer
+          run={run}
+          ratio={cliqueRatio(graph.edges, selected, graph.k)}
+          onSubmit={handleSubmit}
+          disabled={run.paused || showHelp || showImport || showSettings || generating}
+        />
+      )}
+      {!gameOver && graph && (
+        <ViolationsToggle
+          checked={showViolations}
+          onChange={setShowViolations}
+          count={missingEdges(graph.edges, selected).length}
+          label="missing edges"
+        />
+      )}
 
+      {graph && !challenge && (gameOver || run.mode.study) && (
+        <button className="watch-button" onClick={() => setShowReductions(true)}>Reduce…</button>
+      )}
       {gameOver ? (
         <div className="game-over">
           <div className="graphs">
             <div>
-              <div>Your selection:</div>
-              {renderSVG(selected)}
+              <div>Your moves:</div>
+              <MoveReplay timeline={moves.timeline} ended={gameOver} clock={run.clock} render={renderSVG} />
             </div>
             <div>
-              <div>Correct clique of {correctCover.size} vertices:</div>
+              <div>A maximum clique of {correctCover.size} vertices (one of possibly many):</div>
               {renderSVG(correctCover)}
             </div>
+            <div>
+              <AlgorithmShowcase results={showcase} render={renderSVG} />
+            </div>
           </div>
           <button onClick={handleRetry} className="retry-button">
-            Retry
+            {challenge ? 'Continue' : 'Retry'}
           </button>
         </div>
       ) : (
-        renderSVG(selected)
+        graph && renderSVG(selected)
       )}
 
+{(generating || error) && (
+  <GeneratingNotice progress={progress} error={error} onRetry={retry} />
+)}
+{showImport && (
+  <GraphImportPanel
+    maxNodes={MAX_SOLVER_NODES}
+    graph={graph}
+    positions={positions}
+    onImport={handleImport}
+    onClose={() => setShowImport(false)}
+  />
+)}
+{showReductions && (
+  <ReductionPanel
+    gameId="clique-game"
+    getInstance={shareInstance}
+    onOpenGame={onOpenGame}
+    onClose={() => setShowReductions(false)}
+  />
+)}
+{showSettings && (
+  <SettingsPanel
+    gameId='clique-game'
+    settings={settings}
+    onSave={handleSettings}
+    onClose={() => setShowSettings(false)}
+  />
+)}
 {showHelp && (
   <div className="help-overlay" onClick={() => setShowHelp(false)}>
     <div className="help-modal" onClick={e => e.stopPropagation()}>
@@ -0,0 +1,219 @@
+import React, { useState } from 'react';
+import './GraphCommon.css';
+import './DailyChallenge.css';
+import {
+  DAILY_LENGTH,
+  dateKey,
+  parseDateKey,
+  shiftDate,
+  dailyPuzzles,
+  useDailyResults,
+  recordDailyResult,
+  isComplete,
+  solvedCount,
+  dailyStreak,
+} from '../utils/daily';
+import { TIER_LABELS } from '../puzzles/difficulty';
+import { seedOptions } from '../utils/seedLink';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+function formatDate(key) {
+  return parseDateKey(key).toLocaleDateString(undefined, {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+}
+
+// One month of days, Monday first, marked with each day's recorded result.
+function Calendar({ month, today, selected, all, onMonth, onPick }) {
+  const first = parseDateKey(`${month}-01`);
+  const lead = (first.getDay() + 6) % 7;
+  const days = new Date(first.getFullYear(), first.getMonth() + 1, 0).getDate();
+  const cells = [
+    ...Array(lead).fill(null),
+    ...Array.from({ length: days }, (_, i) => `${month}-${String(i + 1).padStart(2, '0')}`),
+  ];
+  const prevMonth = shiftDate(`${month}-01`, -1).slice(0, 7);
+  const nextMonth = shiftDate(`${month}-01`, days).slice(0, 7);
+
+  return (
+    <div className="daily-calendar">
+      <div className="daily-calendar-nav">
+        <button onClick={() => onMonth(prevMonth)} aria-label="Previous month">‹</button>
+        <span>{first.toLocaleDateString(undefined, { year: 'numeric', month: 'long' })}</span>
+        <button onClick={() => onMonth(nextMonth)} disabled={nextMonth > today.slice(0, 7)} aria-label="Next month">
+          ›
+        </button>
+      </div>
+      <div className="daily-calendar-grid">
+        {WEEKDAYS.map(d => <div key={d} className="daily-weekday">{d}</div>)}
+        {cells.map((key, i) => {
+          if (!key) return <div key={`lead${i}`} />;
+          const results = all[key];
+          const classes = ['daily-day'];
+          if (isComplete(results)) classes.push('complete');
+          else if (results) classes.push('partial');
+          if (key === today) classes.push('today');
+          if (key === selected) classes.push('selected');
+          return (
+            <button
+              key={key}
+              className={classes.join(' ')}
+              disabled={key > today}
+              onClick={() => onPick(key)}
+              title={results ? `${solvedCount(results)}/${DAILY_LENGTH} solved` : undefined}
+            >
+              <span>{Number(key.slice(8))}</span>
+              {results && <span className="daily-day-score">{solvedCount(results)}/{DAILY_LENGTH}</span>}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * The daily challenge: today's puzzles, one attempt each, counted towards a
+ * streak. Other dates, and today's once it is done, can be played again as
+ * practice, which records nothing. onNavigate(query) changes the date or
+ * mode in the URL; the parent remounts this for every date and mode.
+ */
+export default function DailyChallenge({ games, date: requestedDate, practice: wantsPractice, onBack, onNavigate }) {
+  const [today] = useState(() => dateKey());
+  const date = parseDateKey(requestedDate) && requestedDate <= today ? requestedDate : today;
+  const all = useDailyResults();
+  const stored = all[date];
+  // Today's puzzles only become practice once the real attempt is over.
+  const practice = date !== today || (wantsPractice && isComplete(stored));
+
+  const puzzles = dailyPuzzles(date);
+  const [month, setMonth] = useState(date.slice(0, 7));
+  const [playing, setPlaying] = useState(null);
+  const [practiceResults, setPracticeResults] = useState([]);
+  const [showHelp, setShowHelp] = useState(false);
+
+  const results = practice ? practiceResults : stored || [];
+  const nextIndex = results.filter(Boolean).length;
+
+  const start = index => {
+    if (!practice) recordDailyResult(date, index, { solved: false, seconds: null });
+    setShowHelp(false);
+    setPlaying({ index, finished: false });
+  };
+
+  const handleDone = (solved, seconds) => {
+    const result = { solved, seconds };
+    const { index } = playing;
+    if (practice) {
+      setPracticeResults(r => {
+        const next = [...r];
+        next[index] = result;
+        return next;
+      });
+    } else {
+      recordDailyResult(date, index, result);
+    }
+    setPlaying({ index, finished: true });
+  };
+
+  const openDate = key => onNavigate(key === today ? {} : { date: key });
+
+  if (playing && !playing.finished) {
+    const puzzle = puzzles[playing.index];
+    const Game = games.find(g => g.id === puzzle.gameId).component;
+    return (
+      <>
+        <div className="daily-bar">
+          Daily {date} · Puzzle <span className="mono">{playing.index + 1}</span> of{' '}
+          <span className="mono">{DAILY_LENGTH}</span> · {TIER_LABELS[puzzle.tier]}
+          {practice && ' · Practice'}
+        </div>
+        <Game
+          key={`${date}/${playing.index}`}
+          seeded={seedOptions(puzzle.gameId, puzzle)}
+          challenge={{ tier: puzzle.tier, onDone: handleDone }}
+          onBack={() => setPlaying(null)}
+          showHelp={showHelp}
+          setShowHelp={setShowHelp}
+        />
+      </>
+    );
+  }
+
+  const done = isComplete(results);
+  const last = playing && results[playing.index];
+  const streak = dailyStreak(all, today);
+
+  return (
+    <div className="graph-container daily">
+      <button className="back-button" onClick={onBack}>Main Menu</button>
+      <h1 className="header">Daily Challenge</h1>
+      <div className="seed-info">
+        {formatDate(date)}
+        {practice && ' · Practice, nothing is recorded'}
+      </div>
+      <div className="scoreboard">
+        Streak: <span className="mono">{streak}</span> {streak === 1 ? 'day' : 'days'}
+      </div>
+
+      {last && (
+        <div className={`daily-last ${last.solved ? 'solved' : 'missed'}`}>
+          Puzzle {playing.index + 1}: {last.solved ? `solved in ${last.seconds}s` : 'not solved'}
+        </div>
+      )}
+
+      <ol className="daily-list">
+        {puzzles.map((p, i) => {
+          const game = games.find(g => g.id === p.gameId);
+          const r = results[i];
+          return (
+            <li key={i} className={r ? (r.solved ? 'solved' : 'missed') : ''}>
+              <span>{game.name}</span>
+              <span className="daily-tier">{TIER_LABELS[p.tier]}</span>
+              <span className="daily-status">{r ? (r.solved ? `✓ ${r.seconds}s` : '✗') : ''}</span>
+            </li>
+          );
+        })}
+      </ol>
+
+      {done ? (
+        <div className="daily-actions">
+          <div>
+            {practice ? 'Practice score' : 'Score'}: <span className="mono">{solvedCount(results)}</span> of{' '}
+            <span className="mono">{DAILY_LENGTH}</span>
+            {!practice && ' · a new challenge comes tomorrow'}
+          </div>
+          {practice ? (
+            <button
+              onClick={() => {
+                setPracticeResults([]);
+                setPlaying(null);
+              }}
+            >
+              Practice again
+            </button>
+          ) : (
+            <button onClick={() => onNavigate({ practice: '1' })}>Practice these puzzles</button>
+          )}
+        </div>
+      ) : (
+        <div className="daily-actions">
+          {!practice && (
+            <div className="import-hint">
+              One attempt per puzzle: leaving a puzzle before it is solved counts as missing it.
+            </div>
+          )}
+          <button onClick={() => start(nextIndex)}>
+            {nextIndex === 0 ? 'Start' : `Continue with puzzle ${nextIndex + 1}`}
+          </button>
+        </div>
+      )}
+
+      <Calendar month={month} today={today} selected={date} all={all} onMonth={setMonth} onPick={openDate} />
+    </div>
+  );
+}
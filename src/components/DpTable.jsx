@@ -0,0 +1,49 @@
+import React from 'react';
+import './GraphCommon.css';
+
+/**
+ * The Subset Sum table of one step of subsetSumTable (utils/traces.js):
+ * a row per value, below the empty row 0, and a column per sum up to the
+ * target, or the window of them the step names when the table is too
+ * wide. Reached sums are shaded; rows not filled in yet stay blank.
+ */
+export default function DpTable({ values, step }) {
+  const { table, columns, rows, cell, picked } = step;
+  const [first, last] = columns;
+  const sums = Array.from({ length: last - first + 1 }, (_, k) => first + k);
+  const target = table[0].length - 1;
+  const isCell = (i, s) => cell !== null && cell[0] === i && cell[1] === s;
+  return (
+    <table className="dp-table">
+      {(first > 0 || last < target) && (
+        <caption>
+          Sums {first} to {last} of 0 to {target}
+        </caption>
+      )}
+      <thead>
+        <tr>
+          <th>sum</th>
+          {sums.map(s => (
+            <th key={s} className="mono">{s}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {table.map((row, i) => (
+          <tr key={i} className={i > 0 && picked.includes(i - 1) ? 'picked' : undefined}>
+            <th className="mono">{i === 0 ? '—' : values[i - 1]}</th>
+            {sums.map(s => {
+              const shown = i < rows && row[s];
+              const classes = [shown && 'reached', isCell(i, s) && 'current'].filter(Boolean).join(' ');
+              return (
+                <td key={s} className={classes || undefined}>
+                  {shown ? '✓' : ''}
+                </td>
+              );
+            })}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
@@ -0,0 +1,28 @@
+import React from 'react';
+import './GraphCommon.css';
+
+/**
+ * Covers the game while the next puzzle is generated in the worker. It fades
+ * in after a short delay so quick rounds do not flash it.
+ */
+export default function GeneratingNotice({ progress, error, onRetry }) {
+  return (
+    <div className="generating-overlay">
+      <div className="generating" role="status">
+        {error ? (
+          <>
+            <div className="import-error">Could not generate a puzzle: {error}</div>
+            <button onClick={onRetry}>Try again</button>
+          </>
+        ) : (
+          <>
+            <div>Generating…</div>
+            <div className="generating-bar">
+              <div style={{ width: `${Math.round((progress || 0) * 100)}%` }} />
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+import React from 'react';
+import ImportExportPanel from './ImportExportPanel';
+import {
+  parseGraph,
+  toDimacsCol,
+  toEdgeListJson,
+  toAdjacencyMatrix,
+  MAX_IMPORT_NODES,
+} from '../utils/graphFormats';
+
+export default function GraphImportPanel({ graph, positions, onImport, onClose, maxNodes = MAX_IMPORT_NODES }) {
+  return (
+    <ImportExportPanel
+      title="Import / Export Graph"
+      accept=".col,.json,.txt"
+      placeholder={'p edge 3 2\ne 1 2\ne 2 3'}
+      onImport={text => onImport(parseGraph(text, maxNodes))}
+      exports={[
+        { label: 'Download .col', filename: 'graph.col', getText: () => toDimacsCol(graph) },
+        { label: 'Download .json', filename: 'graph.json', getText: () => toEdgeListJson(graph, positions) },
+        { label: 'Download matrix', filename: 'graph.txt', getText: () => toAdjacencyMatrix(graph) },
+      ]}
+      onClose={onClose}
+    >
+      <p className="import-hint">
+        Paste DIMACS <code>.col</code> (<code>p edge</code>/<code>e</code> lines), a JSON edge list
+        like <code>{'{"nodes": 4, "edges": [[0,1],[1,2]]}'}</code> (nodes may be
+        <code>{' [{"x": …, "y": …}]'}</code> to keep a drawing), or a 0/1 adjacency matrix.
+        Up to {maxNodes} vertices.
+      </p>
+    </ImportExportPanel>
+  );
+}
@@ -1,143 +1,158 @@
-import React, { useState, useEffect, useRef, useMemo } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import './GraphCommon.css';
 import './HamCycleGame.css'; 
 import hamCycle from "../assets/ham-cycle.png";
+import { createRng } from '../utils/random';
+import { unpackInstance, packInstance, packGraph, unpackGraph } from '../utils/share';
+import { usePuzzleGenerator } from '../utils/usePuzzleGenerator';
+import { useRoundSettings } from '../utils/useGameSettings';
+import { useChallenge } from '../utils/useChallenge';
+import { useRun } from '../utils/useRun';
+import { useRoundLog } from '../utils/useRoundLog';
+import { loadSession, useSessionSaver } from '../utils/session';
+import { OVER_TITLES } from '../utils/modes';
+import { useMoveLog } from '../utils/useMoveLog';
+import { hamCycleHint } from '../utils/hints';
+import { TIME_FACTORS } from '../puzzles/difficulty';
+import { isHamiltonianCycle } from '../utils/verifiers';
+import { findHamiltonianCycle } from '../puzzles/hamCycle';
+import { scatterPoints } from '../puzzles/graphs';
+import { hamCycleTrace } from '../utils/traces';
+import ShareButton from './ShareButton';
+import SeedInfo from './SeedInfo';
+import GraphImportPanel from './GraphImportPanel';
+import GeneratingNotice from './GeneratingNotice';
+import SettingsPanel from './SettingsPanel';
+import TierPicker from './TierPicker';
+import MoveControls from './MoveControls';
+import MoveReplay from './MoveReplay';
+import HintButton from './HintButton';
+import Scoreboard from './Scoreboard';
+import RunClock from './RunClock';
+import SolverPlayer from './SolverPlayer';
+import ReductionPanel from './ReductionPanel';
+
+
+
+function planarLayout(rng, nodes, width, height, radius) {
+  const points = scatterPoints(rng, nodes.length, { size: width - 2 * radius, margin: radius });
+  return nodes.map((n, i) => ({ id: n.id, x: points[i].x, y: points[i].y }));
+}
 
-
-
-function planarLayout(nodes, width, height, radius) {
-  const minDist = 100;
-  const placed = [];
-
-  for (let i = 0; i < nodes.length; i++) {
-    let x, y;
-    do {
-      x = Math.random() * (width  - 2 * radius) + radius;
-      y = Math.random() * (height - 2 * radius) + radius;
-    } while (placed.some(p => Math.hypot(p.x - x, p.y - y) < minDist));
-    placed.push({ id: nodes[i].id, x, y });
+function fromSharedHC(data) {
+  const g = data && unpackGraph(data);
+  if (!g) return null;
+  try {
+    return fromImportedHC(g, data.l);
+  } catch (e) {
+    return null;
   }
-
-  return placed;
 }
 
-function generateHamiltonianGraph() {
-  const maxAttempts = 20;
-  for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    const nodeCount = Math.floor(Math.random() * 4) + 5;
-    const nodes = Array.from({ length: nodeCount }, (_, i) => ({ id: i }));
-    const edges = [];
-    const cycle = nodes.map(n => n.id).sort(() => Math.random() - 0.5);
-    for (let i = 0; i < nodeCount; i++) {
-      const u = cycle[i];
-      const v = cycle[(i + 1) % nodeCount];
-      edges.push({ u, v });
-    }
-    for (let i = 0; i < nodeCount; i++) {
-      for (let j = i + 1; j < nodeCount; j++) {
-        if (
-          Math.random() < 0.2 &&
-          !edges.some(e =>
-            (e.u === i && e.v === j) || (e.u === j && e.v === i)
-          )
-        ) {
-          edges.push({ u: i, v: j });
-        }
-      }
-    }
-    const cycleFound = findHamiltonianCycle(nodeCount, edges);
-    if (cycleFound) {
-      return { nodes, edges, cycle: cycleFound };
-    }
-  }
+function fromImportedHC(g, layout = g.nodes.every(n => n.x !== undefined) ? 'planar' : 'circle') {
+  const cycle = findHamiltonianCycle(g.nodes.length, g.edges);
+  if (!cycle) throw new Error('This graph has no Hamiltonian cycle.');
   return {
-    nodes: [{ id: 0 }, { id: 1 }, { id: 2 }],
-    edges: [
-      { u: 0, v: 1 },
-      { u: 1, v: 2 },
-      { u: 2, v: 0 }
-    ],
-    cycle: [0, 1, 2]
+    seed: null,
+    layout: ['circle', 'grid', 'planar'].includes(layout) ? layout : 'planar',
+    graph: { ...g, cycle },
   };
 }
 
-function findHamiltonianCycle(n, edges) {
-  const adj = Array.from({ length: n }, () => new Set());
-  edges.forEach(({ u, v }) => {
-    adj[u].add(v);
-    adj[v].add(u);
-  });
-  const path = [];
-  const used = Array(n).fill(false);
-
-  function dfs(u, depth) {
-    path.push(u);
-    used[u] = true;
-    if (depth === n) {
-      if (adj[u].has(path[0])) return true;
-      used[u] = false;
-      path.pop();
-      return false;
-    }
-    for (let v of adj[u]) {
-      if (!used[v] && dfs(v, depth + 1)) return true;
-    }
-    used[u] = false;
-    path.pop();
-    return false;
-  }
-
-  for (let start = 0; start < n; start++) {
-    if (dfs(start, 1)) return [...path];
-  }
-  return null;
-}
-
-function newRoundHC() {
-  let layout, g;
-  do {
-    const r = Math.random();
-    layout = r < 0.30 ? 'circle' : r < 0.40 ? 'grid' : 'planar';
-    g = generateHamiltonianGraph();
-  } while (layout === 'grid' && g.nodes.length > 8);
-  return { layout, graph: g };
-}
-
-export default function HamiltonianCycleGame({ onBack }) {
-  const TIMER = 30;
+export default function HamiltonianCycleGame({ onBack, showHelp, setShowHelp, seeded, puzzle, resume, challenge, onOpenGame }) {
+  const { settings, setSettings, tier, setTier, mode, scoring } = useRoundSettings('ham-cycle-game', challenge);
+  const [showSettings, setShowSettings] = useState(false);
+  const TIMER = Math.round(settings.timer * TIME_FACTORS[tier]);
+  const roundOptions = useMemo(() => ({ ...settings, tier }), [settings, tier]);
   const width = 400,
     height = 400,
     radius = 15;
 
-  const init = useMemo(() => newRoundHC(), []);
-  const [layout, setLayout] = useState(init.layout);
-  const [graph, setGraph] = useState(init.graph);
-  const [selected, setSelected] = useState([]);
-  const [timeLeft, setTimeLeft] = useState(TIMER);
+  const [resumed] = useState(() => (resume && !challenge ? loadSession('ham-cycle-game') : null));
+  const [init] = useState(() => fromSharedHC(unpackInstance(resumed ? resumed.puzzle : puzzle)));
+  const [seed, setSeed] = useState(init && init.seed);
+  const [layout, setLayout] = useState(init && init.layout);
+  const [graph, setGraph] = useState(init && init.graph);
   const [gameOver, setGameOver] = useState(false);
   const [showCorrect, setShowCorrect] = useState(false);
-  const [score, setScore] = useState(0);
-  const [highScore, setHighScore] = useState(() => {
-    const saved = localStorage.getItem('hamCycleHighScore');
-    return saved !== null ? Number(saved) : 0;
-  });
   const [errorFlash, setErrorFlash] = useState(false);
-  const [showHelp, setShowHelp] = useState(false);
-  const timerRef = useRef(null);
+  const [showImport, setShowImport] = useState(false);
+  const [showSolver, setShowSolver] = useState(false);
+  const [showReductions, setShowReductions] = useState(false);
+
+  const applyRound = next => {
+    setSeed(next.seed);
+    setLayout(next.layout);
+    setGraph(next.graph);
+    setGameOver(false);
+    setShowCorrect(false);
+  };
+
+  const { generating, progress, error, options, generate, retry } = usePuzzleGenerator('ham-cycle-game', {
+    first: init ? null : seeded || roundOptions,
+    onReady: applyRound,
+  });
+
+  const run = useRun('ham-cycle-game', {
+    mode,
+    scoring,
+    tier,
+    round: graph,
+    roundTime: TIMER,
+    running: !gameOver && !showHelp && !showCorrect && !showImport && !showSettings && !showSolver && !showReductions && !generating,
+    saved: resumed && resumed.run,
+  });
+  const finish = useChallenge(challenge, run.elapsed);
+  const moves = useMoveLog(graph, () => [], init && resumed && resumed.selection, run.clock);
+  const selected = moves.value;
+  const { solve, isOver } = run;
+  const roundLog = useRoundLog('ham-cycle-game', {
+    tier,
+    size: graph ? graph.nodes.length : 0,
+    elapsed: run.elapsed,
+    onMistake: run.mistake,
+  });
 
   
+  const handleSettings = next => {
+    setSettings(next);
+    setShowSettings(false);
+    run.restart();
+    generate({ ...next, tier });
+  };
+
+  // A new tier starts a new run, so scores from different tiers never mix.
+  const handleTier = id => {
+    setTier(id);
+    run.restart();
+    generate({ ...settings, tier: id });
+  };
+
   const handleRetry = () => {
-    setScore(0);
+    if (finish(false)) return;
+    run.restart();
     startNext();
   };
 
+  // An imported graph starts a new run, so it never scores toward one
+  // played on generated rounds.
+  const handleImport = g => {
+    const round = fromImportedHC(g);
+    run.restart();
+    applyRound(round);
+    setShowImport(false);
+  };
+
   const resetRound = () => {
-    setSelected([]);
+    moves.move(prev => (prev.length ? [] : prev));
     setErrorFlash(false);
     setShowCorrect(false);
   };
 
   const positions = useMemo(() => {
+    if (!graph) return [];
+    if (graph.nodes.every(n => n.x !== undefined)) return graph.nodes;
+    const rng = createRng(`${seed}/layout`);
     if (layout === 'grid' && graph.nodes.length <= 8) {
       const cols = 4,
         rows = 2;
@@ -146,7 +161,7 @@ export default function HamiltonianCycleGame({ onBack }) {
       const spots = Array.from({ length: cols * rows }, (_, i) => ({
         row: Math.floor(i / cols),
         col: i % cols
-      })).sort(() => Math.random() - 0.5);
+      })).sort(() => rng() - 0.5);
       return graph.nodes.map((n, i) => ({
         ...n,
         x: xSp * (spots[i].col + 1),
@@ -163,73 +178,47 @@ export default function HamiltonianCycleGame({ onBack }) {
           (height / 2 - 2 * radius) * Math.sin((2 * Math.PI * i) / graph.nodes.length)
       }));
     } else {
-      return planarLayout(graph.nodes, width, height, radius);
+      return planarLayout(rng, graph.nodes, width, height, radius);
     }
-  }, [graph, layout]);
+  }, [graph, layout, seed]);
 
-  useEffect(() => {
-    localStorage.setItem('hamCycleHighScore', highScore);
-  }, [highScore]);
   
 
-  useEffect(() => setTimeLeft(TIMER), [graph]);
-  useEffect(() => {
-    clearInterval(timerRef.current);
-    if (!gameOver && !showHelp && !showCorrect) {
-      timerRef.current = setInterval(() => setTimeLeft(t => t - 1), 1000);
-    }
-    return () => clearInterval(timerRef.current);
-  }, [gameOver, showHelp, showCorrect]);
+  useEffect(() => roundLog.start(), [graph, roundLog]);
 
   useEffect(() => {
-    if (timeLeft <= 0) {
-      clearInterval(timerRef.current);
-      setGameOver(true);
-      setHighScore(h => Math.max(h, score));
+    if (run.over) {
+      setGameOver(run.over);
+      roundLog.end(false);
     }
-  }, [timeLeft, score]);
+  }, [run.over, roundLog]);
 
-  const startNext = () => {
-    const next = newRoundHC();
-    setLayout(next.layout);
-    setGraph(next.graph);
-    setSelected([]);
-    setGameOver(false);
-    setTimeLeft(TIMER);
-    setShowCorrect(false);
-  };
+  const startNext = () => generate(roundOptions);
 
   useEffect(() => {
-    if (!gameOver && !showCorrect && selected.length === graph.nodes.length) {
-      const cycle = graph.cycle;
-      const n = cycle.length;
-      let match = false;
-      for (let offset = 0; offset < n; offset++) {
-        const rotated = cycle.slice(offset).concat(cycle.slice(0, offset));
-        if (rotated.every((v, i) => v === selected[i])) {
-          match = true;
-          break;
-        }
-        const rev = [...rotated].reverse();
-        if (rev.every((v, i) => v === selected[i])) {
-          match = true;
-          break;
-        }
-      }
-      if (match) {
-        setScore(s => s + 1);
+    if (graph && !gameOver && !showCorrect && selected.length === graph.nodes.length) {
+      if (isHamiltonianCycle(graph.nodes.length, graph.edges, selected)) {
+        solve();
         setShowCorrect(true);
-        setTimeout(startNext, 2000);
+        roundLog.end(true);
+        setTimeout(() => {
+          if (finish(true)) return;
+          // A finished Marathon goes on to the game-over screen instead.
+          if (isOver()) setShowCorrect(false);
+          else generate(roundOptions);
+        }, 2000);
       } else {
+        // Every vertex visited, but not along a closed cycle.
+        roundLog.mistake();
         setErrorFlash(true);
         setTimeout(() => setErrorFlash(false), 500);
       }
     }
-  }, [selected, graph, gameOver, showCorrect]);
+  }, [selected, graph, gameOver, showCorrect, roundOptions, generate, finish, roundLog, solve, isOver]);
 
   const handleNodeClick = id => {
-    if (gameOver || showHelp || showCorrect) return;
-    setSelected(prev =>
+    if (gameOver || showHelp || showCorrect || showImport || showSettings || showSolver || showReductions || generating) return;
+    moves.move(prev =>
       prev.includes(id) ? prev.filter(v => v !== id) : [...prev, id]
     );
   };
@@ -299,15 +288,26 @@ export default function HamiltonianCycleGame({ onBack }) {
     </svg>
   );
 
-  const highlightEdges =
-    selected.length > 1
-      ? selected.map((v, i) => [v, selected[(i + 1) % selected.length]])
-      : [];
-
-  const correctEdges = graph.cycle.map((v, i) => [
-    v,
-    graph.cycle[(i + 1) % graph.cycle.length]
-  ]);
+  // The path so far, closed back to its first vertex.
+  const pathEdges = path =>
+    path.length > 1 ? path.map((v, i) => [v, path[(i + 1) % path.length]]) : [];
+  const highlightEdges = pathEdges(selected);
+
+  // The path of a solver step, closed once it has come back round.
+  const stepEdges = ({ path, closed }) => (closed ? pathEdges(path) : path.slice(1).map((v, i) => [path[i], v]));
+
+  const correctEdges = graph
+    ? graph.cycle.map((v, i) => [v, graph.cycle[(i + 1) % graph.cycle.length]])
+    : [];
+
+  const shareInstance = () => ({ l: layout, ...packGraph(positions, graph.edges) });
+  useSessionSaver('ham-cycle-game', {
+    enabled: !challenge,
+    snapshot: () =>
+      graph && run.progress && { puzzle: packInstance(shareInstance()), selection: selected, run: run.progress },
+    paused: run.paused,
+    over: run.over,
+  });
 
   return (
     <div className="graph-container">
@@ -321,32 +321,61 @@ export default function HamiltonianCycleGame({ onBack }) {
       >
         ?
       </button>
+      {graph && !challenge && (
+        <>
+          <ShareButton getInstance={shareInstance} />
+          <button className="import-button" onClick={() => setShowImport(true)}>Import / Export</button>
+        </>
+      )}
+      {!challenge && (
+        <button className="settings-button" onClick={() => setShowSettings(true)}>Settings</button>
+      )}
 
       {!gameOver && !showCorrect && (
         <h1 className="header">Hamiltonian Cycle Challenge</h1>
       )}
-      {gameOver && !showCorrect && <h1 className="game-over-text">Time's up!</h1>}
+      {gameOver && !showCorrect && <h1 className="game-over-text">{OVER_TITLES[gameOver]}</h1>}
       {showCorrect && <h1 className="header">Correct!</h1>}
 
-      <div className="scoreboard">
-        Score: <span className="mono">{score}</span> | High Score:{' '}
-        <span className="mono">{highScore}</span>
-      </div>
-      {!gameOver && !showCorrect && (
+      {!gameOver && !challenge && (
+        <TierPicker gameId="ham-cycle-game" tier={tier} onChange={handleTier} timer={settings.timer} />
+      )}
+      <Scoreboard run={run} />
+      <SeedInfo gameId="ham-cycle-game" seed={seed} options={options} />
+      {!gameOver && !showCorrect && graph && (
         <div className={`stats ${errorFlash ? 'error' : ''}`}>
-          Time Left: <span className="mono">{timeLeft}s</span>
+          <RunClock run={run} />
         </div>
       )}
-      {!gameOver && !showCorrect && (
+      {!gameOver && !showCorrect && graph && (
         <button className="retry-button" onClick={resetRound}>
           Reset
         </button>
       )}
+      {!gameOver && !showCorrect && graph && (
+        <MoveControls moves={moves} disabled={run.paused || showHelp || showImport || showSettings || generating} />
+      )}
+      {!gameOver && !showCorrect && graph && (
+        <HintButton
+          value={selected}
+          getHint={() => hamCycleHint(selected, graph.cycle)}
+          onMove={moves.move}
+          onPenalty={run.penalize}
+          disabled={showHelp || showImport || showSettings || generating}
+        />
+      )}
+
+      {graph && !showCorrect && (gameOver || run.mode.study) && (
+        <button className="watch-button" onClick={() => setShowSolver(true)}>Watch the algorithm</button>
+      )}
+      {graph && !showCorrect && !challenge && (gameOver || run.mode.study) && (
+        <button className="watch-button" onClick={() => setShowReductions(true)}>Reduce…</button>
+      )}
 
       {showCorrect ? (
         <div className="game-over" style={{ display: 'flex', gap: '1rem' }}>
-          <div>Correct cycle:</div>
-          {renderSVG(correctEdges, graph.cycle)}
+          <div>Your cycle:</div>
+          {renderSVG(highlightEdges)}
         </div>
       ) : gameOver ? (
         <div
@@ -359,21 +388,57 @@ export default function HamiltonianCycleGame({ onBack }) {
           }}
         >
           <div className="graphs">
-            <div>Your selection:</div>
-            {renderSVG(highlightEdges)}
+            <div>Your moves:</div>
+            <MoveReplay timeline={moves.timeline} ended={gameOver} clock={run.clock} render={path => renderSVG(pathEdges(path), path)} />
           </div>
           <div className="graphs">
-            <div>Correct cycle:</div>
+            <div>A Hamiltonian cycle (one of possibly many):</div>
             {renderSVG(correctEdges, graph.cycle)}
           </div>
           <button onClick={handleRetry} className="retry-button">
-            Retry
+            {challenge ? 'Continue' : 'Retry'}
           </button>
         </div>
       ) : (
-        renderSVG(highlightEdges)
+        graph && renderSVG(highlightEdges)
       )}
 
+{(generating || error) && (
+  <GeneratingNotice progress={progress} error={error} onRetry={retry} />
+)}
+{showImport && (
+  <GraphImportPanel
+    graph={graph}
+    positions={positions}
+    onImport={handleImport}
+    onClose={() => setShowImport(false)}
+  />
+)}
+{showSolver && (
+  <SolverPlayer
+    title="Backtracking"
+    description="Extends a path from vertex 0 to each unvisited neighbour in turn, and backs up at dead ends."
+    getSteps={() => hamCycleTrace(graph.nodes.length, graph.edges)}
+    render={step => renderSVG(stepEdges(step), step.path)}
+    onClose={() => setShowSolver(false)}
+  />
+)}
+{showReductions && (
+  <ReductionPanel
+    gameId="ham-cycle-game"
+    getInstance={shareInstance}
+    onOpenGame={onOpenGame}
+    onClose={() => setShowReductions(false)}
+  />
+)}
+{showSettings && (
+  <SettingsPanel
+    gameId='ham-cycle-game'
+    settings={settings}
+    onSave={handleSettings}
+    onClose={() => setShowSettings(false)}
+  />
+)}
 {showHelp && (
   <div className="help-overlay" onClick={() => setShowHelp(false)}>
     <div className="help-modal" onClick={e => e.stopPropagation()}>
@@ -391,7 +456,7 @@ export default function HamiltonianCycleGame({ onBack }) {
 
 
       <p>
-        A Hamiltonian cycle is a closed loop that visits every vertex exactly once. You need to select the vertices in the cycle's order. Click "retry" to de-select all vertices.
+        A Hamiltonian cycle is a closed loop that visits every vertex exactly once. You need to select the vertices in the cycle's order; any Hamiltonian cycle counts. Click "retry" to de-select all vertices.
       </p>
       <button onClick={() => setShowHelp(false)}>Got it!</button>
     </div>
@@ -0,0 +1,42 @@
+import React, { useState } from 'react';
+import { HINT_COSTS } from '../utils/hints';
+import './GraphCommon.css';
+
+/**
+ * A game's hint button. The first press shows a nudge and the second, if
+ * nothing was played in between, makes the hinted move with onMove; each
+ * costs HINT_COSTS seconds, taken with onPenalty(seconds). value is the
+ * selection on screen and getHint() its hint, see utils/hints.js.
+ */
+export default function HintButton({ value, getHint, onMove, onPenalty, disabled }) {
+  const [shown, setShown] = useState(null);
+  const [none, setNone] = useState(null);
+  // A nudge holds only for the position it was given for.
+  const nudge = shown && shown.value === value ? shown : null;
+
+  const ask = () => {
+    if (nudge) {
+      setShown(null);
+      onPenalty(HINT_COSTS.move);
+      onMove(nudge.move);
+      return;
+    }
+    const hint = getHint();
+    if (!hint) {
+      setNone(value);
+      return;
+    }
+    onPenalty(HINT_COSTS.nudge);
+    setShown({ value, ...hint });
+  };
+
+  return (
+    <div className="hint-box">
+      <button onClick={ask} disabled={disabled}>
+        {nudge ? `Show me (−${HINT_COSTS.move}s)` : `Hint (−${HINT_COSTS.nudge}s)`}
+      </button>
+      {nudge && <span className="hint-text" role="status">{nudge.nudge}</span>}
+      {!nudge && none === value && <span className="hint-text">No hint for this position.</span>}
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import { downloadText, readFileText } from '../utils/download';
+
+/**
+ * Modal for loading a puzzle from a file or pasted text and downloading the
+ * current one.
+ * onImport: called with the text; throw an Error to show its message
+ * exports: [{ label, filename, getText }] download buttons
+ * children: extra options rendered above the buttons
+ */
+export default function ImportExportPanel({
+  title,
+  accept,
+  placeholder,
+  onImport,
+  exports = [],
+  onClose,
+  children,
+}) {
+  const [text, setText] = useState('');
+  const [error, setError] = useState(null);
+
+  const load = source => {
+    try {
+      onImport(source);
+      setError(null);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const handleFile = e => {
+    const file = e.target.files[0];
+    if (!file) return;
+    readFileText(file).then(
+      content => {
+        setText(content);
+        load(content);
+      },
+      () => setError(`Could not read ${file.name}.`)
+    );
+  };
+
+  return (
+    <div className="help-overlay" onClick={onClose}>
+      <div className="help-modal import-modal" onClick={e => e.stopPropagation()}>
+        <h2>{title}</h2>
+        <input type="file" accept={accept} onChange={handleFile} />
+        <textarea
+          className="import-text"
+          rows={8}
+          value={text}
+          placeholder={placeholder}
+          onChange={e => setText(e.target.value)}
+        />
+        {children}
+        {error && <div className="import-error">{error}</div>}
+        <div className="import-actions">
+          <button onClick={() => load(text)} disabled={!text.trim()}>Load</button>
+          {exports.map(({ label, filename, getText }) => (
+            <button key={label} onClick={() => downloadText(filename, getText())}>
+              {label}
+            </button>
+          ))}
+          <button onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,194 +1,225 @@
-import React, { useState, useEffect, useRef, useMemo } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import './GraphCommon.css';
 import './IndependentSetGame.css';
-
-
-function generateGraph() {
-  const maxAttempts = 10;
-  for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    const nodeCount = Math.floor(Math.random() * 4) + 6;
-    const nodes = Array.from({ length: nodeCount }, (_, i) => ({ id: i }));
-    const edges = [];
-    for (let i = 0; i < nodeCount; i++) {
-      for (let j = i + 1; j < nodeCount; j++) {
-        if (Math.random() < 0.3) edges.push({ u: i, v: j });
-      }
-    }
-    if (edges.length === 0) edges.push({ u: 0, v: 1 });
-    const sel = getMaxIndependentSetNodes(nodeCount, edges);
-    if (sel.size > 0) return { nodes, edges, k: sel.size };
-  }
-  return { nodes: [{ id: 0 }, { id: 1 }], edges: [{ u: 0, v: 1 }], k: 1 };
-}
-
-function generatePlanarGraph() {
-  const nodeCount = Math.floor(Math.random() * 4) + 6;
-  const minDist = 100;
-  const nodes = [];
-  while (nodes.length < nodeCount) {
-    const x = Math.random() * 360 + 20;
-    const y = Math.random() * 360 + 20;
-    if (!nodes.some(n => Math.hypot(n.x - x, n.y - y) < minDist)) {
-      nodes.push({ id: nodes.length, x, y });
-    }
-  }
-  const edges = [];
-  for (let i = 0; i < nodeCount; i++) {
-    const dists = nodes
-      .map(n => ({ id: n.id, dist: Math.hypot(n.x - nodes[i].x, n.y - nodes[i].y) }))
-      .sort((a, b) => a.dist - b.dist);
-    for (let j = 1; j <= 3 && j < dists.length; j++) {
-      const v = dists[j].id;
-      const candidate = { u: i, v };
-      if (edges.some(e => (e.u === i && e.v === v) || (e.u === v && e.v === i))) continue;
-      const crosses = edges.some(e => {
-        const A = nodes.find(n => n.id === e.u);
-        const B = nodes.find(n => n.id === e.v);
-        const C = nodes[i];
-        const D = nodes.find(n => n.id === v);
-        function orient(P, Q, R) {
-          return (Q.x - P.x) * (R.y - P.y) - (Q.y - P.y) * (R.x - P.x);
-        }
-        function intersect(P, Q, R, S) {
-          return (
-            orient(P, Q, R) * orient(P, Q, S) < 0 &&
-            orient(R, S, P) * orient(R, S, Q) < 0
-          );
-        }
-        return intersect(A, B, C, D);
-      });
-      if (!crosses) edges.push(candidate);
-    }
-  }
-  if (edges.length < nodeCount - 1) {
-    for (let i = 1; i < nodeCount; i++) edges.push({ u: i - 1, v: i });
-  }
-  const sel = getMaxIndependentSetNodes(nodeCount, edges);
-  return { nodes, edges, k: sel.size };
+import { createRng } from '../utils/random';
+import { unpackInstance, packInstance, packGraph, unpackGraph, MAX_REDUCED_NODES } from '../utils/share';
+import { isReducedRound } from '../utils/reductions';
+import { maxIndependentSet, MAX_SOLVER_NODES } from '../utils/solvers';
+import { usePuzzleGenerator } from '../utils/usePuzzleGenerator';
+import { useRoundSettings } from '../utils/useGameSettings';
+import { useChallenge } from '../utils/useChallenge';
+import { useRun } from '../utils/useRun';
+import { useRoundLog } from '../utils/useRoundLog';
+import { loadSession, useSessionSaver } from '../utils/session';
+import { OVER_TITLES } from '../utils/modes';
+import { useMoveLog } from '../utils/useMoveLog';
+import { greedyIndependentSet } from '../utils/approximations';
+import { independentSetHint } from '../utils/hints';
+import { TIME_FACTORS } from '../puzzles/difficulty';
+import { isIndependentSet, innerEdges, independentSetRatio } from '../utils/verifiers';
+import ShareButton from './ShareButton';
+import SeedInfo from './SeedInfo';
+import GraphImportPanel from './GraphImportPanel';
+import GeneratingNotice from './GeneratingNotice';
+import SettingsPanel from './SettingsPanel';
+import TierPicker from './TierPicker';
+import MoveControls from './MoveControls';
+import MoveReplay from './MoveReplay';
+import AlgorithmShowcase from './AlgorithmShowcase';
+import HintButton from './HintButton';
+import SubmitAnswer from './SubmitAnswer';
+import Scoreboard from './Scoreboard';
+import RunClock from './RunClock';
+import ViolationsToggle from './ViolationsToggle';
+import ReductionPanel from './ReductionPanel';
+import ReductionBanner from './ReductionBanner';
+
+
+// Graphs the solver takes are solved here, whatever answer they carry, and
+// larger ones only open when `reduced` says they are what their reduction
+// makes.
+function fromShared(data, reduced = false) {
+  const answer = data && Array.isArray(data.s) ? data.s : null;
+  const g = data && unpackGraph(data, answer && reduced ? MAX_REDUCED_NODES : MAX_SOLVER_NODES);
+  if (!g) return null;
+  if (g.nodes.length > MAX_SOLVER_NODES) return fromAnswer(g, data, answer);
+  const round = fromImported(g, data.l);
+  return round.graph.k === data.k ? round : null;
 }
 
-
-function getMaxIndependentSetNodes(n, edges) {
-  let best = new Set();
-  for (let mask = 0; mask < (1 << n); mask++) {
-    const sel = new Set();
-    for (let i = 0; i < n; i++) if (mask & (1 << i)) sel.add(i);
-    if (sel.size <= best.size) continue;
-    if (edges.every(({ u, v }) => !(sel.has(u) && sel.has(v)))) {
-      best = sel;
-    }
-  }
-  return best;
+// A reduced round too large to solve (see utils/reductions.js), which comes
+// with an independent set of k vertices.
+function fromAnswer(g, { l, k }, answer) {
+  const n = g.nodes.length;
+  if (!answer.every(v => Number.isInteger(v) && v >= 0 && v < n)) return null;
+  const set = new Set(answer);
+  if (set.size !== k || !isIndependentSet(g.edges, set)) return null;
+  const layout = ['circle', 'grid', 'planar'].includes(l) ? l : 'planar';
+  return { seed: null, layout, graph: { ...g, k, answer } };
 }
 
-
-function newRound() {
-  let layout, g;
-  do {
-    const r = Math.random();
-    layout = r < 0.30 ? 'circle' : r < 0.60 ? 'grid' : 'planar';
-    g = layout === 'planar' ? generatePlanarGraph() : generateGraph();
-  } while (layout === 'grid' && g.nodes.length > 8);
-  return { layout, graph: g };
+function fromImported(g, layout = g.nodes.every(n => n.x !== undefined) ? 'planar' : 'circle') {
+  const k = maxIndependentSet(g.nodes.length, g.edges).size;
+  return {
+    seed: null,
+    layout: ['circle', 'grid', 'planar'].includes(layout) ? layout : 'planar',
+    graph: { ...g, k },
+  };
 }
 
-export default function IndependentSetGame({ onBack }) {
-  const TIMER = 30;
+export default function IndependentSetGame({ onBack, showHelp, setShowHelp, seeded, puzzle, resume, challenge, reducedFrom, onOpenGame }) {
+  const { settings, setSettings, tier, setTier, mode, scoring } = useRoundSettings('independent-set', challenge);
+  const [showSettings, setShowSettings] = useState(false);
+  const TIMER = Math.round(settings.timer * TIME_FACTORS[tier]);
+  const roundOptions = useMemo(() => ({ ...settings, tier }), [settings, tier]);
   const width = 400, height = 400, radius = 15;
 
-  const init = useMemo(() => newRound(), []);
-  const [layout, setLayout] = useState(init.layout);
-  const [graph, setGraph] = useState(init.graph);
-  const [selected, setSelected] = useState(new Set());
-  const [timeLeft, setTimeLeft] = useState(TIMER);
+  const [resumed] = useState(() => (resume && !challenge ? loadSession('independent-set') : null));
+  const [init] = useState(() => {
+    const data = unpackInstance(resumed ? resumed.puzzle : puzzle);
+    // A saved run is our own; a link must show where its round came from.
+    return fromShared(data, Boolean(resumed) || isReducedRound(reducedFrom, data));
+  });
+  const [seed, setSeed] = useState(init && init.seed);
+  const [layout, setLayout] = useState(init && init.layout);
+  const [graph, setGraph] = useState(init && init.graph);
   const [gameOver, setGameOver] = useState(false);
-  const [score, setScore] = useState(0);
-  const [highScore, setHighScore] = useState(() => {
-    const saved = localStorage.getItem('ISHighScore');
-    return saved !== null ? Number(saved) : 0;
+  const [showImport, setShowImport] = useState(false);
+  const [showReductions, setShowReductions] = useState(false);
+  const [showViolations, setShowViolations] = useState(false);
+
+  const applyRound = next => {
+    setSeed(next.seed);
+    setLayout(next.layout);
+    setGraph(next.graph);
+    setGameOver(false);
+  };
+
+  const { generating, progress, error, options, generate, retry } = usePuzzleGenerator('independent-set', {
+    first: init ? null : seeded || roundOptions,
+    onReady: applyRound,
   });
-  const [showHelp, setShowHelp] = useState(false);
-  const [blockedEdgeIdx, setBlockedEdgeIdx] = useState(null);
-  const timerRef = useRef(null);
 
-  useEffect(() => {
-    localStorage.setItem('ISHighScore', highScore);
-  }, [highScore]);
-  
+  const run = useRun('independent-set', {
+    mode,
+    scoring,
+    tier,
+    round: graph,
+    roundTime: TIMER,
+    running: !gameOver && !showHelp && !showImport && !showSettings && !showReductions && !generating,
+    saved: resumed && resumed.run,
+  });
+  const finish = useChallenge(challenge, run.elapsed);
+  const moves = useMoveLog(graph, () => new Set(), init && resumed && resumed.selection, run.clock);
+  const selected = moves.value;
+  const { solve, isOver } = run;
+  const roundLog = useRoundLog('independent-set', {
+    tier,
+    size: graph ? graph.nodes.length : 0,
+    elapsed: run.elapsed,
+    onMistake: run.mistake,
+  });
 
+  const correctSet = useMemo(
+    () => (graph ? new Set(graph.answer || maxIndependentSet(graph.nodes.length, graph.edges).nodes) : new Set()),
+    [graph]
+  );
 
-  useEffect(() => setSelected(new Set()), [graph]);
+  // What classic algorithms find on the round, for the game-over screen.
+  const showcase = useMemo(() => {
+    if (!gameOver || !graph) return [];
+    const n = graph.nodes.length;
+    return [
+      ['Greedy min degree', greedyIndependentSet(n, graph.edges)],
+    ].map(([name, nodes]) => {
+      const set = new Set(nodes);
+      const ratio = independentSetRatio(graph.edges, set, correctSet.size);
+      return { name, summary: `${set.size} vertices`, ratio, value: set };
+    });
+  }, [gameOver, graph, correctSet]);
 
- 
-  useEffect(() => {
-    clearInterval(timerRef.current);
-    if (!gameOver && !showHelp) {
-      timerRef.current = setInterval(() => setTimeLeft(t => t - 1), 1000);
-    }
-    return () => clearInterval(timerRef.current);
-  }, [gameOver, showHelp]);
+  
 
 
+  useEffect(() => roundLog.start(), [graph, roundLog]);
+
+
+ 
   useEffect(() => {
-    if (timeLeft <= 0) {
-      clearInterval(timerRef.current);
-      setGameOver(true);
-      setHighScore(hs => Math.max(hs, score));
+    if (run.over) {
+      setGameOver(run.over);
+      roundLog.end(false);
     }
-  }, [timeLeft, score]);
+  }, [run.over, roundLog]);
 
 
-  const startNext = () => {
-    const next = newRound();
-    setLayout(next.layout);
-    setGraph(next.graph);
-    setGameOver(false);
-    setTimeLeft(TIMER);
-  };
+  const startNext = () => generate(roundOptions);
 
 
   useEffect(() => {
-    const { edges, k } = graph;
-    if (
-      selected.size === k &&
-      edges.every(({ u, v }) => !(selected.has(u) && selected.has(v)))
-    ) {
-      setScore(s => s + 1);
-      setTimeout(startNext, 500);
+    if (!graph) return;
+    if (isIndependentSet(graph.edges, selected, graph.k)) {
+      solve();
+      roundLog.end(true);
+      setTimeout(() => {
+        if (!finish(true) && !isOver()) generate(roundOptions);
+      }, 500);
     }
-  }, [selected, graph]);
+  }, [selected, graph, roundOptions, generate, finish, roundLog, solve, isOver]);
 
 
   const handleNodeClick = id => {
-    if (gameOver || showHelp) return;
-    setSelected(prev => {
+    if (gameOver || showHelp || showImport || showSettings || showReductions || generating) return;
+    // Picking a neighbour of a picked vertex is a mistake.
+    const neighbour = graph.edges.some(({ u, v }) => (u === id && selected.has(v)) || (v === id && selected.has(u)));
+    if (!selected.has(id) && neighbour) roundLog.mistake();
+    moves.move(prev => {
       const c = new Set(prev);
-      if (c.has(id)) {
-        c.delete(id);
-        setBlockedEdgeIdx(null);
-      } else {
-        c.add(id);
-        const conflictIdx = graph.edges.findIndex(
-          ({ u, v }) => (u === id && c.has(v)) || (v === id && c.has(u))
-        );
-        setBlockedEdgeIdx(conflictIdx !== -1 ? conflictIdx : null);
-      }
+      if (c.has(id)) c.delete(id);
+      else c.add(id);
       return c;
     });
   };
 
 
+  const handleSettings = next => {
+    setSettings(next);
+    setShowSettings(false);
+    run.restart();
+    generate({ ...next, tier });
+  };
+
+  // A new tier starts a new run, so scores from different tiers never mix.
+  const handleTier = id => {
+    setTier(id);
+    run.restart();
+    generate({ ...settings, tier: id });
+  };
+
   const handleRetry = () => {
-    setScore(0);
+    if (finish(false)) return;
+    run.restart();
     startNext();
   };
 
+  // An imported graph starts a new run, so it never scores toward one
+  // played on generated rounds.
+  const handleImport = g => {
+    const round = fromImported(g);
+    run.restart();
+    applyRound(round);
+    setShowImport(false);
+  };
+
 
   const positions = useMemo(() => {
+    if (!graph) return [];
+    if (graph.nodes.every(n => n.x !== undefined)) return graph.nodes;
     if (layout === 'grid' && graph.nodes.length <= 8) {
+      const rng = createRng(`${seed}/layout`);
       const cols = 4, rows = 2;
       const xSp = width / (cols + 1), ySp = height / (rows + 1);
-      const spots = Array.from({ length: cols * rows }, (_, i) => ({ row: Math.floor(i / cols), col: i % cols })).sort(() => Math.random() - 0.5);
+      const spots = Array.from({ length: cols * rows }, (_, i) => ({ row: Math.floor(i / cols), col: i % cols })).sort(() => rng() - 0.5);
       return graph.nodes.map((n, i) => ({ ...n, x: xSp * (spots[i].col + 1), y: ySp * (spots[i].row + 1) }));
     } else if (layout === 'circle') {
       return graph.nodes.map((n, i) => ({
@@ -198,66 +229,176 @@ export default function IndependentSetGame({ onBack }) {
       }));
     }
     return graph.nodes;
-  }, [graph, layout]);
-
-
-  const renderSVG = highlightSet => (
-    <svg width={width} height={height} className="svg">
-      {graph.edges.map((e, idx) => {
-        const u = positions.find(p => p.id === e.u);
-        const v = positions.find(p => p.id === e.v);
-        const isBlocked = idx === blockedEdgeIdx;
-        if (layout === 'grid') {
-          const dx = v.x - u.x, dy = v.y - u.y;
-          const len = Math.hypot(dx, dy) || 1;
-          const offset = Math.max(30, len * 0.3);
-          const cx = (u.x + v.x) / 2 + (-dy / len) * offset;
-          const cy = (u.y + v.y) / 2 + (dx / len) * offset;
-          return <path key={idx} d={`M ${u.x},${u.y} Q ${cx},${cy} ${v.x},${v.y}`} className={isBlocked ? 'is-edge block' : 'is-edge'} />;
-        }
-        return <line key={idx} x1={u.x} y1={u.y} x2={v.x} y2={v.y} className={isBlocked ? 'is-edge block' : 'is-edge'} />;
-      })}
-      {positions.map(n => (
-        <g key={n.id} onClick={() => handleNodeClick(n.id)} className="node-group">
-          <circle cx={n.x} cy={n.y} r={radius} className={highlightSet.has(n.id) ? 'is-node selected' : 'is-node'} />
-          <text x={n.x} y={n.y + 4} textAnchor="middle" className="node-label">{n.id}</text>
-        </g>
-      ))}
-    </svg>
-  );
+  }, [graph, layout, seed]);
+
+
+  // Large reduced rounds run below the usual board.
+  const boardHeight = Math.max(height, ...positions.map(p => p.y + 2 * radius));
+
+  // An edge between two picked vertices is shown until one of them is
+  // dropped; with violations shown, every such edge is.
+  const renderSVG = highlightSet => {
+    const inner = innerEdges(graph.edges, highlightSet);
+    const blocked = new Set(showViolations ? inner : inner.slice(0, 1));
+    return (
+      <svg width={width} height={boardHeight} className="svg">
+        {graph.edges.map((e, idx) => {
+          const u = positions.find(p => p.id === e.u);
+          const v = positions.find(p => p.id === e.v);
+          const isBlocked = blocked.has(e);
+          if (layout === 'grid') {
+            const dx = v.x - u.x, dy = v.y - u.y;
+            const len = Math.hypot(dx, dy) || 1;
+            const offset = Math.max(30, len * 0.3);
+            const cx = (u.x + v.x) / 2 + (-dy / len) * offset;
+            const cy = (u.y + v.y) / 2 + (dx / len) * offset;
+            return <path key={idx} d={`M ${u.x},${u.y} Q ${cx},${cy} ${v.x},${v.y}`} className={isBlocked ? 'is-edge block' : 'is-edge'} />;
+          }
+          return <line key={idx} x1={u.x} y1={u.y} x2={v.x} y2={v.y} className={isBlocked ? 'is-edge block' : 'is-edge'} />;
+        })}
+        {positions.map(n => (
+          <g key={n.id} onClick={() => handleNodeClick(n.id)} className="node-group">
+            <circle cx={n.x} cy={n.y} r={radius} className={highlightSet.has(n.id) ? 'is-node selected' : 'is-node'} />
+            <text x={n.x} y={n.y + 4} textAnchor="middle" className="node-label">{n.id}</text>
+          </g>
+        ))}
+      </svg>
+    );
+  };
+
+  // Under partial credit a valid answer short of the best can be submitted.
+  const handleSubmit = ratio => {
+    solve(ratio);
+    roundLog.end(true);
+    setTimeout(() => {
+      if (!finish(true) && !isOver()) generate(roundOptions);
+    }, 500);
+  };
+
+  // A round only a reduction makes keeps its provenance when shared.
+  const reducedQuery = reducedFrom ? { via: reducedFrom.via, src: reducedFrom.source } : undefined;
+  const shareInstance = () => ({
+    l: layout,
+    ...packGraph(positions, graph.edges),
+    k: graph.k,
+    ...(graph.answer ? { s: graph.answer } : {}),
+  });
+  useSessionSaver('independent-set', {
+    enabled: !challenge,
+    snapshot: () =>
+      graph && run.progress && { puzzle: packInstance(shareInstance()), selection: selected, run: run.progress },
+    paused: run.paused,
+    over: run.over,
+  });
 
   return (
     <div className="graph-container">
       <button className="back-button" onClick={onBack}>Main Menu</button>
       <button className="help-button" onClick={() => setShowHelp(true)}>?</button>
+      {graph && !challenge && (
+        <>
+          <ShareButton getInstance={shareInstance} query={graph.answer ? reducedQuery : undefined} />
+          <button className="import-button" onClick={() => setShowImport(true)}>Import / Export</button>
+        </>
+      )}
+      {!challenge && (
+        <button className="settings-button" onClick={() => setShowSettings(true)}>Settings</button>
+      )}
 
       {!gameOver && <h1 className="header">Independent Set Challenge</h1>}
-      {gameOver && <h1 className="game-over-text">Time's up!</h1>}
-      <div className="scoreboard">Score: <span className="mono">{score}</span> | High Score: <span className="mono">{highScore}</span></div>
-      {!gameOver && (
+      {gameOver && <h1 className="game-over-text">{OVER_TITLES[gameOver]}</h1>}
+      {!gameOver && !challenge && (
+        <TierPicker gameId="independent-set" tier={tier} onChange={handleTier} timer={settings.timer} />
+      )}
+      <Scoreboard run={run} />
+      <SeedInfo gameId="independent-set" seed={seed} options={options} />
+      <ReductionBanner reducedFrom={reducedFrom} round={graph} selection={selected} onOpenGame={onOpenGame} />
+      {!gameOver && graph && (
         <div className="stats">
-          Time Left: <span className="mono">{timeLeft}s</span> | You need to pick <span className="mono">{graph.k}</span> more vertices
+          <RunClock run={run} /> | You need to pick <span className="mono">{graph.k}</span> more vertices
         </div>
       )}
+      {!gameOver && graph && (
+        <MoveControls moves={moves} disabled={run.paused || showHelp || showImport || showSettings || generating} />
+      )}
+      {!gameOver && graph && (
+        <HintButton
+          value={selected}
+          getHint={() => independentSetHint(graph.edges, selected, correctSet)}
+          onMove={moves.move}
+          onPenalty={run.penalize}
+          disabled={showHelp || showImport || showSettings || generating}
+        />
+      )}
+      {!gameOver && graph && (
+        <SubmitAnswer
+          run={run}
+          ratio={independentSetRatio(graph.edges, selected, graph.k)}
+          onSubmit={handleSubmit}
+          disabled={run.paused || showHelp || showImport || showSettings || generating}
+        />
+      )}
+      {!gameOver && graph && (
+        <ViolationsToggle
+          checked={showViolations}
+          onChange={setShowViolations}
+          count={innerEdges(graph.edges, selected).length}
+          label="edges between picked vertices"
+        />
+      )}
 
+      {graph && !challenge && (gameOver || run.mode.study) && (
+        <button className="watch-button" onClick={() => setShowReductions(true)}>Reduce…</button>
+      )}
       {gameOver ? (
         <div className="game-over">
           <div className="graphs">
             <div>
-              <div>Your selection:</div>
-              {renderSVG(selected)}
+              <div>Your moves:</div>
+              <MoveReplay timeline={moves.timeline} ended={gameOver} clock={run.clock} render={renderSVG} />
+            </div>
+            <div>
+              <div>A maximum independent set of {correctSet.size} vertices (one of possibly many):</div>
+              {renderSVG(correctSet)}
             </div>
             <div>
-              <div>Maximum independent set of {getMaxIndependentSetNodes(graph.nodes.length, graph.edges).size} vertices:</div>
-              {renderSVG(getMaxIndependentSetNodes(graph.nodes.length, graph.edges))}
+              <AlgorithmShowcase results={showcase} render={renderSVG} />
             </div>
           </div>
-          <button onClick={handleRetry} className="retry-button">Try Again</button>
+          <button onClick={handleRetry} className="retry-button">{challenge ? 'Continue' : 'Try Again'}</button>
         </div>
       ) : (
-        renderSVG(selected)
+        graph && renderSVG(selected)
       )}
 
+      {(generating || error) && (
+        <GeneratingNotice progress={progress} error={error} onRetry={retry} />
+      )}
+      {showImport && (
+        <GraphImportPanel
+          maxNodes={MAX_SOLVER_NODES}
+          graph={graph}
+          positions={positions}
+          onImport={handleImport}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+      {showReductions && (
+        <ReductionPanel
+          gameId="independent-set"
+          getInstance={shareInstance}
+          onOpenGame={onOpenGame}
+          onClose={() => setShowReductions(false)}
+        />
+      )}
+      {showSettings && (
+        <SettingsPanel
+          gameId='independent-set'
+          settings={settings}
+          onSave={handleSettings}
+          onClose={() => setShowSettings(false)}
+        />
+      )}
       {showHelp && (
         <div className="help-overlay" onClick={() => setShowHelp(false)}>
           <div className="help-modal" onClick={e => e.stopPropagation()}>
@@ -0,0 +1,38 @@
+import React, { useEffect } from 'react';
+import './GraphCommon.css';
+
+// Typing into a field keeps the browser's own undo.
+const isTextField = el => el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.isContentEditable);
+
+/**
+ * Undo and redo buttons for a move log (see utils/useMoveLog.js), with
+ * Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y (⌘ on a Mac) while not disabled.
+ */
+export default function MoveControls({ moves, disabled }) {
+  const { undo, redo } = moves;
+
+  useEffect(() => {
+    if (disabled) return;
+    const onKey = e => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || isTextField(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) undo();
+      else if ((key === 'z' && e.shiftKey) || key === 'y') redo();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [disabled, undo, redo]);
+
+  return (
+    <div className="move-controls">
+      <button onClick={undo} disabled={disabled || !moves.canUndo} title="Undo (Ctrl+Z)">
+        ↶ Undo
+      </button>
+      <button onClick={redo} disabled={disabled || !moves.canRedo} title="Redo (Ctrl+Shift+Z)">
+        Redo ↷
+      </button>
+    </div>
+  );
+}
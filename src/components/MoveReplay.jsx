@@ -0,0 +1,95 @@
+import React, { useEffect, useState } from 'react';
+import './GraphCommon.css';
+
+// Long pauses play back shortened, so a replay never stalls; the caption
+// and the tick marks keep the real times.
+const MIN_DELAY = 150;
+const MAX_DELAY = 1500;
+
+const ACTIONS = { move: 'Move', undo: 'Undo', redo: 'Redo' };
+
+// The last step's caption, by why the run ended (see OVER_TITLES in
+// utils/modes.js).
+const ENDINGS = {
+  time: 'Time ran out',
+  mistake: 'A mistake ended the run',
+  done: 'The marathon was complete',
+};
+
+const seconds = ms => `${(ms / 1000).toFixed(1)}s`;
+
+/**
+ * A scrubbable replay of one round, for the game-over screen. timeline is
+ * a move log's timeline (see utils/useMoveLog.js) and render(value) draws
+ * the board for one step of it; ended is why the run ended, the game's
+ * run.over, and clock is run.clock, which the moves were timed by. Opens
+ * on the last step, so it shows the final selection until the player
+ * scrubs or presses Play.
+ */
+export default function MoveReplay({ timeline, render, ended, clock }) {
+  const last = timeline.length - 1;
+  const [step, setStep] = useState(last);
+  const [playing, setPlaying] = useState(false);
+  // Mounted when the round ended, which is when the clock stopped.
+  const [endedAt] = useState(clock);
+
+  useEffect(() => {
+    if (!playing) return;
+    if (step >= last) {
+      setPlaying(false);
+      return;
+    }
+    const gap = timeline[step + 1].at - timeline[step].at;
+    const id = setTimeout(() => setStep(step + 1), Math.min(MAX_DELAY, Math.max(MIN_DELAY, gap)));
+    return () => clearTimeout(id);
+  }, [playing, step, last, timeline]);
+
+  const play = () => {
+    if (!playing && step >= last) setStep(0);
+    setPlaying(p => !p);
+  };
+
+  const start = timeline[0].at;
+  const span = Math.max(endedAt - start, 1);
+  const current = timeline[step];
+  const count = timeline.filter(t => t.action !== 'start').length;
+  const caption =
+    step === 0
+      ? 'Start of the round'
+      : `${ACTIONS[current.action]} ${step} of ${count} at ${seconds(current.at - start)}` +
+        ` (+${seconds(current.at - timeline[step - 1].at)})`;
+
+  return (
+    <div className="move-replay">
+      {render(current.value)}
+      <div className="replay-track" aria-hidden="true">
+        {timeline.slice(1).map((t, i) => (
+          <span
+            key={i}
+            className={`replay-tick${i + 1 === step ? ' current' : ''}${t.action !== 'move' ? ' undo-redo' : ''}`}
+            style={{ left: `${((t.at - start) / span) * 100}%` }}
+          />
+        ))}
+      </div>
+      <div className="replay-controls">
+        <button onClick={play} disabled={last === 0}>{playing ? '❚❚ Pause' : '▶ Play'}</button>
+        <input
+          type="range"
+          min={0}
+          max={last}
+          value={step}
+          disabled={last === 0}
+          aria-label="Replay position"
+          onChange={e => {
+            setPlaying(false);
+            setStep(Number(e.target.value));
+          }}
+        />
+      </div>
+      <div className="replay-caption">
+        {last === 0 ? 'No moves this round.' : caption}
+        {step === last && last > 0 && ENDINGS[ended] && ` ${ENDINGS[ended]} ${seconds(endedAt - current.at)} later.`}
+      </div>
+    </div>
+  );
+}
@@ -1,161 +1,259 @@
 
-import React, { useState, useEffect, useMemo, useRef } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import './ThreeSatGame.css';
 import './PartitionGame.css';
 import example from "../assets/partition-example.png";
-
-
-function generatePartitionProblem(
-  minItems = 5,
-  maxItems = 8,
-  minValue = 1,
-  maxValue = 20
-) {
-  const size = Math.floor(Math.random() * (maxItems - minItems + 1)) + minItems;
-  let mask;
-
-  do {
-    mask = Array.from({ length: size }, () => Math.random() < 0.5);
-  } while (mask.every(m => !m) || mask.every(m => m));
-
-  const maskIndices = mask.map((m, i) => (m ? i : -1)).filter(i => i >= 0);
-  const compIndices = mask.map((m, i) => (!m ? i : -1)).filter(i => i >= 0);
-
-  let values;
-  while (true) {
-
-    const xs = maskIndices.map(
-      () => Math.floor(Math.random() * (maxValue - minValue + 1)) + minValue
-    );
-    const sumX = xs.reduce((a, b) => a + b, 0);
-
-    let ys = [];
-    const c = compIndices.length;
-    if (c === 1) {
-      if (sumX < minValue || sumX > maxValue) continue;
-      ys = [sumX];
-    } else {
-
-      ys = compIndices.slice(0, c - 1).map(
-        () => Math.floor(Math.random() * (maxValue - minValue + 1)) + minValue
-      );
-      const sumY = ys.reduce((a, b) => a + b, 0);
-      const last = sumX - sumY;
-      if (last < minValue || last > maxValue) continue;
-      ys.push(last);
-    }
-
-    values = Array(size);
-    maskIndices.forEach((idx, i) => (values[idx] = xs[i]));
-    compIndices.forEach((idx, i) => (values[idx] = ys[i]));
-
-    
-    break;
+import { unpackInstance, packInstance, unpackNumbers } from '../utils/share';
+import { usePuzzleGenerator } from '../utils/usePuzzleGenerator';
+import { useRoundSettings } from '../utils/useGameSettings';
+import { useChallenge } from '../utils/useChallenge';
+import { useRun } from '../utils/useRun';
+import { useRoundLog } from '../utils/useRoundLog';
+import { loadSession, useSessionSaver } from '../utils/session';
+import { OVER_TITLES } from '../utils/modes';
+import { useMoveLog } from '../utils/useMoveLog';
+import { greedyPartition, karmarkarKarp } from '../utils/approximations';
+import { subsetSumTable } from '../utils/traces';
+import { partitionHint } from '../utils/hints';
+import { TIME_FACTORS } from '../puzzles/difficulty';
+import { isEqualPartition, partitionRatio } from '../utils/verifiers';
+import ShareButton from './ShareButton';
+import SeedInfo from './SeedInfo';
+import GeneratingNotice from './GeneratingNotice';
+import MoveControls from './MoveControls';
+import MoveReplay from './MoveReplay';
+import AlgorithmShowcase from './AlgorithmShowcase';
+import HintButton from './HintButton';
+import SubmitAnswer from './SubmitAnswer';
+import Scoreboard from './Scoreboard';
+import RunClock from './RunClock';
+import SolverPlayer from './SolverPlayer';
+import DpTable from './DpTable';
+import SettingsPanel from './SettingsPanel';
+import TierPicker from './TierPicker';
+import ReductionBanner from './ReductionBanner';
+
+
+function findPartition(values) {
+  const total = values.reduce((a, b) => a + b, 0);
+  if (total % 2 !== 0) return null;
+  for (let m = 1; m < (1 << values.length); m++) {
+    const sum = values.reduce((acc, v, i) => acc + (m & (1 << i) ? v : 0), 0);
+    if (sum === total / 2) return values.map((_, i) => Boolean(m & (1 << i)));
   }
-  return { values, mask };
+  return null;
+}
+
+function fromShared(data) {
+  const values = data && unpackNumbers(data.v);
+  if (!values) return null;
+  const mask = findPartition(values);
+  if (!mask) return null;
+  return { seed: null, values, mask };
 }
 
-const TIMER = 30;
+const NO_ROUND = { seed: null, values: [], mask: [] };
+
+// Sums of the top row and of the bottom row, where the moved numbers are.
+const rowSums = (values, moved) =>
+  values.reduce(([top, bottom], v, i) => (moved[i] ? [top, bottom + v] : [top + v, bottom]), [0, 0]);
 
-export default function PartitionGame({ onBack }) {
-  const initProblem = useMemo(() => generatePartitionProblem(), []);
-  const [problem, setProblem] = useState(initProblem);
-  const { values, mask } = problem;
+export default function PartitionGame({ onBack, showHelp, setShowHelp, seeded, puzzle, resume, challenge, reducedFrom, onOpenGame }) {
+  const { settings, setSettings, tier, setTier, mode, scoring } = useRoundSettings('partition-game', challenge);
+  const [showSettings, setShowSettings] = useState(false);
+  const TIMER = Math.round(settings.timer * TIME_FACTORS[tier]);
+  const roundOptions = useMemo(() => ({ ...settings, tier }), [settings, tier]);
+  const [resumed] = useState(() => (resume && !challenge ? loadSession('partition-game') : null));
+  const [problem, setProblem] = useState(() => fromShared(unpackInstance(resumed ? resumed.puzzle : puzzle)));
+  const { seed, values, mask } = problem || NO_ROUND;
   const totalSum = values.reduce((a, b) => a + b, 0);
     const halfSum = totalSum / 2;
 
-  const [moved, setMoved] = useState(() => Array(values.length).fill(false));
-  const [timeLeft, setTimeLeft] = useState(TIMER);
   const [gameOver, setGameOver] = useState(false);
-  const [score, setScore] = useState(0);
-  const [highScore, setHighScore] = useState(() => {
-    const saved = localStorage.getItem('partitionHighScore');
-    return saved !== null ? Number(saved) : 0;
+  const [showSolver, setShowSolver] = useState(false);
+
+  const { generating, progress, error, options, generate, retry } = usePuzzleGenerator('partition-game', {
+    first: problem ? null : seeded || roundOptions,
+    onReady: setProblem,
   });
-  const [showHelp, setShowHelp] = useState(false);
-  const timerRef = useRef(null);
 
-  useEffect(() => {
-    localStorage.setItem('partitionHighScore', highScore);
-  }, [highScore]);
+  const run = useRun('partition-game', {
+    mode,
+    scoring,
+    tier,
+    round: problem,
+    roundTime: TIMER,
+    running: !gameOver && !showHelp && !showSettings && !showSolver && !generating,
+    saved: resumed && resumed.run,
+  });
+  const finish = useChallenge(challenge, run.elapsed);
+  const moves = useMoveLog(values, v => Array(v.length).fill(false), problem && resumed && resumed.selection, run.clock);
+  const moved = moves.value;
+  const { solve, isOver } = run;
+  const roundLog = useRoundLog('partition-game', {
+    tier,
+    size: values.length,
+    elapsed: run.elapsed,
+    onMistake: run.mistake,
+  });
 
-  const topSum = values.reduce(
-    (sum, v, i) => sum + (moved[i] ? 0 : v),
-    0
-  );
-  const bottomSum = values.reduce(
-    (sum, v, i) => sum + (moved[i] ? v : 0),
-    0
-  );
+
+  const [topSum, bottomSum] = rowSums(values, moved);
 
 
   
   useEffect(() => {
-    setMoved(Array(values.length).fill(false));
-    setTimeLeft(TIMER);
     setGameOver(false);
-  }, [values]);
+    roundLog.start();
+  }, [values, roundLog]);
 
   useEffect(() => {
-    clearInterval(timerRef.current);
-    if (!gameOver && !showHelp) {
-      timerRef.current = setInterval(() => setTimeLeft(t => t - 1), 1000);
+    if (run.over) {
+      setGameOver(run.over);
+      roundLog.end(false);
     }
-    return () => clearInterval(timerRef.current);
-  }, [gameOver, showHelp]);
-
-  
-  useEffect(() => {
-    if (timeLeft <= 0) {
-      clearInterval(timerRef.current);
-      setGameOver(true);
-      setHighScore(h => Math.max(h, score));
-    }
-  }, [timeLeft, score]);
+  }, [run.over, roundLog]);
 
 
   useEffect(() => {
-    if (gameOver) return;
-    if (topSum === bottomSum) {
-      setScore(s => s + 1);
-      setTimeout(() => setProblem(generatePartitionProblem()), 500);
+    if (gameOver || !problem) return;
+    if (isEqualPartition(values, moved)) {
+      solve();
+      roundLog.end(true);
+      setTimeout(() => {
+        if (!finish(true) && !isOver()) generate(roundOptions);
+      }, 500);
     }
-  }, [topSum, bottomSum, gameOver]);
+  }, [values, moved, gameOver, problem, roundOptions, generate, finish, roundLog, solve, isOver]);
 
+  // Moving a number from the lighter row to the heavier one is a mistake.
   const handleToggle = i => {
-    if (gameOver || showHelp) return;
-    setMoved(m => {
+    if (gameOver || showHelp || showSettings || showSolver || generating) return;
+    if (moved[i] ? bottomSum <= topSum : topSum <= bottomSum) roundLog.mistake();
+    moves.move(m => {
       const next = [...m];
       next[i] = !next[i];
       return next;
     });
   };
 
+  const handleSettings = next => {
+    setSettings(next);
+    setShowSettings(false);
+    run.restart();
+    generate({ ...next, tier });
+  };
+
+  // A new tier starts a new run, so scores from different tiers never mix.
+  const handleTier = id => {
+    setTier(id);
+    run.restart();
+    generate({ ...settings, tier: id });
+  };
+
   const handleRetry = () => {
-    setScore(0);
-    setProblem(generatePartitionProblem());
+    if (finish(false)) return;
+    run.restart();
+    generate(roundOptions);
   };
 
+  // Both rows of a finished round, for the game-over screen.
+  const renderRows = rows => (
+    <div
+      className="slot-container with-sums"
+      style={{ width: `${values.length * 4.5 + 4}rem` }}
+    >
+      {values.map((v, i) => (
+        <button
+          key={i}
+          className={`var-button slot${rows[i] ? ' moved' : ''}`}
+          style={{ left: `${i * 4.5}rem` }}
+          disabled
+        >
+          {v}
+        </button>
+      ))}
+      <div className="sum-label top-sum">Sum: {rowSums(values, rows)[0]}</div>
+      <div className="sum-label bottom-sum">Sum: {rowSums(values, rows)[1]}</div>
+    </div>
+  );
+
+  // What classic heuristics find on the round, for the game-over screen.
+  const showcase = useMemo(() => {
+    if (!gameOver || !problem) return [];
+    return [
+      ['Greedy', greedyPartition(values)],
+      ['Karmarkar-Karp', karmarkarKarp(values)],
+    ].map(([name, rows]) => {
+      const [top, bottom] = rowSums(values, rows);
+      const ratio = partitionRatio(values, rows);
+      return { name, summary: `sums ${top} and ${bottom}`, ratio, value: rows };
+    });
+  }, [gameOver, problem, values]);
+
+  // Under partial credit a valid answer short of the best can be submitted.
+  const handleSubmit = ratio => {
+    solve(ratio);
+    roundLog.end(true);
+    setTimeout(() => {
+      if (!finish(true) && !isOver()) generate(roundOptions);
+    }, 500);
+  };
+
+  const shareInstance = () => ({ v: values });
+  useSessionSaver('partition-game', {
+    enabled: !challenge,
+    snapshot: () =>
+      problem && run.progress && { puzzle: packInstance(shareInstance()), selection: moved, run: run.progress },
+    paused: run.paused,
+    over: run.over,
+  });
+
   return (
     <div className="three-sat-container">
       {onBack && <button className="back-button" onClick={onBack}>Main Menu</button>}
       <button className="help-button" onClick={() => setShowHelp(true)}>?</button>
+      {problem && !challenge && <ShareButton getInstance={shareInstance} />}
+      {!challenge && (
+        <button className="settings-button" onClick={() => setShowSettings(true)}>Settings</button>
+      )}
       {!gameOver && <h1 className="header">Partition Challenge</h1>}
-      {gameOver && <h1 className="game-over-text">Time's up!</h1>}
+      {gameOver && <h1 className="game-over-text">{OVER_TITLES[gameOver]}</h1>}
 
-      {!gameOver && (
-        <div className="scoreboard">
-          Score: <span className="mono">{score}</span> | High Score: <span className="mono">{highScore}</span>
-        </div>
+      {!gameOver && !challenge && (
+        <TierPicker gameId="partition-game" tier={tier} onChange={handleTier} timer={settings.timer} />
       )}
+      {!gameOver && <Scoreboard run={run} />}
+      <SeedInfo gameId="partition-game" seed={seed} options={options} />
+      <ReductionBanner reducedFrom={reducedFrom} round={problem} selection={moved} onOpenGame={onOpenGame} />
 
-      {!gameOver && (
+      {!gameOver && problem && (
         <div className="stats">
-     Time Left: <span className="mono">{timeLeft}s</span>
+          <RunClock run={run} />
         </div>
       )}
+      {!gameOver && problem && (
+        <MoveControls moves={moves} disabled={run.paused || showHelp || showSettings || generating} />
+      )}
+      {!gameOver && problem && (
+        <HintButton
+          value={moved}
+          getHint={() => partitionHint(values, moved, mask)}
+          onMove={moves.move}
+          onPenalty={run.penalize}
+          disabled={showHelp || showSettings || generating}
+        />
+      )}
+      {!gameOver && problem && (
+        <SubmitAnswer
+          run={run}
+          ratio={partitionRatio(values, moved)}
+          onSubmit={handleSubmit}
+          disabled={run.paused || showHelp || showSettings || generating}
+        />
+      )}
 
-            {!gameOver && (
+            {!gameOver && problem && (
         <div
           className="slot-container with-sums"
           style={{ width: `${values.length * 4.5 + 4}rem` }} 
@@ -178,10 +276,18 @@ export default function PartitionGame({ onBack }) {
       )}
 
 
+      {problem && (gameOver || run.mode.study) && (
+        <button className="watch-button" onClick={() => setShowSolver(true)}>Watch the algorithm</button>
+      )}
+
             {gameOver && (
         <div className="game-over">
           <div>
-            <div>Correct partition (each row having a sum of {halfSum}): </div>
+            <div>Your moves:</div>
+            <MoveReplay timeline={moves.timeline} ended={gameOver} clock={run.clock} render={renderRows} />
+          </div>
+          <div>
+            <div>A correct partition, one of possibly many (each row having a sum of {halfSum}): </div>
             <div
               className="slot-container with-sums"
               style={{ width: `${values.length * 4.5 + 4}rem` }}
@@ -199,13 +305,36 @@ export default function PartitionGame({ onBack }) {
 
             </div>
           </div>
+          <div>
+            <AlgorithmShowcase results={showcase} render={renderRows} />
+          </div>
           <button onClick={handleRetry} className="retry-button">
-            Retry
+            {challenge ? 'Continue' : 'Retry'}
           </button>
         </div>
       )}
+      {(generating || error) && (
+        <GeneratingNotice progress={progress} error={error} onRetry={retry} />
+      )}
 
 
+      {showSolver && (
+        <SolverPlayer
+          title="Dynamic programming"
+          description={`An equal split is a subset summing to half the total, ${halfSum}. Row i marks the sums some of the first i numbers reach, each row from the one above; walking back up from ${halfSum} finds one half.`}
+          getSteps={() => subsetSumTable(values, halfSum)}
+          render={step => <DpTable values={values} step={step} />}
+          onClose={() => setShowSolver(false)}
+        />
+      )}
+      {showSettings && (
+        <SettingsPanel
+          gameId='partition-game'
+          settings={settings}
+          onSave={handleSettings}
+          onClose={() => setShowSettings(false)}
+        />
+      )}
       {showHelp && (
         <div className="help-overlay" onClick={() => setShowHelp(false)}>
           <div className="help-modal" onClick={e => e.stopPropagation()}>
@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import './GraphCommon.css';
+import {
+  MAX_NAME_LENGTH,
+  useProfiles,
+  createProfile,
+  renameProfile,
+  switchProfile,
+  deleteProfile,
+} from '../utils/profiles';
+
+function ProfileRow({ id, profile, current, only }) {
+  const [name, setName] = useState(profile.name);
+  const [confirming, setConfirming] = useState(false);
+
+  return (
+    <div className={`settings-row profile-row${current ? ' current' : ''}`}>
+      <input
+        value={name}
+        maxLength={MAX_NAME_LENGTH}
+        onChange={e => setName(e.target.value)}
+        onBlur={() => {
+          renameProfile(id, name);
+          setName(n => n.trim() || profile.name);
+        }}
+        aria-label="Profile name"
+      />
+      <span className="settings-inputs">
+        {current ? (
+          <span className="profile-current">Playing</span>
+        ) : (
+          <button onClick={() => switchProfile(id)}>Play as</button>
+        )}
+        {confirming ? (
+          <button onClick={() => deleteProfile(id)}>Really delete</button>
+        ) : (
+          <button onClick={() => setConfirming(true)} disabled={only} title="Deletes this profile's scores">
+            Delete
+          </button>
+        )}
+      </span>
+    </div>
+  );
+}
+
+/**
+ * Modal for the local player profiles: switching, renaming, adding and
+ * deleting them. Each profile keeps its own scores, settings and daily
+ * results, see utils/profiles.js.
+ */
+export default function ProfilePanel({ onClose }) {
+  const { current, profiles } = useProfiles();
+  const [newName, setNewName] = useState('');
+  const ids = Object.keys(profiles);
+
+  const add = e => {
+    e.preventDefault();
+    createProfile(newName);
+    setNewName('');
+  };
+
+  return (
+    <div className="help-overlay" onClick={onClose}>
+      <div className="help-modal import-modal" onClick={e => e.stopPropagation()}>
+        <h2>Profiles</h2>
+        {ids.map(id => (
+          <ProfileRow key={id} id={id} profile={profiles[id]} current={id === current} only={ids.length === 1} />
+        ))}
+        <form className="settings-row" onSubmit={add}>
+          <input
+            value={newName}
+            maxLength={MAX_NAME_LENGTH}
+            placeholder={`Player ${ids.length + 1}`}
+            onChange={e => setNewName(e.target.value)}
+            aria-label="New profile name"
+          />
+          <button type="submit">Add profile</button>
+        </form>
+        <p className="import-hint">
+          Profiles are kept in this browser only. Each has its own high scores, settings and daily streak.
+        </p>
+        <div className="import-actions">
+          <button onClick={onClose}>Done</button>
+        </div>
+      </div>
+    </div>
+  );
+}
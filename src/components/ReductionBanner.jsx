@@ -0,0 +1,45 @@
+import React, { useRef, useState } from 'react';
+import './GraphCommon.css';
+import { unpackInstance } from '../utils/share';
+import { REDUCTION_BY_ID, PROBLEM_NAMES, mapBackSummary } from '../utils/reductions';
+
+/**
+ * Above a round opened by ReductionPanel: which round it was reduced from,
+ * and the game's selection mapped back to that round as it changes.
+ * reducedFrom is { via, source }, the reduction id and packed source round
+ * of the link. Only the first round is the reduced one; once the game moves
+ * on, the last answer given on it stays up.
+ */
+export default function ReductionBanner({ reducedFrom, round, selection, onOpenGame }) {
+  const [first] = useState(round);
+  const [link] = useState(() => {
+    const reduction = reducedFrom && REDUCTION_BY_ID[reducedFrom.via];
+    const source = reducedFrom && unpackInstance(reducedFrom.source);
+    return reduction && source ? { reduction, source } : null;
+  });
+  const last = useRef(null);
+  if (!link || !first) return null;
+  const { reduction, source } = link;
+
+  const current = round === first;
+  if (current) {
+    try {
+      last.current = mapBackSummary(reduction, source, selection);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  return (
+    <div className="reduction-banner">
+      <div>
+        Reduced from {PROBLEM_NAMES[reduction.from]} by {reduction.name.toLowerCase()}.{' '}
+        {current ? 'Mapped back, your answer is' : 'Mapped back, your last answer was'}:{' '}
+        <span className="mono">{last.current}</span>
+      </div>
+      {onOpenGame && (
+        <button onClick={() => onOpenGame(reduction.from, { p: reducedFrom.source })}>Open the original</button>
+      )}
+    </div>
+  );
+}
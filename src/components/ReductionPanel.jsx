@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+import './GraphCommon.css';
+import { packInstance } from '../utils/share';
+import { REDUCTIONS, PROBLEM_NAMES, unplayable, describeRound } from '../utils/reductions';
+
+/**
+ * The reductions out of gameId (see utils/reductions.js), applied to the
+ * round getInstance() returns as its share payload. Each says how the new
+ * round is built and how large it is, and opens it in its game with
+ * onOpenGame(gameId, query) unless it is too large to play there.
+ */
+export default function ReductionPanel({ gameId, getInstance, onOpenGame, onClose }) {
+  const [source] = useState(getInstance);
+  const [reduced] = useState(() =>
+    REDUCTIONS.filter(r => r.from === gameId).map(reduction => ({ reduction, data: reduction.reduce(source) }))
+  );
+
+  const play = ({ id, to }, data) =>
+    onOpenGame(to, { p: packInstance(data), via: id, src: packInstance(source) });
+
+  return (
+    <div className="help-overlay" onClick={onClose}>
+      <div className="help-modal reduction-modal" role="dialog" aria-label="Reductions" onClick={e => e.stopPropagation()}>
+        <h2>Reduce {PROBLEM_NAMES[gameId]} to…</h2>
+        <p>
+          Each reduction builds a round of another game that has an answer exactly when this one does. Play it
+          there and see your answers mapped back to this round.
+        </p>
+        {reduced.map(({ reduction, data }) => {
+          const reason = unplayable(reduction, data);
+          return (
+            <div key={reduction.id} className="reduction">
+              <h3>
+                {PROBLEM_NAMES[reduction.to]}: {reduction.name}
+              </h3>
+              <p>{reduction.description}</p>
+              <div className="reduction-size">{describeRound(reduction.to, data)}</div>
+              {reason && <div className="reduction-reason">{reason}</div>}
+              <button onClick={() => play(reduction, data)} disabled={reason !== null}>
+                Play it as {PROBLEM_NAMES[reduction.to]}
+              </button>
+            </div>
+          );
+        })}
+        <button onClick={onClose}>Close</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+import React from 'react';
+import './GraphCommon.css';
+
+/**
+ * The clock of a run (see utils/useRun.js) for a game's stats line: the
+ * countdown, or where the mode has none the time spent so far, on the
+ * round or under Marathon on the whole run. Its Pause button stops the
+ * clock and covers the game until the player resumes.
+ */
+export default function RunClock({ run }) {
+  return (
+    <>
+      {run.timeLeft !== null ? (
+        <>
+          Time Left: <span className="mono">{run.timeLeft}s</span>
+        </>
+      ) : (
+        <>
+          Time: <span className="mono">{run.mode.puzzles ? run.total : run.elapsed}s</span>
+        </>
+      )}{' '}
+      <button className="pause-button" onClick={run.pause} title="Pause the clock">
+        Pause
+      </button>
+      {run.paused && (
+        <div className="help-overlay">
+          <div className="help-modal pause-modal">
+            <h2>Paused</h2>
+            <p>
+              The clock is stopped until you resume. It also stops by itself when you switch tabs or the window
+              loses focus.
+            </p>
+            <button onClick={run.resume}>Resume</button>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
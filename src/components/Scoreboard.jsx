@@ -0,0 +1,60 @@
+import React from 'react';
+import './GraphCommon.css';
+import { SCORING, describeRatio } from '../utils/scoring';
+
+// Each round's points under partial credit, see utils/scoring.js.
+function Breakdown({ breakdown }) {
+  if (breakdown.length === 0) return null;
+  return (
+    <ol className="score-breakdown" aria-label="Points by round">
+      {breakdown.map(({ ratio, points }, i) => (
+        <li key={i}>
+          {describeRatio(ratio)} <span className="mono">+{points}</span>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+function Line({ run }) {
+  const { mode, score, highScore, rounds, scoring } = run;
+  if (mode.puzzles) {
+    return (
+      <div className="scoreboard">
+        Solved: <span className="mono">{rounds} of {mode.puzzles}</span> | Best Time:{' '}
+        <span className="mono">{highScore ? `${highScore}s` : '—'}</span>
+      </div>
+    );
+  }
+  if (!mode.countdown) {
+    return (
+      <div className="scoreboard">
+        Solved: <span className="mono">{rounds}</span>
+        {SCORING[scoring].ratios && (
+          <>
+            {' '}| Points: <span className="mono">{score}</span>
+          </>
+        )}
+      </div>
+    );
+  }
+  return (
+    <div className="scoreboard">
+      Score: <span className="mono">{score}</span> | High Score: <span className="mono">{highScore}</span>
+    </div>
+  );
+}
+
+/**
+ * The score line of a run (see utils/useRun.js): score and high score,
+ * puzzles solved under Zen, or progress and best time under Marathon.
+ * Under partial credit each round's points are listed under it.
+ */
+export default function Scoreboard({ run }) {
+  return (
+    <>
+      <Line run={run} />
+      {SCORING[run.scoring].ratios && <Breakdown breakdown={run.breakdown} />}
+    </>
+  );
+}
@@ -0,0 +1,21 @@
+import React from 'react';
+import './GraphCommon.css';
+import { buildHash } from '../utils/router';
+import { seedQuery } from '../utils/seedLink';
+
+/**
+ * The seed line under a game's scoreboard. The seed links to its round,
+ * with the tier and settings in `options`, the generator options it was
+ * made with.
+ */
+export default function SeedInfo({ gameId, seed, options }) {
+  if (!seed || !options) return null;
+  return (
+    <div className="seed-info">
+      Seed:{' '}
+      <a className="mono" href={buildHash({ gameId, query: seedQuery(gameId, { ...options, seed }) })}>
+        {seed}
+      </a>
+    </div>
+  );
+}
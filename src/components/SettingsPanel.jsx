@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import './GraphCommon.css';
+import { SETTINGS, defaultSettings, normalizeSettings } from '../puzzles/settings';
+import { GAME_TIERS } from '../puzzles';
+
+const LAYOUT_NAMES = { circle: 'Circle', grid: 'Grid', planar: 'Planar' };
+
+const numberValue = x => (Number.isFinite(x) ? x : '');
+
+function Field({ field, value, onChange }) {
+  switch (field.type) {
+    case 'range':
+      return (
+        <span className="settings-inputs">
+          <input
+            type="number"
+            min={field.min}
+            max={field.max}
+            value={numberValue(value[0])}
+            onChange={e => onChange([e.target.valueAsNumber, value[1]])}
+            aria-label={`${field.label} from`}
+          />
+          to
+          <input
+            type="number"
+            min={field.min}
+            max={field.max}
+            value={numberValue(value[1])}
+            onChange={e => onChange([value[0], e.target.valueAsNumber])}
+            aria-label={`${field.label} to`}
+          />
+        </span>
+      );
+    case 'probability':
+      return (
+        <span className="settings-inputs">
+          <input
+            type="range"
+            min={0.05}
+            max={0.95}
+            step={0.05}
+            value={value}
+            onChange={e => onChange(e.target.valueAsNumber)}
+            aria-label={field.label}
+          />
+          <span className="mono">{value.toFixed(2)}</span>
+        </span>
+      );
+    case 'layouts':
+      return (
+        <span className="settings-inputs">
+          {Object.keys(value).map(name => (
+            <label key={name}>
+              {LAYOUT_NAMES[name]}{' '}
+              <input
+                type="number"
+                min={0}
+                max={100}
+                value={numberValue(Math.round(value[name] * 100))}
+                onChange={e => onChange({ ...value, [name]: e.target.valueAsNumber / 100 })}
+              />
+              %
+            </label>
+          ))}
+        </span>
+      );
+    default:
+      return (
+        <span className="settings-inputs">
+          <input
+            type="number"
+            min={field.min}
+            max={field.max}
+            value={numberValue(value)}
+            onChange={e => onChange(e.target.valueAsNumber)}
+            aria-label={field.label}
+          />
+          {field.type === 'seconds' ? 's' : '%'}
+        </span>
+      );
+  }
+}
+
+/**
+ * Modal for editing a game's generator settings. Values are clamped into
+ * range on save; onSave receives the cleaned-up settings.
+ */
+export default function SettingsPanel({ gameId, settings, onSave, onClose }) {
+  const [draft, setDraft] = useState(settings);
+
+  return (
+    <div className="help-overlay" onClick={onClose}>
+      <div className="help-modal import-modal" onClick={e => e.stopPropagation()}>
+        <h2>Settings</h2>
+        {SETTINGS[gameId].map(field => (
+          <div key={field.key} className="settings-row">
+            <span className="settings-label">{field.label}</span>
+            <Field
+              field={field}
+              value={draft[field.key]}
+              onChange={value => setDraft(d => ({ ...d, [field.key]: value }))}
+            />
+          </div>
+        ))}
+        {GAME_TIERS[gameId].includes('custom') && (
+          <p className="import-hint">
+            Puzzle sizes and densities are those of the Custom difficulty; the other difficulties choose
+            their own and multiply the time limit.
+          </p>
+        )}
+        <p className="import-hint">
+          Saving starts a new run. A seed gives the same puzzle only with the same settings and difficulty;
+          Share links always do.
+        </p>
+        <div className="import-actions">
+          <button onClick={() => onSave(normalizeSettings(gameId, draft))}>Save</button>
+          <button onClick={() => setDraft(defaultSettings(gameId))}>Defaults</button>
+          <button onClick={onClose}>Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,30 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { packInstance, shareUrl } from '../utils/share';
+
+// query is added to the link next to the packed instance.
+export default function ShareButton({ getInstance, query }) {
+  const [copied, setCopied] = useState(false);
+  const timeoutRef = useRef(null);
+
+  useEffect(() => () => clearTimeout(timeoutRef.current), []);
+
+  const handleClick = () => {
+    const url = shareUrl(packInstance(getInstance()), query);
+    const done = () => {
+      setCopied(true);
+      clearTimeout(timeoutRef.current);
+      timeoutRef.current = setTimeout(() => setCopied(false), 1500);
+    };
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(url).then(done, () => window.prompt('Copy this link:', url));
+    } else {
+      window.prompt('Copy this link:', url);
+    }
+  };
+
+  return (
+    <button className="share-button" onClick={handleClick}>
+      {copied ? 'Link copied!' : 'Share'}
+    </button>
+  );
+}
@@ -0,0 +1,76 @@
+import React, { useEffect, useState } from 'react';
+import './GraphCommon.css';
+
+// Milliseconds between steps while playing.
+const SPEEDS = [
+  { name: 'Slow', delay: 1500 },
+  { name: 'Normal', delay: 600 },
+  { name: 'Fast', delay: 150 },
+];
+
+/**
+ * Plays an exact solver step by step on the round, in a dialog. getSteps()
+ * runs it once when the dialog opens and returns its steps (see
+ * utils/traces.js), each with a note; render(step) draws the round as the
+ * step left it. title names the algorithm and description says how it works.
+ */
+export default function SolverPlayer({ title, description, getSteps, render, onClose }) {
+  const [steps] = useState(getSteps);
+  const [step, setStep] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const last = steps.length - 1;
+
+  useEffect(() => {
+    if (!playing) return;
+    if (step >= last) {
+      setPlaying(false);
+      return;
+    }
+    const id = setTimeout(() => setStep(step + 1), SPEEDS[speed].delay);
+    return () => clearTimeout(id);
+  }, [playing, step, last, speed]);
+
+  const play = () => {
+    if (!playing && step >= last) setStep(0);
+    setPlaying(p => !p);
+  };
+
+  const go = next => {
+    setPlaying(false);
+    setStep(Math.max(0, Math.min(last, next)));
+  };
+
+  return (
+    <div className="help-overlay" onClick={onClose}>
+      <div className="help-modal solver-modal" role="dialog" aria-label={title} onClick={e => e.stopPropagation()}>
+        <h2>{title}</h2>
+        <p>{description}</p>
+        <div className="solver-board">{render(steps[step])}</div>
+        <div className="replay-controls">
+          <button onClick={() => go(step - 1)} disabled={step === 0}>◀ Step</button>
+          <button onClick={play} disabled={last === 0}>{playing ? '❚❚ Pause' : '▶ Play'}</button>
+          <button onClick={() => go(step + 1)} disabled={step === last}>Step ▶</button>
+          <select value={speed} onChange={e => setSpeed(Number(e.target.value))} aria-label="Speed">
+            {SPEEDS.map(({ name }, i) => (
+              <option key={name} value={i}>{name}</option>
+            ))}
+          </select>
+        </div>
+        <input
+          type="range"
+          min={0}
+          max={last}
+          value={step}
+          disabled={last === 0}
+          aria-label="Solver step"
+          onChange={e => go(Number(e.target.value))}
+        />
+        <div className="replay-caption" role="status">
+          Step {step + 1} of {steps.length}: {steps[step].note}
+        </div>
+        <button onClick={onClose}>Close</button>
+      </div>
+    </div>
+  );
+}
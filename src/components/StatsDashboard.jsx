@@ -0,0 +1,237 @@
+import React, { useState } from 'react';
+import './GraphCommon.css';
+import './StatsDashboard.css';
+import {
+  SIZE_UNITS,
+  useRounds,
+  summarize,
+  solveTimeBySize,
+  accuracyByDay,
+  bestRuns,
+  roundsToCsv,
+  roundsToJson,
+} from '../utils/stats';
+import { useProfiles } from '../utils/profiles';
+import { downloadText } from '../utils/download';
+import { TIER_LABELS } from '../puzzles/difficulty';
+
+const CHART_WIDTH = 360;
+const CHART_HEIGHT = 160;
+const PAD = { left: 36, right: 8, top: 8, bottom: 24 };
+const DAYS_SHOWN = 30;
+
+const plotWidth = CHART_WIDTH - PAD.left - PAD.right;
+const plotHeight = CHART_HEIGHT - PAD.top - PAD.bottom;
+
+const formatSeconds = s => (s === null ? '–' : `${Math.round(s * 10) / 10}s`);
+const formatPercent = x => (x === null ? '–' : `${Math.round(x * 100)}%`);
+
+// The axes and horizontal guide lines of a chart whose values run 0..max.
+function Axes({ max, format }) {
+  return [0, 0.5, 1].map(f => {
+    const y = PAD.top + plotHeight * (1 - f);
+    return (
+      <g key={f}>
+        <line x1={PAD.left} x2={CHART_WIDTH - PAD.right} y1={y} y2={y} className="stats-grid" />
+        <text x={PAD.left - 4} y={y + 4} textAnchor="end" className="stats-tick">
+          {format(max * f)}
+        </text>
+      </g>
+    );
+  });
+}
+
+// One bar per entry of data: [{ label, value, title }].
+function BarChart({ data, format }) {
+  const max = Math.max(...data.map(d => d.value)) || 1;
+  const slot = plotWidth / data.length;
+  return (
+    <svg width={CHART_WIDTH} height={CHART_HEIGHT} className="stats-chart">
+      <Axes max={max} format={format} />
+      {data.map((d, i) => {
+        const h = (d.value / max) * plotHeight;
+        const x = PAD.left + i * slot;
+        return (
+          <g key={d.label}>
+            <rect x={x + slot * 0.15} y={PAD.top + plotHeight - h} width={slot * 0.7} height={h} className="stats-bar">
+              <title>{d.title}</title>
+            </rect>
+            <text x={x + slot / 2} y={CHART_HEIGHT - 8} textAnchor="middle" className="stats-tick">
+              {d.label}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+// A line through data: [{ label, value, title }] with values in 0..1.
+function LineChart({ data }) {
+  const step = data.length > 1 ? plotWidth / (data.length - 1) : 0;
+  const points = data.map((d, i) => ({
+    ...d,
+    x: PAD.left + (data.length > 1 ? i * step : plotWidth / 2),
+    y: PAD.top + plotHeight * (1 - d.value),
+  }));
+  const labelled = new Set([0, data.length - 1]);
+  return (
+    <svg width={CHART_WIDTH} height={CHART_HEIGHT} className="stats-chart">
+      <Axes max={1} format={formatPercent} />
+      <polyline points={points.map(p => `${p.x},${p.y}`).join(' ')} className="stats-line" />
+      {points.map((p, i) => (
+        <g key={p.label}>
+          <circle cx={p.x} cy={p.y} r={3} className="stats-point">
+            <title>{p.title}</title>
+          </circle>
+          {labelled.has(i) && (
+            <text x={p.x} y={CHART_HEIGHT - 8} textAnchor="middle" className="stats-tick">
+              {p.label}
+            </text>
+          )}
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+/**
+ * The current profile's logged rounds, see utils/stats.js: totals, solve
+ * time by puzzle size, accuracy by day and the fastest solves, for one game
+ * or all of them, with the rounds shown downloadable as CSV or JSON.
+ */
+export default function StatsDashboard({ games, onBack }) {
+  const [gameId, setGameId] = useState(null);
+  const { current, profiles } = useProfiles();
+  const all = useRounds();
+  const rounds = gameId ? all.filter(r => r.gameId === gameId) : all;
+  const totals = summarize(rounds);
+  const gameName = id => games.find(g => g.id === id).name;
+
+  const bySize = gameId ? solveTimeBySize(rounds) : [];
+  const byDay = accuracyByDay(rounds).slice(-DAYS_SHOWN);
+  const best = bestRuns(rounds);
+
+  const download = format => {
+    const name = `nphard-rounds-${gameId || 'all'}.${format}`;
+    if (format === 'csv') downloadText(name, roundsToCsv(rounds), 'text/csv');
+    else downloadText(name, roundsToJson(rounds), 'application/json');
+  };
+
+  return (
+    <div className="graph-container stats">
+      <button className="back-button" onClick={onBack}>Main Menu</button>
+      <h1 className="header">Statistics</h1>
+      <div className="seed-info">{profiles[current].name}</div>
+
+      <div className="tier-picker stats-games">
+        <button className={`tier-button${gameId ? '' : ' selected'}`} onClick={() => setGameId(null)}>
+          All games
+        </button>
+        {games.map(g => (
+          <button
+            key={g.id}
+            className={`tier-button${g.id === gameId ? ' selected' : ''}`}
+            onClick={() => setGameId(g.id)}
+          >
+            {g.name}
+          </button>
+        ))}
+      </div>
+
+      <div className="stats-totals">
+        <div>
+          Rounds <span className="mono">{totals.played}</span>
+        </div>
+        <div>
+          Solved <span className="mono">{totals.solved}</span>
+        </div>
+        <div>
+          Accuracy <span className="mono">{formatPercent(totals.accuracy)}</span>
+        </div>
+        <div>
+          Average solve <span className="mono">{formatSeconds(totals.seconds)}</span>
+        </div>
+        <div>
+          Mistakes per round{' '}
+          <span className="mono">{totals.mistakes === null ? '–' : Math.round(totals.mistakes * 10) / 10}</span>
+        </div>
+      </div>
+
+      {rounds.length === 0 ? (
+        <p className="import-hint">No rounds played yet. Every round that is solved or runs out of time shows up here.</p>
+      ) : (
+        <>
+          <section className="stats-section">
+            <h2>Average solve time by puzzle size</h2>
+            {!gameId ? (
+              <p className="import-hint">Pick a game to compare puzzle sizes.</p>
+            ) : bySize.length === 0 ? (
+              <p className="import-hint">No solved rounds yet.</p>
+            ) : (
+              <BarChart
+                format={formatSeconds}
+                data={bySize.map(d => ({
+                  label: String(d.size),
+                  value: d.seconds,
+                  title: `${d.size} ${SIZE_UNITS[gameId]}: ${formatSeconds(d.seconds)} over ${d.count} solved`,
+                }))}
+              />
+            )}
+            {gameId && bySize.length > 0 && <div className="stats-caption">{SIZE_UNITS[gameId]}</div>}
+          </section>
+
+          <section className="stats-section">
+            <h2>Accuracy by day</h2>
+            <LineChart
+              data={byDay.map(d => ({
+                label: d.date.slice(5),
+                value: d.solved / d.played,
+                title: `${d.date}: ${d.solved} of ${d.played} solved`,
+              }))}
+            />
+          </section>
+
+          <section className="stats-section">
+            <h2>Fastest solves</h2>
+            {best.length === 0 ? (
+              <p className="import-hint">No solved rounds yet.</p>
+            ) : (
+              <table className="stats-table">
+                <thead>
+                  <tr>
+                    {!gameId && <th>Game</th>}
+                    <th>Difficulty</th>
+                    <th>Size</th>
+                    <th>Time</th>
+                    <th>Mistakes</th>
+                    <th>Date</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {best.map(r => (
+                    <tr key={`${r.at}/${r.gameId}`}>
+                      {!gameId && <td>{gameName(r.gameId)}</td>}
+                      <td>{TIER_LABELS[r.tier] || r.tier}</td>
+                      <td className="mono">
+                        {r.size} {SIZE_UNITS[r.gameId]}
+                      </td>
+                      <td className="mono">{r.seconds}s</td>
+                      <td className="mono">{r.mistakes}</td>
+                      <td>{new Date(r.at).toLocaleDateString()}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </section>
+
+          <div className="import-actions">
+            <button onClick={() => download('csv')}>Download CSV</button>
+            <button onClick={() => download('json')}>Download JSON</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
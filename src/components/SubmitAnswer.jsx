@@ -0,0 +1,24 @@
+import React from 'react';
+import { SCORING, credit, describeRatio } from '../utils/scoring';
+import './GraphCommon.css';
+
+/**
+ * Submits the answer on screen for partial credit, see utils/scoring.js.
+ * ratio is its approximation ratio, or null while it is not a valid
+ * answer, and onSubmit(ratio) scores it. Only shown when the run's scoring
+ * takes near-best answers.
+ */
+export default function SubmitAnswer({ run, ratio, onSubmit, disabled }) {
+  if (!SCORING[run.scoring].ratios) return null;
+  const points = ratio === null ? 0 : credit(ratio);
+  let note = 'Not a valid answer yet';
+  if (ratio !== null) note = points ? `${describeRatio(ratio)}, ${points} points` : 'Too far from the best';
+  return (
+    <div className="submit-answer">
+      <button onClick={() => onSubmit(ratio)} disabled={disabled || run.solved || !points}>
+        Submit
+      </button>
+      <span className="submit-note">{note}</span>
+    </div>
+  );
+}
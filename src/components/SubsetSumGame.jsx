@@ -1,131 +1,217 @@
 
-import React, { useState, useEffect, useMemo, useRef } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import './ThreeSatGame.css'; 
 import example from "../assets/subset-sum-example.png";
+import { unpackInstance, packInstance, unpackNumbers } from '../utils/share';
+import { usePuzzleGenerator } from '../utils/usePuzzleGenerator';
+import { useRoundSettings } from '../utils/useGameSettings';
+import { useChallenge } from '../utils/useChallenge';
+import { useRun } from '../utils/useRun';
+import { useRoundLog } from '../utils/useRoundLog';
+import { loadSession, useSessionSaver } from '../utils/session';
+import { OVER_TITLES } from '../utils/modes';
+import { useMoveLog } from '../utils/useMoveLog';
+import { subsetSumHint } from '../utils/hints';
+import { subsetSumTable } from '../utils/traces';
+import { TIME_FACTORS } from '../puzzles/difficulty';
+import { isSubsetWithSum, subsetSumRatio } from '../utils/verifiers';
+import ShareButton from './ShareButton';
+import SeedInfo from './SeedInfo';
+import GeneratingNotice from './GeneratingNotice';
+import MoveControls from './MoveControls';
+import MoveReplay from './MoveReplay';
+import HintButton from './HintButton';
+import SubmitAnswer from './SubmitAnswer';
+import Scoreboard from './Scoreboard';
+import RunClock from './RunClock';
+import SolverPlayer from './SolverPlayer';
+import DpTable from './DpTable';
+import SettingsPanel from './SettingsPanel';
+import TierPicker from './TierPicker';
+import ReductionPanel from './ReductionPanel';
 
 
-function generateProblem(
-  minItems = 4,
-  maxItems = 7,
-  minValue = 1,
-  maxValue = 20
-) {
-  const size = Math.floor(Math.random() * (maxItems - minItems + 1)) + minItems;
-  const values = Array.from({ length: size }, () =>
-    Math.floor(Math.random() * (maxValue - minValue + 1)) + minValue
-  );
-
-  const mask = Array.from({ length: size }, () => false);
-  let count = 0;
-  while (count === 0) {
-    for (let i = 0; i < size; i++) {
-      mask[i] = Math.random() < 0.5;
-    }
-    count = mask.filter(Boolean).length;
+function findSubset(values, target) {
+  for (let m = 1; m < (1 << values.length); m++) {
+    const sum = values.reduce((acc, v, i) => acc + (m & (1 << i) ? v : 0), 0);
+    if (sum === target) return values.map((_, i) => Boolean(m & (1 << i)));
   }
-  const target = values.reduce((sum, v, i) => sum + (mask[i] ? v : 0), 0);
-  return { values, target, mask };
+  return null;
 }
 
-const TIMER = 30;
+function fromShared(data) {
+  const values = data && unpackNumbers(data.v);
+  if (!values || !Number.isInteger(data.t) || data.t < 1) return null;
+  const mask = findSubset(values, data.t);
+  if (!mask) return null;
+  return { seed: null, values, target: data.t, mask };
+}
+
+const NO_ROUND = { seed: null, values: [], target: 0, mask: [] };
+
+const sumOf = (values, picked) => values.reduce((acc, v, i) => acc + (picked[i] ? v : 0), 0);
 
-export default function SubsetSumGame({ onBack }) {
-  const initProblem = useMemo(() => generateProblem(), []);
-  const [problem, setProblem] = useState(initProblem);
-  const { values, target, mask = [] } = problem;
+export default function SubsetSumGame({ onBack, showHelp, setShowHelp, seeded, puzzle, resume, challenge, onOpenGame }) {
+  const { settings, setSettings, tier, setTier, mode, scoring } = useRoundSettings('subset-sum-game', challenge);
+  const [showSettings, setShowSettings] = useState(false);
+  const TIMER = Math.round(settings.timer * TIME_FACTORS[tier]);
+  const roundOptions = useMemo(() => ({ ...settings, tier }), [settings, tier]);
+  const [resumed] = useState(() => (resume && !challenge ? loadSession('subset-sum-game') : null));
+  const [problem, setProblem] = useState(() => fromShared(unpackInstance(resumed ? resumed.puzzle : puzzle)));
+  const { seed, values, target, mask = [] } = problem || NO_ROUND;
 
-  const [selected, setSelected] = useState(Array(values.length).fill(false));
-  const [timeLeft, setTimeLeft] = useState(TIMER);
   const [gameOver, setGameOver] = useState(false);
-  const [score, setScore] = useState(0);
-  const [highScore, setHighScore] = useState(() => {
-    const saved = localStorage.getItem('subsetSumHighScore');
-    return saved !== null ? Number(saved) : 0;
+  const [showSolver, setShowSolver] = useState(false);
+  const [showReductions, setShowReductions] = useState(false);
+
+  const { generating, progress, error, options, generate, retry } = usePuzzleGenerator('subset-sum-game', {
+    first: problem ? null : seeded || roundOptions,
+    onReady: setProblem,
   });
-  const [showHelp, setShowHelp] = useState(false);
-  const timerRef = useRef(null);
 
+  const run = useRun('subset-sum-game', {
+    mode,
+    scoring,
+    tier,
+    round: problem,
+    roundTime: TIMER,
+    running: !gameOver && !showHelp && !showSettings && !showSolver && !showReductions && !generating,
+    saved: resumed && resumed.run,
+  });
+  const finish = useChallenge(challenge, run.elapsed);
+  const moves = useMoveLog(values, v => Array(v.length).fill(false), problem && resumed && resumed.selection, run.clock);
+  const selected = moves.value;
+  const { solve, isOver } = run;
+  const roundLog = useRoundLog('subset-sum-game', {
+    tier,
+    size: values.length,
+    elapsed: run.elapsed,
+    onMistake: run.mistake,
+  });
 
-  useEffect(() => {
-    localStorage.setItem('subsetSumHighScore', highScore);
-  }, [highScore]);
 
 
-  const currentSum = values.reduce(
-    (acc, v, i) => acc + (selected[i] ? v : 0),
-    0
-  );
+  const currentSum = sumOf(values, selected);
 
 
   useEffect(() => {
-    setSelected(Array(values.length).fill(false));
-    setTimeLeft(TIMER);
     setGameOver(false);
-  }, [values]);
+    roundLog.start();
+  }, [values, roundLog]);
 
 
   useEffect(() => {
-    clearInterval(timerRef.current);
-    if (!gameOver && !showHelp) {
-      timerRef.current = setInterval(() => setTimeLeft(t => t - 1), 1000);
+    if (run.over) {
+      setGameOver(run.over);
+      roundLog.end(false);
     }
-    return () => clearInterval(timerRef.current);
-  }, [gameOver, showHelp]);
+  }, [run.over, roundLog]);
 
 
   useEffect(() => {
-    if (timeLeft <= 0) {
-      clearInterval(timerRef.current);
-      setGameOver(true);
-      setHighScore(h => Math.max(h, score));
-    }
-  }, [timeLeft, score]);
-
-
-  useEffect(() => {
-    if (gameOver) return;
-    if (currentSum === target) {
-      setScore(s => s + 1);
+    if (gameOver || !problem) return;
+    if (isSubsetWithSum(values, selected, target)) {
+      solve();
+      roundLog.end(true);
 
       setTimeout(() => {
-        setProblem(generateProblem());
+        if (!finish(true) && !isOver()) generate(roundOptions);
       }, 500);
     }
-  }, [currentSum, gameOver, target]);
+  }, [values, selected, gameOver, target, problem, roundOptions, generate, finish, roundLog, solve, isOver]);
 
+  // Picking a number that takes the sum past the target is a mistake.
   const handleToggle = i => {
-    if (gameOver || showHelp) return;
-    setSelected(s => {
+    if (gameOver || showHelp || showSettings || showSolver || showReductions || generating) return;
+    if (!selected[i] && currentSum + values[i] > target) roundLog.mistake();
+    moves.move(s => {
       const next = [...s];
       next[i] = !next[i];
       return next;
     });
   };
 
+  const handleSettings = next => {
+    setSettings(next);
+    setShowSettings(false);
+    run.restart();
+    generate({ ...next, tier });
+  };
+
+  // A new tier starts a new run, so scores from different tiers never mix.
+  const handleTier = id => {
+    setTier(id);
+    run.restart();
+    generate({ ...settings, tier: id });
+  };
+
   const handleRetry = () => {
-    setScore(0);
-    setSelected(Array(values.length).fill(false));
-    setTimeLeft(TIMER);
-    setProblem(generateProblem());
+    if (finish(false)) return;
+    run.restart();
     setGameOver(false);
+    generate(roundOptions);
   };
 
+  // Under partial credit a valid answer short of the best can be submitted.
+  const handleSubmit = ratio => {
+    solve(ratio);
+    roundLog.end(true);
+    setTimeout(() => {
+      if (!finish(true) && !isOver()) generate(roundOptions);
+    }, 500);
+  };
+
+  const shareInstance = () => ({ v: values, t: target });
+  useSessionSaver('subset-sum-game', {
+    enabled: !challenge,
+    snapshot: () =>
+      problem && run.progress && { puzzle: packInstance(shareInstance()), selection: selected, run: run.progress },
+    paused: run.paused,
+    over: run.over,
+  });
+
   return (
     <div className="three-sat-container">
       <button className="back-button" onClick={onBack}>Main Menu</button>
       <button className="help-button" onClick={() => setShowHelp(true)}>?</button>
+      {problem && !challenge && <ShareButton getInstance={shareInstance} />}
+      {!challenge && (
+        <button className="settings-button" onClick={() => setShowSettings(true)}>Settings</button>
+      )}
       {!gameOver && <h1 className="header">Subset Sum Challenge</h1>}
-      {gameOver && <h1 className="game-over-text">Time's up!</h1>}
-      {!gameOver && (<div className="scoreboard">
-        Score: <span className="mono">{score}</span> | High Score: <span className="mono">{highScore}</span>
-      </div>)} 
-      {!gameOver && (
+      {gameOver && <h1 className="game-over-text">{OVER_TITLES[gameOver]}</h1>}
+      {!gameOver && !challenge && (
+        <TierPicker gameId="subset-sum-game" tier={tier} onChange={handleTier} timer={settings.timer} />
+      )}
+      {!gameOver && <Scoreboard run={run} />}
+      <SeedInfo gameId="subset-sum-game" seed={seed} options={options} />
+      {!gameOver && problem && (
         <div className="stats">
           Target: <span className="mono">{target}</span> | 
-          Current Sum: <span className="mono">{currentSum}</span> | 
-          Time Left: <span className="mono">{timeLeft}s</span>
+          Current Sum: <span className="mono">{currentSum}</span> |{' '}
+          <RunClock run={run} />
         </div>
       )}
+      {!gameOver && problem && (
+        <MoveControls moves={moves} disabled={run.paused || showHelp || showSettings || generating} />
+      )}
+      {!gameOver && problem && (
+        <HintButton
+          value={selected}
+          getHint={() => subsetSumHint(values, selected, target, mask)}
+          onMove={moves.move}
+          onPenalty={run.penalize}
+          disabled={showHelp || showSettings || generating}
+        />
+      )}
+      {!gameOver && problem && (
+        <SubmitAnswer
+          run={run}
+          ratio={subsetSumRatio(values, selected, target)}
+          onSubmit={handleSubmit}
+          disabled={run.paused || showHelp || showSettings || generating}
+        />
+      )}
       {!gameOver && (<div className="variables">
         {values.map((v, i) => (
           <button
@@ -137,22 +223,38 @@ export default function SubsetSumGame({ onBack }) {
           </button>
         ))}
       </div> )}
+      {problem && (gameOver || run.mode.study) && (
+        <button className="watch-button" onClick={() => setShowSolver(true)}>Watch the algorithm</button>
+      )}
+      {problem && !challenge && (gameOver || run.mode.study) && (
+        <button className="watch-button" onClick={() => setShowReductions(true)}>Reduce…</button>
+      )}
       {gameOver && (
         <div className="game-over">
           <div>
-            <div>Your last selection:</div>
-            <div className="variables">
-              {values.map((v, i) => (
-                <button
-                  key={i}
-                  className={`var-button ${selected[i] ? 'selected' : ''}`}
-                  disabled
-                >{v}</button>
-              ))}
-            </div>
+            <div>Your moves:</div>
+            <MoveReplay
+              timeline={moves.timeline}
+              ended={gameOver}
+              clock={run.clock}
+              render={picked => (
+                <>
+                  <div className="variables">
+                    {values.map((v, i) => (
+                      <button
+                        key={i}
+                        className={`var-button ${picked[i] ? 'selected' : ''}`}
+                        disabled
+                      >{v}</button>
+                    ))}
+                  </div>
+                  <div>Sum: <span className="mono">{sumOf(values, picked)}</span></div>
+                </>
+              )}
+            />
           </div>
           <div>
-            <div>Correct selection:</div>
+            <div>A correct selection (one of possibly many):</div>
             <div className="variables">
               {values.map((v, i) => (
                 <button
@@ -164,9 +266,37 @@ export default function SubsetSumGame({ onBack }) {
             </div>
           </div>
           <div>Original target: <span className="mono">{target}</span></div>
-          <button onClick={handleRetry} className="retry-button">Retry</button>
+          <button onClick={handleRetry} className="retry-button">{challenge ? 'Continue' : 'Retry'}</button>
         </div>
       )}
+      {(generating || error) && (
+        <GeneratingNotice progress={progress} error={error} onRetry={retry} />
+      )}
+      {showSolver && (
+        <SolverPlayer
+          title="Dynamic programming"
+          description={`Row i marks the sums some of the first i numbers reach, each row from the one above. Walking back up from ${target} finds numbers that reach it.`}
+          getSteps={() => subsetSumTable(values, target)}
+          render={step => <DpTable values={values} step={step} />}
+          onClose={() => setShowSolver(false)}
+        />
+      )}
+      {showReductions && (
+        <ReductionPanel
+          gameId="subset-sum-game"
+          getInstance={shareInstance}
+          onOpenGame={onOpenGame}
+          onClose={() => setShowReductions(false)}
+        />
+      )}
+      {showSettings && (
+        <SettingsPanel
+          gameId='subset-sum-game'
+          settings={settings}
+          onSave={handleSettings}
+          onClose={() => setShowSettings(false)}
+        />
+      )}
       {showHelp && (
         <div className="help-overlay" onClick={() => setShowHelp(false)}>
           <div className="help-modal" onClick={e => e.stopPropagation()}>
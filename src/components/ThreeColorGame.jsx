@@ -1,140 +1,195 @@
-import React, { useState, useEffect, useRef, useMemo } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import './GraphCommon.css';
 import './ThreeColorGame.css';
+import { unpackInstance, packInstance, packGraph, unpackGraph, MAX_SHARED_NODES, MAX_REDUCED_NODES } from '../utils/share';
+import { isReducedRound } from '../utils/reductions';
+import { usePuzzleGenerator } from '../utils/usePuzzleGenerator';
+import { useRoundSettings } from '../utils/useGameSettings';
+import { useChallenge } from '../utils/useChallenge';
+import { useRun } from '../utils/useRun';
+import { useRoundLog } from '../utils/useRoundLog';
+import { loadSession, useSessionSaver } from '../utils/session';
+import { OVER_TITLES } from '../utils/modes';
+import { useMoveLog } from '../utils/useMoveLog';
+import { dsaturColoring } from '../utils/approximations';
+import { minColors } from '../utils/solvers';
+import { coloringHint } from '../utils/hints';
+import { TIME_FACTORS } from '../puzzles/difficulty';
+import { isProperColoring, monochromaticEdges, coloringRatio } from '../utils/verifiers';
+import { find3Coloring } from '../puzzles/threeColor';
+import { coloringTrace } from '../utils/traces';
+import ShareButton from './ShareButton';
+import SeedInfo from './SeedInfo';
+import GraphImportPanel from './GraphImportPanel';
+import GeneratingNotice from './GeneratingNotice';
+import SettingsPanel from './SettingsPanel';
+import TierPicker from './TierPicker';
+import MoveControls from './MoveControls';
+import MoveReplay from './MoveReplay';
+import AlgorithmShowcase from './AlgorithmShowcase';
+import HintButton from './HintButton';
+import SubmitAnswer from './SubmitAnswer';
+import Scoreboard from './Scoreboard';
+import RunClock from './RunClock';
+import ViolationsToggle from './ViolationsToggle';
+import SolverPlayer from './SolverPlayer';
+import ReductionBanner from './ReductionBanner';
 
+// Stands in for the round until the first one has been generated.
+const NO_ROUND = { seed: null, nodes: [], edges: [], correctColoring: [] };
 
-function generate3ColorableGraph() {
-  const maxAttempts = 20;
-  for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    const nodeCount = Math.floor(Math.random() * 4) + 6;
-    const nodes = Array.from({ length: nodeCount }, (_, i) => ({ id: i }));
-    const edges = [];
-    for (let i = 0; i < nodeCount; i++) {
-      for (let j = i + 1; j < nodeCount; j++) {
-        if (Math.random() < 0.4) edges.push({ u: i, v: j });
-      }
-    }
-    const coloring = find3Coloring(nodeCount, edges, 3);
-    if (coloring) return { nodes, edges, correctColoring: coloring };
+// A reduced round comes with a colouring (see utils/reductions.js) and may
+// be larger, when `reduced` says it is what its reduction makes; other
+// shared graphs are coloured here.
+function fromShared(data, reduced = false) {
+  const answer = data && Array.isArray(data.s) ? data.s : null;
+  const g = data && unpackGraph(data, answer && reduced ? MAX_REDUCED_NODES : MAX_SHARED_NODES);
+  if (!g) return null;
+  if (answer) {
+    return isProperColoring(g.nodes.length, g.edges, answer) ? { seed: null, ...g, correctColoring: answer } : null;
+  }
+  try {
+    return fromImported(g);
+  } catch (e) {
+    return null;
   }
-  return {
-    nodes: [{ id: 0 }, { id: 1 }, { id: 2 }],
-    edges: [{ u: 0, v: 1 }, { u: 1, v: 2 }],
-    correctColoring: [0, 1, 2]
-  };
 }
 
-
-function find3Coloring(n, edges, maxColors) {
-  const adj = Array.from({ length: n }, () => []);
-  edges.forEach(({ u, v }) => {
-    adj[u].push(v);
-    adj[v].push(u);
-  });
-  const colors = Array(n).fill(0);
-  function dfs(node) {
-    if (node === n) return true;
-    for (let c = 0; c < maxColors; c++) {
-      if (adj[node].every(nei => colors[nei] !== c)) {
-        colors[node] = c;
-        if (dfs(node + 1)) return true;
-      }
-    }
-    return false;
-  }
-  return dfs(0) ? colors : null;
+function fromImported(g) {
+  const correctColoring = find3Coloring(g.nodes.length, g.edges, 3);
+  if (!correctColoring) throw new Error('This graph is not 3-colorable.');
+  return { seed: null, ...g, correctColoring };
 }
 
-export default function ThreeColorGame({ onBack }) {
-  const TIMER = 40;
-  const timerRef = useRef(null);
-
-  const [gameData, setGameData] = useState(() => generate3ColorableGraph());
-  const { nodes, edges, correctColoring } = gameData;
-  const [selection, setSelection] = useState(nodes.map(() => 0));
-  const [timeLeft, setTimeLeft] = useState(TIMER);
-  const [score, setScore] = useState(0);
-  const [highScore, setHighScore] = useState(() => {
-    const saved = localStorage.getItem('3ColorHighScore');
-    return saved !== null ? Number(saved) : 0;
+export default function ThreeColorGame({ onBack, showHelp, setShowHelp, seeded, puzzle, resume, challenge, reducedFrom, onOpenGame }) {
+  const { settings, setSettings, tier, setTier, mode, scoring } = useRoundSettings('three-color-game', challenge);
+  const [showSettings, setShowSettings] = useState(false);
+  const TIMER = Math.round(settings.timer * TIME_FACTORS[tier]);
+  const roundOptions = useMemo(() => ({ ...settings, tier }), [settings, tier]);
+
+  const [resumed] = useState(() => (resume && !challenge ? loadSession('three-color-game') : null));
+  const [gameData, setGameData] = useState(() => {
+    const data = unpackInstance(resumed ? resumed.puzzle : puzzle);
+    // A saved run is our own; a link must show where its round came from.
+    return fromShared(data, Boolean(resumed) || isReducedRound(reducedFrom, data));
   });
+  const { seed, nodes, edges, correctColoring } = gameData || NO_ROUND;
   const [gameOver, setGameOver] = useState(false);
-  const [showHelp, setShowHelp] = useState(false);
-
+  const [showImport, setShowImport] = useState(false);
+  const [showViolations, setShowViolations] = useState(false);
+  const [showSolver, setShowSolver] = useState(false);
 
-  const startNext = () => {
-    clearInterval(timerRef.current);
-    const next = generate3ColorableGraph();
+  const applyRound = next => {
     setGameData(next);
-    setSelection(next.nodes.map(() => 0));
-    setTimeLeft(TIMER);
     setGameOver(false);
   };
 
-  useEffect(() => {
-    localStorage.setItem('3ColorHighScore', highScore);
-  }, [highScore]);
-  
+  const { generating, progress, error, options, generate, retry } = usePuzzleGenerator('three-color-game', {
+    first: gameData ? null : seeded || roundOptions,
+    onReady: applyRound,
+  });
+
+  const run = useRun('three-color-game', {
+    mode,
+    scoring,
+    tier,
+    round: gameData,
+    roundTime: TIMER,
+    running: !gameOver && !showHelp && !showImport && !showSettings && !showSolver && !generating,
+    saved: resumed && resumed.run,
+  });
+  const finish = useChallenge(challenge, run.elapsed);
+  const moves = useMoveLog(
+    gameData,
+    data => (data || NO_ROUND).nodes.map(() => 0),
+    gameData && resumed && resumed.selection,
+    run.clock
+  );
+  const selection = moves.value;
+  const { solve, isOver } = run;
+  const roundLog = useRoundLog('three-color-game', {
+    tier,
+    size: nodes.length,
+    elapsed: run.elapsed,
+    onMistake: run.mistake,
+  });
 
 
-  useEffect(() => {
-    clearInterval(timerRef.current);
-    if (!gameOver && !showHelp) {
-      timerRef.current = setInterval(() => setTimeLeft(t => t - 1), 1000);
-    }
-    return () => clearInterval(timerRef.current);
-  }, [gameData, gameOver, showHelp]);
+  const startNext = () => generate(roundOptions);
+
+  useEffect(() => roundLog.start(), [gameData, roundLog]);
 
   useEffect(() => {
-    if (timeLeft <= 0 && !gameOver) {
-      clearInterval(timerRef.current);
-      setHighScore(hs => Math.max(hs, score));
-      setGameOver(true);
+    if (run.over) {
+      setGameOver(run.over);
+      roundLog.end(false);
     }
-  }, [timeLeft, score, gameOver]);
+  }, [run.over, roundLog]);
 
 
   const cycleColor = (current, forward) => (current + (forward ? 1 : 2)) % 3;
+  const clashes = colors => monochromaticEdges(edges, colors).length;
 
 
   const tryWin = newSel => {
-    const conflict = edges.some(({ u, v }) => newSel[u] === newSel[v]);
-    if (!conflict && !gameOver) {
-      clearInterval(timerRef.current);
-      setScore(s => s + 1);
-      setHighScore(hs => Math.max(hs, score + 1));
-      setTimeout(startNext, 500);
+    if (isProperColoring(nodes.length, edges, newSel) && !gameOver) {
+      solve();
+      roundLog.end(true);
+      setTimeout(() => {
+        if (!finish(true) && !isOver()) startNext();
+      }, 500);
     }
   };
 
-  const handleLeftClick = id => {
-    if (gameOver || showHelp) return;
-    setSelection(sel => {
-      const newSel = [...sel];
-      newSel[id] = cycleColor(newSel[id], true);
-      tryWin(newSel);
-      return newSel;
-    });
+  // A recolouring that leaves more edges with matching ends is a mistake.
+  const recolor = (id, forward) => {
+    if (gameOver || showHelp || showImport || showSettings || showSolver || generating) return;
+    const newSel = [...selection];
+    newSel[id] = cycleColor(newSel[id], forward);
+    if (clashes(newSel) > clashes(selection)) roundLog.mistake();
+    moves.move(newSel);
+    tryWin(newSel);
   };
 
+  const handleLeftClick = id => recolor(id, true);
+
   const handleRightClick = (e, id) => {
     e.preventDefault();
-    if (gameOver || showHelp) return;
-    setSelection(sel => {
-      const newSel = [...sel];
-      newSel[id] = cycleColor(newSel[id], false);
-      tryWin(newSel);
-      return newSel;
-    });
+    recolor(id, false);
+  };
+
+  const handleSettings = next => {
+    setSettings(next);
+    setShowSettings(false);
+    run.restart();
+    generate({ ...next, tier });
+  };
+
+  // A new tier starts a new run, so scores from different tiers never mix.
+  const handleTier = id => {
+    setTier(id);
+    run.restart();
+    generate({ ...settings, tier: id });
   };
 
   const handleRetry = () => {
-    setScore(0);
+    if (finish(false)) return;
+    run.restart();
     startNext();
   };
 
+  // An imported graph starts a new run, so it never scores toward one
+  // played on generated rounds.
+  const handleImport = g => {
+    const round = fromImported(g);
+    run.restart();
+    applyRound(round);
+    setShowImport(false);
+  };
+
 
   const positions = useMemo(() => {
+    if (nodes.every(n => n.x !== undefined)) return nodes;
     const width = 400, height = 400, radius = 15;
     return nodes.map((n, i) => ({
       ...n,
@@ -144,12 +199,26 @@ export default function ThreeColorGame({ onBack }) {
   }, [nodes]);
 
 
-  const renderSVG = arr => (
-    <svg width={400} height={400} className="svg">
+  // What DSatur finds on the round, for the game-over screen.
+  const showcase = useMemo(() => {
+    if (!gameOver || !gameData) return [];
+    const colors = dsaturColoring(nodes.length, edges);
+    const used = new Set(colors).size;
+    const ratio = used / minColors(nodes.length, edges);
+    return [{ name: 'DSatur', summary: `${used} colours`, ratio, value: colors }];
+  }, [gameOver, gameData, nodes, edges]);
+
+  // Large reduced rounds run below the usual board.
+  const boardHeight = Math.max(400, ...positions.map(p => p.y + 30));
+
+  // current, if given, is a vertex to ring, such as the one a solver step is about.
+  const renderSVG = (arr, current = null) => (
+    <svg width={400} height={boardHeight} className="svg">
       {edges.map((e, i) => {
         const u = positions.find(p => p.id === e.u);
         const v = positions.find(p => p.id === e.v);
-        return <line key={i} x1={u.x} y1={u.y} x2={v.x} y2={v.y} className="edge" />;
+        const clash = showViolations && arr[e.u] >= 0 && arr[e.u] === arr[e.v];
+        return <line key={i} x1={u.x} y1={u.y} x2={v.x} y2={v.y} className={clash ? 'edge violation' : 'edge'} />;
       })}
       {positions.map(n => (
         <g
@@ -162,7 +231,7 @@ export default function ThreeColorGame({ onBack }) {
             cx={n.x}
             cy={n.y}
             r={15}
-            className={`color-node color-${arr[n.id]}`}
+            className={`color-node color-${arr[n.id]}${n.id === current ? ' current' : ''}`}
           />
           <text x={n.x} y={n.y + 4} textAnchor="middle" className="node-label">
             {n.id}
@@ -172,35 +241,137 @@ export default function ThreeColorGame({ onBack }) {
     </svg>
   );
 
+  // Under partial credit a valid answer short of the best can be submitted.
+  const handleSubmit = ratio => {
+    solve(ratio);
+    roundLog.end(true);
+    setTimeout(() => {
+      if (!finish(true) && !isOver()) startNext();
+    }, 500);
+  };
+
+  // A round only a reduction makes keeps its provenance when shared.
+  const reducedQuery = reducedFrom ? { via: reducedFrom.via, src: reducedFrom.source } : undefined;
+  const shareInstance = () => ({
+    ...packGraph(positions, edges),
+    ...(nodes.length > MAX_SHARED_NODES ? { s: correctColoring } : {}),
+  });
+  useSessionSaver('three-color-game', {
+    enabled: !challenge,
+    snapshot: () =>
+      gameData && run.progress && { puzzle: packInstance(shareInstance()), selection, run: run.progress },
+    paused: run.paused,
+    over: run.over,
+  });
+
   return (
     <div className="graph-container">
       <button className="back-button" onClick={onBack}>Main Menu</button>
       <button className="help-button" onClick={() => setShowHelp(true)}>?</button>
+      {gameData && !challenge && (
+        <>
+          <ShareButton getInstance={shareInstance} query={nodes.length > MAX_SHARED_NODES ? reducedQuery : undefined} />
+          <button className="import-button" onClick={() => setShowImport(true)}>Import / Export</button>
+        </>
+      )}
+      {!challenge && (
+        <button className="settings-button" onClick={() => setShowSettings(true)}>Settings</button>
+      )}
 
       {!gameOver && <h1 className="header">3-Colorability Challenge</h1>}
-      <div className="scoreboard">
-        Score: <span className="mono">{score}</span> | High Score: <span className="mono">{highScore}</span>
-      </div>
-      {!gameOver && <div className="stats">Time Left: <span className="mono">{timeLeft}s</span></div>}
+      {gameOver && <h1 className="game-over-text">{OVER_TITLES[gameOver]}</h1>}
+      {!gameOver && !challenge && (
+        <TierPicker gameId="three-color-game" tier={tier} onChange={handleTier} timer={settings.timer} />
+      )}
+      <Scoreboard run={run} />
+      <SeedInfo gameId="three-color-game" seed={seed} options={options} />
+      <ReductionBanner reducedFrom={reducedFrom} round={gameData} selection={selection} onOpenGame={onOpenGame} />
+      {!gameOver && gameData && <div className="stats"><RunClock run={run} /></div>}
+      {!gameOver && gameData && (
+        <MoveControls moves={moves} disabled={run.paused || showHelp || showImport || showSettings || generating} />
+      )}
+      {!gameOver && gameData && (
+        <HintButton
+          value={selection}
+          getHint={() => coloringHint(edges, selection, correctColoring)}
+          onMove={next => {
+            moves.move(next);
+            tryWin(next);
+          }}
+          onPenalty={run.penalize}
+          disabled={showHelp || showImport || showSettings || generating}
+        />
+      )}
+      {!gameOver && gameData && (
+        <SubmitAnswer
+          run={run}
+          ratio={coloringRatio(edges, selection)}
+          onSubmit={handleSubmit}
+          disabled={run.paused || showHelp || showImport || showSettings || generating}
+        />
+      )}
+      {!gameOver && gameData && (
+        <ViolationsToggle
+          checked={showViolations}
+          onChange={setShowViolations}
+          count={clashes(selection)}
+          label="same-color edges"
+        />
+      )}
+
+      {gameData && (gameOver || run.mode.study) && (
+        <button className="watch-button" onClick={() => setShowSolver(true)}>Watch the algorithm</button>
+      )}
 
       {gameOver ? (
         <div className="game-over">
           <div className="graphs">
             <div>
-              <div>Your coloring:</div>
-              {renderSVG(selection)}
+              <div>Your moves:</div>
+              <MoveReplay timeline={moves.timeline} ended={gameOver} clock={run.clock} render={renderSVG} />
             </div>
             <div>
-              <div>One valid 3-coloring:</div>
+              <div>A valid 3-coloring (one of possibly many):</div>
               {renderSVG(correctColoring)}
             </div>
+            <div>
+              <AlgorithmShowcase results={showcase} render={renderSVG} />
+            </div>
           </div>
-          <button onClick={handleRetry} className="retry-button">Retry</button>
+          <button onClick={handleRetry} className="retry-button">{challenge ? 'Continue' : 'Retry'}</button>
         </div>
       ) : (
-        renderSVG(selection)
+        gameData && renderSVG(selection)
       )}
 
+      {(generating || error) && (
+        <GeneratingNotice progress={progress} error={error} onRetry={retry} />
+      )}
+      {showImport && (
+        <GraphImportPanel
+          graph={gameData}
+          positions={positions}
+          onImport={handleImport}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+      {showSolver && (
+        <SolverPlayer
+          title="Backtracking"
+          description="Colours the vertices in order with the first colour none of their neighbours has, and backs up when no colour is left."
+          getSteps={() => coloringTrace(nodes.length, edges)}
+          render={step => renderSVG(step.colors, step.vertex)}
+          onClose={() => setShowSolver(false)}
+        />
+      )}
+      {showSettings && (
+        <SettingsPanel
+          gameId='three-color-game'
+          settings={settings}
+          onSave={handleSettings}
+          onClose={() => setShowSettings(false)}
+        />
+      )}
       {showHelp && (
         <div className="help-overlay" onClick={() => setShowHelp(false)}>
           <div className="help-modal" onClick={e => e.stopPropagation()}>
@@ -1,138 +1,208 @@
 
-import React, { useState, useEffect, useRef, useMemo } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import './ThreeSatGame.css';
 import example from "../assets/three-sat-example.png";
+import { unpackInstance, packInstance } from '../utils/share';
+import { solveSat, isSatisfied } from '../utils/sat';
+import { parseDimacsCnf, toDimacsCnf, MAX_CNF_VARS, MAX_CNF_CLAUSES } from '../utils/cnf';
+import { usePuzzleGenerator } from '../utils/usePuzzleGenerator';
+import { useRoundSettings } from '../utils/useGameSettings';
+import { useChallenge } from '../utils/useChallenge';
+import { useRun } from '../utils/useRun';
+import { useRoundLog } from '../utils/useRoundLog';
+import { loadSession, useSessionSaver } from '../utils/session';
+import { OVER_TITLES } from '../utils/modes';
+import { SCORING } from '../utils/scoring';
+import { useMoveLog } from '../utils/useMoveLog';
+import { satHint } from '../utils/hints';
+import { dpllTrace } from '../utils/traces';
+import { TIME_FACTORS } from '../puzzles/difficulty';
+import { satisfiesFormula, clauseRatio } from '../utils/verifiers';
+import ShareButton from './ShareButton';
+import SeedInfo from './SeedInfo';
+import ImportExportPanel from './ImportExportPanel';
+import GeneratingNotice from './GeneratingNotice';
+import SettingsPanel from './SettingsPanel';
+import TierPicker from './TierPicker';
+import MoveControls from './MoveControls';
+import MoveReplay from './MoveReplay';
+import HintButton from './HintButton';
+import SubmitAnswer from './SubmitAnswer';
+import Scoreboard from './Scoreboard';
+import RunClock from './RunClock';
+import SolverPlayer from './SolverPlayer';
+import ReductionPanel from './ReductionPanel';
 
-function generateFormula(
-  numVars = Math.floor(Math.random() * 3) + 3,
-  numClauses = Math.floor(Math.random() * numVars) + numVars
-) {
-  let assignment, clauses;
-
-  do {
-
-    assignment = Array.from({ length: numVars }, () => Math.random() < 0.5);
-
-
-    clauses = [];
-    const maxAttempts = numClauses * 2;
-    while (clauses.length < numClauses && clauses.length < maxAttempts) {
-      const vars = [];
-      while (vars.length < 3) {
-        const v = Math.floor(Math.random() * numVars);
-        if (!vars.includes(v)) vars.push(v);
-      }
-      const lit = vars.map(v => ({ var: v, neg: Math.random() < 0.5 }));
-
-      if (!lit.some(({ var: v, neg }) => assignment[v] !== neg)) {
-        const idx = Math.floor(Math.random() * 3);
-        const v = lit[idx].var;
-        lit[idx].neg = !assignment[v];
-      }
-      clauses.push(lit);
-    }
-
-
-  } while (
-    clauses.length === numClauses &&
-    clauses.every(clause =>
-      clause.some(({ neg }) =>
+function toShared({ numVars, clauses, general }) {
+  return {
+    v: numVars,
+    c: clauses.map(clause => clause.map(({ var: v, neg }) => (neg ? -(v + 1) : v + 1))),
+    ...(general ? { g: 1 } : {}),
+  };
+}
 
-        neg
-      )
-    )
+function fromShared(data) {
+  if (!data) return null;
+  const { v: numVars, c } = data;
+  const general = data.g === 1;
+  if (!Number.isInteger(numVars) || numVars < 1 || numVars > MAX_CNF_VARS) return null;
+  if (!Array.isArray(c) || c.length === 0 || c.length > MAX_CNF_CLAUSES) return null;
+  const valid = c.every(clause =>
+    Array.isArray(clause) &&
+    (general ? clause.length > 0 : clause.length === 3) &&
+    clause.every(lit => Number.isInteger(lit) && lit !== 0 && Math.abs(lit) <= numVars)
   );
+  if (!valid) return null;
+  const clauses = c.map(clause => clause.map(lit => ({ var: Math.abs(lit) - 1, neg: lit < 0 })));
+  const assignment = solveSat(numVars, clauses);
+  if (!assignment) return null;
+  return { seed: null, clauses, assignment, numVars, general };
+}
 
-  return { clauses, assignment, numVars };
+function fromDimacs(text, general) {
+  const { numVars, clauses } = parseDimacsCnf(text, { requireThree: !general });
+  const assignment = solveSat(numVars, clauses);
+  if (!assignment) {
+    throw new Error('This formula is unsatisfiable, so there is no assignment to find.');
+  }
+  return { seed: null, clauses, assignment, numVars, general };
 }
 
-const TIMER = 30;
 
-export default function ThreeSatGame({ onBack }) {
-  const init = useMemo(() => generateFormula(), []);
-  const [formula, setFormula] = useState(init);
-  const [selected, setSelected] = useState(Array(init.numVars).fill(false));
-  const [timeLeft, setTimeLeft] = useState(TIMER);
+export default function ThreeSatGame({ onBack, showHelp, setShowHelp, seeded, puzzle, resume, challenge, onOpenGame }) {
+  const { settings, setSettings, tier, setTier, mode, scoring } = useRoundSettings('three-sat-game', challenge);
+  const [showSettings, setShowSettings] = useState(false);
+  const TIMER = Math.round(settings.timer * TIME_FACTORS[tier]);
+  const roundOptions = useMemo(() => ({ ...settings, tier }), [settings, tier]);
+  const [resumed] = useState(() => (resume && !challenge ? loadSession('three-sat-game') : null));
+  const [formula, setFormula] = useState(() => fromShared(unpackInstance(resumed ? resumed.puzzle : puzzle)));
   const [gameOver, setGameOver] = useState(false);
-  const [score, setScore] = useState(0);
-  const [highScore, setHighScore] = useState(() => {
-
-    const saved = localStorage.getItem('threeSatHighScore');
-    return saved !== null ? Number(saved) : 0;
-  });
-  const [showHelp, setShowHelp] = useState(false);
   const [hasInteracted, setHasInteracted] = useState(false);
-  const timerRef = useRef(null);
+  const [showImport, setShowImport] = useState(false);
+  const [generalSat, setGeneralSat] = useState(false);
+  const [showSolver, setShowSolver] = useState(false);
+  const [showReductions, setShowReductions] = useState(false);
 
-  useEffect(() => {
-    localStorage.setItem('threeSatHighScore', highScore);
-  }, [highScore]);
-  
+  const applyRound = next => {
+    setFormula(next);
+    setGameOver(false);
+  };
 
+  const { generating, progress, error, options, generate, retry } = usePuzzleGenerator('three-sat-game', {
+    first: formula ? null : seeded || roundOptions,
+    onReady: applyRound,
+  });
 
-  useEffect(() => {
-    setSelected(Array(formula.numVars).fill(false));
-    setHasInteracted(false);
-  }, [formula]);
+  const run = useRun('three-sat-game', {
+    mode,
+    scoring,
+    tier,
+    round: formula,
+    roundTime: TIMER,
+    running: !gameOver && !showHelp && !showImport && !showSettings && !showSolver && !showReductions && !generating,
+    saved: resumed && resumed.run,
+  });
+  const finish = useChallenge(challenge, run.elapsed);
+  const moves = useMoveLog(
+    formula,
+    f => Array(f ? f.numVars : 0).fill(null),
+    formula && resumed && resumed.selection,
+    run.clock
+  );
+  const selected = moves.value;
+  const { solve, isOver } = run;
+  const partial = SCORING[scoring].ratios;
+  const roundLog = useRoundLog('three-sat-game', {
+    tier,
+    size: formula ? formula.numVars : 0,
+    elapsed: run.elapsed,
+    onMistake: run.mistake,
+  });
 
-  useEffect(() => setTimeLeft(TIMER), [formula]);
+  
 
 
   useEffect(() => {
-    clearInterval(timerRef.current);
-    if (!gameOver && !showHelp) {
-      timerRef.current = setInterval(() => setTimeLeft(t => t - 1), 1000);
-    }
-    return () => clearInterval(timerRef.current);
-  }, [gameOver, showHelp]);
+    if (!formula) return;
+    setHasInteracted(false);
+    roundLog.start();
+  }, [formula, roundLog]);
 
   useEffect(() => {
-    if (timeLeft <= 0) {
-      clearInterval(timerRef.current);
-      setGameOver(true);
-      setHighScore(h => Math.max(h, score));
+    if (run.over) {
+      setGameOver(run.over);
+      roundLog.end(false);
     }
-  }, [timeLeft, score]);
+  }, [run.over, roundLog]);
 
 
   useEffect(() => {
     if (!hasInteracted) return;
 
-    const sat = formula.clauses.every(clause =>
-      clause.some(({ var: v, neg }) => selected[v] === !neg)
-    );
-    if (sat) {
+    if (satisfiesFormula(formula.clauses, selected)) {
       setHasInteracted(false);
-      setScore(s => s + 1);
+      solve();
+      roundLog.end(true);
       setTimeout(() => {
-        const next = generateFormula();
-        setFormula(next);
-        setGameOver(false);
+        if (!finish(true) && !isOver()) generate(roundOptions);
       }, 500);
     }
-  }, [selected, hasInteracted, formula]);
+  }, [selected, hasInteracted, formula, roundOptions, generate, finish, roundLog, solve, isOver]);
 
+  // Variables start unset (null); a click sets one to T, then flips it.
+  // Setting the last unset variable hands in the assignment, and one that
+  // leaves a clause unsatisfied is a mistake unless partial credit may take
+  // it.
   const handleToggle = v => {
-    if (gameOver || showHelp) return;
-    setSelected(s => {
-      const next = [...s];
-      next[v] = !next[v];
-      return next;
-    });
+    if (gameOver || showHelp || showImport || showSettings || showSolver || showReductions || generating) return;
+    const next = [...selected];
+    next[v] = !next[v];
+    const completes = selected.includes(null) && !next.includes(null);
+    if (completes && !satisfiesFormula(formula.clauses, next) && !partial) roundLog.mistake();
+    moves.move(next);
     setHasInteracted(true);
   };
 
+  const handleSettings = next => {
+    setSettings(next);
+    setShowSettings(false);
+    run.restart();
+    generate({ ...next, tier });
+  };
+
+  // A new tier starts a new run, so scores from different tiers never mix.
+  const handleTier = id => {
+    setTier(id);
+    run.restart();
+    generate({ ...settings, tier: id });
+  };
+
   const handleRetry = () => {
-    setScore(0);
-    const next = generateFormula();
-    setFormula(next);
-    setGameOver(false);
+    if (finish(false)) return;
+    run.restart();
+    generate(roundOptions);
+  };
+
+  // An imported formula starts a new run, so it never scores toward one
+  // played on generated rounds.
+  const handleImport = text => {
+    const round = fromDimacs(text, generalSat);
+    run.restart();
+    applyRound(round);
+    setShowImport(false);
   };
 
-  const renderClause = (clause, idx) => {
-    const isSatisfied = clause.some(({ var: v, neg }) => selected[v] === !neg);
+  // Under a solver step the clauses its partial assignment makes false are
+  // marked too, and the clause the step is about is ringed.
+  const renderClause = (assignment, step = null) => (clause, idx) => {
+    const satisfied = isSatisfied(clause, assignment);
+    const falsified = step !== null && clause.every(({ var: v, neg }) => assignment[v] === neg);
+    const current = step !== null && step.clause === idx;
     return (
-      <div key={idx} className={`clause${isSatisfied ? ' satisfied' : ''}`}>
+      <div
+        key={idx}
+        className={`clause${satisfied ? ' satisfied' : ''}${falsified ? ' falsified' : ''}${current ? ' current' : ''}`}
+      >
         (
         {clause.map(({ var: v, neg }, i) => (
           <span key={i} className="literal">
@@ -145,64 +215,175 @@ export default function ThreeSatGame({ onBack }) {
     );
   };
 
+  const renderVariable = (val, i, onClick) => (
+    <button
+      key={i}
+      className={`var-button ${val ? 'selected' : ''}${val === null ? ' unassigned' : ''}`}
+      onClick={onClick}
+      disabled={!onClick}
+    >
+      x{i + 1}: {val === null ? '?' : val ? 'T' : 'F'}
+    </button>
+  );
+
+  const renderDpll = step => (
+    <>
+      <div className="formula">{formula.clauses.map(renderClause(step.assignment, step))}</div>
+      <div className="variables">
+        {step.assignment.map((val, i) => renderVariable(val, i))}
+      </div>
+    </>
+  );
+
+  // Under partial credit a valid answer short of the best can be submitted.
+  const handleSubmit = ratio => {
+    solve(ratio);
+    roundLog.end(true);
+    setTimeout(() => {
+      if (!finish(true) && !isOver()) generate(roundOptions);
+    }, 500);
+  };
+
+  const shareInstance = () => toShared(formula);
+  useSessionSaver('three-sat-game', {
+    enabled: !challenge,
+    snapshot: () =>
+      formula && run.progress && { puzzle: packInstance(shareInstance()), selection: selected, run: run.progress },
+    paused: run.paused,
+    over: run.over,
+  });
+
   return (
     <div className="three-sat-container">
       <button className="back-button" onClick={onBack}>Main Menu</button>
       <button className="help-button" onClick={() => setShowHelp(true)}>?</button>
-      {!gameOver && <h1 className="header">3-Satisfiability Challenge</h1>}
-      {gameOver && <h1 className="game-over-text">Time's up!</h1>}
-      <div className="scoreboard">
-        Score: <span className="mono">{score}</span> | High Score: <span className="mono">{highScore}</span>
-      </div>
+      {formula && !challenge && (
+        <>
+          <ShareButton getInstance={shareInstance} />
+          <button className="import-button" onClick={() => setShowImport(true)}>Import / Export</button>
+        </>
+      )}
+      {!challenge && (
+        <button className="settings-button" onClick={() => setShowSettings(true)}>Settings</button>
+      )}
       {!gameOver && (
-        <div className="stats">Time Left: <span className="mono">{timeLeft}s</span></div>
+        <h1 className="header">{formula && formula.general ? 'Satisfiability' : '3-Satisfiability'} Challenge</h1>
+      )}
+      {gameOver && <h1 className="game-over-text">{OVER_TITLES[gameOver]}</h1>}
+      {!gameOver && !challenge && (
+        <TierPicker gameId="three-sat-game" tier={tier} onChange={handleTier} timer={settings.timer} />
+      )}
+      <Scoreboard run={run} />
+      {formula && <SeedInfo gameId="three-sat-game" seed={formula.seed} options={options} />}
+      {!gameOver && formula && (
+        <div className="stats"><RunClock run={run} /></div>
+      )}
+      {!gameOver && formula && (
+        <MoveControls moves={moves} disabled={run.paused || showHelp || showImport || showSettings || generating} />
+      )}
+      {!gameOver && formula && (
+        <HintButton
+          value={selected}
+          getHint={() => satHint(formula.clauses, selected, formula.assignment)}
+          onMove={next => {
+            moves.move(next);
+            setHasInteracted(true);
+          }}
+          onPenalty={run.penalize}
+          disabled={showHelp || showImport || showSettings || generating}
+        />
+      )}
+      {!gameOver && formula && (
+        <SubmitAnswer
+          run={run}
+          ratio={clauseRatio(formula.clauses, selected)}
+          onSubmit={handleSubmit}
+          disabled={run.paused || showHelp || showImport || showSettings || generating}
+        />
+      )}
+      {formula && (gameOver || run.mode.study) && (
+        <button className="watch-button" onClick={() => setShowSolver(true)}>Watch the algorithm</button>
       )}
-      <div className="formula">{formula.clauses.map(renderClause)}</div>
-      {!gameOver ? (
+      {formula && !challenge && (gameOver || run.mode.study) && (
+        <button className="watch-button" onClick={() => setShowReductions(true)}>Reduce…</button>
+      )}
+      {formula && !gameOver && <div className="formula">{formula.clauses.map(renderClause(selected))}</div>}
+      {!formula ? null : !gameOver ? (
         <div className="variables">
-          {selected.map((val, i) => (
-            <button
-              key={i}
-              className={`var-button ${val ? 'selected' : ''}`}
-              onClick={() => handleToggle(i)}
-            >
-              x{i + 1}: {val ? 'T' : 'F'}
-            </button>
-          ))}
+          {selected.map((val, i) => renderVariable(val, i, () => handleToggle(i)))}
         </div>
       ) : (
         <div className="game-over">
           <div>
-            <div>Your assignment:</div>
-            <div className="variables">
-              {selected.map((val, i) => (
-                <button
-                  key={i}
-                  className={`var-button ${val ? 'selected' : ''}`}
-                  disabled
-                >
-                  x{i + 1}: {val ? 'T' : 'F'}
-                </button>
-              ))}
-            </div>
+            <div>Your moves:</div>
+            <MoveReplay
+              timeline={moves.timeline}
+              ended={gameOver}
+              clock={run.clock}
+              render={assignment => (
+                <>
+                  <div className="formula">{formula.clauses.map(renderClause(assignment))}</div>
+                  <div className="variables">{assignment.map((val, i) => renderVariable(val, i))}</div>
+                </>
+              )}
+            />
           </div>
           <div>
-            <div>Correct assignment:</div>
-            <div className="variables">
-              {formula.assignment.map((val, i) => (
-                <button
-                  key={i}
-                  className={`var-button ${val ? 'selected' : ''}`}
-                  disabled
-                >
-                  x{i + 1}: {val ? 'T' : 'F'}
-                </button>
-              ))}
-            </div>
+            <div>A satisfying assignment (one of possibly many):</div>
+            <div className="variables">{formula.assignment.map((val, i) => renderVariable(val, i))}</div>
           </div>
-          <button onClick={handleRetry} className="retry-button">Retry</button>
+          <button onClick={handleRetry} className="retry-button">{challenge ? 'Continue' : 'Retry'}</button>
         </div>
       )}
+      {(generating || error) && (
+        <GeneratingNotice progress={progress} error={error} onRetry={retry} />
+      )}
+      {showImport && (
+        <ImportExportPanel
+          title="DIMACS CNF"
+          accept=".cnf,.dimacs,.txt"
+          placeholder={'p cnf 3 2\n1 -2 3 0\n-1 2 -3 0'}
+          onImport={handleImport}
+          exports={[
+            { label: 'Download .cnf', filename: 'formula.cnf', getText: () => toDimacsCnf(formula) },
+          ]}
+          onClose={() => setShowImport(false)}
+        >
+          <label>
+            <input
+              type="checkbox"
+              checked={generalSat}
+              onChange={e => setGeneralSat(e.target.checked)}
+            />{' '}
+            General SAT: allow clauses with any number of literals
+          </label>
+        </ImportExportPanel>
+      )}
+      {showSolver && (
+        <SolverPlayer
+          title="DPLL"
+          description="Sets the variables that a clause forces (unit propagation), guesses one when none is forced, and backs up when a clause becomes false."
+          getSteps={() => dpllTrace(formula.numVars, formula.clauses)}
+          render={renderDpll}
+          onClose={() => setShowSolver(false)}
+        />
+      )}
+      {showReductions && (
+        <ReductionPanel
+          gameId="three-sat-game"
+          getInstance={shareInstance}
+          onOpenGame={onOpenGame}
+          onClose={() => setShowReductions(false)}
+        />
+      )}
+      {showSettings && (
+        <SettingsPanel
+          gameId='three-sat-game'
+          settings={settings}
+          onSave={handleSettings}
+          onClose={() => setShowSettings(false)}
+        />
+      )}
       {showHelp && (
         <div className="help-overlay" onClick={() => setShowHelp(false)}>
           <div className="help-modal" onClick={e => e.stopPropagation()}>
@@ -217,6 +398,7 @@ export default function ThreeSatGame({ onBack }) {
             <p><code>NOT (¬)</code>: inverts truth values (<code>¬true = false</code>, <code>¬false = true</code>).</p>
             <p>
               Your goal is to assign truth values (T for True, F for False) to each of the variables so that every clause evaluates to true.
+              Variables start unset (?): click one to set it to T, and again to flip it.
             </p>
             <img
               src={example}
@@ -0,0 +1,32 @@
+import React from 'react';
+import './GraphCommon.css';
+import { GAME_TIERS } from '../puzzles';
+import { TIER_LABELS, TIME_FACTORS } from '../puzzles/difficulty';
+
+/**
+ * Buttons for the difficulty tiers of a game. Each tooltip gives the tier's
+ * time limit for the game's time limit setting `timer`, or describe(tier)
+ * where the game times rounds differently.
+ */
+export default function TierPicker({
+  gameId,
+  tier,
+  onChange,
+  timer,
+  describe = id => `${Math.round(timer * TIME_FACTORS[id])} seconds per puzzle`,
+}) {
+  return (
+    <div className="tier-picker">
+      {GAME_TIERS[gameId].map(id => (
+        <button
+          key={id}
+          className={`tier-button${id === tier ? ' selected' : ''}`}
+          onClick={() => id !== tier && onChange(id)}
+          title={describe(id)}
+        >
+          {TIER_LABELS[id]}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -1,151 +1,175 @@
-import React, { useState, useEffect, useRef, useMemo } from "react";
+import React, { useState, useEffect, useMemo } from "react";
 import "./GraphCommon.css";
 import "./TravelingSalesmanGame.css";
 import tspExample from "../assets/tsp-game.png"; 
+import { unpackInstance, packInstance } from "../utils/share";
+import { parseTsplib, toTsplib, tourLength } from "../utils/tsplib";
+import { usePuzzleGenerator } from "../utils/usePuzzleGenerator";
+import { useRoundSettings } from "../utils/useGameSettings";
+import { useChallenge } from "../utils/useChallenge";
+import { useRun } from "../utils/useRun";
+import { useRoundLog } from "../utils/useRoundLog";
+import { loadSession, useSessionSaver } from "../utils/session";
+import { OVER_TITLES } from "../utils/modes";
+import { SCORING } from "../utils/scoring";
+import { useMoveLog } from "../utils/useMoveLog";
+import { nearestNeighbourTour, twoOptTour, christofidesTour } from "../utils/approximations";
+import { tourHint } from "../utils/hints";
+import { isTourWithin, tourRatio } from "../utils/verifiers";
+import { buildTspGraph, toShared, fromShared, MAX_SOLVED_CITIES, TIERS, timeLimit } from "../puzzles/tsp";
+import ShareButton from "./ShareButton";
+import SeedInfo from "./SeedInfo";
+import ImportExportPanel from "./ImportExportPanel";
+import GeneratingNotice from "./GeneratingNotice";
+import SettingsPanel from "./SettingsPanel";
+import TierPicker from "./TierPicker";
+import MoveControls from "./MoveControls";
+import MoveReplay from "./MoveReplay";
+import AlgorithmShowcase from "./AlgorithmShowcase";
+import HintButton from "./HintButton";
+import SubmitAnswer from "./SubmitAnswer";
+import Scoreboard from "./Scoreboard";
+import RunClock from "./RunClock";
+import ReductionBanner from "./ReductionBanner";
 
-
-
-function planarLayout(nodes, width, height, radius) {
-  const minDist = 120;
-  const placed = [];
-
-  for (let i = 0; i < nodes.length; i++) {
-    let x, y;
-    do {
-      x = Math.random() * (width - 2 * radius) + radius;
-      y = Math.random() * (height - 2 * radius) + radius;
-    } while (placed.some(p => Math.hypot(p.x - x, p.y - y) < minDist));
-    placed.push({ id: nodes[i].id, x, y });
-  }
-  return placed;
-}
-
-function dist(a, b) {
-  return Math.round(Math.hypot(a.x - b.x, a.y - b.y));
-}
-
-function getOptimalTour(nodes) {
-  const n = nodes.length;
-  const idxs = [...Array(n).keys()];
-  let bestLen = Infinity;
-  let bestTour = [];
-
-  function permute(path, remaining) {
-    if (remaining.length === 0) {
-      const len = path.reduce((sum, id, i) => {
-        const nextId = path[(i + 1) % n];
-        return sum + dist(nodes[id], nodes[nextId]);
-      }, 0);
-      if (len < bestLen) {
-        bestLen = len;
-        bestTour = [...path, path[0]];
-      }
-      return;
-    }
-    for (let i = 0; i < remaining.length; i++) {
-      permute(
-        [...path, remaining[i]],
-        remaining.filter((_, j) => j !== i)
-      );
-    }
-  }
-
-  permute([idxs[0]], idxs.slice(1));
-  return { bestTour, bestLen };
-}
-
-function generateTspGraph(width, height, radius) {
-  const nodeCount = Math.floor(Math.random() * 3) + 3;
-  const nodes = Array.from({ length: nodeCount }, (_, i) => ({ id: i }));
-  const placed = planarLayout(nodes, width, height, radius);
-
-  const edges = [];
-  for (let i = 0; i < nodeCount; i++) {
-    for (let j = i + 1; j < nodeCount; j++) {
-      edges.push({ u: i, v: j, w: dist(placed[i], placed[j]) });
-    }
+function fromTsplib(text) {
+  const { name, nodes, weights, optimalLen, tour } = parseTsplib(text, { maxCities: 16 });
+  if (optimalLen === null && nodes.length > MAX_SOLVED_CITIES) {
+    throw new Error(
+      `This file gives no OPTIMUM, and the optimal tour can only be computed for up to ${MAX_SOLVED_CITIES} cities.`
+    );
   }
-
-  const { bestTour, bestLen } = getOptimalTour(placed);
-  return { nodes: placed, edges, optimal: bestTour, optimalLen: bestLen };
+  const known = optimalLen !== null ? { optimalLen, tour } : null;
+  return { seed: null, name, ...buildTspGraph(nodes, weights, known) };
 }
 
 
 
-export default function TravelingSalesmanGame({ onBack }) {
-  const TIMER = 40;
+export default function TravelingSalesmanGame({ onBack, showHelp, setShowHelp, seeded, puzzle, resume, challenge, reducedFrom, onOpenGame }) {
   const width = 400, height = 400, radius = 15;
+  const { settings, setSettings, tier, setTier, mode, scoring } = useRoundSettings("traveling-salesman-game", challenge);
+  const [showSettings, setShowSettings] = useState(false);
+  const roundTime = cityCount => Math.round((timeLimit(cityCount) * settings.timerPercent) / 100);
 
-  const init = useMemo(() => generateTspGraph(width, height, radius), []);
-  const [graph, setGraph] = useState(init);
-  const [selected, setSelected] = useState([]);
-  const [timeLeft, setTimeLeft] = useState(TIMER);
+  const [resumed] = useState(() => (resume && !challenge ? loadSession("traveling-salesman-game") : null));
+  const [graph, setGraph] = useState(() => fromShared(unpackInstance(resumed ? resumed.puzzle : puzzle)));
   const [gameOver, setGameOver] = useState(false);
-  const [score, setScore] = useState(0);
-  const [highScore, setHighScore] = useState(() => {
-    const saved = localStorage.getItem('TSPHighScore');
-    return saved !== null ? Number(saved) : 0;
+  const [showImport, setShowImport] = useState(false);
+
+  const applyRound = next => {
+    setGraph(next);
+    setGameOver(false);
+  };
+
+  const { generating, progress, error, options, generate, retry } = usePuzzleGenerator("traveling-salesman-game", {
+    first: graph ? null : { ...(seeded || { tier }), width, height, radius },
+    onReady: applyRound,
   });
-  const [showHelp, setShowHelp] = useState(false);
-  const timerRef = useRef(null);
 
-  useEffect(() => setSelected([]), [graph]);
+  const run = useRun("traveling-salesman-game", {
+    mode,
+    scoring,
+    tier,
+    round: graph,
+    roundTime: roundTime(graph ? graph.nodes.length : TIERS[tier].options.cityCountRange[1]),
+    running: !gameOver && !showHelp && !showImport && !showSettings && !generating,
+    saved: resumed && resumed.run,
+  });
+  const finish = useChallenge(challenge, run.elapsed);
+  const moves = useMoveLog(graph, () => [], graph && resumed && resumed.selection, run.clock);
+  const selected = moves.value;
+  const { solve, isOver } = run;
+  const partial = SCORING[scoring].ratios;
+  const roundLog = useRoundLog("traveling-salesman-game", {
+    tier,
+    size: graph ? graph.nodes.length : 0,
+    elapsed: run.elapsed,
+    onMistake: run.mistake,
+  });
 
-  useEffect(() => {
-    localStorage.setItem('TSPHighScore', highScore);
-  }, [highScore]);
-  
+  useEffect(() => roundLog.start(), [graph, roundLog]);
 
-  useEffect(() => {
-    clearInterval(timerRef.current);
-    if (!gameOver && !showHelp) {
-      timerRef.current = setInterval(() => setTimeLeft(t => t - 1), 1000);
-    }
-    return () => clearInterval(timerRef.current);
-  }, [gameOver, showHelp]);
 
   useEffect(() => {
-    if (timeLeft <= 0) {
-      clearInterval(timerRef.current);
-      setGameOver(true);
-      setHighScore(hs => Math.max(hs, score));
+    if (run.over) {
+      setGameOver(run.over);
+      roundLog.end(false);
     }
-  }, [timeLeft, score]);
+  }, [run.over, roundLog]);
 
-  const startNext = () => {
-    setGraph(generateTspGraph(width, height, radius));
-    setGameOver(false);
-    setTimeLeft(TIMER);
-  };
+  const startNext = () => generate({ tier, width, height, radius });
 
   useEffect(() => {
-    const n = graph.nodes.length;
-    if (selected.length === n) {
-      const len = selected.reduce((sum, id, i) => {
-        const next = selected[(i + 1) % n];
-        return sum + dist(graph.nodes[id], graph.nodes[next]);
-      }, 0);
-      if (len === graph.optimalLen) {
-        setScore(s => s + 1);
-        setTimeout(startNext, 500);
-      }
+    if (!graph) return;
+    if (isTourWithin(graph.weights, selected, graph.optimalLen)) {
+      solve();
+      roundLog.end(true);
+      setTimeout(() => {
+        if (!finish(true) && !isOver()) generate({ tier, width, height, radius });
+      }, 500);
+    } else if (selected.length === graph.nodes.length && !partial) {
+      // A complete tour that is too long, which partial credit may take.
+      roundLog.mistake();
     }
-  }, [selected, graph]);
+  }, [selected, graph, partial, tier, generate, finish, roundLog, solve, isOver]);
 
   const handleNodeClick = id => {
-    if (gameOver || showHelp) return;
-    setSelected(prev =>
+    if (gameOver || showHelp || showImport || showSettings || generating) return;
+    moves.move(prev =>
       prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]
     );
   };
 
+  const handleSettings = next => {
+    setSettings(next);
+    setShowSettings(false);
+    run.restart();
+    startNext();
+  };
+
   const handleRetry = () => {
-    setScore(0);
+    if (finish(false)) return;
+    run.restart();
     startNext();
   };
 
+  // A new tier starts a new run, so scores from different tiers never mix.
+  const handleTier = id => {
+    setTier(id);
+    run.restart();
+    generate({ tier: id, width, height, radius });
+  };
+
+  // An imported instance starts a new run, so it never scores toward one
+  // played on generated rounds.
+  const handleImport = text => {
+    const round = fromTsplib(text);
+    run.restart();
+    applyRound(round);
+    setShowImport(false);
+  };
+
+  // With more cities the labels of all n(n-1)/2 edges overlap, so only the
+  // tour's own weights are shown.
+  const labelAll = graph && graph.nodes.length <= 8;
+
+  // What classic heuristics find on the round, for the game-over screen.
+  const showcase = useMemo(() => {
+    if (!gameOver || !graph) return [];
+    return [
+      ["Nearest neighbour", nearestNeighbourTour(graph.weights)],
+      ["2-opt", twoOptTour(graph.weights)],
+      ["Christofides", christofidesTour(graph.weights)],
+    ].map(([name, order]) => ({
+      name,
+      summary: `length ${tourLength(graph.weights, order)}`,
+      ratio: tourRatio(graph.weights, order, graph.optimalLen),
+      value: [...order, order[0]],
+    }));
+  }, [gameOver, graph]);
+
   const renderSVG = path => (
-    <svg width={width} height={height} className="svg">
+    <svg width={width} height={height} className={labelAll ? "svg" : "svg dense"}>
       {graph.edges.map((e, idx) => {
         const u = graph.nodes[e.u];
         const v = graph.nodes[e.v];
@@ -165,14 +189,16 @@ export default function TravelingSalesmanGame({ onBack }) {
               y2={v.y}
               className={isPathEdge ? "tsp-edge selected" : "tsp-edge"}
             />
-            <text
-              x={(u.x + v.x) / 2}
-              y={(u.y + v.y) / 2 - 4}
-              textAnchor="middle"
-              className={isPathEdge ? "edge-weight selected" : "edge-weight"}
-            >
-              {e.w}
-            </text>
+            {(labelAll || isPathEdge) && (
+              <text
+                x={(u.x + v.x) / 2}
+                y={(u.y + v.y) / 2 - 4}
+                textAnchor="middle"
+                className={isPathEdge ? "edge-weight selected" : "edge-weight"}
+              >
+                {e.w}
+              </text>
+            )}
           </g>
         );
       })}
@@ -197,6 +223,24 @@ export default function TravelingSalesmanGame({ onBack }) {
     </svg>
   );
 
+  // Under partial credit a valid answer short of the best can be submitted.
+  const handleSubmit = ratio => {
+    solve(ratio);
+    roundLog.end(true);
+    setTimeout(() => {
+      if (!finish(true) && !isOver()) startNext();
+    }, 500);
+  };
+
+  const shareInstance = () => toShared(graph);
+  useSessionSaver("traveling-salesman-game", {
+    enabled: !challenge,
+    snapshot: () =>
+      graph && run.progress && { puzzle: packInstance(shareInstance()), selection: selected, run: run.progress },
+    paused: run.paused,
+    over: run.over,
+  });
+
   return (
     <div className="graph-container">
       <button className="back-button" onClick={onBack}>
@@ -209,22 +253,59 @@ export default function TravelingSalesmanGame({ onBack }) {
       >
         ?
       </button>
+      {graph && !challenge && (
+        <>
+          <ShareButton getInstance={shareInstance} />
+          <button className="import-button" onClick={() => setShowImport(true)}>
+            Import/Export
+          </button>
+        </>
+      )}
+      {!challenge && (
+        <button className="settings-button" onClick={() => setShowSettings(true)}>Settings</button>
+      )}
 
       {!gameOver && <h1 className="header">TSP Challenge</h1>}
-      {gameOver && <h1 className="game-over-text">Time's up!</h1>}
+      {gameOver && <h1 className="game-over-text">{OVER_TITLES[gameOver]}</h1>}
+      {!gameOver && !challenge && (
+        <TierPicker
+          gameId="traveling-salesman-game"
+          tier={tier}
+          onChange={handleTier}
+          describe={id => {
+            const [min, max] = TIERS[id].options.cityCountRange;
+            return `${min}-${max} cities, ${roundTime(max)} seconds per puzzle`;
+          }}
+        />
+      )}
 
-      <div className="scoreboard">
-        Score: <span className="mono">{score}</span> | High Score: <span className="mono">{highScore}</span>
-      </div>
+      <Scoreboard run={run} />
+      {graph && <SeedInfo gameId="traveling-salesman-game" seed={graph.seed} options={options} />}
+      {graph && graph.name && <div className="seed-info">Instance: <span className="mono">{graph.name}</span></div>}
+      <ReductionBanner reducedFrom={reducedFrom} round={graph} selection={selected} onOpenGame={onOpenGame} />
 
-      {!gameOver && (
+      {!gameOver && graph && (
         <>
           <div className="stats">
-            Time Left: <span className="mono">{timeLeft}s</span>
+            <RunClock run={run} />
           </div>
-          <button className="retry-button" onClick={() => setSelected([])}>
+          <button className="retry-button" onClick={() => moves.move(prev => (prev.length ? [] : prev))}>
             Reset
           </button>
+          <MoveControls moves={moves} disabled={run.paused || showHelp || showImport || showSettings || generating} />
+          <HintButton
+            value={selected}
+            getHint={() => tourHint(selected, graph.optimal)}
+            onMove={moves.move}
+            onPenalty={run.penalize}
+            disabled={showHelp || showImport || showSettings || generating}
+          />
+          <SubmitAnswer
+            run={run}
+            ratio={tourRatio(graph.weights, selected, graph.optimalLen)}
+            onSubmit={handleSubmit}
+            disabled={run.paused || showHelp || showImport || showSettings || generating}
+          />
         </>
       )}
 
@@ -234,21 +315,66 @@ export default function TravelingSalesmanGame({ onBack }) {
           style={{ display: "flex", flexDirection: "row", gap: "2rem", justifyContent: "center" }}
         >
           <div className="graphs">
-            <div>Your solution:</div>
-            {renderSVG(selected)}
+            <div>Your moves:</div>
+            <MoveReplay timeline={moves.timeline} ended={gameOver} clock={run.clock} render={renderSVG} />
           </div>
           <div className="graphs">
-            <div>Correct cycle:</div>
-            {renderSVG(graph.optimal)}
+            {graph.optimal.length > 0 ? (
+              <>
+                <div>A shortest tour (one of possibly many):</div>
+                {renderSVG(graph.optimal)}
+              </>
+            ) : (
+              <div>
+                Optimal tour length: <span className="mono">{graph.optimalLen}</span>
+              </div>
+            )}
+          </div>
+          <div className="graphs">
+            <AlgorithmShowcase results={showcase} render={renderSVG} />
           </div>
           <button onClick={handleRetry} className="retry-button">
-            Retry
+            {challenge ? "Continue" : "Retry"}
           </button>
         </div>
       ) : (
-        renderSVG(selected)
+        graph && renderSVG(selected)
       )}
 
+      {(generating || error) && (
+        <GeneratingNotice progress={progress} error={error} onRetry={retry} />
+      )}
+      {showImport && (
+        <ImportExportPanel
+          title="Import/Export TSPLIB"
+          accept=".tsp,.txt"
+          placeholder={"NAME : ulysses16\nTYPE : TSP\nDIMENSION : 16\nEDGE_WEIGHT_TYPE : GEO\nOPTIMUM : 6859\nNODE_COORD_SECTION\n1 38.24 20.42\n..."}
+          onImport={handleImport}
+          exports={[
+            {
+              label: "Download .tsp",
+              filename: `${graph.name || "tsp"}.tsp`,
+              getText: () => toTsplib(graph, graph.name || "nphard"),
+            },
+          ]}
+          onClose={() => setShowImport(false)}
+        >
+          <p className="import-hint">
+            Symmetric TSPLIB files with EUC_2D, ATT, GEO or EXPLICIT weights and up to 16 cities. The
+            optimal tour is computed, which works for up to {MAX_SOLVED_CITIES} cities; beyond that an
+            "OPTIMUM : &lt;length&gt;" line has to give its length.
+          </p>
+        </ImportExportPanel>
+      )}
+
+      {showSettings && (
+        <SettingsPanel
+          gameId="traveling-salesman-game"
+          settings={settings}
+          onSave={handleSettings}
+          onClose={() => setShowSettings(false)}
+        />
+      )}
       {showHelp && (
         <div className="help-overlay" onClick={() => setShowHelp(false)}>
           <div className="help-modal" onClick={e => e.stopPropagation()}>
@@ -259,7 +385,7 @@ export default function TravelingSalesmanGame({ onBack }) {
               style={{ display: 'block', margin: '1rem auto', maxWidth: '50%', height: 'auto' }}
             />
             <p>
-              The <strong>Traveling Salesman Problem (TSP)</strong> asks for the shortest possible cycle that visits every vertex exactly once. The distance between each vertex is shown as a number next to the edge between them. Press "Reset" to de-select all vertices.
+              The <strong>Traveling Salesman Problem (TSP)</strong> asks for the shortest possible cycle that visits every vertex exactly once. The distance between each vertex is shown as a number next to the edge between them. Press "Reset" to de-select all vertices. Harder difficulties have more cities and more time.
             </p>
             <button onClick={() => setShowHelp(false)}>Got it!</button>
           </div>
@@ -1,221 +1,175 @@
-import React, { useState, useEffect, useRef, useMemo } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import './GraphCommon.css';
 import './VertexCoverGame.css';
-
-
-
-function generateGraph() {
-  const maxAttempts = 10;
-  for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    const nodeCount = Math.floor(Math.random() * 4) + 6; 
-    const nodes = Array.from({ length: nodeCount }, (_, i) => ({ id: i }));
-    const edges = [];
-    for (let i = 0; i < nodeCount; i++) {
-      for (let j = i + 1; j < nodeCount; j++) {
-        if (Math.random() < 0.3) edges.push({ u: i, v: j });
-      }
-    }
-    if (edges.length === 0) edges.push({ u: 0, v: 1 });
-    const k = findMinVertexCover(nodeCount, edges);
-    if (k !== null) return { nodes, edges, k };
-  }
-  return { nodes: [{ id: 0 }, { id: 1 }], edges: [{ u: 0, v: 1 }], k: 1 };
-}
-
-
-function generatePlanarGraph() {
-  const nodeCount = Math.floor(Math.random() * 4) + 6;
-  const minDist = 100;
-  const nodes = [];
-
-  while (nodes.length < nodeCount) {
-    const x = Math.random() * 360 + 20;
-    const y = Math.random() * 360 + 20;
-    if (!nodes.some(n => Math.hypot(n.x - x, n.y - y) < minDist)) {
-      nodes.push({ id: nodes.length, x, y });
-    }
-  }
-
-  const edges = [];
-  for (let i = 0; i < nodeCount; i++) {
-    const dists = nodes
-      .map(n => ({ id: n.id, dist: Math.hypot(n.x - nodes[i].x, n.y - nodes[i].y) }))
-      .sort((a, b) => a.dist - b.dist);
-    for (let j = 1; j <= 3 && j < dists.length; j++) {
-      const v = dists[j].id;
-      const candidate = { u: i, v };
-      if (edges.some(e => (e.u === i && e.v === v) || (e.u === v && e.v === i))) continue;
-
-      const crosses = edges.some(e => {
-        const A = nodes.find(n => n.id === e.u);
-        const B = nodes.find(n => n.id === e.v);
-        const C = nodes[i];
-        const D = nodes.find(n => n.id === v);
-        function orient(P, Q, R) {
-          return (Q.x - P.x) * (R.y - P.y) - (Q.y - P.y) * (R.x - P.x);
-        }
-        function intersect(P, Q, R, S) {
-          return (
-            orient(P, Q, R) * orient(P, Q, S) < 0 &&
-            orient(R, S, P) * orient(R, S, Q) < 0
-          );
-        }
-        return intersect(A, B, C, D);
-      });
-      if (!crosses) edges.push(candidate);
-    }
-  }
-
-  if (edges.length < nodeCount - 1) {
-    for (let i = 1; i < nodeCount; i++) edges.push({ u: i - 1, v: i });
-  }
-
-  const k = findMinVertexCover(nodeCount, edges);
-  return { nodes, edges, k };
+import { createRng } from '../utils/random';
+import { unpackInstance, packInstance, packGraph, unpackGraph } from '../utils/share';
+import { minVertexCover, MAX_SOLVER_NODES } from '../utils/solvers';
+import { usePuzzleGenerator } from '../utils/usePuzzleGenerator';
+import { useRoundSettings } from '../utils/useGameSettings';
+import { useChallenge } from '../utils/useChallenge';
+import { useRun } from '../utils/useRun';
+import { useRoundLog } from '../utils/useRoundLog';
+import { loadSession, useSessionSaver } from '../utils/session';
+import { useMoveLog } from '../utils/useMoveLog';
+import { matchingCover, greedyCover } from '../utils/approximations';
+import { vertexCoverHint } from '../utils/hints';
+import { OVER_TITLES } from '../utils/modes';
+import { SCORING } from '../utils/scoring';
+import { TIME_FACTORS } from '../puzzles/difficulty';
+import { isVertexCover, uncoveredEdges, coverRatio } from '../utils/verifiers';
+import ShareButton from './ShareButton';
+import SeedInfo from './SeedInfo';
+import GraphImportPanel from './GraphImportPanel';
+import GeneratingNotice from './GeneratingNotice';
+import SettingsPanel from './SettingsPanel';
+import TierPicker from './TierPicker';
+import MoveControls from './MoveControls';
+import MoveReplay from './MoveReplay';
+import AlgorithmShowcase from './AlgorithmShowcase';
+import HintButton from './HintButton';
+import SubmitAnswer from './SubmitAnswer';
+import ViolationsToggle from './ViolationsToggle';
+import Scoreboard from './Scoreboard';
+import RunClock from './RunClock';
+import ReductionPanel from './ReductionPanel';
+import ReductionBanner from './ReductionBanner';
+
+
+function fromShared(data) {
+  const g = data && unpackGraph(data, MAX_SOLVER_NODES);
+  if (!g) return null;
+  const round = fromImported(g, data.l);
+  return round.graph.k === data.k ? round : null;
 }
 
-
-function findMinVertexCover(n, edges) {
-  let best = null;
-  for (let mask = 0; mask < (1 << n); mask++) {
-    const sel = [];
-    for (let i = 0; i < n; i++) if (mask & (1 << i)) sel.push(i);
-    if (best !== null && sel.length >= best) continue;
-    if (edges.every(({ u, v }) => sel.includes(u) || sel.includes(v))) {
-      best = sel.length;
-    }
-  }
-  return best;
+function fromImported(g, layout = g.nodes.every(n => n.x !== undefined) ? 'planar' : 'circle') {
+  const k = minVertexCover(g.nodes.length, g.edges).size;
+  return {
+    seed: null,
+    layout: ['circle', 'grid', 'planar'].includes(layout) ? layout : 'planar',
+    graph: { ...g, k },
+  };
 }
 
+export default function VertexCoverGame({ onBack, showHelp, setShowHelp, seeded, puzzle, resume, challenge, reducedFrom, onOpenGame }) {
+  const { settings, setSettings, tier, setTier, mode, scoring } = useRoundSettings('vertex-cover', challenge);
+  const [showSettings, setShowSettings] = useState(false);
+  const TIMER = Math.round(settings.timer * TIME_FACTORS[tier]);
+  const roundOptions = useMemo(() => ({ ...settings, tier }), [settings, tier]);
+  const width = 400, height = 400, radius = 15;
 
-function getMinVertexCoverNodes(n, edges) {
-  let best = Infinity;
-  let bestSel = [];
-  for (let mask = 0; mask < (1 << n); mask++) {
-    const sel = [];
-    for (let i = 0; i < n; i++) if (mask & (1 << i)) sel.push(i);
-    if (sel.length > best) continue;
-    if (edges.every(({ u, v }) => sel.includes(u) || sel.includes(v))) {
-      if (sel.length < best) {
-        best = sel.length;
-        bestSel = sel;
-      }
-    }
-  }
-  return new Set(bestSel);
-}
-
+  const [resumed] = useState(() => (resume && !challenge ? loadSession('vertex-cover') : null));
+  const [init] = useState(() => fromShared(unpackInstance(resumed ? resumed.puzzle : puzzle)));
 
-function newRound() {
-  let layout, g;
-  do {
-    const r = Math.random();
-    layout = r < 0.30 ? 'circle' : r < 0.60 ? 'grid' : 'planar';
-    g = layout === 'planar' ? generatePlanarGraph() : generateGraph();
-  } while (layout === 'grid' && g.nodes.length > 8);
-  return { layout, graph: g };
-}
 
-export default function VertexCoverGame({ onBack }) {
-  const TIMER = 30;
-  const width = 400, height = 400, radius = 15;
+  const [seed, setSeed] = useState(init && init.seed);
+  const [layout, setLayout] = useState(init && init.layout);
+  const [graph,  setGraph]  = useState(init && init.graph);
+  const [gameOver, setGameOver] = useState(false);
+  const [errorFlash, setErrorFlash] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [showReductions, setShowReductions] = useState(false);
+  const [showViolations, setShowViolations] = useState(false);
 
-  const init = useMemo(() => newRound({
-    layoutProportions: { grid: 0.2, circle: 0.5, planar: 0.3 },
-    edgeProbability: 0.4,
-    nodeCountRange: [5, 12],
-  }), []);
+  const applyRound = next => {
+    setSeed(next.seed);
+    setLayout(next.layout);
+    setGraph(next.graph);
+    setGameOver(false);
+  };
 
+  const { generating, progress, error, options, generate, retry } = usePuzzleGenerator('vertex-cover', {
+    first: init ? null : seeded || roundOptions,
+    onReady: applyRound,
+  });
 
-  const [layout, setLayout] = useState(init.layout);
-  const [graph,  setGraph]  = useState(init.graph);
-  const [selected, setSelected] = useState(new Set());
-  const [timeLeft, setTimeLeft] = useState(TIMER);
-  const [gameOver, setGameOver] = useState(false);
-  const [score, setScore] = useState(0);
-  const [highScore, setHighScore] = useState(() => {
-    const saved = localStorage.getItem('vertexCoverHighScore');
-    return saved !== null ? Number(saved) : 0;
+  const run = useRun('vertex-cover', {
+    mode,
+    scoring,
+    tier,
+    round: graph,
+    roundTime: TIMER,
+    running: !gameOver && !showHelp && !showImport && !showSettings && !showReductions && !generating,
+    saved: resumed && resumed.run,
+  });
+  const finish = useChallenge(challenge, run.elapsed);
+  const moves = useMoveLog(graph, () => new Set(), init && resumed && resumed.selection, run.clock);
+  const selected = moves.value;
+  const { solve, isOver } = run;
+  const partial = SCORING[scoring].ratios;
+  const roundLog = useRoundLog('vertex-cover', {
+    tier,
+    size: graph ? graph.nodes.length : 0,
+    elapsed: run.elapsed,
+    onMistake: run.mistake,
   });
-  const [errorFlash, setErrorFlash] = useState(false);
-  const [showHelp, setShowHelp] = useState(false);
-  const timerRef = useRef(null);
-  
 
 
   const correctCover = useMemo(
-    () => getMinVertexCoverNodes(graph.nodes.length, graph.edges),
+    () => (graph ? new Set(minVertexCover(graph.nodes.length, graph.edges).nodes) : new Set()),
     [graph]
   );
 
-  useEffect(() => {
-    localStorage.setItem('vertexCoverHighScore', highScore);
-  }, [highScore]);
-  
-
+  // What classic algorithms find on the round, for the game-over screen.
+  const showcase = useMemo(() => {
+    if (!gameOver || !graph) return [];
+    const n = graph.nodes.length;
+    return [
+      ['Maximal matching', matchingCover(n, graph.edges)],
+      ['Greedy max degree', greedyCover(n, graph.edges)],
+    ].map(([name, nodes]) => {
+      const set = new Set(nodes);
+      const ratio = coverRatio(graph.edges, set, correctCover.size);
+      return { name, summary: `${set.size} vertices`, ratio, value: set };
+    });
+  }, [gameOver, graph, correctCover]);
 
-  useEffect(() => setSelected(new Set()), [graph]);
+  
 
 
-  useEffect(() => {
-    setTimeLeft(TIMER);
-  }, [graph]);
-
+  useEffect(() => roundLog.start(), [graph, roundLog]);
 
   useEffect(() => {
+    if (errorFlash) roundLog.mistake();
+  }, [errorFlash, roundLog]);
 
-    clearInterval(timerRef.current);
-
-    if (!gameOver && !showHelp) {
-      timerRef.current = setInterval(() => {
-        setTimeLeft(t => t - 1);
-      }, 1000);
-    }
-
-
-    return () => clearInterval(timerRef.current);
-  }, [gameOver, showHelp]);
 
   useEffect(() => {
-    if (timeLeft <= 0) {
-      clearInterval(timerRef.current);
-      setGameOver(true); 
-      setHighScore(hs => Math.max(hs, score));
+    if (run.over) {
+      setGameOver(run.over);
+      roundLog.end(false);
     }
-  }, [timeLeft, score]);
+  }, [run.over, roundLog]);
 
 
-  const startNext = () => {
-    const next = newRound();
-    setLayout(next.layout);
-    setGraph(next.graph); 
-    setGameOver(false);
-    setTimeLeft(TIMER);
-  };
+  const startNext = () => generate(roundOptions);
 
 
   useEffect(() => {
-    const { edges, k } = graph;
-    if (
-      edges.every(({ u, v }) => selected.has(u) || selected.has(v)) &&
-      selected.size === k
-    ) {
-      setScore(s => s + 1);
-      setTimeout(startNext, 500);
+    if (!graph) return;
+    if (isVertexCover(graph.edges, selected, graph.k)) {
+      solve();
+      roundLog.end(true);
+      setTimeout(() => {
+        if (!finish(true) && !isOver()) generate(roundOptions);
+      }, 500);
+    } else if (selected.size === graph.k && !partial) {
+      // Every vertex used up without covering every edge.
+      roundLog.mistake();
     }
-  }, [selected, graph]);
+  }, [selected, graph, partial, roundOptions, generate, finish, roundLog, solve, isOver]);
 
 
   const handleNodeClick = id => {
-    if (gameOver || showHelp) return;
-    setSelected(prev => {
+    if (gameOver || showHelp || showImport || showSettings || showReductions || generating) return;
+    moves.move(prev => {
       const c = new Set(prev);
       if (c.has(id)) {
         c.delete(id);
         return c;
       }
-      if (c.size < graph.k) {
+      // Partial credit takes larger covers too.
+      if (c.size < graph.k || partial) {
         c.add(id);
         return c;
       }
@@ -226,20 +180,47 @@ export default function VertexCoverGame({ onBack }) {
   };
 
 
+  const handleSettings = next => {
+    setSettings(next);
+    setShowSettings(false);
+    run.restart();
+    generate({ ...next, tier });
+  };
+
+  // A new tier starts a new run, so scores from different tiers never mix.
+  const handleTier = id => {
+    setTier(id);
+    run.restart();
+    generate({ ...settings, tier: id });
+  };
+
   const handleRetry = () => {
-    setScore(0);
+    if (finish(false)) return;
+    run.restart();
     startNext();
   };
 
+  // An imported graph starts a new run, so it never scores toward one
+  // played on generated rounds.
+  const handleImport = g => {
+    const round = fromImported(g);
+    run.restart();
+    applyRound(round);
+    setShowImport(false);
+  };
+
 
   const positions = useMemo(() => {
+    if (!graph) return [];
+    if (graph.nodes.every(n => n.x !== undefined)) return graph.nodes;
     if (layout === 'grid' && graph.nodes.length <= 8) {
+      const rng = createRng(`${seed}/layout`);
       const cols = 4, rows = 2;
       const xSp = width / (cols + 1), ySp = height / (rows + 1);
       const spots = Array.from({ length: cols * rows }, (_, i) => ({
         row: Math.floor(i / cols),
         col: i % cols
-      })).sort(() => Math.random() - 0.5);
+      })).sort(() => rng() - 0.5);
       return graph.nodes.map((n, i) => ({
         ...n,
         x: xSp * (spots[i].col + 1),
@@ -254,7 +235,7 @@ export default function VertexCoverGame({ onBack }) {
     } else {
       return graph.nodes;
     }
-  }, [graph, layout]);
+  }, [graph, layout, seed]);
 
   const renderSVG = highlightSet => (
     <svg width={width} height={height} className="svg">
@@ -272,7 +253,7 @@ export default function VertexCoverGame({ onBack }) {
             <path
               key={i}
               d={`M ${u.x},${u.y} Q ${cx},${cy} ${v.x},${v.y}`}
-              className={bold ? 'edge bold' : 'edge'}
+              className={bold ? 'edge bold' : showViolations ? 'edge violation' : 'edge'}
             />
           );
         } else {
@@ -281,7 +262,7 @@ export default function VertexCoverGame({ onBack }) {
               key={i}
               x1={u.x} y1={u.y}
               x2={v.x} y2={v.y}
-              className={bold ? 'edge bold' : 'edge'}
+              className={bold ? 'edge bold' : showViolations ? 'edge violation' : 'edge'}
             />
           );
         }
@@ -311,12 +292,39 @@ export default function VertexCoverGame({ onBack }) {
     </svg>
   );
 
+  // Under partial credit a valid answer short of the best can be submitted.
+  const handleSubmit = ratio => {
+    solve(ratio);
+    roundLog.end(true);
+    setTimeout(() => {
+      if (!finish(true) && !isOver()) generate(roundOptions);
+    }, 500);
+  };
+
+  const shareInstance = () => ({ l: layout, ...packGraph(positions, graph.edges), k: graph.k });
+  useSessionSaver('vertex-cover', {
+    enabled: !challenge,
+    snapshot: () =>
+      graph && run.progress && { puzzle: packInstance(shareInstance()), selection: selected, run: run.progress },
+    paused: run.paused,
+    over: run.over,
+  });
+
   return (
     <div className="graph-container">
       <button className="back-button" onClick={onBack}>
         Main Menu
       </button>
       <button className="help-button" onClick={() => setShowHelp(true)}>?</button>
+      {graph && !challenge && (
+        <>
+          <ShareButton getInstance={shareInstance} />
+          <button className="import-button" onClick={() => setShowImport(true)}>Import / Export</button>
+        </>
+      )}
+      {!challenge && (
+        <button className="settings-button" onClick={() => setShowSettings(true)}>Settings</button>
+      )}
 
 
       {!gameOver && <h1 className="header">Vertex Cover Challenge</h1>}
@@ -325,37 +333,110 @@ export default function VertexCoverGame({ onBack }) {
         Layout: <span className="mono">{layout}</span> | Nodes: <span className="mono">{graph.nodes.length}, {}</span>
       </div>
       */}
-      {gameOver && <h1 className="game-over-text">Time's up!</h1>}
-      <div className="scoreboard">
-        Score: <span className="mono">{score}</span> | High Score: <span className="mono">{highScore}</span>
-      </div>
-      {!gameOver && (
+      {gameOver && <h1 className="game-over-text">{OVER_TITLES[gameOver]}</h1>}
+      {!gameOver && !challenge && (
+        <TierPicker gameId="vertex-cover" tier={tier} onChange={handleTier} timer={settings.timer} />
+      )}
+      <Scoreboard run={run} />
+      <SeedInfo gameId="vertex-cover" seed={seed} options={options} />
+      <ReductionBanner reducedFrom={reducedFrom} round={graph} selection={selected} onOpenGame={onOpenGame} />
+      {!gameOver && graph && (
         
         <div className={`stats ${errorFlash ? 'error' : ''}`}>
-          Time Left: <span className="mono">{timeLeft}s</span> | You can use {' '}
-          <span className="mono">{graph.k - selected.size}</span> more vertices
+          <RunClock run={run} /> |{' '}
+          {partial ? (
+            <>
+              Cover size <span className="mono">{selected.size}</span>, best <span className="mono">{graph.k}</span>
+            </>
+          ) : (
+            <>
+              You can use <span className="mono">{graph.k - selected.size}</span> more vertices
+            </>
+          )}
         </div>
       )}
+      {!gameOver && graph && (
+        <MoveControls moves={moves} disabled={run.paused || showHelp || showImport || showSettings || generating} />
+      )}
+      {!gameOver && graph && (
+        <HintButton
+          value={selected}
+          getHint={() => vertexCoverHint(graph.edges, selected, correctCover)}
+          onMove={moves.move}
+          onPenalty={run.penalize}
+          disabled={showHelp || showImport || showSettings || generating}
+        />
+      )}
+      {!gameOver && graph && (
+        <SubmitAnswer
+          run={run}
+          ratio={coverRatio(graph.edges, selected, graph.k)}
+          onSubmit={handleSubmit}
+          disabled={run.paused || showHelp || showImport || showSettings || generating}
+        />
+      )}
+      {!gameOver && graph && (
+        <ViolationsToggle
+          checked={showViolations}
+          onChange={setShowViolations}
+          count={uncoveredEdges(graph.edges, selected).length}
+          label="uncovered edges"
+        />
+      )}
 
+      {graph && !challenge && (gameOver || run.mode.study) && (
+        <button className="watch-button" onClick={() => setShowReductions(true)}>Reduce…</button>
+      )}
       {gameOver ? (
         <div className="game-over" >
           <div className="graphs">
             <div>
-              <div>Your selection:</div>
-              {renderSVG(selected)}
+              <div>Your moves:</div>
+              <MoveReplay timeline={moves.timeline} ended={gameOver} clock={run.clock} render={renderSVG} />
             </div>
             <div>
-              <div>Correct cover of {correctCover.size} vertices:</div>
+              <div>A minimum cover of {correctCover.size} vertices (one of possibly many):</div>
               {renderSVG(correctCover)}
             </div>
+            <div>
+              <AlgorithmShowcase results={showcase} render={renderSVG} />
+            </div>
           </div>
           <button onClick={handleRetry} className="retry-button">
-            Retry
+            {challenge ? 'Continue' : 'Retry'}
           </button>
         </div>
       ) : (
-        renderSVG(selected)
+        graph && renderSVG(selected)
       )}
+{(generating || error) && (
+  <GeneratingNotice progress={progress} error={error} onRetry={retry} />
+)}
+{showImport && (
+  <GraphImportPanel
+    maxNodes={MAX_SOLVER_NODES}
+    graph={graph}
+    positions={positions}
+    onImport={handleImport}
+    onClose={() => setShowImport(false)}
+  />
+)}
+{showReductions && (
+  <ReductionPanel
+    gameId="vertex-cover"
+    getInstance={shareInstance}
+    onOpenGame={onOpenGame}
+    onClose={() => setShowReductions(false)}
+  />
+)}
+{showSettings && (
+  <SettingsPanel
+    gameId='vertex-cover'
+    settings={settings}
+    onSave={handleSettings}
+    onClose={() => setShowSettings(false)}
+  />
+)}
 {showHelp && (
   <div className="help-overlay" onClick={() => setShowHelp(false)}>
     <div className="help-modal" onClick={e => e.stopPropagation()}>
@@ -0,0 +1,18 @@
+import React from 'react';
+import './GraphCommon.css';
+
+/**
+ * The "Show violations" switch of the graph games. While it is on, the
+ * game marks the edges that break the rule (see the violation helpers in
+ * utils/verifiers.js) and count says how many there are, naming them with
+ * `label` ("uncovered edges" and the like).
+ */
+export default function ViolationsToggle({ checked, onChange, count, label }) {
+  return (
+    <label className="violations-toggle">
+      <input type="checkbox" checked={checked} onChange={e => onChange(e.target.checked)} />
+      Show violations
+      {checked && <span className="violations-count">: <span className="mono">{count}</span> {label}</span>}
+    </label>
+  );
+}
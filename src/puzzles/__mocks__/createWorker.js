@@ -0,0 +1,4 @@
+// jsdom has no workers; generators run inline on the main thread instead.
+export default function createWorker() {
+  return null;
+}
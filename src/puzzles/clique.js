@@ -0,0 +1,98 @@
+import { createRng, randomSeed } from '../utils/random';
+import { maxClique } from '../utils/solvers';
+import { defaultSettings, MAX_GRID_NODES } from './settings';
+import { randomInt, layoutMix, pickLayout, scatterPoints, binomial, countIndependentSets, complementEdges } from './graphs';
+import { rarity } from './difficulty';
+
+function generateGraph(rng, nodeCountRange, edgeProbability) {
+  const maxAttempts = 10;
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const nodeCount = randomInt(rng, nodeCountRange);
+    const nodes = Array.from({ length: nodeCount }, (_, i) => ({ id: i }));
+    const edges = [];
+    for (let i = 0; i < nodeCount; i++) {
+      for (let j = i + 1; j < nodeCount; j++) {
+        if (rng() < edgeProbability) edges.push({ u: i, v: j });
+      }
+    }
+    if (edges.length === 0) edges.push({ u: 0, v: 1 });
+    const k = maxClique(nodeCount, edges).size; 
+    if (k > 1) return { nodes, edges, k };
+  }
+
+  return { nodes: [{ id: 0 }, { id: 1 }], edges: [{ u: 0, v: 1 }], k: 2 };
+}
+
+
+function generatePlanarGraph(rng, nodeCountRange) {
+  const nodeCount = randomInt(rng, nodeCountRange);
+  const nodes = scatterPoints(rng, nodeCount);
+  const edges = [];
+  for (let i = 0; i < nodeCount; i++) {
+    const dists = nodes
+      .map(n => ({ id: n.id, dist: Math.hypot(n.x - nodes[i].x, n.y - nodes[i].y) }))
+      .sort((a, b) => a.dist - b.dist);
+    for (let j = 1; j <= 3 && j < dists.length; j++) {
+      const v = dists[j].id;
+      if (edges.some(e => (e.u === i && e.v === v) || (e.u === v && e.v === i))) continue;
+      const crosses = edges.some(e => {
+        const A = nodes.find(n => n.id === e.u);
+        const B = nodes.find(n => n.id === e.v);
+        const C = nodes[i];
+        const D = nodes.find(n => n.id === v);
+        function orient(P, Q, R) {
+          return (Q.x - P.x) * (R.y - P.y) - (Q.y - P.y) * (R.x - P.x);
+        }
+        function intersect(P, Q, R, S) {
+          return (
+            orient(P, Q, R) * orient(P, Q, S) < 0 &&
+            orient(R, S, P) * orient(R, S, Q) < 0
+          );
+        }
+        return intersect(A, B, C, D);
+      });
+      if (!crosses) edges.push({ u: i, v });
+    }
+  }
+  if (edges.length < nodeCount - 1) {
+    for (let i = 1; i < nodeCount; i++) edges.push({ u: i - 1, v: i });
+  }
+  const k = maxClique(nodeCount, edges).size;  
+  return { nodes, edges, k };
+}
+
+
+const DEFAULTS = defaultSettings('clique-game');
+
+// Calibrated on the measured hardness below; medium is the default settings.
+export const TIERS = {
+  easy: { options: { nodeCountRange: [6, 9], edgeProbability: 0.6 }, hardness: [0, 3.5] },
+  medium: { options: { nodeCountRange: [8, 11], edgeProbability: 0.8 }, hardness: [3.5, 5] },
+  hard: { options: { nodeCountRange: [11, 13], edgeProbability: 0.75 }, hardness: [5, 7.5] },
+  expert: { options: { nodeCountRange: [13, 16], edgeProbability: 0.8 }, hardness: [7.5, Infinity] },
+};
+
+export function newRound({
+  seed = randomSeed(),
+  nodeCountRange = DEFAULTS.nodeCountRange,
+  edgeProbability = DEFAULTS.edgeProbability,
+  layoutProportions = DEFAULTS.layoutProportions,
+} = {}) {
+  const rng = createRng(seed);
+  const mix = layoutMix(layoutProportions, nodeCountRange);
+  let layout, g;
+  do {
+    layout = pickLayout(rng, mix);
+    g = layout === 'planar'
+      ? generatePlanarGraph(rng, nodeCountRange)
+      : generateGraph(rng, nodeCountRange, edgeProbability);
+  } while (layout === 'grid' && g.nodes.length > MAX_GRID_NODES);
+  return { seed, layout, graph: g };
+}
+
+// How rare maximum cliques are among the sets of k vertices, in bits. A
+// clique is an independent set of the complement graph.
+export function hardness({ graph: { nodes, edges, k } }) {
+  const n = nodes.length;
+  return rarity(binomial(n, k), countIndependentSets(n, complementEdges(n, edges), k));
+}
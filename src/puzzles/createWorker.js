@@ -0,0 +1,5 @@
+// Kept apart so tests can swap it out: jest cannot parse import.meta.
+export default function createWorker() {
+  if (typeof Worker === 'undefined') return null;
+  return new Worker(new URL('./puzzle.worker.js', import.meta.url));
+}
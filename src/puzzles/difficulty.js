@@ -0,0 +1,51 @@
+import { randomSeed } from '../utils/random';
+
+// Difficulty tiers. A generator module with tiers exports
+//   TIERS       { [tierId]: { options, hardness: [min, max] } }
+//   hardness    round => a measured difficulty signal of that round
+// A tiered round is generated with the tier's options on top of the player's
+// settings, and redrawn until its hardness lies in the tier's band. The
+// redraws use seeds derived from the round's seed, so a seed and a tier
+// still name one puzzle. "Custom" plays the settings as they are.
+
+export const TIER_LABELS = {
+  easy: 'Easy',
+  medium: 'Medium',
+  hard: 'Hard',
+  expert: 'Expert',
+  custom: 'Custom',
+};
+
+// Multiples of the game's time limit setting.
+export const TIME_FACTORS = { easy: 1, medium: 1.5, hard: 2, expert: 3, custom: 1 };
+
+const MAX_DRAWS = 40;
+
+// How unlikely a blind guess among `candidates` equally plausible answers is
+// to be one of the `solutions`, in bits.
+export function rarity(candidates, solutions) {
+  return Math.log2(candidates / Math.max(1, solutions));
+}
+
+/**
+ * Generates a round of `tier` with module.newRound. Without a known tier the
+ * round is generated from the options alone. When no draw lands in the band
+ * the closest one is used. The round records its tier and, if tiered, its
+ * hardness.
+ */
+export function tieredRound(module, { tier, seed = randomSeed(), ...options } = {}, onProgress = () => {}) {
+  const preset = module.TIERS && module.TIERS[tier];
+  if (!preset) return { ...module.newRound({ ...options, seed }, onProgress), tier: 'custom' };
+
+  const [min, max] = preset.hardness;
+  let best = null;
+  for (let draw = 0; draw < MAX_DRAWS; draw++) {
+    onProgress(draw / MAX_DRAWS);
+    const round = module.newRound({ ...options, ...preset.options, seed: draw === 0 ? seed : `${seed}#${draw}` });
+    const hardness = module.hardness(round);
+    const miss = hardness < min ? min - hardness : hardness > max ? hardness - max : 0;
+    if (!best || miss < best.miss) best = { round, hardness, miss };
+    if (miss === 0) break;
+  }
+  return { ...best.round, seed, tier, hardness: best.hardness };
+}
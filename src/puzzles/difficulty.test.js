@@ -0,0 +1,54 @@
+import { GENERATORS, GAME_TIERS } from '.';
+import * as subsetSum from './subsetSum';
+import * as threeColor from './threeColor';
+import * as tsp from './tsp';
+import { countIndependentSets, complementEdges } from './graphs';
+import { countHamiltonianCycles } from './hamCycle';
+import { countSubsetSums } from './subsetSum';
+
+const ring = n => Array.from({ length: n }, (_, i) => ({ u: i, v: (i + 1) % n }));
+
+test('the hardness counts match small hand-counted cases', () => {
+  // A 5-cycle has five independent pairs and no independent triple.
+  expect(countIndependentSets(5, ring(5), 2)).toBe(5);
+  expect(countIndependentSets(5, ring(5), 3)).toBe(0);
+  expect(complementEdges(4, ring(4))).toEqual([{ u: 0, v: 2 }, { u: 1, v: 3 }]);
+  // K4 has three Hamiltonian cycles, a ring exactly one.
+  const k4 = [...ring(4), { u: 0, v: 2 }, { u: 1, v: 3 }];
+  expect(countHamiltonianCycles(4, k4)).toBe(3);
+  expect(countHamiltonianCycles(6, ring(6))).toBe(1);
+  // {1, 4}, {2, 3} and {5} sum to 5.
+  expect(countSubsetSums([1, 2, 3, 4, 5])[5]).toBe(3);
+});
+
+test('tiered rounds are reproducible and land in their band', () => {
+  Object.keys(GENERATORS).forEach(id => {
+    GAME_TIERS[id].filter(tier => tier !== 'custom').forEach(tier => {
+      const round = GENERATORS[id]({ seed: 'tier7', tier });
+      expect(round.seed).toBe('tier7');
+      expect(round.tier).toBe(tier);
+      expect(GENERATORS[id]({ seed: 'tier7', tier })).toEqual(round);
+    });
+  });
+  [
+    ['subset-sum-game', subsetSum],
+    ['three-color-game', threeColor],
+    ['traveling-salesman-game', tsp],
+  ].forEach(([id, module]) => {
+    Object.entries(module.TIERS).forEach(([tier, { hardness: [min, max] }]) => {
+      for (let s = 0; s < 5; s++) {
+        const round = GENERATORS[id]({ seed: `b${s}`, tier });
+        expect(round.hardness).toBe(module.hardness(round));
+        expect(round.hardness).toBeGreaterThanOrEqual(min);
+        expect(round.hardness).toBeLessThanOrEqual(max);
+      }
+    });
+  });
+});
+
+test('untiered and custom rounds follow the settings alone', () => {
+  const custom = GENERATORS['subset-sum-game']({ seed: 'c', tier: 'custom', itemCountRange: [12, 12] });
+  expect(custom.values).toHaveLength(12);
+  expect(custom).toEqual({ ...subsetSum.newRound({ seed: 'c', itemCountRange: [12, 12] }), tier: 'custom' });
+  expect(GAME_TIERS['traveling-salesman-game']).not.toContain('custom');
+});
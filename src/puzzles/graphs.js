@@ -0,0 +1,89 @@
+import { MAX_GRID_NODES } from './settings';
+
+// Helpers shared by the graph generators. Each draws from the round's rng in
+// a fixed order, so changing them changes what existing seeds produce.
+
+const LAYOUTS = ['circle', 'grid', 'planar'];
+
+export function randomInt(rng, [min, max]) {
+  return Math.floor(rng() * (max - min + 1)) + min;
+}
+
+// Drops the grid layout when no graph in the node range would fit on it.
+export function layoutMix(proportions, [minNodes]) {
+  const mix = { ...proportions };
+  if (minNodes > MAX_GRID_NODES) mix.grid = 0;
+  return LAYOUTS.some(name => mix[name] > 0) ? mix : { planar: 1 };
+}
+
+// Picks a layout with probability proportional to its weight, using one
+// draw from rng.
+export function pickLayout(rng, mix) {
+  const total = LAYOUTS.reduce((sum, name) => sum + (mix[name] || 0), 0);
+  const r = rng();
+  let acc = 0;
+  let last = 'planar';
+  for (const name of LAYOUTS) {
+    if (!(mix[name] > 0)) continue;
+    acc += mix[name] / total;
+    last = name;
+    if (r < acc) return name;
+  }
+  return last;
+}
+
+// Scatters `count` points over a size x size box offset by `margin`, keeping
+// them at least minDist apart. The distance shrinks with the count so that
+// large graphs still fit, and again whenever a point keeps failing to fit.
+export function scatterPoints(rng, count, { size = 360, margin = 20, minDist = 100 } = {}) {
+  let dist = Math.min(minDist, 0.85 * Math.sqrt((size * size) / count));
+  const points = [];
+  let misses = 0;
+  while (points.length < count) {
+    if (++misses % 5000 === 0) dist *= 0.9;
+    const x = rng() * size + margin;
+    const y = rng() * size + margin;
+    const gap = dist;
+    if (!points.some(p => Math.hypot(p.x - x, p.y - y) < gap)) {
+      points.push({ id: points.length, x, y });
+      misses = 0;
+    }
+  }
+  return points;
+}
+
+export function binomial(n, k) {
+  let c = 1;
+  for (let i = 1; i <= k; i++) c = (c * (n - k + i)) / i;
+  return Math.round(c);
+}
+
+export function complementEdges(n, edges) {
+  const present = new Set(edges.map(({ u, v }) => (u < v ? `${u},${v}` : `${v},${u}`)));
+  const missing = [];
+  for (let u = 0; u < n; u++) {
+    for (let v = u + 1; v < n; v++) if (!present.has(`${u},${v}`)) missing.push({ u, v });
+  }
+  return missing;
+}
+
+// Number of independent sets of exactly `size` vertices. Sets grow in vertex
+// order and neighbours of a chosen vertex are skipped, which is quick enough
+// for the up to 16 vertices of the tiers.
+export function countIndependentSets(n, edges, size) {
+  const adj = Array(n).fill(0);
+  edges.forEach(({ u, v }) => {
+    if (u === v) return;
+    adj[u] |= 1 << v;
+    adj[v] |= 1 << u;
+  });
+  const count = (from, blocked, left) => {
+    if (left === 0) return 1;
+    let total = 0;
+    for (let v = from; v <= n - left; v++) {
+      if (!(blocked & (1 << v))) total += count(v + 1, blocked | adj[v], left - 1);
+    }
+    return total;
+  };
+  return count(0, 0, size);
+}
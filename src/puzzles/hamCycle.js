@@ -0,0 +1,141 @@
+import { createRng, randomSeed } from '../utils/random';
+import { defaultSettings, MAX_GRID_NODES } from './settings';
+import { randomInt, layoutMix, pickLayout } from './graphs';
+import { rarity } from './difficulty';
+
+function generateHamiltonianGraph(rng, nodeCountRange, edgeProbability, onProgress) {
+  const maxAttempts = 20;
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    onProgress(attempt / maxAttempts);
+    const nodeCount = randomInt(rng, nodeCountRange);
+    const nodes = Array.from({ length: nodeCount }, (_, i) => ({ id: i }));
+    const edges = [];
+    const cycle = nodes.map(n => n.id).sort(() => rng() - 0.5);
+    for (let i = 0; i < nodeCount; i++) {
+      const u = cycle[i];
+      const v = cycle[(i + 1) % nodeCount];
+      edges.push({ u, v });
+    }
+    for (let i = 0; i < nodeCount; i++) {
+      for (let j = i + 1; j < nodeCount; j++) {
+        if (
+          rng() < edgeProbability &&
+          !edges.some(e =>
+            (e.u === i && e.v === j) || (e.u === j && e.v === i)
+          )
+        ) {
+          edges.push({ u: i, v: j });
+        }
+      }
+    }
+    const cycleFound = findHamiltonianCycle(nodeCount, edges);
+    if (cycleFound) {
+      return { nodes, edges, cycle: cycleFound };
+    }
+  }
+  return {
+    nodes: [{ id: 0 }, { id: 1 }, { id: 2 }],
+    edges: [
+      { u: 0, v: 1 },
+      { u: 1, v: 2 },
+      { u: 2, v: 0 }
+    ],
+    cycle: [0, 1, 2]
+  };
+}
+
+// Backtracking from vertex 0, which every Hamiltonian cycle passes. If
+// given, onStep(step) hears of every move with the path so far:
+// { kind: 'visit' } when the path reaches a vertex, { kind: 'close' } or
+// { kind: 'open' } once it holds every vertex and does or does not lead
+// back to 0, and { kind: 'dead-end' } when no way on from its end is left.
+export function findHamiltonianCycle(n, edges, onStep = null) {
+  const adj = Array.from({ length: n }, () => new Set());
+  edges.forEach(({ u, v }) => {
+    adj[u].add(v);
+    adj[v].add(u);
+  });
+  const path = [];
+  const used = Array(n).fill(false);
+
+  function dfs(u, depth) {
+    path.push(u);
+    used[u] = true;
+    if (onStep) onStep({ kind: 'visit', path });
+    if (depth === n) {
+      const closed = adj[u].has(path[0]);
+      if (onStep) onStep({ kind: closed ? 'close' : 'open', path });
+      if (closed) return true;
+      used[u] = false;
+      path.pop();
+      return false;
+    }
+    for (let v of adj[u]) {
+      if (!used[v] && dfs(v, depth + 1)) return true;
+    }
+    if (onStep) onStep({ kind: 'dead-end', path });
+    used[u] = false;
+    path.pop();
+    return false;
+  }
+
+  return n > 0 && dfs(0, 1) ? [...path] : null;
+}
+
+const DEFAULTS = defaultSettings('ham-cycle-game');
+
+// Calibrated on the measured hardness below; easy is the default settings.
+export const TIERS = {
+  easy: { options: { nodeCountRange: [5, 8], edgeProbability: 0.2 }, hardness: [0, 9] },
+  medium: { options: { nodeCountRange: [8, 10], edgeProbability: 0.15 }, hardness: [9, 16] },
+  hard: { options: { nodeCountRange: [10, 13], edgeProbability: 0.12 }, hardness: [16, 26] },
+  expert: { options: { nodeCountRange: [13, 16], edgeProbability: 0.1 }, hardness: [26, Infinity] },
+};
+
+export function newRound(
+  {
+    seed = randomSeed(),
+    nodeCountRange = DEFAULTS.nodeCountRange,
+    edgeProbability = DEFAULTS.edgeProbability,
+    layoutProportions = DEFAULTS.layoutProportions,
+  } = {},
+  onProgress = () => {}
+) {
+  const rng = createRng(seed);
+  const mix = layoutMix(layoutProportions, nodeCountRange);
+  let layout, g;
+  do {
+    layout = pickLayout(rng, mix);
+    g = generateHamiltonianGraph(rng, nodeCountRange, edgeProbability, onProgress);
+  } while (layout === 'grid' && g.nodes.length > MAX_GRID_NODES);
+  return { seed, layout, graph: g };
+}
+
+// Number of distinct Hamiltonian cycles, found by extending paths from
+// vertex 0; each cycle is walked once in either direction.
+export function countHamiltonianCycles(n, edges) {
+  const adj = Array(n).fill(0);
+  edges.forEach(({ u, v }) => {
+    adj[u] |= 1 << v;
+    adj[v] |= 1 << u;
+  });
+  const all = (1 << n) - 1;
+  const walk = (u, visited) => {
+    if (visited === all) return (adj[u] & 1) ? 1 : 0;
+    let total = 0;
+    for (let v = 1; v < n; v++) {
+      if ((adj[u] & (1 << v)) && !(visited & (1 << v))) total += walk(v, visited | (1 << v));
+    }
+    return total;
+  };
+  return n < 3 ? 0 : walk(0, 1) / 2;
+}
+
+// How rare Hamiltonian cycles are among the (n - 1)!/2 ways to order the
+// vertices into a cycle, in bits.
+export function hardness({ graph: { nodes, edges } }) {
+  const n = nodes.length;
+  let orders = 1;
+  for (let i = 3; i < n; i++) orders *= i;
+  return rarity(orders, countHamiltonianCycles(n, edges));
+}
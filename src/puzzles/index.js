@@ -0,0 +1,39 @@
+// Round generators by game id. Each takes (options, onProgress) and returns
+// a plain, structured-cloneable round object, so it can run in the worker.
+// options.tier picks a difficulty tier, see difficulty.js.
+import * as vertexCover from './vertexCover';
+import * as independentSet from './independentSet';
+import * as clique from './clique';
+import * as threeColor from './threeColor';
+import * as hamCycle from './hamCycle';
+import * as tsp from './tsp';
+import * as threeSat from './threeSat';
+import * as subsetSum from './subsetSum';
+import * as partition from './partition';
+import { tieredRound } from './difficulty';
+import { SETTINGS, shapesPuzzle } from './settings';
+
+const MODULES = {
+  'vertex-cover': vertexCover,
+  'independent-set': independentSet,
+  'clique-game': clique,
+  'three-color-game': threeColor,
+  'ham-cycle-game': hamCycle,
+  'traveling-salesman-game': tsp,
+  'three-sat-game': threeSat,
+  'subset-sum-game': subsetSum,
+  'partition-game': partition,
+};
+
+export const GENERATORS = Object.fromEntries(
+  Object.entries(MODULES).map(([id, module]) => [id, (options, onProgress) => tieredRound(module, options, onProgress)])
+);
+
+// The tiers each game offers, easiest first. Custom is only offered where
+// the settings shape the puzzle and not just the clock.
+export const GAME_TIERS = Object.fromEntries(
+  Object.entries(MODULES).map(([id, module]) => {
+    const shaped = SETTINGS[id].some(shapesPuzzle);
+    return [id, [...Object.keys(module.TIERS), ...(shaped ? ['custom'] : [])]];
+  })
+);
@@ -0,0 +1,116 @@
+import { createRng, randomSeed } from '../utils/random';
+import { defaultSettings } from './settings';
+import { rarity } from './difficulty';
+import { countSubsetSums } from './subsetSum';
+
+const MISSES_PER_MASK = 200000;
+const MAX_MASKS = 10;
+
+// Whether a sides of a values and b values can have equal sums when every
+// value lies in [minValue, maxValue].
+const canBalance = (a, b, minValue, maxValue) => a * minValue <= b * maxValue && b * minValue <= a * maxValue;
+
+function generatePartitionProblem(
+  rng,
+  minItems = 5,
+  maxItems = 8,
+  minValue = 1,
+  maxValue = 20
+) {
+  const sizes = [];
+  for (let n = minItems; n <= maxItems; n++) {
+    for (let a = 1; a < n; a++) {
+      if (canBalance(a, n - a, minValue, maxValue)) {
+        sizes.push(n);
+        break;
+      }
+    }
+  }
+  if (sizes.length === 0) {
+    throw new Error('No Partition puzzle fits these settings; try a wider value range.');
+  }
+  const drawn = Math.floor(rng() * (maxItems - minItems + 1)) + minItems;
+  // Fall back to the nearest size that can be split at all.
+  const size = sizes.reduce((best, n) => (Math.abs(n - drawn) < Math.abs(best - drawn) ? n : best));
+  let mask, maskIndices, compIndices;
+  let misses = 0;
+
+  // Splits that cannot balance are redrawn straight away; ones that merely
+  // make balancing values unlikely (say, one value against seven) are given
+  // up on after a while.
+  const drawMask = () => {
+    let count;
+    do {
+      mask = Array.from({ length: size }, () => rng() < 0.5);
+      count = mask.filter(Boolean).length;
+    } while (count === 0 || count === size || !canBalance(count, size - count, minValue, maxValue));
+    maskIndices = mask.map((m, i) => (m ? i : -1)).filter(i => i >= 0);
+    compIndices = mask.map((m, i) => (!m ? i : -1)).filter(i => i >= 0);
+  };
+  drawMask();
+
+  let values;
+  while (true) {
+    if (++misses % MISSES_PER_MASK === 0) {
+      if (misses >= MISSES_PER_MASK * MAX_MASKS) {
+        throw new Error('No Partition puzzle fits these settings; try a wider value range.');
+      }
+      drawMask();
+    }
+
+    const xs = maskIndices.map(
+      () => Math.floor(rng() * (maxValue - minValue + 1)) + minValue
+    );
+    const sumX = xs.reduce((a, b) => a + b, 0);
+
+    let ys = [];
+    const c = compIndices.length;
+    if (c === 1) {
+      if (sumX < minValue || sumX > maxValue) continue;
+      ys = [sumX];
+    } else {
+
+      ys = compIndices.slice(0, c - 1).map(
+        () => Math.floor(rng() * (maxValue - minValue + 1)) + minValue
+      );
+      const sumY = ys.reduce((a, b) => a + b, 0);
+      const last = sumX - sumY;
+      if (last < minValue || last > maxValue) continue;
+      ys.push(last);
+    }
+
+    values = Array(size);
+    maskIndices.forEach((idx, i) => (values[idx] = xs[i]));
+    compIndices.forEach((idx, i) => (values[idx] = ys[i]));
+
+    
+    break;
+  }
+  return { values, mask };
+}
+
+const DEFAULTS = defaultSettings('partition-game');
+
+// Calibrated on the measured hardness below; easy is the default settings.
+export const TIERS = {
+  easy: { options: { itemCountRange: [5, 8], valueRange: [1, 20] }, hardness: [0, 5] },
+  medium: { options: { itemCountRange: [8, 10], valueRange: [1, 50] }, hardness: [5, 7] },
+  hard: { options: { itemCountRange: [10, 12], valueRange: [1, 200] }, hardness: [7, 9.5] },
+  expert: { options: { itemCountRange: [12, 16], valueRange: [1, 1000] }, hardness: [9.5, Infinity] },
+};
+
+export function newRound({
+  seed = randomSeed(),
+  itemCountRange = DEFAULTS.itemCountRange,
+  valueRange = DEFAULTS.valueRange,
+} = {}) {
+  const [minItems, maxItems] = itemCountRange;
+  const [minValue, maxValue] = valueRange;
+  return { seed, ...generatePartitionProblem(createRng(seed), minItems, maxItems, minValue, maxValue) };
+}
+
+// How rare the equal splits are among all 2^n ways to split, in bits.
+export function hardness({ values }) {
+  const total = values.reduce((a, b) => a + b, 0);
+  return rarity(2 ** values.length, countSubsetSums(values)[total / 2]);
+}
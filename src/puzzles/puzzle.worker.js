@@ -0,0 +1,20 @@
+/* eslint-disable no-restricted-globals */
+import { GENERATORS } from './index';
+
+// Progress is reported in whole percents so a tight loop does not flood the
+// main thread with messages.
+self.onmessage = ({ data: { id, gameId, options } }) => {
+  let last = -1;
+  const onProgress = fraction => {
+    const percent = Math.floor(fraction * 100);
+    if (percent === last) return;
+    last = percent;
+    self.postMessage({ id, progress: percent / 100 });
+  };
+  try {
+    const round = GENERATORS[gameId](options, onProgress);
+    self.postMessage({ id, round });
+  } catch (e) {
+    self.postMessage({ id, error: e.message });
+  }
+};
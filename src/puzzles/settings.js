@@ -0,0 +1,97 @@
+// Player-adjustable generator options and time limits, per game id. The
+// defaults are the values the generators used before they were adjustable,
+// so a seed gives the same puzzle as long as the settings are untouched.
+//
+// Field types:
+//   range        [min, max] of whole numbers between the field's bounds
+//   probability  a number in [0.05, 0.95]
+//   layouts      relative weights { circle, grid, planar } of the layouts
+//   seconds      a whole number of seconds between the field's bounds
+//   percent      a whole percentage between the field's bounds
+
+// Grid layouts only have room for this many vertices.
+export const MAX_GRID_NODES = 8;
+
+const vertices = (min, max) => ({
+  key: 'nodeCountRange', label: 'Vertices', type: 'range', min: 3, max: 16, default: [min, max],
+});
+const edgeProbability = p => ({
+  key: 'edgeProbability', label: 'Edge probability', type: 'probability', default: p,
+});
+const layouts = (circle, grid, planar) => ({
+  key: 'layoutProportions', label: 'Layout mix', type: 'layouts', default: { circle, grid, planar },
+});
+const timer = seconds => ({
+  key: 'timer', label: 'Time limit', type: 'seconds', min: 10, max: 300, default: seconds,
+});
+const items = (min, max) => ({
+  key: 'itemCountRange', label: 'Numbers', type: 'range', min: 2, max: 16, default: [min, max],
+});
+const values = (min, max) => ({
+  key: 'valueRange', label: 'Values', type: 'range', min: 1, max: 1000, default: [min, max],
+});
+
+export const SETTINGS = {
+  'vertex-cover': [vertices(6, 9), edgeProbability(0.3), layouts(0.3, 0.3, 0.4), timer(30)],
+  'independent-set': [vertices(6, 9), edgeProbability(0.3), layouts(0.3, 0.3, 0.4), timer(30)],
+  'clique-game': [vertices(8, 11), edgeProbability(0.8), layouts(0.3, 0.3, 0.4), timer(30)],
+  'three-color-game': [vertices(6, 9), edgeProbability(0.4), timer(40)],
+  'ham-cycle-game': [
+    vertices(5, 8),
+    { ...edgeProbability(0.2), label: 'Extra edge probability' },
+    layouts(0.3, 0.1, 0.6),
+    timer(30),
+  ],
+  'traveling-salesman-game': [
+    { key: 'timerPercent', label: 'Time limit (% of the difficulty\'s)', type: 'percent', min: 25, max: 400, default: 100 },
+  ],
+  'three-sat-game': [
+    { key: 'variableCountRange', label: 'Variables', type: 'range', min: 3, max: 12, default: [3, 5] },
+    timer(30),
+  ],
+  'subset-sum-game': [items(4, 7), values(1, 20), timer(30)],
+  'partition-game': [items(5, 8), values(1, 20), timer(30)],
+};
+
+// Whether a field changes the puzzle drawn from a seed, not just its clock.
+export function shapesPuzzle(field) {
+  return field.type !== 'seconds' && field.type !== 'percent';
+}
+
+export function defaultSettings(gameId) {
+  return Object.fromEntries(SETTINGS[gameId].map(field => [field.key, field.default]));
+}
+
+const clampInt = (x, min, max) => Math.min(max, Math.max(min, Math.round(x)));
+
+function normalizeField(field, value) {
+  switch (field.type) {
+    case 'range': {
+      if (!Array.isArray(value) || value.length !== 2 || !value.every(Number.isFinite)) return field.default;
+      const lo = clampInt(Math.min(...value), field.min, field.max);
+      const hi = clampInt(Math.max(...value), field.min, field.max);
+      return [lo, hi];
+    }
+    case 'probability':
+      return Number.isFinite(value) ? Math.min(0.95, Math.max(0.05, value)) : field.default;
+    case 'layouts': {
+      if (!value || typeof value !== 'object') return field.default;
+      const mix = {};
+      Object.keys(field.default).forEach(name => {
+        mix[name] = Number.isFinite(value[name]) && value[name] > 0 ? value[name] : 0;
+      });
+      return Object.values(mix).some(w => w > 0) ? mix : field.default;
+    }
+    default:
+      return Number.isFinite(value) ? clampInt(value, field.min, field.max) : field.default;
+  }
+}
+
+// Fills in missing or malformed values with the defaults and clamps the rest
+// into range, so stale or hand-edited storage can never break a generator.
+export function normalizeSettings(gameId, raw) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  return Object.fromEntries(
+    SETTINGS[gameId].map(field => [field.key, normalizeField(field, source[field.key])])
+  );
+}
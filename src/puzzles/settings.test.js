@@ -0,0 +1,62 @@
+import { SETTINGS, defaultSettings, normalizeSettings } from './settings';
+import { GENERATORS } from '.';
+
+test('storage junk falls back to the defaults and values are clamped', () => {
+  expect(normalizeSettings('vertex-cover', 'junk')).toEqual(defaultSettings('vertex-cover'));
+  const s = normalizeSettings('vertex-cover', {
+    nodeCountRange: [40, 2],
+    edgeProbability: 2,
+    layoutProportions: { circle: 0, grid: 0, planar: 0 },
+    timer: 'soon',
+  });
+  expect(s.nodeCountRange).toEqual([3, 16]);
+  expect(s.edgeProbability).toBe(0.95);
+  expect(s.layoutProportions).toEqual(defaultSettings('vertex-cover').layoutProportions);
+  expect(s.timer).toBe(30);
+});
+
+test('every game has settings and a generator', () => {
+  expect(Object.keys(SETTINGS).sort()).toEqual(Object.keys(GENERATORS).sort());
+});
+
+test('graph generators follow the node range, density and layout mix', () => {
+  ['vertex-cover', 'independent-set', 'clique-game', 'ham-cycle-game'].forEach(id => {
+    for (let i = 0; i < 10; i++) {
+      const { layout, graph } = GENERATORS[id]({
+        seed: `${id}${i}`,
+        nodeCountRange: [14, 16],
+        edgeProbability: 0.5,
+        layoutProportions: { circle: 0, grid: 1, planar: 0 },
+      });
+      expect(graph.nodes.length).toBeGreaterThanOrEqual(14);
+      expect(graph.nodes.length).toBeLessThanOrEqual(16);
+      // Grids only fit 8 vertices, so the layout falls back to planar.
+      expect(layout).toBe('planar');
+    }
+  });
+  const dense = GENERATORS['three-color-game']({ seed: 'x', nodeCountRange: [10, 10], edgeProbability: 0.05 });
+  expect(dense.nodes).toHaveLength(10);
+});
+
+test('number generators follow the item and value ranges', () => {
+  ['subset-sum-game', 'partition-game'].forEach(id => {
+    for (let i = 0; i < 20; i++) {
+      const { values } = GENERATORS[id]({ seed: `${id}${i}`, itemCountRange: [9, 10], valueRange: [50, 60] });
+      expect(values.length).toBeGreaterThanOrEqual(9);
+      expect(values.length).toBeLessThanOrEqual(10);
+      values.forEach(v => {
+        expect(v).toBeGreaterThanOrEqual(50);
+        expect(v).toBeLessThanOrEqual(60);
+      });
+    }
+  });
+});
+
+test('partition sizes that cannot balance are avoided or reported', () => {
+  // Nine values of 50-60 cannot split evenly, so every round has ten.
+  const { values } = GENERATORS['partition-game']({ seed: 'p', itemCountRange: [9, 10], valueRange: [50, 60] });
+  expect(values).toHaveLength(10);
+  expect(() =>
+    GENERATORS['partition-game']({ seed: 'odd', itemCountRange: [3, 3], valueRange: [7, 7] })
+  ).toThrow(/wider value range/);
+});
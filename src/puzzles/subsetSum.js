@@ -0,0 +1,63 @@
+import { createRng, randomSeed } from '../utils/random';
+import { defaultSettings } from './settings';
+import { rarity } from './difficulty';
+
+function generateProblem(
+  rng,
+  minItems = 4,
+  maxItems = 7,
+  minValue = 1,
+  maxValue = 20
+) {
+  const size = Math.floor(rng() * (maxItems - minItems + 1)) + minItems;
+  const values = Array.from({ length: size }, () =>
+    Math.floor(rng() * (maxValue - minValue + 1)) + minValue
+  );
+
+  const mask = Array.from({ length: size }, () => false);
+  let count = 0;
+  while (count === 0) {
+    for (let i = 0; i < size; i++) {
+      mask[i] = rng() < 0.5;
+    }
+    count = mask.filter(Boolean).length;
+  }
+  const target = values.reduce((sum, v, i) => sum + (mask[i] ? v : 0), 0);
+  return { values, target, mask };
+}
+
+const DEFAULTS = defaultSettings('subset-sum-game');
+
+// Calibrated on the measured hardness below; easy is the default settings.
+export const TIERS = {
+  easy: { options: { itemCountRange: [4, 7], valueRange: [1, 20] }, hardness: [0, 5] },
+  medium: { options: { itemCountRange: [7, 9], valueRange: [1, 50] }, hardness: [5, 7.5] },
+  hard: { options: { itemCountRange: [9, 12], valueRange: [1, 200] }, hardness: [7.5, 10] },
+  expert: { options: { itemCountRange: [12, 16], valueRange: [1, 1000] }, hardness: [10, Infinity] },
+};
+
+export function newRound({
+  seed = randomSeed(),
+  itemCountRange = DEFAULTS.itemCountRange,
+  valueRange = DEFAULTS.valueRange,
+} = {}) {
+  const [minItems, maxItems] = itemCountRange;
+  const [minValue, maxValue] = valueRange;
+  return { seed, ...generateProblem(createRng(seed), minItems, maxItems, minValue, maxValue) };
+}
+
+// ways[s] is the number of subsets of values that sum to s.
+export function countSubsetSums(values) {
+  const total = values.reduce((a, b) => a + b, 0);
+  const ways = new Float64Array(total + 1);
+  ways[0] = 1;
+  values.forEach(v => {
+    for (let s = total; s >= v; s--) ways[s] += ways[s - v];
+  });
+  return ways;
+}
+
+// How rare the subsets that hit the target are among all 2^n, in bits.
+export function hardness({ values, target }) {
+  return rarity(2 ** values.length, countSubsetSums(values)[target]);
+}
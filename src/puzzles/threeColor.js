@@ -0,0 +1,83 @@
+import { createRng, randomSeed } from '../utils/random';
+import { defaultSettings } from './settings';
+import { randomInt } from './graphs';
+
+function generate3ColorableGraph(rng, nodeCountRange, edgeProbability) {
+  const maxAttempts = 20;
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const nodeCount = randomInt(rng, nodeCountRange);
+    const nodes = Array.from({ length: nodeCount }, (_, i) => ({ id: i }));
+    const edges = [];
+    for (let i = 0; i < nodeCount; i++) {
+      for (let j = i + 1; j < nodeCount; j++) {
+        if (rng() < edgeProbability) edges.push({ u: i, v: j });
+      }
+    }
+    const coloring = find3Coloring(nodeCount, edges, 3);
+    if (coloring) return { nodes, edges, correctColoring: coloring };
+  }
+  return {
+    nodes: [{ id: 0 }, { id: 1 }, { id: 2 }],
+    edges: [{ u: 0, v: 1 }, { u: 1, v: 2 }],
+    correctColoring: [0, 1, 2]
+  };
+}
+
+
+// Backtracking in vertex order. If given, stats.nodes counts the partial
+// colorings the search visits, and onStep(step) hears of every move with
+// the colors so far: { kind: 'clash', vertex, color, neighbour } for a
+// color a neighbour already has, { kind: 'color', vertex, color } and
+// { kind: 'backtrack', vertex } when no color is left for the vertex.
+export function find3Coloring(n, edges, maxColors, stats = {}, onStep = null) {
+  const adj = Array.from({ length: n }, () => []);
+  edges.forEach(({ u, v }) => {
+    adj[u].push(v);
+    adj[v].push(u);
+  });
+  const colors = Array(n).fill(-1);
+  stats.nodes = 0;
+  function dfs(node) {
+    stats.nodes++;
+    if (node === n) return true;
+    for (let c = 0; c < maxColors; c++) {
+      const clash = adj[node].find(nei => colors[nei] === c);
+      if (clash === undefined) {
+        colors[node] = c;
+        if (onStep) onStep({ kind: 'color', vertex: node, color: c, colors });
+        if (dfs(node + 1)) return true;
+      } else if (onStep) {
+        onStep({ kind: 'clash', vertex: node, color: c, neighbour: clash, colors });
+      }
+    }
+    colors[node] = -1;
+    if (onStep) onStep({ kind: 'backtrack', vertex: node, colors });
+    return false;
+  }
+  return dfs(0) ? colors : null;
+}
+
+const DEFAULTS = defaultSettings('three-color-game');
+
+// Calibrated on the measured hardness below; easy is the default settings.
+export const TIERS = {
+  easy: { options: { nodeCountRange: [6, 9], edgeProbability: 0.4 }, hardness: [0, 12] },
+  medium: { options: { nodeCountRange: [9, 11], edgeProbability: 0.35 }, hardness: [12, 25] },
+  hard: { options: { nodeCountRange: [11, 13], edgeProbability: 0.35 }, hardness: [25, 60] },
+  expert: { options: { nodeCountRange: [13, 16], edgeProbability: 0.3 }, hardness: [60, Infinity] },
+};
+
+export function newRound({
+  seed = randomSeed(),
+  nodeCountRange = DEFAULTS.nodeCountRange,
+  edgeProbability = DEFAULTS.edgeProbability,
+} = {}) {
+  return { seed, ...generate3ColorableGraph(createRng(seed), nodeCountRange, edgeProbability) };
+}
+
+// The backtracking effort of find3Coloring on the round's graph.
+export function hardness({ nodes, edges }) {
+  const stats = {};
+  find3Coloring(nodes.length, edges, 3, stats);
+  return stats.nodes;
+}
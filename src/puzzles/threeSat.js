@@ -0,0 +1,83 @@
+import { createRng, randomSeed } from '../utils/random';
+import { defaultSettings } from './settings';
+import { randomInt } from './graphs';
+import { rarity } from './difficulty';
+import { satisfiesFormula } from '../utils/verifiers';
+
+// Without a clauseRatioRange a formula gets between n and 2n - 1 clauses.
+// Random 3-SAT formulas are hardest near 4.26 clauses per variable.
+function generateFormula(rng, variableCountRange, clauseRatioRange) {
+  const numVars = randomInt(rng, variableCountRange);
+  let numClauses;
+  if (clauseRatioRange) {
+    const [min, max] = clauseRatioRange;
+    numClauses = Math.round(numVars * (min + rng() * (max - min)));
+  } else {
+    numClauses = Math.floor(rng() * numVars) + numVars;
+  }
+  let assignment, clauses;
+
+  do {
+
+    assignment = Array.from({ length: numVars }, () => rng() < 0.5);
+
+
+    clauses = [];
+    const maxAttempts = numClauses * 2;
+    while (clauses.length < numClauses && clauses.length < maxAttempts) {
+      const vars = [];
+      while (vars.length < 3) {
+        const v = Math.floor(rng() * numVars);
+        if (!vars.includes(v)) vars.push(v);
+      }
+      const lit = vars.map(v => ({ var: v, neg: rng() < 0.5 }));
+
+      if (!lit.some(({ var: v, neg }) => assignment[v] !== neg)) {
+        const idx = Math.floor(rng() * 3);
+        const v = lit[idx].var;
+        lit[idx].neg = !assignment[v];
+      }
+      clauses.push(lit);
+    }
+
+
+  } while (
+    clauses.length === numClauses &&
+    clauses.every(clause =>
+      clause.some(({ neg }) =>
+
+        neg
+      )
+    )
+  );
+
+  return { clauses, assignment, numVars };
+}
+
+const DEFAULTS = defaultSettings('three-sat-game');
+
+// Calibrated on the measured hardness below; easy is the default settings.
+export const TIERS = {
+  easy: { options: { variableCountRange: [3, 5] }, hardness: [0, 1.5] },
+  medium: { options: { variableCountRange: [5, 7], clauseRatioRange: [2.5, 3.5] }, hardness: [1.5, 5] },
+  hard: { options: { variableCountRange: [7, 9], clauseRatioRange: [3.5, 4.3] }, hardness: [5, 8] },
+  expert: { options: { variableCountRange: [9, 12], clauseRatioRange: [4, 4.5] }, hardness: [8, Infinity] },
+};
+
+export function newRound({
+  seed = randomSeed(),
+  variableCountRange = DEFAULTS.variableCountRange,
+  clauseRatioRange = null,
+} = {}) {
+  return { seed, ...generateFormula(createRng(seed), variableCountRange, clauseRatioRange) };
+}
+
+// How rare satisfying assignments are among all 2^n, in bits.
+export function hardness({ clauses, numVars }) {
+  let solutions = 0;
+  for (let bits = 0; bits < 2 ** numVars; bits++) {
+    const assignment = Array.from({ length: numVars }, (_, v) => ((bits >> v) & 1) === 1);
+    if (satisfiesFormula(clauses, assignment)) solutions++;
+  }
+  return rarity(2 ** numVars, solutions);
+}
@@ -0,0 +1,142 @@
+import { createRng, randomSeed } from '../utils/random';
+import { shortestTour, MAX_TOUR_CITIES } from '../utils/solvers';
+import { packPoints, unpackPoints } from '../utils/share';
+
+// Cities keep at least minDist apart; the distance shrinks with the city
+// count so that the larger tiers still fit on the board.
+function planarLayout(rng, nodes, width, height, radius) {
+  const area = (width - 2 * radius) * (height - 2 * radius);
+  let minDist = Math.min(120, 0.75 * Math.sqrt(area / nodes.length));
+  const placed = [];
+
+  for (let i = 0; i < nodes.length; i++) {
+    let x, y;
+    let tries = 0;
+    do {
+      if (++tries % 500 === 0) minDist *= 0.9;
+      x = rng() * (width - 2 * radius) + radius;
+      y = rng() * (height - 2 * radius) + radius;
+    } while (placed.some(p => Math.hypot(p.x - x, p.y - y) < minDist));
+    placed.push({ id: nodes[i].id, x, y });
+  }
+  return placed;
+}
+
+function dist(a, b) {
+  return Math.round(Math.hypot(a.x - b.x, a.y - b.y));
+}
+
+function euclideanWeights(nodes) {
+  return nodes.map(a => nodes.map(b => dist(a, b)));
+}
+
+export const MAX_SOLVED_CITIES = MAX_TOUR_CITIES;
+
+// City counts, hardness bands (see hardness below) and time limits per
+// difficulty. Easy is the game's original 3-5 cities.
+export const TIERS = {
+  easy: { options: { cityCountRange: [3, 5] }, hardness: [0, 0], timer: 40 },
+  medium: { options: { cityCountRange: [6, 8] }, hardness: [0.5, 4], timer: 60 },
+  hard: { options: { cityCountRange: [9, 11] }, hardness: [4, Infinity], timer: 90 },
+  expert: { options: { cityCountRange: [12, 15] }, hardness: [6, Infinity], timer: 120 },
+};
+
+// Seconds allowed for a round with this many cities, also for imported and
+// shared instances that did not come from a tier.
+export function timeLimit(cityCount) {
+  const tier = Object.values(TIERS).find(t => cityCount <= t.options.cityCountRange[1]) || TIERS.expert;
+  return tier.timer;
+}
+
+function generateTspGraph(rng, [min, max], width, height, radius, onProgress) {
+  const nodeCount = Math.floor(rng() * (max - min + 1)) + min;
+  const nodes = Array.from({ length: nodeCount }, (_, i) => ({ id: i }));
+  const placed = planarLayout(rng, nodes, width, height, radius);
+  return buildTspGraph(placed, undefined, null, onProgress);
+}
+
+// `known` carries an optimum that came with an imported instance:
+// { optimalLen, tour } where tour may be null.
+export function buildTspGraph(placed, weights = euclideanWeights(placed), known = null, onProgress) {
+  const nodeCount = placed.length;
+  const edges = [];
+  for (let i = 0; i < nodeCount; i++) {
+    for (let j = i + 1; j < nodeCount; j++) {
+      edges.push({ u: i, v: j, w: weights[i][j] });
+    }
+  }
+
+  // A given optimum is only taken where the tour is too large to solve, so
+  // a wrong one in a file or link cannot stand.
+  if (known && nodeCount > MAX_SOLVED_CITIES) {
+    const optimal = known.tour ? [...known.tour, known.tour[0]] : [];
+    return { nodes: placed, weights, edges, optimal, optimalLen: known.optimalLen, knownOptimum: true };
+  }
+  const { tour, length } = shortestTour(weights, onProgress);
+  return { nodes: placed, weights, edges, optimal: tour, optimalLen: length };
+}
+
+// A round as its Share link and saved session carry it: the cities, drawn
+// at rounded positions, and the exact distances between them (see
+// fromShared), with the optimum and name of an imported instance.
+export function toShared(graph) {
+  const data = { xy: packPoints(graph.nodes), w: graph.edges.map(e => e.w) };
+  if (graph.knownOptimum) data.o = graph.optimalLen;
+  if (graph.name) data.n = graph.name;
+  return data;
+}
+
+// The round of a toShared payload, or null if it is malformed or too large
+// to solve.
+export function fromShared(data) {
+  const placed = data && unpackPoints(data.xy, 16);
+  if (!placed) return null;
+  const n = placed.length;
+  const w = data.w;
+  if (!Array.isArray(w) || w.length !== (n * (n - 1)) / 2) return null;
+  if (!w.every(x => Number.isFinite(x) && x >= 0)) return null;
+  const weights = Array.from({ length: n }, () => Array(n).fill(0));
+  let k = 0;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      weights[i][j] = weights[j][i] = w[k++];
+    }
+  }
+  const known = Number.isFinite(data.o) && data.o > 0 ? { optimalLen: data.o, tour: null } : null;
+  if (!known && n > MAX_SOLVED_CITIES) return null;
+  const name = typeof data.n === 'string' ? data.n.slice(0, 40) : null;
+  return { seed: null, name, ...buildTspGraph(placed, weights, known) };
+}
+
+export function newRound(
+  { seed = randomSeed(), cityCountRange = TIERS.easy.options.cityCountRange, width = 400, height = 400, radius = 15 } = {},
+  onProgress
+) {
+  const rng = createRng(seed);
+  return { seed, ...generateTspGraph(rng, cityCountRange, width, height, radius, onProgress) };
+}
+
+// Length of the nearest-neighbour tour from `start`.
+function greedyTourLength(weights, start) {
+  const visited = new Set([start]);
+  let here = start;
+  let length = 0;
+  while (visited.size < weights.length) {
+    const row = weights[here];
+    let next = -1;
+    for (let j = 0; j < row.length; j++) {
+      if (!visited.has(j) && (next === -1 || row[j] < row[next])) next = j;
+    }
+    length += weights[here][next];
+    visited.add(next);
+    here = next;
+  }
+  return length + weights[here][start];
+}
+
+// How much longer than optimal, in percent, the best nearest-neighbour tour
+// is. Rounds where always heading for the closest city works are easy.
+export function hardness({ weights, optimalLen }) {
+  const greedy = Math.min(...weights.map((_, start) => greedyTourLength(weights, start)));
+  return (100 * (greedy - optimalLen)) / optimalLen;
+}
@@ -0,0 +1,20 @@
+import { newRound, toShared, fromShared, TIERS } from './tsp';
+import { packInstance, unpackInstance } from '../utils/share';
+
+test('a shared round comes back with the same distances and optimum', () => {
+  ['medium', 'hard'].forEach(tier => {
+    for (let i = 0; i < 20; i++) {
+      const round = newRound({ seed: `share${i}`, ...TIERS[tier].options });
+      const shared = fromShared(unpackInstance(packInstance(toShared(round))));
+      expect(shared.weights).toEqual(round.weights);
+      expect(shared.optimalLen).toBe(round.optimalLen);
+    }
+  });
+});
+
+test('a link cannot claim an optimum the solver can check', () => {
+  const round = newRound({ seed: 'claimed', ...TIERS.easy.options });
+  const shared = fromShared({ ...toShared(round), o: 1 });
+  expect(shared.optimalLen).toBe(round.optimalLen);
+  expect(shared.knownOptimum).toBeUndefined();
+});
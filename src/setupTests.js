@@ -3,3 +3,10 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import { TextEncoder, TextDecoder } from 'util';
+
+// Browsers have these, but jsdom does not.
+Object.assign(global, { TextEncoder, TextDecoder });
+
+// The real module uses import.meta, which jest cannot parse.
+jest.mock('./puzzles/createWorker');
@@ -0,0 +1,265 @@
+// Approximation algorithms and heuristics, shown at game over next to the
+// exact answers of solvers.js. The set problems take the vertex count and
+// an { u, v } edge list and return a sorted array of vertices. Tours are
+// orders of every city starting at city 0, colourings give vertex v the
+// colour colors[v] in 0, 1, 2, ... and partitions say for each value
+// whether it goes to the second group.
+
+function adjacencyList(n, edges) {
+  const adj = Array.from({ length: n }, () => new Set());
+  edges.forEach(({ u, v }) => {
+    if (u === v) return;
+    adj[u].add(v);
+    adj[v].add(u);
+  });
+  return adj;
+}
+
+const sorted = vertices => [...vertices].sort((a, b) => a - b);
+
+// The first of `items` with the highest score.
+function best(items, score) {
+  let top = items[0];
+  items.forEach(x => {
+    if (score(x) > score(top)) top = x;
+  });
+  return top;
+}
+
+const range = n => Array.from({ length: n }, (_, i) => i);
+
+// Both ends of every edge of a maximal matching. Each cover needs one end
+// of each matched edge, so this is at most twice the minimum.
+export function matchingCover(n, edges) {
+  const cover = new Set();
+  edges.forEach(({ u, v }) => {
+    if (u !== v && !cover.has(u) && !cover.has(v)) {
+      cover.add(u);
+      cover.add(v);
+    }
+  });
+  return sorted(cover);
+}
+
+// Takes the vertex on the most uncovered edges until every edge is covered.
+export function greedyCover(n, edges) {
+  let uncovered = edges.filter(({ u, v }) => u !== v);
+  const cover = [];
+  while (uncovered.length > 0) {
+    const degree = Array(n).fill(0);
+    uncovered.forEach(({ u, v }) => {
+      degree[u]++;
+      degree[v]++;
+    });
+    const v = best(range(n), x => degree[x]);
+    cover.push(v);
+    uncovered = uncovered.filter(e => e.u !== v && e.v !== v);
+  }
+  return sorted(cover);
+}
+
+// Takes the vertex with the fewest neighbours left and drops those
+// neighbours, until no vertex is left.
+export function greedyIndependentSet(n, edges) {
+  const adj = adjacencyList(n, edges);
+  const left = new Set(range(n));
+  const set = [];
+  while (left.size > 0) {
+    const degree = v => [...adj[v]].filter(u => left.has(u)).length;
+    const v = best([...left], x => -degree(x));
+    set.push(v);
+    left.delete(v);
+    adj[v].forEach(u => left.delete(u));
+  }
+  return sorted(set);
+}
+
+// Grows a clique by the candidate adjacent to the most other candidates,
+// where the candidates are the vertices adjacent to the whole clique.
+export function greedyClique(n, edges) {
+  const adj = adjacencyList(n, edges);
+  let candidates = range(n);
+  const clique = [];
+  while (candidates.length > 0) {
+    const pool = candidates;
+    const v = best(pool, x => pool.filter(u => adj[x].has(u)).length);
+    clique.push(v);
+    candidates = pool.filter(u => adj[v].has(u));
+  }
+  return sorted(clique);
+}
+
+// DSatur: colours next the vertex whose neighbours already have the most
+// distinct colours, the one with more neighbours on a tie, with the least
+// colour none of them has.
+export function dsaturColoring(n, edges) {
+  const adj = adjacencyList(n, edges);
+  const colors = Array(n).fill(-1);
+  const saturation = v => new Set([...adj[v]].map(u => colors[u]).filter(c => c >= 0)).size;
+  for (let step = 0; step < n; step++) {
+    const open = range(n).filter(v => colors[v] < 0);
+    const v = best(open, x => saturation(x) * n + adj[x].size);
+    const taken = new Set([...adj[v]].map(u => colors[u]));
+    let c = 0;
+    while (taken.has(c)) c++;
+    colors[v] = c;
+  }
+  return colors;
+}
+
+// Heads for the closest city not yet visited.
+export function nearestNeighbourTour(weights) {
+  const order = [0];
+  const left = new Set(range(weights.length).slice(1));
+  while (left.size > 0) {
+    const here = order[order.length - 1];
+    const next = best([...left], v => -weights[here][v]);
+    order.push(next);
+    left.delete(next);
+  }
+  return order;
+}
+
+// Improves the nearest-neighbour tour by reversing any stretch that makes
+// it shorter, until none does.
+export function twoOptTour(weights) {
+  const order = nearestNeighbourTour(weights);
+  const n = order.length;
+  let improved = n > 3;
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < n - 1; i++) {
+      for (let j = i + 2; j < n; j++) {
+        const [a, b, c, d] = [order[i], order[i + 1], order[j], order[(j + 1) % n]];
+        if (a === d) continue;
+        if (weights[a][c] + weights[b][d] < weights[a][b] + weights[c][d] - 1e-9) {
+          order.splice(i + 1, j - i, ...order.slice(i + 1, j + 1).reverse());
+          improved = true;
+        }
+      }
+    }
+  }
+  return order;
+}
+
+// Parent of each city in a minimum spanning tree (Prim's algorithm).
+function spanningTree(weights) {
+  const n = weights.length;
+  const parent = Array(n).fill(-1);
+  const cost = Array(n).fill(Infinity);
+  const inTree = Array(n).fill(false);
+  cost[0] = 0;
+  for (let step = 0; step < n; step++) {
+    const v = best(range(n).filter(x => !inTree[x]), x => -cost[x]);
+    inTree[v] = true;
+    for (let u = 0; u < n; u++) {
+      if (!inTree[u] && weights[v][u] < cost[u]) {
+        cost[u] = weights[v][u];
+        parent[u] = v;
+      }
+    }
+  }
+  return parent;
+}
+
+// Cheapest pairing of an even number of cities, by dynamic programming
+// over the subsets still unpaired; fine for the game's 16 cities.
+function cheapestPairing(weights, cities) {
+  const m = cities.length;
+  const full = (1 << m) - 1;
+  const cost = new Float64Array(full + 1).fill(Infinity);
+  const pick = new Int32Array(full + 1);
+  cost[0] = 0;
+  for (let mask = 1; mask <= full; mask++) {
+    if (countBits(mask) % 2) continue;
+    const i = lowestBit(mask);
+    for (let j = i + 1; j < m; j++) {
+      if (!(mask & (1 << j))) continue;
+      const c = cost[mask ^ (1 << i) ^ (1 << j)] + weights[cities[i]][cities[j]];
+      if (c < cost[mask]) {
+        cost[mask] = c;
+        pick[mask] = j;
+      }
+    }
+  }
+  const pairs = [];
+  for (let mask = full; mask; ) {
+    const i = lowestBit(mask);
+    const j = pick[mask];
+    pairs.push([cities[i], cities[j]]);
+    mask ^= (1 << i) | (1 << j);
+  }
+  return pairs;
+}
+
+function countBits(x) {
+  let count = 0;
+  for (; x; x &= x - 1) count++;
+  return count;
+}
+
+const lowestBit = x => 31 - Math.clz32(x & -x);
+
+// Christofides: a minimum spanning tree plus the cheapest pairing of its
+// odd-degree cities, walked as an Euler circuit that skips cities already
+// seen. On distances that obey the triangle inequality it is at most 1.5
+// times the shortest tour.
+export function christofidesTour(weights) {
+  const n = weights.length;
+  if (n < 3) return range(n);
+  const parent = spanningTree(weights);
+  const links = Array.from({ length: n }, () => []);
+  const link = (u, v) => {
+    links[u].push(v);
+    links[v].push(u);
+  };
+  parent.forEach((p, v) => p >= 0 && link(p, v));
+  const odd = range(n).filter(v => links[v].length % 2 === 1);
+  cheapestPairing(weights, odd).forEach(([u, v]) => link(u, v));
+
+  // Hierholzer's algorithm, using up each link once from both ends.
+  const stack = [0];
+  const circuit = [];
+  while (stack.length > 0) {
+    const v = stack[stack.length - 1];
+    if (links[v].length > 0) {
+      const u = links[v].pop();
+      links[u].splice(links[u].indexOf(v), 1);
+      stack.push(u);
+    } else {
+      circuit.push(stack.pop());
+    }
+  }
+  return [...new Set(circuit.reverse())];
+}
+
+// Puts each value, largest first, into the group with the smaller sum.
+export function greedyPartition(values) {
+  const side = Array(values.length).fill(false);
+  const sums = [0, 0];
+  range(values.length)
+    .sort((a, b) => values[b] - values[a])
+    .forEach(i => {
+      side[i] = sums[1] < sums[0];
+      sums[side[i] ? 1 : 0] += values[i];
+    });
+  return side;
+}
+
+// Karmarkar-Karp differencing: replaces the two largest values by their
+// difference, deciding that they go to different groups, until one is left.
+export function karmarkarKarp(values) {
+  // Each item is a difference with the values on its larger and smaller side.
+  let items = values.map((value, i) => ({ value, larger: [i], smaller: [] }));
+  while (items.length > 1) {
+    items.sort((a, b) => b.value - a.value);
+    const [a, b, ...rest] = items;
+    items = [
+      ...rest,
+      { value: a.value - b.value, larger: [...a.larger, ...b.smaller], smaller: [...a.smaller, ...b.larger] },
+    ];
+  }
+  const side = Array(values.length).fill(false);
+  if (items.length) items[0].smaller.forEach(i => (side[i] = true));
+  return side;
+}
@@ -0,0 +1,77 @@
+import {
+  matchingCover,
+  greedyCover,
+  greedyIndependentSet,
+  greedyClique,
+  dsaturColoring,
+  nearestNeighbourTour,
+  twoOptTour,
+  christofidesTour,
+  greedyPartition,
+  karmarkarKarp,
+} from './approximations';
+import { minVertexCover, minColors, shortestTour } from './solvers';
+import { isVertexCover, isIndependentSet, isClique, isProperColoring, partitionRatio } from './verifiers';
+import { tourLength } from './tsplib';
+import { createRng } from './random';
+
+function randomGraph(rng, n, p) {
+  const edges = [];
+  for (let u = 0; u < n; u++) {
+    for (let v = u + 1; v < n; v++) if (rng() < p) edges.push({ u, v });
+  }
+  return edges;
+}
+
+test('the set heuristics give valid answers, the matching cover within twice the minimum', () => {
+  const rng = createRng('approximations');
+  for (let round = 0; round < 40; round++) {
+    const n = 3 + Math.floor(rng() * 10);
+    const edges = randomGraph(rng, n, 0.15 + rng() * 0.7);
+    const best = minVertexCover(n, edges).size;
+
+    const matched = new Set(matchingCover(n, edges));
+    expect(isVertexCover(edges, matched)).toBe(true);
+    expect(matched.size).toBeLessThanOrEqual(2 * best);
+    expect(isVertexCover(edges, new Set(greedyCover(n, edges)))).toBe(true);
+    expect(isIndependentSet(edges, new Set(greedyIndependentSet(n, edges)))).toBe(true);
+    expect(isClique(edges, new Set(greedyClique(n, edges)))).toBe(true);
+    expect(isProperColoring(n, edges, dsaturColoring(n, edges), n)).toBe(true);
+  }
+});
+
+test('DSatur needs only two colours on a bipartite graph', () => {
+  // A 6-cycle.
+  const edges = [0, 1, 2, 3, 4, 5].map(u => ({ u, v: (u + 1) % 6 }));
+  expect(minColors(6, edges)).toBe(2);
+  expect(new Set(dsaturColoring(6, edges)).size).toBe(2);
+});
+
+test('the tour heuristics visit every city, Christofides within 1.5 times the shortest', () => {
+  const rng = createRng('tours');
+  for (let round = 0; round < 20; round++) {
+    const n = 3 + Math.floor(rng() * 8);
+    const points = Array.from({ length: n }, () => ({ x: rng() * 400, y: rng() * 400 }));
+    const weights = points.map(a => points.map(b => Math.round(Math.hypot(a.x - b.x, a.y - b.y))));
+    const { length } = shortestTour(weights);
+
+    [nearestNeighbourTour, twoOptTour, christofidesTour].forEach(heuristic => {
+      const order = heuristic(weights);
+      expect(order[0]).toBe(0);
+      expect([...order].sort((a, b) => a - b)).toEqual(weights.map((_, i) => i));
+      expect(tourLength(weights, order)).toBeGreaterThanOrEqual(length);
+    });
+    expect(tourLength(weights, twoOptTour(weights))).toBeLessThanOrEqual(
+      tourLength(weights, nearestNeighbourTour(weights))
+    );
+    expect(tourLength(weights, christofidesTour(weights))).toBeLessThanOrEqual(1.5 * length + n);
+  }
+});
+
+test('differencing beats the greedy partition on a classic example', () => {
+  const values = [8, 7, 6, 5, 4];
+  // Greedy splits 17 against 13 and Karmarkar-Karp 16 against 14, where 15
+  // against 15 is possible.
+  expect(partitionRatio(values, greedyPartition(values))).toBe(17 / 15);
+  expect(partitionRatio(values, karmarkarKarp(values))).toBe(16 / 15);
+});
@@ -0,0 +1,86 @@
+// DIMACS CNF reader/writer. See
+// https://people.sc.fsu.edu/~jburkardt/data/cnf/cnf.html for the format.
+
+export const MAX_CNF_VARS = 50;
+export const MAX_CNF_CLAUSES = 200;
+
+// Parses DIMACS text into { numVars, clauses } where each clause is an array
+// of { var, neg } literals. Throws an Error with a readable message when the
+// text is not valid DIMACS, or when `requireThree` is set and a clause does
+// not have exactly three literals.
+export function parseDimacsCnf(text, { requireThree = true } = {}) {
+  let numVars = null;
+  let numClauses = null;
+  const clauses = [];
+  let current = [];
+
+  const lines = text.split(/\r?\n/);
+  for (let ln = 0; ln < lines.length; ln++) {
+    const line = lines[ln].trim();
+    if (line === '' || line.startsWith('c')) continue;
+    if (line.startsWith('%')) break;
+    if (line.startsWith('p')) {
+      const m = line.match(/^p\s+cnf\s+(\d+)\s+(\d+)$/);
+      if (!m) throw new Error(`Line ${ln + 1}: expected "p cnf <variables> <clauses>".`);
+      if (numVars !== null) throw new Error(`Line ${ln + 1}: duplicate problem line.`);
+      numVars = Number(m[1]);
+      numClauses = Number(m[2]);
+      continue;
+    }
+    if (numVars === null) {
+      throw new Error(`Line ${ln + 1}: clauses must come after the "p cnf" line.`);
+    }
+    for (const token of line.split(/\s+/)) {
+      if (!/^-?\d+$/.test(token)) {
+        throw new Error(`Line ${ln + 1}: "${token}" is not a literal.`);
+      }
+      const lit = Number(token);
+      if (lit === 0) {
+        clauses.push(current);
+        current = [];
+        continue;
+      }
+      if (Math.abs(lit) > numVars) {
+        throw new Error(`Line ${ln + 1}: variable ${Math.abs(lit)} is larger than the declared ${numVars}.`);
+      }
+      if (!current.includes(lit)) current.push(lit);
+    }
+  }
+  if (current.length > 0) clauses.push(current);
+
+  if (numVars === null) throw new Error('Missing "p cnf <variables> <clauses>" line.');
+  if (clauses.length !== numClauses) {
+    throw new Error(`The problem line declares ${numClauses} clauses but ${clauses.length} were found.`);
+  }
+  if (numVars > MAX_CNF_VARS) {
+    throw new Error(`Formulas with more than ${MAX_CNF_VARS} variables are too large to play.`);
+  }
+  if (clauses.length === 0 || clauses.length > MAX_CNF_CLAUSES) {
+    throw new Error(`A playable formula needs between 1 and ${MAX_CNF_CLAUSES} clauses.`);
+  }
+  if (requireThree) {
+    const bad = clauses.findIndex(c => c.length !== 3);
+    if (bad !== -1) {
+      throw new Error(
+        `Clause ${bad + 1} has ${clauses[bad].length} literal${clauses[bad].length === 1 ? '' : 's'}; ` +
+        '3SAT needs exactly three. Enable general SAT to play it anyway.'
+      );
+    }
+  }
+
+  return {
+    numVars,
+    clauses: clauses.map(c => c.map(lit => ({ var: Math.abs(lit) - 1, neg: lit < 0 }))),
+  };
+}
+
+export function toDimacsCnf({ numVars, clauses }) {
+  const lines = [
+    'c exported from https://jacksoncmu.github.io/nphard/',
+    `p cnf ${numVars} ${clauses.length}`,
+    ...clauses.map(clause =>
+      [...clause.map(({ var: v, neg }) => (neg ? -(v + 1) : v + 1)), 0].join(' ')
+    ),
+  ];
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,44 @@
+import { parseDimacsCnf, toDimacsCnf } from './cnf';
+import { solveSat, isSatisfied } from './sat';
+
+const sample = `c a small example
+p cnf 3 2
+1 -2 3 0
+-1 2
+-3 0
+`;
+
+test('parses DIMACS with comments and clauses spanning lines', () => {
+  const { numVars, clauses } = parseDimacsCnf(sample);
+  expect(numVars).toBe(3);
+  expect(clauses).toEqual([
+    [{ var: 0, neg: false }, { var: 1, neg: true }, { var: 2, neg: false }],
+    [{ var: 0, neg: true }, { var: 1, neg: false }, { var: 2, neg: true }],
+  ]);
+});
+
+test('export round-trips through the parser', () => {
+  const formula = parseDimacsCnf(sample);
+  expect(parseDimacsCnf(toDimacsCnf(formula))).toEqual(formula);
+});
+
+test('rejects non-3 clauses unless general SAT is allowed', () => {
+  const text = 'p cnf 2 2\n1 2 0\n-1 0\n';
+  expect(() => parseDimacsCnf(text)).toThrow(/Clause 1 has 2 literals/);
+  expect(parseDimacsCnf(text, { requireThree: false }).clauses).toHaveLength(2);
+});
+
+test('reports malformed input', () => {
+  expect(() => parseDimacsCnf('1 2 3 0')).toThrow(/p cnf/);
+  expect(() => parseDimacsCnf('p cnf 2 1\n1 5 2 0')).toThrow(/variable 5/);
+  expect(() => parseDimacsCnf('p cnf 3 2\n1 2 3 0')).toThrow(/declares 2 clauses but 1/);
+});
+
+test('solveSat finds a model or proves unsatisfiability', () => {
+  const { numVars, clauses } = parseDimacsCnf(sample);
+  const model = solveSat(numVars, clauses);
+  expect(clauses.every(c => isSatisfied(c, model))).toBe(true);
+
+  const unsat = parseDimacsCnf('p cnf 1 2\n1 0\n-1 0\n', { requireThree: false });
+  expect(solveSat(unsat.numVars, unsat.clauses)).toBeNull();
+});
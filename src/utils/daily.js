@@ -0,0 +1,102 @@
+import { createRng } from './random';
+import { currentProfile, updateProfile, useProfileData } from './profiles';
+
+// The daily challenge: DAILY_LENGTH puzzles derived from the date alone, so
+// every player gets the same ones without a server. Dates are the player's
+// local calendar days as "YYYY-MM-DD". The games are listed here rather than
+// taken from the menu because adding one to this list changes every date's
+// draw.
+export const DAILY_GAMES = [
+  'vertex-cover',
+  'independent-set',
+  'clique-game',
+  'three-color-game',
+  'ham-cycle-game',
+  'traveling-salesman-game',
+  'three-sat-game',
+  'subset-sum-game',
+  'partition-game',
+];
+export const DAILY_TIERS = ['easy', 'medium', 'medium', 'hard', 'expert'];
+export const DAILY_LENGTH = DAILY_TIERS.length;
+
+const pad = n => String(n).padStart(2, '0');
+
+export function dateKey(date = new Date()) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// The local Date at midnight of a key, or null if it is not a real date.
+export function parseDateKey(key) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(key || '');
+  if (!m) return null;
+  const date = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return dateKey(date) === key ? date : null;
+}
+
+export function shiftDate(key, days) {
+  const date = parseDateKey(key);
+  date.setDate(date.getDate() + days);
+  return dateKey(date);
+}
+
+/**
+ * The puzzles of one date: [{ gameId, tier, seed }], one per game and
+ * getting harder towards the end.
+ */
+export function dailyPuzzles(key) {
+  const rng = createRng(`daily/${key}`);
+  const ids = [...DAILY_GAMES];
+  for (let i = ids.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [ids[i], ids[j]] = [ids[j], ids[i]];
+  }
+  return DAILY_TIERS.map((tier, i) => ({ gameId: ids[i], tier, seed: `${key}/${i + 1}` }));
+}
+
+/**
+ * Every day the current profile recorded, as { [date]: results }, where
+ * results[i] is { solved, seconds } for each puzzle attempted so far. A
+ * puzzle counts as missed from the moment it starts, so leaving it does not
+ * grant a retry.
+ */
+export function readDailyResults() {
+  return currentProfile().daily;
+}
+
+const selectDaily = profile => profile.daily;
+
+// readDailyResults() as a hook that follows the stored results.
+export function useDailyResults() {
+  return useProfileData(selectDaily);
+}
+
+export function recordDailyResult(key, index, result) {
+  let results;
+  updateProfile(profile => {
+    results = [...(profile.daily[key] || [])];
+    results[index] = result;
+    return { ...profile, daily: { ...profile.daily, [key]: results } };
+  });
+  return results;
+}
+
+export function isComplete(results) {
+  return Array.isArray(results) && results.filter(Boolean).length === DAILY_LENGTH;
+}
+
+export function solvedCount(results) {
+  return Array.isArray(results) ? results.filter(r => r && r.solved).length : 0;
+}
+
+// Days in a row with a completed challenge, up to today. Today not being
+// done yet does not break the streak.
+export function dailyStreak(all, today) {
+  let day = isComplete(all[today]) ? today : shiftDate(today, -1);
+  let streak = 0;
+  while (isComplete(all[day])) {
+    streak++;
+    day = shiftDate(day, -1);
+  }
+  return streak;
+}
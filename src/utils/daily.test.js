@@ -0,0 +1,48 @@
+import {
+  DAILY_LENGTH,
+  dailyPuzzles,
+  dailyStreak,
+  parseDateKey,
+  shiftDate,
+  recordDailyResult,
+  readDailyResults,
+  isComplete,
+} from './daily';
+
+beforeEach(() => localStorage.clear());
+
+test('a date always gives the same puzzles, from different games', () => {
+  const puzzles = dailyPuzzles('2026-10-18');
+  expect(dailyPuzzles('2026-10-18')).toEqual(puzzles);
+  expect(puzzles).toHaveLength(DAILY_LENGTH);
+  expect(new Set(puzzles.map(p => p.gameId)).size).toBe(DAILY_LENGTH);
+  expect(puzzles[0]).toEqual(expect.objectContaining({ tier: 'easy', seed: '2026-10-18/1' }));
+  expect(dailyPuzzles('2026-10-19')).not.toEqual(puzzles);
+});
+
+test('dates are checked and shifted across months and years', () => {
+  expect(parseDateKey('2026-02-30')).toBeNull();
+  expect(parseDateKey('junk')).toBeNull();
+  expect(shiftDate('2026-03-01', -1)).toBe('2026-02-28');
+  expect(shiftDate('2026-12-31', 1)).toBe('2027-01-01');
+});
+
+test('the streak counts completed days up to today or yesterday', () => {
+  const done = Array(DAILY_LENGTH).fill({ solved: true, seconds: 5 });
+  const all = { '2026-10-15': done, '2026-10-16': done, '2026-10-17': done, '2026-10-13': done };
+  expect(dailyStreak(all, '2026-10-18')).toBe(3);
+  expect(dailyStreak({ ...all, '2026-10-18': done }, '2026-10-18')).toBe(4);
+  expect(dailyStreak(all, '2026-10-19')).toBe(0);
+  expect(dailyStreak({ ...all, '2026-10-18': done.slice(1) }, '2026-10-18')).toBe(3);
+});
+
+test('results are kept per date and puzzle', () => {
+  recordDailyResult('2026-10-18', 0, { solved: false, seconds: null });
+  recordDailyResult('2026-10-18', 0, { solved: true, seconds: 12 });
+  recordDailyResult('2026-10-18', 1, { solved: false, seconds: 40 });
+  expect(readDailyResults()['2026-10-18']).toEqual([
+    { solved: true, seconds: 12 },
+    { solved: false, seconds: 40 },
+  ]);
+  expect(isComplete(readDailyResults()['2026-10-18'])).toBe(false);
+});
@@ -0,0 +1,155 @@
+// Readers and writers for the graph games' instances. Three text formats are
+// understood, and parseGraph tells them apart by their first token:
+//
+//   DIMACS .col        "p edge <n> <m>" then "e <u> <v>" lines, 1-based
+//   edge-list JSON     { "nodes": 5 | [{ "id", "x", "y" }], "edges": [[u, v]] }
+//                      with 0-based ids; x/y are optional coordinates
+//   adjacency matrix   n rows of n 0/1 entries, separated by spaces or not
+
+export const MAX_IMPORT_NODES = 16;
+
+function buildGraph(n, pairs, maxNodes) {
+  if (n < 2) throw new Error('A graph needs at least two vertices.');
+  if (n > maxNodes) throw new Error(`Graphs with more than ${maxNodes} vertices are too large to play.`);
+  const edges = [];
+  const seen = new Set();
+  pairs.forEach(([u, v]) => {
+    if (!Number.isInteger(u) || !Number.isInteger(v) || u < 0 || v < 0 || u >= n || v >= n) {
+      throw new Error(`Edge ${u}-${v} refers to a vertex that does not exist.`);
+    }
+    if (u === v) throw new Error(`Self-loop on vertex ${u} is not allowed.`);
+    const key = u < v ? `${u},${v}` : `${v},${u}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    edges.push({ u, v });
+  });
+  if (edges.length === 0) throw new Error('The graph has no edges.');
+  return { nodes: Array.from({ length: n }, (_, i) => ({ id: i })), edges };
+}
+
+export function parseDimacsCol(text, maxNodes = MAX_IMPORT_NODES) {
+  let n = null;
+  const pairs = [];
+  text.split(/\r?\n/).forEach((raw, ln) => {
+    const line = raw.trim();
+    if (line === '' || line.startsWith('c')) return;
+    const parts = line.split(/\s+/);
+    if (parts[0] === 'p') {
+      if (parts.length < 3 || !/^\d+$/.test(parts[2])) {
+        throw new Error(`Line ${ln + 1}: expected "p edge <vertices> <edges>".`);
+      }
+      n = Number(parts[2]);
+    } else if (parts[0] === 'e') {
+      if (n === null) throw new Error(`Line ${ln + 1}: edges must come after the "p edge" line.`);
+      if (parts.length < 3 || !/^\d+$/.test(parts[1]) || !/^\d+$/.test(parts[2])) {
+        throw new Error(`Line ${ln + 1}: expected "e <u> <v>".`);
+      }
+      pairs.push([Number(parts[1]) - 1, Number(parts[2]) - 1]);
+    } else {
+      throw new Error(`Line ${ln + 1}: unknown line type "${parts[0]}".`);
+    }
+  });
+  if (n === null) throw new Error('Missing "p edge <vertices> <edges>" line.');
+  return buildGraph(n, pairs, maxNodes);
+}
+
+export function parseEdgeListJson(text, maxNodes = MAX_IMPORT_NODES) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid JSON: ${e.message}`);
+  }
+  if (!data || !Array.isArray(data.edges)) throw new Error('JSON needs an "edges" array.');
+
+  const pairs = data.edges.map(e => (Array.isArray(e) ? e : [e && e.u, e && e.v]));
+  const maxId = pairs.reduce((m, [u, v]) => Math.max(m, Number.isInteger(u) ? u : 0, Number.isInteger(v) ? v : 0), -1);
+  let n;
+  let coords = null;
+  if (Array.isArray(data.nodes)) {
+    n = data.nodes.length;
+    if (data.nodes.every(p => p && Number.isFinite(p.x) && Number.isFinite(p.y))) {
+      coords = data.nodes.map(p => ({ x: p.x, y: p.y }));
+    }
+  } else if (Number.isInteger(data.nodes)) {
+    n = data.nodes;
+  } else {
+    n = maxId + 1;
+  }
+
+  const graph = buildGraph(n, pairs, maxNodes);
+  if (coords) graph.nodes = fitToBox(coords.map((p, i) => ({ id: i, ...p })));
+  return graph;
+}
+
+export function parseAdjacencyMatrix(text, maxNodes = MAX_IMPORT_NODES) {
+  const rows = text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => (/\s|,/.test(line) ? line.split(/[\s,]+/) : line.split('')));
+  const n = rows.length;
+  rows.forEach((row, i) => {
+    if (row.length !== n) throw new Error(`Row ${i + 1} has ${row.length} entries; a ${n}x${n} matrix needs ${n}.`);
+    row.forEach((cell, j) => {
+      if (cell !== '0' && cell !== '1') throw new Error(`Row ${i + 1}, column ${j + 1}: "${cell}" is not 0 or 1.`);
+    });
+  });
+  const pairs = [];
+  for (let i = 0; i < n; i++) {
+    if (rows[i][i] === '1') throw new Error(`Row ${i + 1} has a 1 on the diagonal (a self-loop).`);
+    for (let j = i + 1; j < n; j++) {
+      if (rows[i][j] !== rows[j][i]) throw new Error(`The matrix is not symmetric at row ${i + 1}, column ${j + 1}.`);
+      if (rows[i][j] === '1') pairs.push([i, j]);
+    }
+  }
+  return buildGraph(n, pairs, maxNodes);
+}
+
+export function parseGraph(text, maxNodes = MAX_IMPORT_NODES) {
+  const trimmed = text.trim();
+  if (trimmed === '') throw new Error('Nothing to import.');
+  if (trimmed.startsWith('{')) return parseEdgeListJson(trimmed, maxNodes);
+  if (/^[pce]\s/m.test(trimmed)) return parseDimacsCol(trimmed, maxNodes);
+  return parseAdjacencyMatrix(trimmed, maxNodes);
+}
+
+// Scales coordinates into the games' 400x400 drawing area.
+export function fitToBox(nodes, width = 400, height = 400, margin = 30) {
+  const xs = nodes.map(n => n.x), ys = nodes.map(n => n.y);
+  const minX = Math.min(...xs), maxX = Math.max(...xs);
+  const minY = Math.min(...ys), maxY = Math.max(...ys);
+  const scale = Math.min(
+    (width - 2 * margin) / (maxX - minX || 1),
+    (height - 2 * margin) / (maxY - minY || 1)
+  );
+  return nodes.map(n => ({
+    ...n,
+    x: margin + (n.x - minX) * scale,
+    y: margin + (n.y - minY) * scale,
+  }));
+}
+
+export function toDimacsCol({ nodes, edges }) {
+  return [
+    'c exported from https://jacksoncmu.github.io/nphard/',
+    `p edge ${nodes.length} ${edges.length}`,
+    ...edges.map(({ u, v }) => `e ${u + 1} ${v + 1}`),
+  ].join('\n') + '\n';
+}
+
+export function toEdgeListJson({ edges }, positions) {
+  return JSON.stringify({
+    nodes: positions.map(p => ({ id: p.id, x: Math.round(p.x), y: Math.round(p.y) })),
+    edges: edges.map(({ u, v }) => [u, v]),
+  }, null, 2) + '\n';
+}
+
+export function toAdjacencyMatrix({ nodes, edges }) {
+  const m = nodes.map(() => nodes.map(() => 0));
+  edges.forEach(({ u, v }) => {
+    m[u][v] = 1;
+    m[v][u] = 1;
+  });
+  return m.map(row => row.join(' ')).join('\n') + '\n';
+}
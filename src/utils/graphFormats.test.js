@@ -0,0 +1,40 @@
+import {
+  parseGraph,
+  toDimacsCol,
+  toEdgeListJson,
+  toAdjacencyMatrix,
+} from './graphFormats';
+
+const triangle = {
+  nodes: [{ id: 0 }, { id: 1 }, { id: 2 }],
+  edges: [{ u: 0, v: 1 }, { u: 0, v: 2 }, { u: 1, v: 2 }],
+};
+
+test('reads DIMACS .col with 1-based vertices', () => {
+  const g = parseGraph('c triangle\np edge 3 3\ne 1 2\ne 1 3\ne 2 3\n');
+  expect(g).toEqual(triangle);
+  expect(parseGraph(toDimacsCol(g))).toEqual(triangle);
+});
+
+test('reads edge-list JSON and scales coordinates into the board', () => {
+  const g = parseGraph(JSON.stringify({
+    nodes: [{ x: 0, y: 0 }, { x: 1000, y: 0 }, { x: 0, y: 500 }],
+    edges: [[0, 1], { u: 0, v: 2 }, [1, 2]],
+  }));
+  expect(g.edges).toEqual(triangle.edges);
+  expect(g.nodes.map(n => [n.x, n.y])).toEqual([[30, 30], [370, 30], [30, 200]]);
+  expect(parseGraph(toEdgeListJson(g, g.nodes)).edges).toEqual(triangle.edges);
+  expect(parseGraph('{"edges": [[0, 1], [0, 2], [1, 2]]}')).toEqual(triangle);
+});
+
+test('reads adjacency matrices with or without separators', () => {
+  expect(parseGraph('011\n101\n110')).toEqual(triangle);
+  expect(parseGraph(toAdjacencyMatrix(triangle))).toEqual(triangle);
+});
+
+test('explains what is wrong with bad input', () => {
+  expect(() => parseGraph('01\n00')).toThrow(/not symmetric/);
+  expect(() => parseGraph('p edge 2 1\ne 1 3')).toThrow(/does not exist/);
+  expect(() => parseGraph('{"nodes": 3, "edges": []}')).toThrow(/no edges/);
+  expect(() => parseGraph('{"edges": [[0, 20]]}', 16)).toThrow(/more than 16/);
+});
@@ -0,0 +1,167 @@
+import { isSatisfied } from './sat';
+import { uncoveredEdges, innerEdges, missingEdges, monochromaticEdges } from './verifiers';
+
+// Hints steer the player toward the solution each game already holds for
+// its round, the one it shows at game over. A hint is { nudge, move }:
+// nudge is a sentence pointing at what to fix and move is the selection
+// after the fix, which HintButton makes when asked a second time. Each
+// function returns null when there is nothing left to hint.
+
+// Seconds a nudge and a hinted move take off the clock.
+export const HINT_COSTS = { nudge: 5, move: 15 };
+
+const COLOR_NAMES = ['red', 'green', 'blue'];
+
+// Set games: drop a vertex the solution does without, else add one it has.
+function setStep(selected, solution) {
+  const extra = [...selected].find(v => !solution.has(v));
+  if (extra !== undefined) {
+    const move = new Set(selected);
+    move.delete(extra);
+    return { vertex: extra, add: false, move };
+  }
+  const missing = [...solution].find(v => !selected.has(v));
+  if (missing === undefined) return null;
+  return { vertex: missing, add: true, move: new Set(selected).add(missing) };
+}
+
+const touching = (edges, v) => edges.find(e => e.u === v || e.v === v);
+
+export function vertexCoverHint(edges, selected, cover) {
+  const step = setStep(selected, cover);
+  if (!step) return null;
+  const open = step.add && touching(uncoveredEdges(edges, selected), step.vertex);
+  const nudge = !step.add
+    ? `A minimum cover can do without vertex ${step.vertex}.`
+    : open
+      ? `Edge ${open.u}–${open.v} is not covered yet.`
+      : `Vertex ${step.vertex} is in a minimum cover.`;
+  return { nudge, move: step.move };
+}
+
+export function independentSetHint(edges, selected, set) {
+  const step = setStep(selected, set);
+  if (!step) return null;
+  const clash = !step.add && touching(innerEdges(edges, selected), step.vertex);
+  const nudge = step.add
+    ? `Vertex ${step.vertex} is in a maximum independent set.`
+    : clash
+      ? `Vertices ${clash.u} and ${clash.v} are neighbours.`
+      : `A maximum independent set can do without vertex ${step.vertex}.`;
+  return { nudge, move: step.move };
+}
+
+export function cliqueHint(edges, selected, clique) {
+  const step = setStep(selected, clique);
+  if (!step) return null;
+  const gap = !step.add && touching(missingEdges(edges, selected), step.vertex);
+  const nudge = step.add
+    ? `Vertex ${step.vertex} is in a maximum clique.`
+    : gap
+      ? `Vertices ${gap.u} and ${gap.v} are not adjacent.`
+      : `A maximum clique can do without vertex ${step.vertex}.`;
+  return { nudge, move: step.move };
+}
+
+const PERMUTATIONS = [[0, 1, 2], [0, 2, 1], [1, 0, 2], [1, 2, 0], [2, 0, 1], [2, 1, 0]];
+
+// Any renaming of the solution's colours is a solution too, so the one
+// closest to the player's colouring is the one to steer toward.
+export function coloringHint(edges, colors, solution) {
+  const renamed = PERMUTATIONS.map(p => solution.map(c => p[c])).reduce((best, next) => {
+    const agree = s => s.filter((c, v) => c === colors[v]).length;
+    return agree(next) > agree(best) ? next : best;
+  });
+  const clashes = monochromaticEdges(edges, colors);
+  const wrong = colors.map((_, v) => v).filter(v => renamed[v] !== colors[v]);
+  if (!clashes.length) return null;
+  const vertex = wrong.find(v => touching(clashes, v)) ?? wrong[0];
+  const clash = touching(clashes, vertex);
+  const move = [...colors];
+  move[vertex] = renamed[vertex];
+  const nudge = clash
+    ? `Vertices ${clash.u} and ${clash.v} are both ${COLOR_NAMES[colors[vertex]]}.`
+    : `Vertex ${vertex} should not be ${COLOR_NAMES[colors[vertex]]}.`;
+  return { nudge, move };
+}
+
+// Path games: follow the solution cycle from the path's first vertex in
+// the direction of its second, or step back once the path has left it.
+function cycleStep(path, cycle) {
+  const n = cycle.length;
+  if (!n) return null;
+  if (!path.length) return { vertex: cycle[0], add: true, move: [cycle[0]] };
+  const i = cycle.indexOf(path[0]);
+  const directions = [k => cycle[(i + k) % n], k => cycle[(i - k + n) % n]];
+  const along = directions.find(at => path.every((v, k) => at(k) === v));
+  if (!along) return { vertex: path[path.length - 1], add: false, move: path.slice(0, -1) };
+  if (path.length === n) return null;
+  const next = along(path.length);
+  return { vertex: next, add: true, move: [...path, next] };
+}
+
+export function hamCycleHint(path, cycle) {
+  const step = cycleStep(path, cycle);
+  if (!step) return null;
+  const nudge = !step.add
+    ? `The cycle we found does not go this way: drop vertex ${step.vertex}.`
+    : path.length
+      ? `Vertex ${step.vertex} comes next.`
+      : `Start at vertex ${step.vertex}.`;
+  return { nudge, move: step.move };
+}
+
+// Imported instances may come without a tour, and then there is no hint.
+export function tourHint(path, tour) {
+  const step = cycleStep(path, tour);
+  if (!step) return null;
+  const nudge = !step.add
+    ? `The shortest tour we found does not go this way: drop city ${step.vertex}.`
+    : path.length
+      ? `City ${step.vertex} comes next.`
+      : `Start at city ${step.vertex}.`;
+  return { nudge, move: step.move };
+}
+
+export function satHint(clauses, assignment, solution) {
+  const idx = clauses.findIndex(clause => !isSatisfied(clause, assignment));
+  if (idx === -1) return null;
+  // The solution satisfies the clause, so one of its literals flips.
+  const { var: v } = clauses[idx].find(({ var: x, neg }) => solution[x] !== neg);
+  const move = [...assignment];
+  move[v] = solution[v];
+  return { nudge: `Clause ${idx + 1} is unsatisfied.`, move };
+}
+
+export function subsetSumHint(values, selected, target, mask) {
+  const sum = values.reduce((acc, v, i) => acc + (selected[i] ? v : 0), 0);
+  const extra = selected.findIndex((s, i) => s && !mask[i]);
+  const missing = mask.findIndex((m, i) => m && !selected[i]);
+  const i = extra !== -1 ? extra : missing;
+  if (i === -1) return null;
+  const move = [...selected];
+  move[i] = !move[i];
+  const nudge =
+    sum > target
+      ? `The sum is ${sum - target} over the target.`
+      : extra !== -1
+        ? `The subset we found does without ${values[extra]}.`
+        : `The sum is ${target - sum} short of the target.`;
+  return { nudge, move };
+}
+
+// Either row of the solution can be the moved one; steer toward the
+// closer of the two.
+export function partitionHint(values, moved, mask) {
+  const agree = mask.filter((m, i) => m === moved[i]).length;
+  const goal = agree * 2 >= mask.length ? mask : mask.map(m => !m);
+  const i = goal.findIndex((m, j) => m !== moved[j]);
+  if (i === -1) return null;
+  const diff = values.reduce((d, v, j) => d + (moved[j] ? -v : v), 0);
+  const move = [...moved];
+  move[i] = !move[i];
+  const nudge = diff
+    ? `The ${diff > 0 ? 'top' : 'bottom'} row is ${Math.abs(diff)} heavier.`
+    : `Move ${values[i]} to the other row.`;
+  return { nudge, move };
+}
@@ -0,0 +1,75 @@
+import {
+  vertexCoverHint,
+  independentSetHint,
+  cliqueHint,
+  coloringHint,
+  hamCycleHint,
+  tourHint,
+  satHint,
+  subsetSumHint,
+  partitionHint,
+} from './hints';
+import { isProperColoring } from './verifiers';
+
+// A 4-cycle 0-1-2-3 with the chord 0-2.
+const square = [{ u: 0, v: 1 }, { u: 1, v: 2 }, { u: 2, v: 3 }, { u: 3, v: 0 }, { u: 0, v: 2 }];
+
+test('set hints drop what the solution does without before adding to it', () => {
+  const cover = new Set([0, 2]);
+  expect(vertexCoverHint(square, new Set([1, 0]), cover)).toEqual({
+    nudge: 'A minimum cover can do without vertex 1.',
+    move: new Set([0]),
+  });
+  expect(vertexCoverHint(square, new Set([0]), cover)).toEqual({
+    nudge: 'Edge 1–2 is not covered yet.',
+    move: new Set([0, 2]),
+  });
+  expect(vertexCoverHint(square, cover, cover)).toBeNull();
+
+  expect(independentSetHint(square, new Set([0, 1]), new Set([1, 3])).nudge).toBe('Vertices 0 and 1 are neighbours.');
+  expect(cliqueHint(square, new Set([1, 3]), new Set([0, 1, 2])).nudge).toBe('Vertices 1 and 3 are not adjacent.');
+  expect(cliqueHint(square, new Set([0]), new Set([0, 1, 2])).nudge).toBe('Vertex 1 is in a maximum clique.');
+});
+
+test('colouring hints follow the renaming of the solution closest to the player', () => {
+  const solution = [0, 1, 2, 1];
+  // The player has swapped colours 0 and 1 and got vertex 3 wrong.
+  const hint = coloringHint(square, [1, 0, 2, 2], solution);
+  expect(hint.nudge).toBe('Vertices 2 and 3 are both blue.');
+  expect(hint.move).toEqual([1, 0, 2, 0]);
+  expect(isProperColoring(4, square, hint.move)).toBe(true);
+  expect(coloringHint(square, hint.move, solution)).toBeNull();
+});
+
+test('path hints follow the cycle either way round and step back when off it', () => {
+  const cycle = [0, 1, 2, 3];
+  expect(hamCycleHint([], cycle)).toEqual({ nudge: 'Start at vertex 0.', move: [0] });
+  expect(hamCycleHint([2, 1], cycle)).toEqual({ nudge: 'Vertex 0 comes next.', move: [2, 1, 0] });
+  expect(hamCycleHint([2, 0], cycle).move).toEqual([2]);
+  expect(hamCycleHint([1, 2, 3, 0], cycle)).toBeNull();
+  expect(tourHint([3], cycle).nudge).toBe('City 0 comes next.');
+  expect(tourHint([], [])).toBeNull();
+});
+
+test('number hints point at the clause, the sum or the heavier row', () => {
+  // (x1 ∨ ¬x2) ∧ (x2 ∨ x3)
+  const clauses = [
+    [{ var: 0, neg: false }, { var: 1, neg: true }],
+    [{ var: 1, neg: false }, { var: 2, neg: false }],
+  ];
+  expect(satHint(clauses, [true, false, false], [true, true, false])).toEqual({
+    nudge: 'Clause 2 is unsatisfied.',
+    move: [true, true, false],
+  });
+
+  expect(subsetSumHint([3, 5, 2], [true, true, false], 5, [true, false, true]).nudge).toBe('The sum is 3 over the target.');
+  expect(subsetSumHint([3, 5, 2], [true, false, false], 5, [true, false, true])).toEqual({
+    nudge: 'The sum is 2 short of the target.',
+    move: [true, false, true],
+  });
+
+  // Moving 1 and 3 down is as good as leaving them up and moving 2 and 2.
+  const hint = partitionHint([1, 2, 2, 3], [false, true, false, false], [true, false, false, true]);
+  expect(hint.nudge).toBe('The top row is 4 heavier.');
+  expect(hint.move).toEqual([false, true, true, false]);
+});
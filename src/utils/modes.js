@@ -0,0 +1,65 @@
+import { useCallback } from 'react';
+import { updateProfile, useProfileData } from './profiles';
+
+// Game modes, picked on the main menu and shared by every game. A mode says
+// how a run is timed and when it ends:
+//   countdown    'round' gives each puzzle the game's time limit, 'run'
+//                gives the whole run runFactor times that, and null has no
+//                countdown, only a clock counting up
+//   puzzles      the run ends once this many puzzles are solved
+//   suddenDeath  the first mistake ends the run
+//   study        the solvers can be watched during play, not only once
+//                the run is over (see components/SolverPlayer.jsx)
+// useRun.js keeps the clock and decides when a run is over.
+export const MODES = {
+  classic: {
+    name: 'Classic',
+    countdown: 'round',
+    description: 'Every puzzle has its own time limit. Running out ends the run.',
+  },
+  zen: {
+    name: 'Zen',
+    countdown: null,
+    study: true,
+    description: 'No time limit and no end. Take each puzzle at your own pace.',
+  },
+  timeAttack: {
+    name: 'Time Attack',
+    countdown: 'run',
+    runFactor: 5,
+    description: 'Five puzzles\' worth of time for as many puzzles as you can solve.',
+  },
+  suddenDeath: {
+    name: 'Sudden Death',
+    countdown: 'round',
+    suddenDeath: true,
+    description: 'Timed like Classic, but the first mistake ends the run.',
+  },
+  marathon: {
+    name: 'Marathon',
+    countdown: null,
+    puzzles: 10,
+    description: 'Ten puzzles against one clock. Finish them as fast as you can.',
+  },
+};
+
+export const DEFAULT_MODE = 'classic';
+
+// Game-over headings by why the run ended.
+export const OVER_TITLES = {
+  time: "Time's up!",
+  mistake: 'Sudden death!',
+  done: 'Marathon complete!',
+};
+
+/**
+ * The current profile's game mode, one of the MODES ids. Returns
+ * [mode, setMode] like useState.
+ */
+export function useMode() {
+  const select = useCallback(profile => profile.mode, []);
+  const saved = useProfileData(select);
+  const mode = MODES[saved] ? saved : DEFAULT_MODE;
+  const setMode = useCallback(next => updateProfile(profile => ({ ...profile, mode: next })), []);
+  return [mode, setMode];
+}
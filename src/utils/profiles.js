@@ -0,0 +1,318 @@
+import { useSyncExternalStore, useCallback } from 'react';
+import { randomSeed } from './random';
+
+// Everything the app remembers lives in one localStorage entry:
+//
+//   { version, current, profiles: { [id]: profile } }
+//
+// where each profile is
+//
+//   { name,
+//     highScores: { [gameId]: { [key]: score } },  see useHighScore.js
+//     settings:   { [gameId]: settings },        see puzzles/settings.js
+//     tiers:      { [gameId]: tier },
+//     daily:      { [date]: results },           see daily.js
+//     rounds:     [round],                       see stats.js
+//     mode,                                      see modes.js
+//     scoring,                                   see scoring.js
+//     session }                                  see session.js
+//
+// A stored document of an older version is brought up to date by running
+// MIGRATIONS[v] for each version v it is behind. Anything unreadable is
+// copied to BACKUP_KEY and replaced, and malformed parts of a readable
+// document are dropped, so bad storage never keeps the app from starting.
+
+export const STORE_KEY = 'nphardProfiles';
+export const BACKUP_KEY = 'nphardProfiles.corrupt';
+export const VERSION = 1;
+export const MAX_NAME_LENGTH = 24;
+
+// Where scores and preferences were kept before there were profiles.
+export const LEGACY_HIGH_SCORE_KEYS = {
+  vertexCoverHighScore: 'vertex-cover',
+  ISHighScore: 'independent-set',
+  CliqueHighScore: 'clique-game',
+  '3ColorHighScore': 'three-color-game',
+  hamCycleHighScore: 'ham-cycle-game',
+  TSPHighScore: 'traveling-salesman-game',
+  threeSatHighScore: 'three-sat-game',
+  subsetSumHighScore: 'subset-sum-game',
+  partitionHighScore: 'partition-game',
+};
+const LEGACY_KEYS = ['gameSettings', 'gameTiers', 'TSPDifficulty', 'dailyResults'];
+
+const isObject = x => x !== null && typeof x === 'object' && !Array.isArray(x);
+
+function readJson(storage, key) {
+  try {
+    const value = JSON.parse(storage.getItem(key));
+    return isObject(value) ? value : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+export function emptyProfile(name = 'Player') {
+  return { name, highScores: {}, settings: {}, tiers: {}, daily: {}, rounds: [], mode: 'classic', scoring: 'exact', session: null };
+}
+
+function freshDocument(profile = emptyProfile()) {
+  const id = randomSeed();
+  return { version: VERSION, current: id, profiles: { [id]: profile } };
+}
+
+// Version 0 is the scattered keys of before: they become the first profile.
+// A high score key held the Easy tier; `<key>.<tier>` held the others.
+function importLegacy(storage) {
+  const profile = emptyProfile();
+  for (let i = 0; i < storage.length; i++) {
+    const key = storage.key(i);
+    const [name, tier = 'easy'] = key.split('.');
+    const gameId = LEGACY_HIGH_SCORE_KEYS[name];
+    if (!gameId) continue;
+    profile.highScores[gameId] = { ...profile.highScores[gameId], [tier]: Number(storage.getItem(key)) };
+  }
+  profile.settings = readJson(storage, 'gameSettings');
+  profile.tiers = readJson(storage, 'gameTiers');
+  const tsp = storage.getItem('TSPDifficulty');
+  if (tsp && !profile.tiers['traveling-salesman-game']) profile.tiers['traveling-salesman-game'] = tsp;
+  profile.daily = readJson(storage, 'dailyResults');
+  return freshDocument(profile);
+}
+
+export const MIGRATIONS = {
+  0: (doc, storage) => importLegacy(storage),
+};
+
+function cleanName(name, fallback) {
+  const trimmed = typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+  return trimmed || fallback;
+}
+
+function cleanHighScores(raw) {
+  const scores = {};
+  Object.entries(isObject(raw) ? raw : {}).forEach(([gameId, tiers]) => {
+    if (!isObject(tiers)) return;
+    Object.entries(tiers).forEach(([tier, score]) => {
+      if (!Number.isInteger(score) || score < 0) return;
+      scores[gameId] = { ...scores[gameId], [tier]: score };
+    });
+  });
+  return scores;
+}
+
+function cleanDaily(raw) {
+  const daily = {};
+  Object.entries(isObject(raw) ? raw : {}).forEach(([date, results]) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !Array.isArray(results)) return;
+    daily[date] = Array.from(results, r =>
+      isObject(r) && typeof r.solved === 'boolean'
+        ? { solved: r.solved, seconds: Number.isFinite(r.seconds) ? r.seconds : null }
+        : null
+    );
+  });
+  return daily;
+}
+
+const ROUND_FIELDS = {
+  gameId: x => typeof x === 'string',
+  tier: x => typeof x === 'string',
+  size: x => Number.isInteger(x) && x >= 0,
+  seconds: x => Number.isFinite(x) && x >= 0,
+  mistakes: x => Number.isInteger(x) && x >= 0,
+  solved: x => typeof x === 'boolean',
+  at: x => Number.isFinite(x),
+};
+
+function cleanRounds(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter(r => isObject(r) && Object.entries(ROUND_FIELDS).every(([key, valid]) => valid(r[key])))
+    .map(r => Object.fromEntries(Object.keys(ROUND_FIELDS).map(key => [key, r[key]])));
+}
+
+const isBreakdown = x =>
+  Array.isArray(x) &&
+  x.every(r => isObject(r) && Number.isFinite(r.ratio) && r.ratio >= 1 && Number.isInteger(r.points) && r.points >= 0);
+
+const SESSION_RUN_FIELDS = {
+  mode: x => typeof x === 'string',
+  scoring: x => typeof x === 'string',
+  tier: x => typeof x === 'string',
+  left: x => x === null || (Number.isInteger(x) && x > 0),
+  elapsed: x => Number.isInteger(x) && x >= 0,
+  total: x => Number.isInteger(x) && x >= 0,
+  score: x => Number.isInteger(x) && x >= 0,
+  rounds: x => Number.isInteger(x) && x >= 0,
+  breakdown: isBreakdown,
+};
+
+function cleanSession(raw) {
+  if (!isObject(raw) || typeof raw.gameId !== 'string' || typeof raw.puzzle !== 'string') return null;
+  const { run } = raw;
+  if (!isObject(run) || !Object.entries(SESSION_RUN_FIELDS).every(([key, valid]) => valid(run[key]))) return null;
+  return raw;
+}
+
+function cleanProfile(raw, fallbackName) {
+  const p = isObject(raw) ? raw : {};
+  const tiers = {};
+  Object.entries(isObject(p.tiers) ? p.tiers : {}).forEach(([gameId, tier]) => {
+    if (typeof tier === 'string') tiers[gameId] = tier;
+  });
+  const settings = {};
+  Object.entries(isObject(p.settings) ? p.settings : {}).forEach(([gameId, s]) => {
+    if (isObject(s)) settings[gameId] = s;
+  });
+  return {
+    name: cleanName(p.name, fallbackName),
+    highScores: cleanHighScores(p.highScores),
+    settings,
+    tiers,
+    daily: cleanDaily(p.daily),
+    rounds: cleanRounds(p.rounds),
+    mode: typeof p.mode === 'string' ? p.mode : 'classic',
+    scoring: typeof p.scoring === 'string' ? p.scoring : 'exact',
+    session: cleanSession(p.session),
+  };
+}
+
+// Keeps whatever of a current-version document is well-formed.
+export function sanitize(doc) {
+  const profiles = {};
+  Object.entries(isObject(doc.profiles) ? doc.profiles : {}).forEach(([id, p], i) => {
+    profiles[id] = cleanProfile(p, `Player ${i + 1}`);
+  });
+  if (Object.keys(profiles).length === 0) return freshDocument();
+  const current = profiles[doc.current] ? doc.current : Object.keys(profiles)[0];
+  return { version: VERSION, current, profiles };
+}
+
+/**
+ * Turns the stored text into a current document. Returns { doc, corrupt },
+ * where corrupt says the text could not be used and should be kept aside.
+ */
+export function loadDocument(raw, storage) {
+  let doc;
+  if (raw === null) {
+    doc = { version: 0 };
+  } else {
+    try {
+      doc = JSON.parse(raw);
+    } catch (e) {
+      doc = null;
+    }
+  }
+  const readable = isObject(doc) && Number.isInteger(doc.version) && doc.version >= 0 && doc.version <= VERSION;
+  if (!readable) return { doc: freshDocument(), corrupt: true };
+  while (doc.version < VERSION) {
+    doc = { ...MIGRATIONS[doc.version](doc, storage), version: doc.version + 1 };
+  }
+  return { doc: sanitize(doc), corrupt: false };
+}
+
+// The store proper. The document is re-read whenever the stored text
+// changes under us, which covers other tabs and tests clearing storage.
+let state = null;
+let storedRaw;
+const listeners = new Set();
+
+function write(doc) {
+  state = doc;
+  try {
+    const raw = JSON.stringify(doc);
+    localStorage.setItem(STORE_KEY, raw);
+    storedRaw = raw;
+  } catch (e) {
+    // Out of space or storage disabled: carry on in memory.
+  }
+}
+
+function getDocument() {
+  const raw = localStorage.getItem(STORE_KEY);
+  if (state && raw === storedRaw) return state;
+  const { doc, corrupt } = loadDocument(raw, localStorage);
+  if (corrupt) localStorage.setItem(BACKUP_KEY, raw);
+  if (raw === null) {
+    Object.keys(LEGACY_HIGH_SCORE_KEYS).forEach(key => localStorage.removeItem(key));
+    LEGACY_KEYS.forEach(key => localStorage.removeItem(key));
+  }
+  write(doc);
+  return state;
+}
+
+function update(recipe) {
+  const doc = getDocument();
+  const next = recipe(doc);
+  if (next === doc) return;
+  write(next);
+  listeners.forEach(listener => listener());
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  window.addEventListener('storage', listener);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('storage', listener);
+  };
+}
+
+export function currentProfile() {
+  const doc = getDocument();
+  return doc.profiles[doc.current];
+}
+
+// recipe(profile) returns the current profile's next state, or the same
+// profile to leave everything as it is.
+export function updateProfile(recipe) {
+  update(doc => {
+    const profile = doc.profiles[doc.current];
+    const next = recipe(profile);
+    return next === profile ? doc : { ...doc, profiles: { ...doc.profiles, [doc.current]: next } };
+  });
+}
+
+export function createProfile(name) {
+  const id = randomSeed();
+  update(doc => {
+    const profile = emptyProfile(cleanName(name, `Player ${Object.keys(doc.profiles).length + 1}`));
+    return { ...doc, current: id, profiles: { ...doc.profiles, [id]: profile } };
+  });
+  return id;
+}
+
+export function renameProfile(id, name) {
+  update(doc => {
+    const profile = doc.profiles[id];
+    if (!profile) return doc;
+    return { ...doc, profiles: { ...doc.profiles, [id]: { ...profile, name: cleanName(name, profile.name) } } };
+  });
+}
+
+export function switchProfile(id) {
+  update(doc => (doc.profiles[id] ? { ...doc, current: id } : doc));
+}
+
+// The last profile cannot be deleted.
+export function deleteProfile(id) {
+  update(doc => {
+    const { [id]: gone, ...rest } = doc.profiles;
+    if (!gone || Object.keys(rest).length === 0) return doc;
+    return { ...doc, current: doc.current === id ? Object.keys(rest)[0] : doc.current, profiles: rest };
+  });
+}
+
+/** The whole document: { current, profiles }. Re-renders on any change. */
+export function useProfiles() {
+  return useSyncExternalStore(subscribe, getDocument);
+}
+
+/** select(currentProfile), re-rendering when the profile changes. */
+export function useProfileData(select) {
+  const getSelected = useCallback(() => {
+    const doc = getDocument();
+    return select(doc.profiles[doc.current]);
+  }, [select]);
+  return useSyncExternalStore(subscribe, getSelected);
+}
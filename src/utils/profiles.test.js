@@ -0,0 +1,118 @@
+import {
+  STORE_KEY,
+  BACKUP_KEY,
+  VERSION,
+  loadDocument,
+  currentProfile,
+  updateProfile,
+  createProfile,
+  renameProfile,
+  deleteProfile,
+} from './profiles';
+
+beforeEach(() => localStorage.clear());
+
+const stored = () => JSON.parse(localStorage.getItem(STORE_KEY));
+
+test('the old scattered keys become the first profile and are removed', () => {
+  localStorage.setItem('vertexCoverHighScore', '6');
+  localStorage.setItem('vertexCoverHighScore.hard', '2');
+  localStorage.setItem('3ColorHighScore', '3');
+  localStorage.setItem('TSPDifficulty', 'medium');
+  localStorage.setItem('gameSettings', JSON.stringify({ 'clique-game': { timer: 45 } }));
+  localStorage.setItem('dailyResults', JSON.stringify({ '2026-10-18': [{ solved: true, seconds: 9 }] }));
+
+  const profile = currentProfile();
+  expect(profile.highScores).toEqual({
+    'vertex-cover': { easy: 6, hard: 2 },
+    'three-color-game': { easy: 3 },
+  });
+  expect(profile.tiers).toEqual({ 'traveling-salesman-game': 'medium' });
+  expect(profile.settings).toEqual({ 'clique-game': { timer: 45 } });
+  expect(profile.daily['2026-10-18']).toEqual([{ solved: true, seconds: 9 }]);
+
+  expect(stored().version).toBe(VERSION);
+  expect(localStorage.getItem('vertexCoverHighScore')).toBeNull();
+  expect(localStorage.getItem('gameSettings')).toBeNull();
+});
+
+test('unreadable storage is set aside and replaced', () => {
+  localStorage.setItem(STORE_KEY, '{"version": 1, "profiles": {');
+  expect(currentProfile().highScores).toEqual({});
+  expect(localStorage.getItem(BACKUP_KEY)).toBe('{"version": 1, "profiles": {');
+  expect(stored().version).toBe(VERSION);
+
+  const { corrupt } = loadDocument(JSON.stringify({ version: VERSION + 1 }), localStorage);
+  expect(corrupt).toBe(true);
+});
+
+test('malformed parts of a readable document are dropped', () => {
+  const { doc, corrupt } = loadDocument(
+    JSON.stringify({
+      version: VERSION,
+      current: 'gone',
+      profiles: {
+        a: {
+          name: '  ',
+          highScores: { 'vertex-cover': { easy: 3, hard: 'lots', expert: -1 }, clique: 7 },
+          tiers: { 'clique-game': 'hard', 'vertex-cover': 4 },
+          daily: { '2026-10-18': [{ solved: true, seconds: 4 }, 'x'], junk: [] },
+          rounds: [
+            { gameId: 'clique-game', tier: 'easy', size: 7, seconds: 12, mistakes: 1, solved: true, at: 5, extra: 1 },
+            { gameId: 'clique-game', tier: 'easy', size: -7, seconds: 12, mistakes: 1, solved: true, at: 5 },
+          ],
+          mode: 7,
+          scoring: null,
+          session: { gameId: 'clique-game', puzzle: 'x', run: { score: -1 } },
+        },
+      },
+    }),
+    localStorage
+  );
+  expect(corrupt).toBe(false);
+  expect(doc.current).toBe('a');
+  expect(doc.profiles.a).toEqual({
+    name: 'Player 1',
+    highScores: { 'vertex-cover': { easy: 3 } },
+    settings: {},
+    tiers: { 'clique-game': 'hard' },
+    daily: { '2026-10-18': [{ solved: true, seconds: 4 }, null] },
+    rounds: [{ gameId: 'clique-game', tier: 'easy', size: 7, seconds: 12, mistakes: 1, solved: true, at: 5 }],
+    mode: 'classic',
+    scoring: 'exact',
+    session: null,
+  });
+});
+
+test('fields missing from a stored profile get their defaults', () => {
+  const sparse = { version: VERSION, current: 'a', profiles: { a: { name: 'Ada', highScores: { 'vertex-cover': { easy: 2 } } } } };
+  const { doc } = loadDocument(JSON.stringify(sparse), localStorage);
+  expect(doc.version).toBe(VERSION);
+  expect(doc.profiles.a).toEqual(
+    expect.objectContaining({
+      name: 'Ada',
+      highScores: { 'vertex-cover': { easy: 2 } },
+      rounds: [],
+      mode: 'classic',
+      scoring: 'exact',
+      session: null,
+    })
+  );
+});
+
+test('profiles are kept apart and the last one cannot be deleted', () => {
+  updateProfile(p => ({ ...p, tiers: { 'clique-game': 'expert' } }));
+  const first = stored().current;
+
+  const second = createProfile('  Ada  ');
+  expect(currentProfile()).toEqual(expect.objectContaining({ name: 'Ada', tiers: {} }));
+  renameProfile(second, 'Grace');
+  expect(currentProfile().name).toBe('Grace');
+
+  deleteProfile(second);
+  expect(stored().current).toBe(first);
+  expect(currentProfile().tiers).toEqual({ 'clique-game': 'expert' });
+
+  deleteProfile(first);
+  expect(Object.keys(stored().profiles)).toEqual([first]);
+});
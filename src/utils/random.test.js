@@ -0,0 +1,21 @@
+import { createRng, randomSeed } from './random';
+
+test('the same seed replays the same sequence', () => {
+  const a = createRng('k3f9z2');
+  const b = createRng('k3f9z2');
+  const seqA = Array.from({ length: 20 }, () => a());
+  const seqB = Array.from({ length: 20 }, () => b());
+  expect(seqA).toEqual(seqB);
+  seqA.forEach(x => {
+    expect(x).toBeGreaterThanOrEqual(0);
+    expect(x).toBeLessThan(1);
+  });
+});
+
+test('different seeds diverge', () => {
+  expect(createRng('a')()).not.toBe(createRng('b')());
+});
+
+test('random seeds are short printable strings', () => {
+  expect(randomSeed()).toMatch(/^[0-9a-z]{1,7}$/);
+});
@@ -0,0 +1,393 @@
+import { unpackInstance, MAX_SHARED_NODES, MAX_REDUCED_NODES } from './share';
+import { MAX_SOLVER_NODES } from './solvers';
+import { isSatisfied, solveSat } from './sat';
+import { MAX_CNF_VARS, MAX_CNF_CLAUSES } from './cnf';
+import { isVertexCover, isIndependentSet, isClique, isHamiltonianCycle, uncoveredEdges } from './verifiers';
+
+// Polynomial-time reductions between the games' problems. Each one turns a
+// round of one game, in the form its Share link carries (see share.js),
+// into a round of another that has an answer exactly when the first does,
+// and turns answers to the new round back into answers to the first:
+//
+//   reduce(source)             the new round's share payload
+//   mapBack(source, selection) the source game's selection for an answer
+//                              given as the target game's selection
+//
+// A reduced round opens in its game with `?via=<id>&src=<source payload>`
+// next to `p`, which is how the game knows to show answers mapped back.
+// Reductions from 3SAT blow the formula up several times over, so they also
+// carry an answer in `s`, built from a satisfying assignment: the games take
+// rounds up to MAX_REDUCED_NODES with one instead of solving them, as long
+// as the round is what the reduction makes of `src` (see isReducedRound).
+
+export const PROBLEM_NAMES = {
+  'vertex-cover': 'Vertex Cover',
+  'independent-set': 'Independent Set',
+  'clique-game': 'Clique',
+  'three-color-game': '3-Colorability',
+  'ham-cycle-game': 'Hamiltonian Cycle',
+  'traveling-salesman-game': 'Traveling Salesman',
+  'three-sat-game': '3SAT',
+  'subset-sum-game': 'Subset Sum',
+  'partition-game': 'Partition',
+};
+
+// How many vertices, cities or numbers each target game opens from a link.
+const MAX_SIZE = {
+  'vertex-cover': MAX_SOLVER_NODES,
+  'independent-set': MAX_SOLVER_NODES,
+  'clique-game': MAX_SOLVER_NODES,
+  'three-color-game': MAX_SHARED_NODES,
+  'traveling-salesman-game': MAX_SHARED_NODES,
+  'partition-game': MAX_SHARED_NODES,
+};
+
+const SIZE = 400;
+
+function graphOf({ xy, e }) {
+  const edges = [];
+  for (let i = 0; i < e.length; i += 2) edges.push({ u: e[i], v: e[i + 1] });
+  return { n: xy.length / 2, edges };
+}
+
+const packEdges = edges => edges.flatMap(({ u, v }) => [u, v]);
+
+function complementEdges(n, edges) {
+  const has = new Set(edges.map(({ u, v }) => `${Math.min(u, v)},${Math.max(u, v)}`));
+  const missing = [];
+  for (let u = 0; u < n; u++) {
+    for (let v = u + 1; v < n; v++) if (!has.has(`${u},${v}`)) missing.push({ u, v });
+  }
+  return missing;
+}
+
+const range = n => Array.from({ length: n }, (_, i) => i);
+
+// A satisfying assignment of a formula payload, or null.
+const solveFormula = ({ v, c }) =>
+  solveSat(v, c.map(clause => clause.map(lit => ({ var: Math.abs(lit) - 1, neg: lit < 0 }))));
+
+// Points on a grid of 40-pixel cells, nine to a row, as deep as it takes.
+const grid = n => range(n).flatMap(i => [40 + (i % 9) * 40, 40 + Math.floor(i / 9) * 40]);
+
+const complementSet = (n, set) => new Set(range(n).filter(v => !set.has(v)));
+
+// n points spread evenly round a circle, packed like packPoints.
+function ring(n, cx, cy, r) {
+  return range(n).flatMap(i => {
+    const angle = (2 * Math.PI * i) / n - Math.PI / 2;
+    return [Math.round(cx + r * Math.cos(angle)), Math.round(cy + r * Math.sin(angle))];
+  });
+}
+
+// The literals of a formula payload (see ThreeSatGame's toShared) in clause
+// order, as signed variable numbers with the clause each is in.
+const occurrences = ({ c }) => c.flatMap((clause, ci) => clause.map(lit => ({ lit, clause: ci })));
+
+// The same graph, where an answer maps back to the vertices it leaves out.
+const complementSetReduction = () => ({
+  reduce: data => ({ l: data.l, xy: data.xy, e: data.e, k: data.xy.length / 2 - data.k }),
+  mapBack: (source, selection) => complementSet(source.xy.length / 2, selection),
+});
+
+// The complement graph, where an answer maps back as it is.
+const complementGraphReduction = () => ({
+  reduce: data => {
+    const { n, edges } = graphOf(data);
+    return { l: data.l, xy: data.xy, e: packEdges(complementEdges(n, edges)), k: data.k };
+  },
+  mapBack: (source, selection) => new Set(selection),
+});
+
+// A vertex per literal of the formula, a triangle per clause, and an edge
+// between every literal and each occurrence of its negation. An independent
+// set with a vertex in every clause picks literals that can all be true.
+function clauseTriangles(data) {
+  const lits = occurrences(data);
+  const edges = [];
+  lits.forEach((a, i) =>
+    lits.forEach((b, j) => {
+      if (j > i && (a.clause === b.clause || a.lit === -b.lit)) edges.push({ u: i, v: j });
+    })
+  );
+  // Clauses fill the board, four to a row at most; more rows run below it.
+  const m = data.c.length;
+  const cols = Math.min(4, Math.ceil(Math.sqrt(m)));
+  const rows = Math.ceil(m / cols);
+  const [w, h] = [SIZE / cols, Math.max(SIZE / rows, SIZE / 4)];
+  const xy = data.c.flatMap((clause, ci) => {
+    const [cx, cy] = [(ci % cols + 0.5) * w, (Math.floor(ci / cols) + 0.5) * h];
+    return clause.length === 1 ? [Math.round(cx), Math.round(cy)] : ring(clause.length, cx, cy, Math.min(w, h) * 0.3);
+  });
+  const round = { l: 'planar', xy, e: packEdges(edges), k: m };
+  // A true literal of every clause.
+  const assignment = solveFormula(data);
+  if (assignment) {
+    round.s = data.c.map((clause, ci) => {
+      const at = clause.findIndex(lit => assignment[Math.abs(lit) - 1] === (lit > 0));
+      return lits.findIndex(({ clause: of }) => of === ci) + at;
+    });
+  }
+  return round;
+}
+
+// Literals picked by the independent set are true; the rest of the
+// variables are false.
+function assignmentFromLiterals(data, selection) {
+  const assignment = Array(data.v).fill(false);
+  occurrences(data).forEach(({ lit }, i) => {
+    if (selection.has(i) && lit > 0) assignment[lit - 1] = true;
+  });
+  return assignment;
+}
+
+// Vertices of the colouring gadgets: 0, 1 and 2 are the colours true,
+// false and base; variable i has a vertex for x(i+1) and one for its
+// negation, both joined to base so each is true or false. Every clause is
+// a chain of OR gadgets whose output is joined to false and base, which
+// only colours when some literal of the clause is true.
+const TRUE = 0;
+const FALSE = 1;
+const BASE = 2;
+
+// The colours p and q of an OR gadget may take, out taking the third.
+const COLOR_PAIRS = [[TRUE, FALSE], [FALSE, TRUE], [TRUE, BASE], [BASE, TRUE], [FALSE, BASE], [BASE, FALSE]];
+
+const literalVertex = lit => 3 + 2 * (Math.abs(lit) - 1) + (lit < 0 ? 1 : 0);
+
+function coloringGadgets(data) {
+  const assignment = solveFormula(data);
+  const colors = assignment && [TRUE, FALSE, BASE, ...assignment.flatMap(value => (value ? [TRUE, FALSE] : [FALSE, TRUE]))];
+  const edges = [
+    { u: TRUE, v: FALSE },
+    { u: FALSE, v: BASE },
+    { u: BASE, v: TRUE },
+  ];
+  range(data.v).forEach(i => {
+    const [a, b] = [literalVertex(i + 1), literalVertex(-(i + 1))];
+    edges.push({ u: a, v: b }, { u: a, v: BASE }, { u: b, v: BASE });
+  });
+  let next = 3 + 2 * data.v;
+  // Three vertices whose last can be coloured true only when a or b is.
+  // With an assignment, out is coloured true or false as a or b is.
+  const or = (a, b) => {
+    const [p, q, out] = [next, next + 1, next + 2];
+    next += 3;
+    edges.push({ u: a, v: p }, { u: b, v: q }, { u: p, v: q }, { u: p, v: out }, { u: q, v: out });
+    if (colors) {
+      const wanted = colors[a] === TRUE || colors[b] === TRUE ? TRUE : FALSE;
+      const [cp, cq] = COLOR_PAIRS.find(([x, y]) => x !== colors[a] && y !== colors[b] && 3 - x - y === wanted);
+      colors.push(cp, cq, wanted);
+    }
+    return out;
+  };
+  data.c.forEach(clause => {
+    const out = clause.map(literalVertex).reduce(or);
+    edges.push({ u: out, v: FALSE }, { u: out, v: BASE });
+  });
+  return { xy: grid(next), e: packEdges(edges), ...(colors ? { s: colors } : {}) };
+}
+
+// A variable is true when its vertex has the colour of the true vertex.
+const assignmentFromColors = (data, colors) => range(data.v).map(i => colors[literalVertex(i + 1)] === colors[TRUE]);
+
+// Adds |total - 2 target| to the numbers: an equal split then puts values
+// summing to the target on one side, next to the new number when the
+// target is at most half the total and opposite it otherwise.
+function balancingNumber({ v, t }) {
+  const total = v.reduce((a, b) => a + b, 0);
+  const extra = Math.abs(total - 2 * t);
+  return { v: extra > 0 ? [...v, extra] : [...v] };
+}
+
+function subsetFromSides({ v, t }, moved) {
+  const total = v.reduce((a, b) => a + b, 0);
+  if (total === 2 * t) return v.map((_, i) => Boolean(moved[i]));
+  const side = Boolean(moved[v.length]);
+  const withExtra = 2 * t <= total;
+  return v.map((_, i) => Boolean(moved[i]) === (withExtra ? side : !side));
+}
+
+// Distance 1 along an edge and 2 otherwise: a tour as short as the number
+// of cities only ever follows edges.
+function unitDistances(data) {
+  const { n, edges } = graphOf(data);
+  const has = new Set(edges.flatMap(({ u, v }) => [`${u},${v}`, `${v},${u}`]));
+  const w = [];
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) w.push(has.has(`${i},${j}`) ? 1 : 2);
+  }
+  return { xy: data.xy, w, n: 'Hamiltonian Cycle' };
+}
+
+export const REDUCTIONS = [
+  {
+    id: 'is-vc',
+    from: 'independent-set',
+    to: 'vertex-cover',
+    name: 'Complement set',
+    description:
+      'Same graph. A set of vertices is independent exactly when the other vertices cover every edge, so a largest independent set leaves a smallest vertex cover.',
+    ...complementSetReduction(),
+  },
+  {
+    id: 'vc-is',
+    from: 'vertex-cover',
+    to: 'independent-set',
+    name: 'Complement set',
+    description:
+      'Same graph. A set of vertices covers every edge exactly when the other vertices are independent, so a smallest cover leaves a largest independent set.',
+    ...complementSetReduction(),
+  },
+  {
+    id: 'is-clique',
+    from: 'independent-set',
+    to: 'clique-game',
+    name: 'Complement graph',
+    description:
+      'Edges and non-edges swap. Vertices with no edges between them are exactly those joined by every edge of the complement, so independent sets become cliques.',
+    ...complementGraphReduction(),
+  },
+  {
+    id: 'clique-is',
+    from: 'clique-game',
+    to: 'independent-set',
+    name: 'Complement graph',
+    description:
+      'Edges and non-edges swap. Vertices all joined to each other are exactly those with no edges between them in the complement, so cliques become independent sets.',
+    ...complementGraphReduction(),
+  },
+  {
+    id: 'sat-is',
+    from: 'three-sat-game',
+    to: 'independent-set',
+    name: 'Clause triangles',
+    description:
+      'A vertex per literal, a triangle per clause and an edge between each literal and its negation. An independent set with a vertex in every clause picks literals that can all be true at once.',
+    reduce: clauseTriangles,
+    mapBack: assignmentFromLiterals,
+  },
+  {
+    id: 'sat-color',
+    from: 'three-sat-game',
+    to: 'three-color-game',
+    name: 'Colouring gadgets',
+    description:
+      'A triangle fixes the colours true, false and base; each variable is a pair of literal vertices joined to base; each clause is a chain of OR gadgets whose output can only be coloured true when one of its literals is.',
+    reduce: coloringGadgets,
+    mapBack: assignmentFromColors,
+  },
+  {
+    id: 'subset-partition',
+    from: 'subset-sum-game',
+    to: 'partition-game',
+    name: 'Balancing number',
+    description:
+      'Adds the difference between the total and twice the target. Splitting the new numbers equally then puts numbers summing to the target on one side.',
+    reduce: balancingNumber,
+    mapBack: subsetFromSides,
+  },
+  {
+    id: 'ham-tsp',
+    from: 'ham-cycle-game',
+    to: 'traveling-salesman-game',
+    name: 'Distances 1 and 2',
+    description:
+      'Cities 1 apart along an edge of the graph and 2 apart otherwise. A tour as short as the number of cities follows edges only, so it is a Hamiltonian cycle.',
+    reduce: unitDistances,
+    mapBack: (source, selection) => [...selection],
+  },
+];
+
+export const REDUCTION_BY_ID = Object.fromEntries(REDUCTIONS.map(r => [r.id, r]));
+
+// The number of vertices, cities or numbers of a share payload.
+const sizeOf = data => (data.v ? data.v.length : data.xy.length / 2);
+
+/**
+ * What keeps a reduced round from opening in its game, or null if nothing
+ * does: games only open graphs with edges, and only so many vertices, more
+ * when the round comes with its answer.
+ */
+export function unplayable(reduction, data) {
+  const max = data.s ? MAX_REDUCED_NODES : MAX_SIZE[reduction.to];
+  if (sizeOf(data) > max) return `Too large to play: ${PROBLEM_NAMES[reduction.to]} takes up to ${max}.`;
+  if (data.e && data.e.length === 0) return 'The new graph has no edges, so there is nothing to play.';
+  return null;
+}
+
+/**
+ * Whether data is the round the reduction of reducedFrom ({ via, source },
+ * as the games take it) makes of the source round: the same vertices,
+ * edges and k, wherever the vertices were moved to. Only such a round's
+ * answer is taken instead of solving it.
+ */
+export function isReducedRound(reducedFrom, data) {
+  const reduction = reducedFrom && REDUCTION_BY_ID[reducedFrom.via];
+  const source = reduction && unpackInstance(reducedFrom.source);
+  if (!source || !data || !Array.isArray(data.xy)) return false;
+  try {
+    // Answers come from solving the formula, so it must be one 3SAT opens.
+    if (reduction.from === 'three-sat-game' && !(source.v <= MAX_CNF_VARS && source.c.length <= MAX_CNF_CLAUSES)) {
+      return false;
+    }
+    const round = reduction.reduce(source);
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    return round.xy.length === data.xy.length && same(round.e, data.e) && same(round.k, data.k);
+  } catch (e) {
+    return false;
+  }
+}
+
+// One line on the size of a reduced round.
+export function describeRound(gameId, data) {
+  if (data.v) return `${data.v.length} numbers`;
+  const { n, edges } = graphOf({ e: [], ...data });
+  if (gameId === 'traveling-salesman-game') return `${n} cities`;
+  const k = data.k === undefined ? '' : `, k = ${data.k}`;
+  return `${n} vertices, ${edges.length} edges${k}`;
+}
+
+const truthTable = assignment => assignment.map((value, i) => `x${i + 1} = ${value ? 'T' : 'F'}`).join(', ');
+
+// One line on how a selection in a source game does, by source game.
+const SUMMARIES = {
+  'independent-set': (data, set) => {
+    const { edges } = graphOf(data);
+    const verdict = isIndependentSet(edges, set) ? 'an independent set' : 'not independent';
+    return `${set.size} vertices, ${verdict} (the largest has ${data.k})`;
+  },
+  'vertex-cover': (data, set) => {
+    const { edges } = graphOf(data);
+    const verdict = isVertexCover(edges, set) ? 'a vertex cover' : `${uncoveredEdges(edges, set).length} edges uncovered`;
+    return `${set.size} vertices, ${verdict} (the smallest has ${data.k})`;
+  },
+  'clique-game': (data, set) => {
+    const { edges } = graphOf(data);
+    return `${set.size} vertices, ${isClique(edges, set) ? 'a clique' : 'not a clique'} (the largest has ${data.k})`;
+  },
+  'three-sat-game': (data, assignment) => {
+    const clauses = data.c.map(clause => clause.map(lit => ({ var: Math.abs(lit) - 1, neg: lit < 0 })));
+    const satisfied = clauses.filter(clause => isSatisfied(clause, assignment)).length;
+    return `${truthTable(assignment)}: ${satisfied} of ${clauses.length} clauses satisfied`;
+  },
+  'subset-sum-game': ({ v, t }, picked) => {
+    const values = v.filter((_, i) => picked[i]);
+    const sum = values.reduce((a, b) => a + b, 0);
+    return values.length ? `${values.join(' + ')} = ${sum}, target ${t}` : `nothing picked, target ${t}`;
+  },
+  'ham-cycle-game': (data, order) => {
+    const { n, edges } = graphOf(data);
+    if (order.length === 0) return 'no vertices visited';
+    const path = order.join(' → ');
+    return isHamiltonianCycle(n, edges, order) ? `${path} → ${order[0]}, a Hamiltonian cycle` : path;
+  },
+};
+
+/**
+ * The target game's selection mapped back to the source round, described
+ * in one line.
+ */
+export function mapBackSummary(reduction, source, selection) {
+  return SUMMARIES[reduction.from](source, reduction.mapBack(source, selection));
+}
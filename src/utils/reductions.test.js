@@ -0,0 +1,162 @@
+import { REDUCTION_BY_ID, unplayable, mapBackSummary, isReducedRound } from './reductions';
+import { minVertexCover, maxIndependentSet, maxClique, shortestTour } from './solvers';
+import {
+  isIndependentSet,
+  isVertexCover,
+  isClique,
+  isHamiltonianCycle,
+  satisfiesFormula,
+  isSubsetWithSum,
+  isProperColoring,
+} from './verifiers';
+import { unpackGraph, packInstance, MAX_REDUCED_NODES } from './share';
+import { GENERATORS, GAME_TIERS } from '../puzzles';
+import { find3Coloring } from '../puzzles/threeColor';
+import { createRng } from './random';
+
+function randomGraph(rng, n, p) {
+  const e = [];
+  for (let u = 0; u < n; u++) {
+    for (let v = u + 1; v < n; v++) if (rng() < p) e.push(u, v);
+  }
+  return { l: 'circle', xy: Array.from({ length: 2 * n }, () => Math.floor(rng() * 400)), e };
+}
+
+const graphOf = data => unpackGraph(data, 60);
+
+// The distance matrix of the upper triangle w, row by row.
+function distances(n, w) {
+  const weights = Array.from({ length: n }, () => Array(n).fill(0));
+  let k = 0;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) weights[i][j] = weights[j][i] = w[k++];
+  }
+  return weights;
+}
+
+const clausesOf = ({ c }) => c.map(clause => clause.map(lit => ({ var: Math.abs(lit) - 1, neg: lit < 0 })));
+
+test('the complement reductions keep the best answer and map it back', () => {
+  const rng = createRng('reductions');
+  for (let round = 0; round < 20; round++) {
+    const n = 4 + Math.floor(rng() * 8);
+    const data = randomGraph(rng, n, 0.2 + rng() * 0.5);
+    if (data.e.length === 0) continue;
+    const { edges } = graphOf(data);
+    const independent = { ...data, k: maxIndependentSet(n, edges).size };
+
+    const cover = REDUCTION_BY_ID['is-vc'].reduce(independent);
+    const best = minVertexCover(n, graphOf(cover).edges);
+    expect(cover.k).toBe(best.size);
+    const back = REDUCTION_BY_ID['is-vc'].mapBack(independent, new Set(best.nodes));
+    expect(isIndependentSet(edges, back, independent.k)).toBe(true);
+    expect(isVertexCover(edges, REDUCTION_BY_ID['vc-is'].mapBack(cover, back), cover.k)).toBe(true);
+
+    const clique = REDUCTION_BY_ID['is-clique'].reduce(independent);
+    if (clique.e.length === 0) continue;
+    const largest = maxClique(n, graphOf(clique).edges);
+    expect(clique.k).toBe(largest.size);
+    const apart = REDUCTION_BY_ID['is-clique'].mapBack(independent, new Set(largest.nodes));
+    expect(isIndependentSet(edges, apart, clique.k)).toBe(true);
+    expect(isClique(graphOf(clique).edges, REDUCTION_BY_ID['clique-is'].mapBack(clique, back))).toBe(true);
+  }
+});
+
+test('clause triangles have an independent set per clause exactly when the formula is satisfiable', () => {
+  const formula = { v: 3, c: [[1, 2, -3], [-1, -2, 3], [-1, 2, 3], [1, -2, -3]] };
+  const graph = REDUCTION_BY_ID['sat-is'].reduce(formula);
+  expect(graph.k).toBe(4);
+  const { nodes, edges } = graphOf(graph);
+  expect(nodes).toHaveLength(12);
+  const { size, nodes: picked } = maxIndependentSet(nodes.length, edges);
+  expect(size).toBe(4);
+  const best = new Set(picked);
+  const assignment = REDUCTION_BY_ID['sat-is'].mapBack(formula, best);
+  expect(satisfiesFormula(clausesOf(formula), assignment)).toBe(true);
+  expect(mapBackSummary(REDUCTION_BY_ID['sat-is'], formula, best)).toMatch(/: 4 of 4 clauses satisfied$/);
+});
+
+test('the colouring gadgets colour exactly when the formula is satisfiable', () => {
+  const color = formula => {
+    const graph = REDUCTION_BY_ID['sat-color'].reduce(formula);
+    const { nodes, edges } = unpackGraph(graph, 100);
+    return find3Coloring(nodes.length, edges, 3);
+  };
+  const formula = { v: 2, c: [[1, 2, -1], [-2, -1, -1]] };
+  const colors = color(formula);
+  expect(satisfiesFormula(clausesOf(formula), REDUCTION_BY_ID['sat-color'].mapBack(formula, colors))).toBe(true);
+
+  expect(color({ v: 1, c: [[1], [-1]], g: 1 })).toBe(null);
+  expect(color({ v: 2, c: [[1, 2], [-1, 2], [1, -2], [-1, -2]], g: 1 })).toBe(null);
+});
+
+test('the balancing number turns an equal split back into the target sum', () => {
+  const split = values => {
+    for (let m = 0; m < 1 << values.length; m++) {
+      const moved = values.map((_, i) => Boolean(m & (1 << i)));
+      if (values.reduce((d, v, i) => d + (moved[i] ? v : -v), 0) === 0) return moved;
+    }
+    return null;
+  };
+  [
+    { v: [3, 5, 17], t: 20 },
+    { v: [3, 5, 17], t: 8 },
+    { v: [4, 6, 10], t: 10 },
+  ].forEach(source => {
+    const { v } = REDUCTION_BY_ID['subset-partition'].reduce(source);
+    const picked = REDUCTION_BY_ID['subset-partition'].mapBack(source, split(v));
+    expect(isSubsetWithSum(source.v, picked, source.t)).toBe(true);
+  });
+});
+
+test('a tour as short as the number of cities maps back to a Hamiltonian cycle', () => {
+  const square = { l: 'circle', xy: [0, 0, 100, 0, 100, 100, 0, 100], e: [0, 1, 1, 2, 2, 3, 3, 0, 0, 2] };
+  const tsp = REDUCTION_BY_ID['ham-tsp'].reduce(square);
+  expect(tsp.w).toEqual([1, 1, 1, 1, 2, 1]);
+  const { length, tour } = shortestTour(distances(4, tsp.w));
+  expect(length).toBe(4);
+  const order = REDUCTION_BY_ID['ham-tsp'].mapBack(square, tour.slice(0, -1));
+  expect(isHamiltonianCycle(4, graphOf(square).edges, order)).toBe(true);
+  expect(mapBackSummary(REDUCTION_BY_ID['ham-tsp'], square, order)).toMatch(/a Hamiltonian cycle$/);
+});
+
+test('generated formulas of every tier reduce to rounds that come with their answer', () => {
+  GAME_TIERS['three-sat-game'].filter(tier => tier !== 'custom').forEach(tier => {
+    const { numVars, clauses } = GENERATORS['three-sat-game']({ seed: 'reduce', tier });
+    const formula = { v: numVars, c: clauses.map(clause => clause.map(({ var: v, neg }) => (neg ? -(v + 1) : v + 1))) };
+
+    const triangles = REDUCTION_BY_ID['sat-is'].reduce(formula);
+    expect(unplayable(REDUCTION_BY_ID['sat-is'], triangles)).toBe(null);
+    const picked = new Set(triangles.s);
+    expect(isIndependentSet(unpackGraph(triangles, MAX_REDUCED_NODES).edges, picked, triangles.k)).toBe(true);
+    expect(satisfiesFormula(clauses, REDUCTION_BY_ID['sat-is'].mapBack(formula, picked))).toBe(true);
+
+    const gadgets = REDUCTION_BY_ID['sat-color'].reduce(formula);
+    expect(unplayable(REDUCTION_BY_ID['sat-color'], gadgets)).toBe(null);
+    const { nodes, edges } = unpackGraph(gadgets, MAX_REDUCED_NODES);
+    expect(isProperColoring(nodes.length, edges, gadgets.s)).toBe(true);
+    expect(satisfiesFormula(clauses, REDUCTION_BY_ID['sat-color'].mapBack(formula, gadgets.s))).toBe(true);
+  });
+});
+
+test('reduced rounds too large or without edges cannot be played', () => {
+  // 21 clause triangles are 63 vertices, more than Vertex Cover solves.
+  const formula = { v: 3, c: Array.from({ length: 21 }, (_, i) => [1, 2, i % 2 ? 3 : -3]) };
+  const triangles = REDUCTION_BY_ID['sat-is'].reduce(formula);
+  expect(unplayable(REDUCTION_BY_ID['sat-is'], triangles)).toBe(null);
+  expect(unplayable(REDUCTION_BY_ID['is-vc'], REDUCTION_BY_ID['is-vc'].reduce(triangles))).toMatch(/^Too large to play/);
+  const triangle = { l: 'circle', xy: [0, 0, 100, 0, 50, 80], e: [0, 1, 1, 2, 2, 0], k: 1 };
+  expect(unplayable(REDUCTION_BY_ID['is-clique'], REDUCTION_BY_ID['is-clique'].reduce(triangle))).toMatch(/no edges/);
+});
+
+test('only the round a reduction makes of its source is taken with its answer', () => {
+  const formula = { v: 3, c: Array.from({ length: 21 }, (_, i) => [1, 2, i % 2 ? 3 : -3]) };
+  const reducedFrom = { via: 'sat-is', source: packInstance(formula) };
+  const triangles = REDUCTION_BY_ID['sat-is'].reduce(formula);
+  expect(isReducedRound(reducedFrom, triangles)).toBe(true);
+  expect(isReducedRound(reducedFrom, { ...triangles, xy: triangles.xy.map(x => x + 1) })).toBe(true);
+  expect(isReducedRound(reducedFrom, { ...triangles, k: triangles.k + 1 })).toBe(false);
+  expect(isReducedRound(reducedFrom, { ...triangles, e: triangles.e.slice(2) })).toBe(false);
+  expect(isReducedRound({ ...reducedFrom, via: 'sat-color' }, triangles)).toBe(false);
+  expect(isReducedRound(null, triangles)).toBe(false);
+});
@@ -0,0 +1,66 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// Routes live in the URL fragment so the GitHub Pages build needs no
+// server rewrites:  #/            main menu
+//                   #/<game>      a game
+//                   #/<game>/help that game with its help overlay open
+// Any of them may carry a query, e.g. #/vertex-cover?seed=k3f9z2.
+export function parseHash(hash) {
+  const [path, search = ''] = (hash || '').replace(/^#\/?/, '').split('?');
+  const parts = path.split('/').filter(Boolean);
+  return {
+    gameId: parts[0] || null,
+    help: parts[1] === 'help',
+    query: Object.fromEntries(new URLSearchParams(search)),
+  };
+}
+
+export function buildHash({ gameId = null, help = false, query = {} }) {
+  const search = new URLSearchParams(query).toString();
+  const suffix = search ? `?${search}` : '';
+  if (!gameId) return `#/${suffix}`;
+  return help ? `#/${gameId}/help${suffix}` : `#/${gameId}${suffix}`;
+}
+
+function historyDepth() {
+  const state = window.history.state;
+  return state && typeof state.depth === 'number' ? state.depth : 0;
+}
+
+export function useHashRoute() {
+  const [route, setRoute] = useState(() => parseHash(window.location.hash));
+
+  useEffect(() => {
+    const sync = () => setRoute(parseHash(window.location.hash));
+    window.addEventListener('popstate', sync);
+    window.addEventListener('hashchange', sync);
+    return () => {
+      window.removeEventListener('popstate', sync);
+      window.removeEventListener('hashchange', sync);
+    };
+  }, []);
+
+  const navigate = useCallback((next, { replace = false } = {}) => {
+    const hash = buildHash(next);
+    const depth = historyDepth();
+    if (replace) {
+      window.history.replaceState({ depth }, '', hash);
+    } else {
+      window.history.pushState({ depth: depth + 1 }, '', hash);
+    }
+    setRoute(parseHash(hash));
+  }, []);
+
+  // Leave the current route the same way the browser back button would.
+  // When the page was opened straight on a deep link there is nothing of
+  // ours to go back to, so replace the entry with `fallback` instead.
+  const back = useCallback(fallback => {
+    if (historyDepth() > 0) {
+      window.history.back();
+    } else {
+      navigate(fallback, { replace: true });
+    }
+  }, [navigate]);
+
+  return { route, navigate, back };
+}
@@ -0,0 +1,67 @@
+// Clauses use the game's representation: arrays of { var, neg } literals with
+// 0-based variable indices.
+
+export function isSatisfied(clause, assignment) {
+  return clause.some(({ var: v, neg }) => assignment[v] === !neg);
+}
+
+// DPLL with unit propagation. Returns a satisfying assignment (array of
+// booleans) or null when the formula is unsatisfiable. If given,
+// onStep(step) hears of every move with the assignment so far (null for a
+// variable still open): { kind: 'unit', clause, literal } when a clause
+// forces a variable, { kind: 'conflict', clause } when one is made false,
+// and { kind: 'guess', variable, value } for a guess.
+export function solveSat(numVars, clauses, onStep = null) {
+  const assignment = Array(numVars).fill(null);
+
+  const value = ({ var: v, neg }) =>
+    assignment[v] === null ? null : assignment[v] !== neg;
+
+  function propagate(trail) {
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (let c = 0; c < clauses.length; c++) {
+        const clause = clauses[c];
+        let open = null;
+        let openCount = 0;
+        let sat = false;
+        for (const lit of clause) {
+          const val = value(lit);
+          if (val === true) { sat = true; break; }
+          if (val === null) { openCount++; open = lit; }
+        }
+        if (sat) continue;
+        if (openCount === 0) {
+          if (onStep) onStep({ kind: 'conflict', clause: c, assignment });
+          return false;
+        }
+        if (openCount === 1) {
+          assignment[open.var] = !open.neg;
+          trail.push(open.var);
+          if (onStep) onStep({ kind: 'unit', clause: c, literal: open, assignment });
+          changed = true;
+        }
+      }
+    }
+    return true;
+  }
+
+  function search() {
+    const trail = [];
+    if (propagate(trail)) {
+      const v = assignment.indexOf(null);
+      if (v === -1) return true;
+      for (const choice of [true, false]) {
+        assignment[v] = choice;
+        if (onStep) onStep({ kind: 'guess', variable: v, value: choice, assignment });
+        if (search()) return true;
+      }
+      assignment[v] = null;
+    }
+    trail.forEach(u => { assignment[u] = null; });
+    return false;
+  }
+
+  return search() ? assignment.map(Boolean) : null;
+}
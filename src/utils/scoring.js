@@ -0,0 +1,56 @@
+import { useCallback } from 'react';
+import { updateProfile, useProfileData } from './profiles';
+
+// How a solved round scores, picked on the main menu and shared by every
+// game. Exact scoring counts the rounds answered with a best answer.
+// Partial credit also takes a valid answer that is close to the best one,
+// and scores each round by its approximation ratio: how many times the
+// best answer it is for a minimisation problem, or the best answer is it
+// for a maximisation one (see the ratios in verifiers.js), so 1 is best.
+// `ratios` says whether a scoring takes such answers.
+export const SCORING = {
+  exact: {
+    name: 'Exact',
+    ratios: false,
+    description: 'A round counts once the answer is the best there is.',
+  },
+  partial: {
+    name: 'Partial credit',
+    ratios: true,
+    description: 'Submit a near-best answer for fewer points. The best answer earns 10.',
+  },
+};
+
+export const DEFAULT_SCORING = 'exact';
+
+// Points under partial credit for an answer within each ratio of the best.
+// Anything further off scores nothing and cannot be submitted.
+const CREDIT = [
+  [1, 10],
+  [1.05, 8],
+  [1.1, 6],
+  [1.25, 4],
+  [1.5, 2],
+];
+
+// Ratios are quotients of whole numbers, so allow for rounding at the steps.
+const EPSILON = 1e-9;
+
+export function credit(ratio) {
+  const step = CREDIT.find(([most]) => ratio <= most + EPSILON);
+  return step ? step[1] : 0;
+}
+
+export const describeRatio = ratio => (ratio === 1 ? 'best answer' : `${ratio.toFixed(2)}× the best`);
+
+/**
+ * The current profile's scoring, one of the SCORING ids. Returns
+ * [scoring, setScoring] like useState.
+ */
+export function useScoring() {
+  const select = useCallback(profile => profile.scoring, []);
+  const saved = useProfileData(select);
+  const scoring = SCORING[saved] ? saved : DEFAULT_SCORING;
+  const setScoring = useCallback(next => updateProfile(profile => ({ ...profile, scoring: next })), []);
+  return [scoring, setScoring];
+}
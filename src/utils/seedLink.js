@@ -0,0 +1,36 @@
+import { GAME_TIERS } from '../puzzles';
+import { SETTINGS, defaultSettings, normalizeSettings, shapesPuzzle } from '../puzzles/settings';
+import { packInstance, unpackInstance } from './share';
+
+// A seed names one puzzle only together with the tier and settings it was
+// drawn with (see puzzles/difficulty.js), so a seed route carries them too:
+// `?seed=<seed>&tier=<tier>`, plus `settings=<packed>` for the settings
+// that shape the puzzle and differ from the defaults. A route without them
+// means the first tier and the default settings, whatever the viewer's own.
+
+/**
+ * The query of the route to a generated round. options are the generator
+ * options it was made with, { seed, tier, ...settings }.
+ */
+export function seedQuery(gameId, { seed, tier, ...options }) {
+  const defaults = defaultSettings(gameId);
+  const changed = SETTINGS[gameId]
+    .filter(field => shapesPuzzle(field) && field.key in options)
+    .filter(field => JSON.stringify(options[field.key]) !== JSON.stringify(defaults[field.key]))
+    .map(field => [field.key, options[field.key]]);
+  return { seed, tier, ...(changed.length ? { settings: packInstance(Object.fromEntries(changed)) } : {}) };
+}
+
+/**
+ * The generator options a seed route's query names, or null without a
+ * seed. Unknown tiers and malformed settings fall back to the defaults.
+ */
+export function seedOptions(gameId, { seed, tier, settings } = {}) {
+  if (!seed) return null;
+  const tiers = GAME_TIERS[gameId];
+  return {
+    ...normalizeSettings(gameId, unpackInstance(settings)),
+    tier: tiers.includes(tier) ? tier : tiers[0],
+    seed,
+  };
+}
@@ -0,0 +1,28 @@
+import { seedQuery, seedOptions } from './seedLink';
+import { defaultSettings } from '../puzzles/settings';
+
+test('a seed route names the tier and only the settings that shape the puzzle', () => {
+  const settings = { ...defaultSettings('vertex-cover'), edgeProbability: 0.5, timer: 90 };
+  const query = seedQuery('vertex-cover', { seed: 'k3f9z2', tier: 'hard', width: 400, ...settings });
+  expect(query).toEqual({ seed: 'k3f9z2', tier: 'hard', settings: expect.any(String) });
+  expect(seedOptions('vertex-cover', query)).toEqual({
+    ...defaultSettings('vertex-cover'),
+    edgeProbability: 0.5,
+    tier: 'hard',
+    seed: 'k3f9z2',
+  });
+  expect(seedQuery('vertex-cover', { seed: 'k3f9z2', tier: 'easy', ...defaultSettings('vertex-cover') })).toEqual({
+    seed: 'k3f9z2',
+    tier: 'easy',
+  });
+});
+
+test('a bare seed means the first tier and the default settings', () => {
+  expect(seedOptions('three-sat-game', { seed: 'abc' })).toEqual({
+    ...defaultSettings('three-sat-game'),
+    tier: 'easy',
+    seed: 'abc',
+  });
+  expect(seedOptions('three-sat-game', { seed: 'abc', tier: 'nightmare', settings: 'junk' }).tier).toBe('easy');
+  expect(seedOptions('three-sat-game', {})).toBeNull();
+});
@@ -0,0 +1,96 @@
+import { useEffect, useRef } from 'react';
+import { currentProfile, updateProfile, useProfileData } from './profiles';
+
+// A run left in progress is kept in the current profile as
+//
+//   { gameId, puzzle, selection, run, at }
+//
+// puzzle is the round on screen packed like a shared link (see share.js),
+// selection the player's moves on it, run the score and clock of the run
+// (useRun's progress) and at when it was saved. There is one session per
+// profile: leaving another run in progress replaces it. The main menu
+// offers to resume it, which opens the game with `?resume=1`.
+
+// Selections are sets of vertices or arrays; sets are kept as { set }.
+const packSelection = value => (value instanceof Set ? { set: [...value] } : value);
+const unpackSelection = saved => (saved && Array.isArray(saved.set) ? new Set(saved.set) : saved);
+
+const selectSession = profile => profile.session;
+
+// The saved session, following the stored profile.
+export function useSavedSession() {
+  return useProfileData(selectSession);
+}
+
+/**
+ * The saved session of one game with its selection unpacked, or null if
+ * the saved one belongs to another game.
+ */
+export function loadSession(gameId) {
+  const { session } = currentProfile();
+  if (!session || session.gameId !== gameId) return null;
+  return { ...session, selection: unpackSelection(session.selection) };
+}
+
+export function saveSession(gameId, { puzzle, selection, run }) {
+  updateProfile(profile => ({
+    ...profile,
+    session: { gameId, puzzle, selection: packSelection(selection), run, at: Date.now() },
+  }));
+}
+
+export function clearSession(gameId) {
+  updateProfile(profile =>
+    profile.session && profile.session.gameId === gameId ? { ...profile, session: null } : profile
+  );
+}
+
+// Picks the mode, scoring and tier the session was played with, so that
+// the runs after it are timed and scored the same way.
+export function resumeSettings({ gameId, run }) {
+  updateProfile(profile => ({
+    ...profile,
+    mode: run.mode,
+    scoring: run.scoring,
+    tiers: { ...profile.tiers, [gameId]: run.tier },
+  }));
+}
+
+function saveSnapshot(gameId, { enabled, snapshot }) {
+  const session = enabled && snapshot();
+  if (session) saveSession(gameId, session);
+}
+
+/**
+ * Keeps a game's run in progress saved while `enabled`. snapshot()
+ * returns { puzzle, selection, run } for the round on screen, or null
+ * when there is nothing to save. It is saved when the page is hidden or
+ * closed, when the game is `paused` and when the player leaves the game,
+ * and dropped once the run is `over`.
+ */
+export function useSessionSaver(gameId, { enabled, snapshot, paused, over }) {
+  const latestRef = useRef();
+  latestRef.current = { enabled, snapshot };
+
+  useEffect(() => {
+    const save = () => saveSnapshot(gameId, latestRef.current);
+    const onVisibility = () => {
+      if (document.visibilityState === 'hidden') save();
+    };
+    window.addEventListener('pagehide', save);
+    document.addEventListener('visibilitychange', onVisibility);
+    return () => {
+      window.removeEventListener('pagehide', save);
+      document.removeEventListener('visibilitychange', onVisibility);
+      save();
+    };
+  }, [gameId]);
+
+  useEffect(() => {
+    if (paused) saveSnapshot(gameId, latestRef.current);
+  }, [paused, gameId]);
+
+  useEffect(() => {
+    if (over && latestRef.current.enabled) clearSession(gameId);
+  }, [over, gameId]);
+}
@@ -0,0 +1,63 @@
+import { renderHook } from '@testing-library/react';
+import { loadSession, saveSession, clearSession, resumeSettings, useSessionSaver } from './session';
+import { currentProfile } from './profiles';
+
+beforeEach(() => localStorage.clear());
+
+const run = {
+  mode: 'zen',
+  scoring: 'partial',
+  tier: 'hard',
+  left: null,
+  elapsed: 12,
+  total: 40,
+  score: 14,
+  rounds: 2,
+  breakdown: [
+    { ratio: 1, points: 10 },
+    { ratio: 1.2, points: 4 },
+  ],
+};
+
+test('a saved session comes back for its own game only', () => {
+  saveSession('vertex-cover', { puzzle: 'abc', selection: new Set([1, 4]), run });
+  expect(loadSession('clique-game')).toBe(null);
+  const session = loadSession('vertex-cover');
+  expect(session.puzzle).toBe('abc');
+  expect(session.selection).toEqual(new Set([1, 4]));
+  expect(session.run).toEqual(run);
+
+  clearSession('clique-game');
+  expect(loadSession('vertex-cover')).not.toBe(null);
+  clearSession('vertex-cover');
+  expect(currentProfile().session).toBe(null);
+});
+
+test('resuming picks the mode, scoring and difficulty the session was played with', () => {
+  resumeSettings({ gameId: 'vertex-cover', run });
+  expect(currentProfile().mode).toBe('zen');
+  expect(currentProfile().scoring).toBe('partial');
+  expect(currentProfile().tiers['vertex-cover']).toBe('hard');
+});
+
+test('the saver keeps the run when paused or left, and drops it once over', () => {
+  const snapshot = () => ({ puzzle: 'abc', selection: [true, false], run });
+  const { rerender, unmount } = renderHook(props => useSessionSaver('partition-game', props), {
+    initialProps: { enabled: true, snapshot, paused: false, over: null },
+  });
+  expect(currentProfile().session).toBe(null);
+  rerender({ enabled: true, snapshot, paused: true, over: null });
+  expect(loadSession('partition-game').selection).toEqual([true, false]);
+
+  rerender({ enabled: true, snapshot: () => null, paused: false, over: 'time' });
+  expect(currentProfile().session).toBe(null);
+  unmount();
+  expect(currentProfile().session).toBe(null);
+});
+
+test('a saver that is not enabled keeps nothing', () => {
+  const snapshot = () => ({ puzzle: 'abc', selection: [], run });
+  const { unmount } = renderHook(() => useSessionSaver('partition-game', { enabled: false, snapshot }));
+  unmount();
+  expect(currentProfile().session).toBe(null);
+});
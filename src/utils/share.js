@@ -0,0 +1,85 @@
+import { parseHash, buildHash } from './router';
+
+// Shared puzzles travel in the `p` query of the game's route. The payload is
+// a small JSON object (flat number arrays, one-letter keys) in base64url.
+// The JSON is encoded as UTF-8 first, as btoa only takes Latin-1.
+export function packInstance(data) {
+  const bytes = new TextEncoder().encode(JSON.stringify(data));
+  return btoa(Array.from(bytes, b => String.fromCharCode(b)).join(''))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+export function unpackInstance(packed) {
+  if (!packed) return null;
+  try {
+    const b64 = packed.replace(/-/g, '+').replace(/_/g, '/');
+    const bytes = Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+    const data = JSON.parse(new TextDecoder().decode(bytes));
+    return data && typeof data === 'object' ? data : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// query adds to `p`, as the via and src of a reduced round do.
+export function shareUrl(packed, query = {}) {
+  const { gameId } = parseHash(window.location.hash);
+  const { origin, pathname } = window.location;
+  return `${origin}${pathname}${buildHash({ gameId, query: { p: packed, ...query } })}`;
+}
+
+export const MAX_SHARED_NODES = 16;
+
+// Reduced rounds (see reductions.js) that come with their answer can be
+// larger, as the game has nothing to solve. Any other link is held to the
+// limits above, whatever answer it carries.
+export const MAX_REDUCED_NODES = 400;
+
+function isIntArray(arr, min, max) {
+  return Array.isArray(arr) && arr.every(x => Number.isInteger(x) && x >= min && x <= max);
+}
+
+export function packPoints(positions) {
+  return positions.flatMap(p => [Math.round(p.x), Math.round(p.y)]);
+}
+
+export function packGraph(positions, edges) {
+  return {
+    xy: packPoints(positions),
+    e: edges.flatMap(({ u, v }) => [u, v]),
+  };
+}
+
+export function unpackPoints(xy, maxPoints = MAX_SHARED_NODES) {
+  if (!isIntArray(xy, -10000, 10000) || xy.length % 2 !== 0) return null;
+  const n = xy.length / 2;
+  if (n < 2 || n > maxPoints) return null;
+  return Array.from({ length: n }, (_, i) => ({ id: i, x: xy[2 * i], y: xy[2 * i + 1] }));
+}
+
+// Returns { nodes, edges } with node coordinates, or null if the payload is
+// not a well-formed graph.
+export function unpackGraph(data, maxNodes = MAX_SHARED_NODES) {
+  const { xy, e = [] } = data;
+  const nodes = unpackPoints(xy, maxNodes);
+  if (!nodes) return null;
+  const n = nodes.length;
+  if (!isIntArray(e, 0, n - 1) || e.length === 0 || e.length % 2 !== 0) return null;
+
+  const edges = [];
+  for (let i = 0; i < e.length; i += 2) {
+    const u = e[i], v = e[i + 1];
+    if (u === v) return null;
+    if (edges.some(ed => (ed.u === u && ed.v === v) || (ed.u === v && ed.v === u))) continue;
+    edges.push({ u, v });
+  }
+  return { nodes, edges };
+}
+
+export function unpackNumbers(arr, maxLength = MAX_SHARED_NODES) {
+  if (!isIntArray(arr, 1, 1000000)) return null;
+  if (arr.length < 2 || arr.length > maxLength) return null;
+  return arr;
+}
@@ -0,0 +1,28 @@
+import { packInstance, unpackInstance, packGraph, unpackGraph } from './share';
+
+test('instances survive a round trip through the link payload', () => {
+  const data = { l: 'grid', ...packGraph([{ x: 10.4, y: 20 }, { x: 30, y: 40.6 }], [{ u: 0, v: 1 }]), k: 1 };
+  const packed = packInstance(data);
+  expect(packed).toMatch(/^[A-Za-z0-9_-]+$/);
+  expect(unpackInstance(packed)).toEqual({ l: 'grid', xy: [10, 20, 30, 41], e: [0, 1], k: 1 });
+});
+
+test('payloads with text beyond Latin-1 survive a round trip', () => {
+  const data = { n: 'Graphe n°7 — 彩色 🎨', k: 3 };
+  const packed = packInstance(data);
+  expect(packed).toMatch(/^[A-Za-z0-9_-]+$/);
+  expect(unpackInstance(packed)).toEqual(data);
+});
+
+test('malformed payloads are rejected', () => {
+  expect(unpackInstance('not json!')).toBeNull();
+  expect(unpackGraph({ xy: [0, 0, 1, 1], e: [0, 5] })).toBeNull();
+  expect(unpackGraph({ xy: [0, 0, 1, 1], e: [1, 1] })).toBeNull();
+  expect(unpackGraph({ xy: [0, 0, 1], e: [0, 1] })).toBeNull();
+});
+
+test('unpacked graphs drop duplicate edges', () => {
+  const g = unpackGraph({ xy: [0, 0, 5, 5, 9, 9], e: [0, 1, 1, 0, 1, 2] });
+  expect(g.nodes).toHaveLength(3);
+  expect(g.edges).toEqual([{ u: 0, v: 1 }, { u: 1, v: 2 }]);
+});
@@ -0,0 +1,290 @@
+// Exact solvers for the graph games. The set problems take the vertex count
+// and an { u, v } edge list and return { size, nodes } where nodes is a
+// sorted witness set. Branch-and-bound keeps them interactive up to ~60
+// vertices. shortestTour is the Held-Karp dynamic program for TSP.
+
+export const MAX_SOLVER_NODES = 60;
+
+function buildAdjacency(n, edges) {
+  const adj = new Map();
+  for (let v = 0; v < n; v++) adj.set(v, new Set());
+  edges.forEach(({ u, v }) => {
+    if (u === v) return;
+    adj.get(u).add(v);
+    adj.get(v).add(u);
+  });
+  return adj;
+}
+
+function cloneGraph(g) {
+  const copy = new Map();
+  g.forEach((nbrs, v) => copy.set(v, new Set(nbrs)));
+  return copy;
+}
+
+function removeVertex(g, v) {
+  g.get(v).forEach(u => g.get(u).delete(v));
+  g.delete(v);
+}
+
+// Applies the degree-0/1/2 kernelization rules until none fits. Each rule
+// is logged in `ops` so the cover of the reduced graph can be expanded back
+// with unwindCover. Returns how many cover vertices the rules account for.
+function kernelize(g, ops, nextId) {
+  let cost = 0;
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const [v, nbrs] of g) {
+      if (!g.has(v)) continue;
+      if (nbrs.size === 0) {
+        g.delete(v);
+      } else if (nbrs.size === 1) {
+        // Taking the neighbour covers the edge and possibly more.
+        const [u] = nbrs;
+        removeVertex(g, u);
+        g.delete(v);
+        ops.push({ take: u });
+        cost++;
+      } else if (nbrs.size === 2) {
+        const [u, w] = nbrs;
+        if (g.get(u).has(w)) {
+          // Triangle: two of its corners are needed, and u, w cover more.
+          removeVertex(g, u);
+          removeVertex(g, w);
+          g.delete(v);
+          ops.push({ take: u }, { take: w });
+          cost += 2;
+        } else {
+          // Fold v, u, w into one vertex x: an optimal cover either holds
+          // x (then u and w) or not (then v), so the optimum drops by one.
+          const x = nextId.value++;
+          const merged = new Set([...g.get(u), ...g.get(w)]);
+          merged.delete(v);
+          removeVertex(g, u);
+          removeVertex(g, w);
+          g.delete(v);
+          g.set(x, merged);
+          merged.forEach(y => g.get(y).add(x));
+          ops.push({ fold: x, v, u, w });
+          cost++;
+        }
+      } else {
+        continue;
+      }
+      changed = true;
+    }
+  }
+  return cost;
+}
+
+function unwindCover(cover, ops) {
+  const set = new Set(cover);
+  for (let i = ops.length - 1; i >= 0; i--) {
+    const op = ops[i];
+    if (op.take !== undefined) {
+      set.add(op.take);
+    } else if (set.has(op.fold)) {
+      set.delete(op.fold);
+      set.add(op.u);
+      set.add(op.w);
+    } else {
+      set.add(op.v);
+    }
+  }
+  return [...set];
+}
+
+// Every edge of a matching needs its own cover vertex.
+function matchingBound(g) {
+  const used = new Set();
+  let size = 0;
+  g.forEach((nbrs, v) => {
+    if (used.has(v)) return;
+    for (const u of nbrs) {
+      if (!used.has(u)) {
+        used.add(u);
+        used.add(v);
+        size++;
+        break;
+      }
+    }
+  });
+  return size;
+}
+
+// Minimum cover of g with fewer than `limit` vertices, or null if none.
+// g is consumed.
+function searchCover(g, limit, nextId) {
+  const ops = [];
+  const cost = kernelize(g, ops, nextId);
+  const local = limit - cost;
+  if (local <= 0) return null;
+  if (g.size === 0) return unwindCover([], ops);
+  if (matchingBound(g) >= local) return null;
+
+  let v = null;
+  g.forEach((nbrs, u) => {
+    if (v === null || nbrs.size > g.get(v).size) v = u;
+  });
+  const nbrs = [...g.get(v)];
+
+  let best = null;
+  const withV = cloneGraph(g);
+  removeVertex(withV, v);
+  const sub = searchCover(withV, local - 1, nextId);
+  if (sub) best = [...sub, v];
+
+  const bound = best ? best.length : local;
+  nbrs.forEach(u => removeVertex(g, u));
+  g.delete(v);
+  const rest = searchCover(g, bound - nbrs.length, nextId);
+  if (rest) best = [...rest, ...nbrs];
+
+  return best && unwindCover(best, ops);
+}
+
+export function minVertexCover(n, edges) {
+  const cover = searchCover(buildAdjacency(n, edges), n + 1, { value: n });
+  const nodes = cover.sort((a, b) => a - b);
+  return { size: nodes.length, nodes };
+}
+
+export function maxIndependentSet(n, edges) {
+  const cover = new Set(minVertexCover(n, edges).nodes);
+  const nodes = [];
+  for (let v = 0; v < n; v++) if (!cover.has(v)) nodes.push(v);
+  return { size: nodes.length, nodes };
+}
+
+// Greedy colouring of the candidates: vertices of one colour class are
+// pairwise non-adjacent, so a clique uses at most one per class. Returns
+// the candidates ordered by class with each one's class number as bound.
+function colorSort(cands, adj) {
+  const classes = [];
+  cands.forEach(v => {
+    let c = classes.findIndex(cls => cls.every(u => !adj[v].has(u)));
+    if (c === -1) {
+      c = classes.length;
+      classes.push([]);
+    }
+    classes[c].push(v);
+  });
+  const order = [];
+  const bounds = [];
+  classes.forEach((cls, c) => cls.forEach(v => {
+    order.push(v);
+    bounds.push(c + 1);
+  }));
+  return { order, bounds };
+}
+
+export function maxClique(n, edges) {
+  const adj = Array.from({ length: n }, () => new Set());
+  edges.forEach(({ u, v }) => {
+    if (u === v) return;
+    adj[u].add(v);
+    adj[v].add(u);
+  });
+  let best = [];
+  const clique = [];
+
+  function expand(cands) {
+    const { order, bounds } = colorSort(cands, adj);
+    for (let i = order.length - 1; i >= 0; i--) {
+      if (clique.length + bounds[i] <= best.length) return;
+      const v = order[i];
+      clique.push(v);
+      const next = order.slice(0, i).filter(u => adj[v].has(u));
+      if (next.length > 0) expand(next);
+      else if (clique.length > best.length) best = [...clique];
+      clique.pop();
+    }
+  }
+
+  const start = Array.from({ length: n }, (_, v) => v).sort((a, b) => adj[b].size - adj[a].size);
+  expand(start);
+  const nodes = best.sort((a, b) => a - b);
+  return { size: nodes.length, nodes };
+}
+
+// The fewest colours that colour a graph the game knows to be 3-colourable:
+// one without edges, two if it is bipartite and three otherwise.
+export function minColors(n, edges) {
+  if (edges.length === 0) return 1;
+  const adj = buildAdjacency(n, edges);
+  const side = Array(n).fill(-1);
+  for (let start = 0; start < n; start++) {
+    if (side[start] !== -1) continue;
+    side[start] = 0;
+    const queue = [start];
+    while (queue.length > 0) {
+      const v = queue.shift();
+      for (const u of adj.get(v)) {
+        if (side[u] === side[v]) return 3;
+        if (side[u] === -1) {
+          side[u] = 1 - side[v];
+          queue.push(u);
+        }
+      }
+    }
+  }
+  return 2;
+}
+
+// Held-Karp needs n^2 2^n steps and n 2^n table entries; 16 cities take a
+// fraction of a second.
+export const MAX_TOUR_CITIES = 16;
+
+// Shortest closed tour through every city of the symmetric distance matrix.
+// Returns { length, tour } with the tour starting and ending at city 0.
+// onProgress receives the fraction of subsets done.
+export function shortestTour(weights, onProgress = () => {}) {
+  const n = weights.length;
+  if (n < 2) return { length: 0, tour: [0, 0] };
+  // Cities 1..n-1 are bits 0..m-1; cost[mask * m + j] is the shortest path
+  // from city 0 through exactly the cities in mask, ending at city j + 1.
+  const m = n - 1;
+  const full = (1 << m) - 1;
+  const cost = new Float64Array((full + 1) * m).fill(Infinity);
+  const prev = new Int8Array((full + 1) * m).fill(-1);
+  for (let j = 0; j < m; j++) cost[(1 << j) * m + j] = weights[0][j + 1];
+
+  const step = Math.max(1, full >> 6);
+  for (let mask = 1; mask <= full; mask++) {
+    for (let j = 0; j < m; j++) {
+      const here = cost[mask * m + j];
+      if (!(mask & (1 << j)) || here === Infinity) continue;
+      const row = weights[j + 1];
+      for (let k = 0; k < m; k++) {
+        if (mask & (1 << k)) continue;
+        const idx = (mask | (1 << k)) * m + k;
+        const len = here + row[k + 1];
+        if (len < cost[idx]) {
+          cost[idx] = len;
+          prev[idx] = j;
+        }
+      }
+    }
+    if (mask % step === 0) onProgress(mask / full);
+  }
+
+  let length = Infinity;
+  let last = -1;
+  for (let j = 0; j < m; j++) {
+    const len = cost[full * m + j] + weights[j + 1][0];
+    if (len < length) {
+      length = len;
+      last = j;
+    }
+  }
+  const tour = [0];
+  for (let mask = full, j = last; j !== -1; ) {
+    tour.push(j + 1);
+    const p = prev[mask * m + j];
+    mask ^= 1 << j;
+    j = p;
+  }
+  tour.push(0);
+  return { length, tour };
+}
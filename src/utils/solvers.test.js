@@ -0,0 +1,117 @@
+import { minVertexCover, maxIndependentSet, maxClique, shortestTour } from './solvers';
+import { createRng } from './random';
+
+function randomGraph(rng, n, p) {
+  const edges = [];
+  for (let u = 0; u < n; u++) {
+    for (let v = u + 1; v < n; v++) if (rng() < p) edges.push({ u, v });
+  }
+  return edges;
+}
+
+function bruteForce(n, edges, ok, better) {
+  let best = null;
+  for (let mask = 0; mask < 1 << n; mask++) {
+    const set = new Set();
+    for (let i = 0; i < n; i++) if (mask & (1 << i)) set.add(i);
+    if (ok(set) && (best === null || better(set.size, best))) best = set.size;
+  }
+  return best;
+}
+
+const covers = edges => set => edges.every(({ u, v }) => set.has(u) || set.has(v));
+const independent = edges => set => edges.every(({ u, v }) => !(set.has(u) && set.has(v)));
+const isClique = edges => set => {
+  const has = new Set(edges.map(({ u, v }) => `${Math.min(u, v)},${Math.max(u, v)}`));
+  const list = [...set];
+  return list.every((u, i) => list.slice(i + 1).every(v => has.has(`${Math.min(u, v)},${Math.max(u, v)}`)));
+};
+
+test('match brute force on small random graphs', () => {
+  const rng = createRng('solvers');
+  for (let round = 0; round < 60; round++) {
+    const n = 3 + Math.floor(rng() * 10);
+    const edges = randomGraph(rng, n, 0.15 + rng() * 0.7);
+
+    const vc = minVertexCover(n, edges);
+    expect(vc.size).toBe(bruteForce(n, edges, covers(edges), (a, b) => a < b));
+    expect(covers(edges)(new Set(vc.nodes))).toBe(true);
+
+    const is = maxIndependentSet(n, edges);
+    expect(is.size).toBe(n - vc.size);
+    expect(independent(edges)(new Set(is.nodes))).toBe(true);
+
+    const cl = maxClique(n, edges);
+    expect(cl.size).toBe(bruteForce(n, edges, isClique(edges), (a, b) => a > b));
+    expect(isClique(edges)(new Set(cl.nodes))).toBe(true);
+  }
+});
+
+test('solve 60-vertex graphs', () => {
+  const rng = createRng('large');
+  [0.05, 0.1, 0.3].forEach(p => {
+    const edges = randomGraph(rng, 60, p);
+    const vc = minVertexCover(60, edges);
+    expect(covers(edges)(new Set(vc.nodes))).toBe(true);
+    expect(vc.nodes).toHaveLength(vc.size);
+    const cl = maxClique(60, edges);
+    expect(isClique(edges)(new Set(cl.nodes))).toBe(true);
+  });
+});
+
+function bruteForceTour(weights) {
+  const n = weights.length;
+  let best = Infinity;
+  const visit = (path, used, len) => {
+    if (path.length === n) {
+      best = Math.min(best, len + weights[path[n - 1]][0]);
+      return;
+    }
+    for (let c = 1; c < n; c++) {
+      if (used & (1 << c)) continue;
+      path.push(c);
+      visit(path, used | (1 << c), len + weights[path[path.length - 2]][c]);
+      path.pop();
+    }
+  };
+  visit([0], 1, 0);
+  return best;
+}
+
+function randomWeights(rng, n) {
+  const w = Array.from({ length: n }, () => Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) w[i][j] = w[j][i] = 1 + Math.floor(rng() * 100);
+  }
+  return w;
+}
+
+const lengthOf = (weights, tour) => tour.slice(1).reduce((sum, c, i) => sum + weights[tour[i]][c], 0);
+
+test('Held-Karp matches brute force on small instances', () => {
+  const rng = createRng('held-karp');
+  for (let round = 0; round < 40; round++) {
+    const n = 2 + Math.floor(rng() * 8);
+    const weights = randomWeights(rng, n);
+    const { length, tour } = shortestTour(weights);
+    expect(length).toBe(bruteForceTour(weights));
+    expect(tour[0]).toBe(0);
+    expect(tour[n]).toBe(0);
+    expect(new Set(tour).size).toBe(n);
+    expect(lengthOf(weights, tour)).toBe(length);
+  }
+});
+
+test('Held-Karp finds the perimeter of points on a circle', () => {
+  // Shuffled ids around a circle: the optimal tour walks the perimeter.
+  const n = 16;
+  const order = [0, 5, 11, 2, 14, 8, 1, 12, 3, 9, 15, 6, 10, 4, 13, 7];
+  const points = order.map((_, k) => ({ x: 1000 * Math.cos((2 * Math.PI * k) / n), y: 1000 * Math.sin((2 * Math.PI * k) / n) }));
+  const pos = Array(n);
+  order.forEach((id, k) => { pos[id] = points[k]; });
+  const weights = pos.map(a => pos.map(b => Math.round(Math.hypot(a.x - b.x, a.y - b.y))));
+  const perimeter = order.reduce((sum, id, k) => sum + weights[id][order[(k + 1) % n]], 0);
+  const { length, tour } = shortestTour(weights);
+  expect(length).toBe(perimeter);
+  expect(lengthOf(weights, tour)).toBe(perimeter);
+});
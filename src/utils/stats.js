@@ -0,0 +1,102 @@
+import { currentProfile, updateProfile, useProfileData } from './profiles';
+import { dateKey } from './daily';
+
+// Every finished round is logged in the current profile as
+//
+//   { gameId, tier, size, seconds, mistakes, solved, at }
+//
+// size is the count the game's puzzles grow by (SIZE_UNITS), seconds the
+// time played on the round, not counting pauses, and at the time it ended
+// in milliseconds. Rounds left before they end are not logged. Only the
+// latest MAX_ROUNDS are kept.
+export const MAX_ROUNDS = 2000;
+
+export const SIZE_UNITS = {
+  'vertex-cover': 'nodes',
+  'independent-set': 'nodes',
+  'clique-game': 'nodes',
+  'three-color-game': 'nodes',
+  'ham-cycle-game': 'nodes',
+  'traveling-salesman-game': 'cities',
+  'three-sat-game': 'variables',
+  'subset-sum-game': 'numbers',
+  'partition-game': 'numbers',
+};
+
+export function readRounds() {
+  return currentProfile().rounds;
+}
+
+const selectRounds = profile => profile.rounds;
+
+// readRounds() as a hook that follows the stored rounds.
+export function useRounds() {
+  return useProfileData(selectRounds);
+}
+
+export function recordRound(round) {
+  updateProfile(profile => ({
+    ...profile,
+    rounds: [...profile.rounds, { ...round, at: Date.now() }].slice(-MAX_ROUNDS),
+  }));
+}
+
+const average = xs => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null);
+
+/**
+ * Totals of some rounds: { played, solved, accuracy, seconds, mistakes },
+ * where seconds is the average solve time of the solved ones and mistakes
+ * the average per round. Averages are null without rounds to take them of.
+ */
+export function summarize(rounds) {
+  const solved = rounds.filter(r => r.solved);
+  return {
+    played: rounds.length,
+    solved: solved.length,
+    accuracy: rounds.length ? solved.length / rounds.length : null,
+    seconds: average(solved.map(r => r.seconds)),
+    mistakes: average(rounds.map(r => r.mistakes)),
+  };
+}
+
+// Average solve time per puzzle size, smallest first: [{ size, seconds, count }].
+export function solveTimeBySize(rounds) {
+  const bySize = new Map();
+  rounds.filter(r => r.solved).forEach(r => bySize.set(r.size, [...(bySize.get(r.size) || []), r.seconds]));
+  return [...bySize.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([size, times]) => ({ size, seconds: average(times), count: times.length }));
+}
+
+// Rounds played and solved per local day, oldest first: [{ date, played, solved }].
+export function accuracyByDay(rounds) {
+  const byDay = new Map();
+  rounds.forEach(r => {
+    const date = dateKey(new Date(r.at));
+    const day = byDay.get(date) || { date, played: 0, solved: 0 };
+    byDay.set(date, { ...day, played: day.played + 1, solved: day.solved + (r.solved ? 1 : 0) });
+  });
+  return [...byDay.values()].sort((a, b) => (a.date < b.date ? -1 : 1));
+}
+
+// The fastest solves, fewer mistakes first among equally fast ones.
+export function bestRuns(rounds, count = 5) {
+  return rounds
+    .filter(r => r.solved)
+    .sort((a, b) => a.seconds - b.seconds || a.mistakes - b.mistakes || a.at - b.at)
+    .slice(0, count);
+}
+
+const CSV_COLUMNS = ['gameId', 'tier', 'size', 'seconds', 'mistakes', 'solved', 'at'];
+
+// One line per round; `at` is written as an ISO date. No field needs quoting.
+export function roundsToCsv(rounds) {
+  const lines = rounds.map(r =>
+    CSV_COLUMNS.map(key => (key === 'at' ? new Date(r.at).toISOString() : r[key])).join(',')
+  );
+  return [CSV_COLUMNS.join(','), ...lines].join('\n') + '\n';
+}
+
+export function roundsToJson(rounds) {
+  return JSON.stringify(rounds.map(r => ({ ...r, at: new Date(r.at).toISOString() })), null, 2) + '\n';
+}
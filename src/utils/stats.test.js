@@ -0,0 +1,63 @@
+import {
+  MAX_ROUNDS,
+  recordRound,
+  readRounds,
+  summarize,
+  solveTimeBySize,
+  accuracyByDay,
+  bestRuns,
+  roundsToCsv,
+  roundsToJson,
+} from './stats';
+
+beforeEach(() => localStorage.clear());
+
+const round = (size, seconds, solved, at = Date.UTC(2026, 9, 18, 12), mistakes = 0) => ({
+  gameId: 'vertex-cover',
+  tier: 'easy',
+  size,
+  seconds,
+  mistakes,
+  solved,
+  at,
+});
+
+test('rounds are logged in order and only the latest are kept', () => {
+  recordRound({ gameId: 'clique-game', tier: 'hard', size: 9, seconds: 14, mistakes: 2, solved: true });
+  expect(readRounds()).toEqual([expect.objectContaining({ gameId: 'clique-game', size: 9, at: expect.any(Number) })]);
+
+  for (let i = 0; i < MAX_ROUNDS; i++) recordRound(round(6, i, true));
+  expect(readRounds()).toHaveLength(MAX_ROUNDS);
+  expect(readRounds()[0].gameId).toBe('vertex-cover');
+});
+
+test('summaries average solve times over solved rounds only', () => {
+  const rounds = [round(6, 10, true), round(6, 20, true), round(8, 30, false, undefined, 3), round(8, 12, true)];
+  expect(summarize(rounds)).toEqual({ played: 4, solved: 3, accuracy: 0.75, seconds: 14, mistakes: 0.75 });
+  expect(summarize([])).toEqual({ played: 0, solved: 0, accuracy: null, seconds: null, mistakes: null });
+  expect(solveTimeBySize(rounds)).toEqual([
+    { size: 6, seconds: 15, count: 2 },
+    { size: 8, seconds: 12, count: 1 },
+  ]);
+  expect(bestRuns(rounds, 2).map(r => r.seconds)).toEqual([10, 12]);
+});
+
+test('accuracy is grouped by local day', () => {
+  const day1 = new Date(2026, 9, 17, 9).getTime();
+  const day2 = new Date(2026, 9, 18, 23).getTime();
+  const rounds = [round(6, 5, true, day2), round(6, 5, false, day1), round(6, 5, true, day1)];
+  expect(accuracyByDay(rounds)).toEqual([
+    { date: '2026-10-17', played: 2, solved: 1 },
+    { date: '2026-10-18', played: 1, solved: 1 },
+  ]);
+});
+
+test('history exports as CSV and JSON', () => {
+  const rounds = [round(6, 10, true), round(7, 40, false)];
+  expect(roundsToCsv(rounds)).toBe(
+    'gameId,tier,size,seconds,mistakes,solved,at\n' +
+      'vertex-cover,easy,6,10,0,true,2026-10-18T12:00:00.000Z\n' +
+      'vertex-cover,easy,7,40,0,false,2026-10-18T12:00:00.000Z\n'
+  );
+  expect(JSON.parse(roundsToJson(rounds))[1]).toEqual({ ...rounds[1], at: '2026-10-18T12:00:00.000Z' });
+});
@@ -0,0 +1,186 @@
+import { find3Coloring } from '../puzzles/threeColor';
+import { findHamiltonianCycle } from '../puzzles/hamCycle';
+import { solveSat } from './sat';
+
+// Step-by-step runs of the exact solvers, for watching them on a round (see
+// components/SolverPlayer.jsx). Each function returns the steps of one
+// run, every step a snapshot of the search with a note saying what it did.
+// The searches are the solvers' own, recorded through their onStep hooks,
+// so a trace always shows what decided the round's answer. Runs stop after
+// MAX_STEPS steps; the last step then says so.
+
+export const MAX_STEPS = 2000;
+
+// Wider tables are drawn this many columns at a time, around the sum a
+// step is about.
+export const MAX_TABLE_COLUMNS = 400;
+
+const COLOR_NAMES = ['red', 'green', 'blue'];
+
+const colorName = c => COLOR_NAMES[c] || `colour ${c + 1}`;
+
+const stopped = () => `Stopped after ${MAX_STEPS} steps.`;
+
+// Thrown through a solver to cut its run short.
+const STOP = {};
+
+// Runs solve(onStep) and turns each of its steps into a trace step with
+// toStep, which may return null to leave one out. Returns { steps, result },
+// result being undefined when the run was cut short at MAX_STEPS.
+function record(solve, toStep) {
+  const steps = [];
+  try {
+    const result = solve(event => {
+      const step = toStep(event);
+      if (!step) return;
+      steps.push(step);
+      if (steps.length >= MAX_STEPS) throw STOP;
+    });
+    return { steps, result };
+  } catch (e) {
+    if (e !== STOP) throw e;
+    return { steps, result: undefined };
+  }
+}
+
+const last = steps => steps[steps.length - 1];
+
+/**
+ * The backtracking search of find3Coloring (puzzles/threeColor.js): colours
+ * the vertices in order with the first colour none of their neighbours has,
+ * and backs up when none is left. Steps are { colors, vertex, note }, with
+ * colour -1 for a vertex not coloured yet.
+ */
+export function coloringTrace(n, edges, maxColors = 3) {
+  const { steps, result } = record(
+    onStep => find3Coloring(n, edges, maxColors, {}, onStep),
+    ({ kind, vertex, color, neighbour, colors }) => {
+      if (kind === 'clash') {
+        return { colors: [...colors], vertex, note: `Vertex ${vertex} cannot be ${colorName(color)}: its neighbour ${neighbour} is.` };
+      }
+      if (kind === 'color') return { colors: [...colors], vertex, note: `Vertex ${vertex} is ${colorName(color)}.` };
+      if (vertex === 0) return null;
+      return {
+        colors: [...colors],
+        vertex: vertex - 1,
+        note: `No colour is left for vertex ${vertex}: back up to vertex ${vertex - 1}.`,
+      };
+    }
+  );
+  if (result === undefined) return [...steps, { colors: last(steps).colors, vertex: null, note: stopped() }];
+  const end = result
+    ? { colors: [...result], note: 'Every vertex has a colour and no edge joins two of the same.' }
+    : { colors: Array(n).fill(-1), note: `No ${maxColors}-colouring exists.` };
+  return [...steps, { ...end, vertex: null }];
+}
+
+/**
+ * The backtracking search of findHamiltonianCycle (puzzles/hamCycle.js),
+ * from vertex 0: extends the path to each unvisited neighbour in turn and
+ * backs up at dead ends. Steps are { path, closed, note }, closed once the
+ * path has come back round to vertex 0.
+ */
+export function hamCycleTrace(n, edges) {
+  if (n === 0) return [{ path: [], closed: false, note: 'There are no vertices.' }];
+  const { steps, result } = record(
+    onStep => findHamiltonianCycle(n, edges, onStep),
+    ({ kind, path }) => {
+      const u = path[path.length - 1];
+      const step = (note, closed = false) => ({ path: [...path], closed, note });
+      if (kind === 'visit') return step(path.length === 1 ? `Start at vertex ${u}.` : `Go from ${path[path.length - 2]} to ${u}.`);
+      if (kind === 'close') return step(`Vertex ${u} is adjacent to 0, which closes a Hamiltonian cycle.`, true);
+      if (kind === 'open') return step(`Every vertex is on the path, but ${u} is not adjacent to 0: back up.`);
+      return step(`Every way on from vertex ${u} is a dead end: back up.`);
+    }
+  );
+  if (result === undefined) return [...steps, { path: last(steps).path, closed: false, note: stopped() }];
+  if (result) return steps;
+  return [...steps, { path: [], closed: false, note: 'Every path from vertex 0 is a dead end: there is no Hamiltonian cycle.' }];
+}
+
+const literalName = ({ var: v, neg }) => `${neg ? '¬' : ''}x${v + 1}`;
+
+/**
+ * DPLL as in solveSat (utils/sat.js): unit propagation sets the variables
+ * that a clause forces, a guess sets the first variable still open, and a
+ * clause made false undoes the last guess and what followed from it.
+ * Steps are { assignment, clause, note }: assignment holds true, false or
+ * null for a variable still open, and clause is the index of the clause
+ * the step is about, or null.
+ */
+export function dpllTrace(numVars, clauses) {
+  const { steps, result } = record(
+    onStep => solveSat(numVars, clauses, onStep),
+    ({ kind, clause, literal, variable, value, assignment }) => {
+      const step = (note, about = null) => ({ assignment: [...assignment], clause: about, note });
+      if (kind === 'conflict') return step(`Clause ${clause + 1} is false: a conflict, so back up.`, clause);
+      if (kind === 'unit') {
+        const note = `Clause ${clause + 1} has only ${literalName(literal)} left open, so x${literal.var + 1} = ${!literal.neg}.`;
+        return step(note, clause);
+      }
+      return step(value ? `Guess x${variable + 1} = true.` : `Try x${variable + 1} = false instead.`);
+    }
+  );
+  if (result === undefined) return [...steps, { assignment: last(steps).assignment, clause: null, note: stopped() }];
+  if (result) return [...steps, { assignment: result, clause: null, note: 'Every clause is satisfied.' }];
+  const note = 'Every guess ends in a conflict: the formula is unsatisfiable.';
+  return [...steps, { assignment: Array(numVars).fill(null), clause: null, note }];
+}
+
+/**
+ * The pseudo-polynomial dynamic programme for Subset Sum: row i of the
+ * table marks the sums some of the first i values reach, and walking back
+ * up from the target finds values that reach it. Steps are { table, rows,
+ * cell, picked, note }: the first `rows` rows are filled in, cell is the
+ * [row, sum] being looked at during the walk and picked the indices of the
+ * values taken so far. columns is the [first, last] sum to draw, all of
+ * them when the table is narrow enough and a window around the sum looked
+ * at when it is not.
+ */
+export function subsetSumTable(values, target) {
+  const table = [Array.from({ length: target + 1 }, (_, s) => s === 0)];
+  values.forEach((v, i) => {
+    const above = table[i];
+    table.push(above.map((reached, s) => reached || (s >= v && above[s - v])));
+  });
+
+  const n = values.length;
+  const around = sum => {
+    const first = Math.max(0, Math.min(sum - Math.floor(MAX_TABLE_COLUMNS / 2), target + 1 - MAX_TABLE_COLUMNS));
+    return [first, Math.min(target, first + MAX_TABLE_COLUMNS - 1)];
+  };
+  const filling = around(target);
+  const steps = [
+    { table, columns: filling, rows: 1, cell: null, picked: [], note: 'Row 0: with no numbers only the sum 0 is reached.' },
+  ];
+  values.forEach((v, i) =>
+    steps.push({
+      table,
+      columns: filling,
+      rows: i + 2,
+      cell: null,
+      picked: [],
+      note: `Row ${i + 1}: a sum is reached with ${v} too if the row above reaches it, or reaches ${v} less.`,
+    })
+  );
+  if (!table[n][target]) {
+    steps.push({ table, columns: filling, rows: n + 1, cell: [n, target], picked: [], note: `No subset sums to ${target}.` });
+    return steps;
+  }
+
+  const picked = [];
+  let s = target;
+  for (let i = n; i > 0; i--) {
+    const v = values[i - 1];
+    const take = !table[i - 1][s];
+    if (take) picked.push(i - 1);
+    const note = take
+      ? `Row ${i - 1} does not reach ${s}, so take ${v}, leaving ${s - v}.`
+      : `Row ${i - 1} already reaches ${s}: leave ${v} out.`;
+    steps.push({ table, columns: around(s), rows: n + 1, cell: [i, s], picked: [...picked], note });
+    if (take) s -= v;
+  }
+  const note = `The numbers taken sum to ${target}.`;
+  steps.push({ table, columns: around(0), rows: n + 1, cell: [0, 0], picked, note });
+  return steps;
+}
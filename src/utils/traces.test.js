@@ -0,0 +1,77 @@
+import { coloringTrace, hamCycleTrace, dpllTrace, subsetSumTable, MAX_STEPS, MAX_TABLE_COLUMNS } from './traces';
+import { find3Coloring } from '../puzzles/threeColor';
+import { solveSat } from './sat';
+
+const last = steps => steps[steps.length - 1];
+
+test('the colouring trace backs up and ends on the colouring find3Coloring finds', () => {
+  // The path 0-2-3-1 with two colours: 0 and 1 both start red, which
+  // leaves nothing for 3.
+  const edges = [{ u: 0, v: 2 }, { u: 2, v: 3 }, { u: 3, v: 1 }];
+  const steps = coloringTrace(4, edges, 2);
+  expect(last(steps).colors).toEqual(find3Coloring(4, edges, 2));
+  expect(steps.some(({ note }) => note.startsWith('No colour is left'))).toBe(true);
+
+  const triangle = [{ u: 0, v: 1 }, { u: 1, v: 2 }, { u: 2, v: 0 }];
+  expect(last(coloringTrace(3, triangle, 2)).note).toBe('No 2-colouring exists.');
+});
+
+test('the cycle trace closes a cycle or explains there is none', () => {
+  const square = [{ u: 0, v: 1 }, { u: 1, v: 2 }, { u: 2, v: 3 }, { u: 3, v: 0 }, { u: 0, v: 2 }];
+  const steps = hamCycleTrace(4, square);
+  expect(steps[0]).toEqual({ path: [0], closed: false, note: 'Start at vertex 0.' });
+  expect(last(steps)).toMatchObject({ path: [0, 1, 2, 3], closed: true });
+
+  const star = [1, 2, 3].map(v => ({ u: 0, v }));
+  expect(last(hamCycleTrace(4, star)).note).toMatch(/there is no Hamiltonian cycle/);
+});
+
+test('the DPLL trace propagates units, backs up on conflicts and agrees with solveSat', () => {
+  const lit = x => ({ var: Math.abs(x) - 1, neg: x < 0 });
+  // Guessing x1 true forces x2 both ways; false forces x3.
+  const clauses = [[-1, 2], [-1, -2], [1, 3]].map(c => c.map(lit));
+  const steps = dpllTrace(3, clauses);
+  expect(steps.some(({ note }) => note.includes('conflict'))).toBe(true);
+  expect(steps.some(({ note, clause }) => clause !== null && note.includes('left open'))).toBe(true);
+  expect(last(steps).note).toBe('Every clause is satisfied.');
+  expect(last(steps).assignment).toEqual(solveSat(3, clauses));
+
+  const contradiction = [[1], [-1]].map(c => c.map(lit));
+  expect(last(dpllTrace(1, contradiction)).note).toMatch(/unsatisfiable/);
+});
+
+test('the table fills a row per value and walks back to a subset', () => {
+  const values = [3, 5, 17];
+  const steps = subsetSumTable(values, 20);
+  expect(steps.slice(0, 4).map(s => s.rows)).toEqual([1, 2, 3, 4]);
+  expect(steps[0].table[3][8]).toBe(true);
+  expect(steps[0].table[3][7]).toBe(false);
+  const { picked, note } = last(steps);
+  expect(picked.map(i => values[i]).reduce((a, b) => a + b, 0)).toBe(20);
+  expect(note).toBe('The numbers taken sum to 20.');
+
+  expect(last(subsetSumTable([4, 6], 5)).note).toBe('No subset sums to 5.');
+  expect(steps.every(s => s.columns[0] === 0 && s.columns[1] === 20)).toBe(true);
+});
+
+test('a table too wide to draw is shown a window at a time', () => {
+  const target = 3 * MAX_TABLE_COLUMNS;
+  const values = [MAX_TABLE_COLUMNS, 2 * MAX_TABLE_COLUMNS, 7];
+  const steps = subsetSumTable(values, target);
+  expect(steps.every(({ columns: [first, end] }) => end - first + 1 === MAX_TABLE_COLUMNS)).toBe(true);
+  const walk = steps.filter(s => s.cell);
+  expect(walk.every(({ columns: [first, end], cell }) => first <= cell[1] && cell[1] <= end)).toBe(true);
+  expect(steps[0].columns[1]).toBe(target);
+  expect(last(steps).columns[0]).toBe(0);
+  expect(last(steps).note).toBe(`The numbers taken sum to ${target}.`);
+});
+
+test('long searches stop after the step limit', () => {
+  // Two disjoint triangles with a long tail of isolated vertices before them
+  // cannot be 2-coloured, and the search only finds out at the end.
+  const n = 24;
+  const edges = [[18, 19], [19, 20], [20, 18], [21, 22], [22, 23], [23, 21]].map(([u, v]) => ({ u, v }));
+  const steps = coloringTrace(n, edges, 2);
+  expect(steps.length).toBeLessThanOrEqual(MAX_STEPS + 1);
+  expect(last(steps).note).toBe(`Stopped after ${MAX_STEPS} steps.`);
+});
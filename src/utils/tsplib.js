@@ -0,0 +1,208 @@
+import { fitToBox } from './graphFormats';
+
+// Reader for symmetric TSPLIB instances, see
+// http://comopt.ifi.uni-heidelberg.de/software/TSPLIB95/tsp95.pdf
+// Supported EDGE_WEIGHT_TYPEs: EUC_2D, ATT, GEO and EXPLICIT (any of the
+// row/column matrix layouts). A non-standard "OPTIMUM : <len>" (or
+// "BEST_KNOWN") header entry supplies the optimal tour length.
+
+const PI = 3.141592;
+const EARTH_RADIUS = 6378.388;
+
+const nint = x => Math.floor(x + 0.5);
+
+function geoRadians(x) {
+  const deg = Math.trunc(x);
+  const min = x - deg;
+  return (PI * (deg + (5.0 * min) / 3.0)) / 180.0;
+}
+
+const METRICS = {
+  EUC_2D: (a, b) => nint(Math.hypot(a.x - b.x, a.y - b.y)),
+  ATT: (a, b) => {
+    const r = Math.sqrt(((a.x - b.x) ** 2 + (a.y - b.y) ** 2) / 10.0);
+    const t = nint(r);
+    return t < r ? t + 1 : t;
+  },
+  GEO: (a, b) => {
+    const latA = geoRadians(a.x), lonA = geoRadians(a.y);
+    const latB = geoRadians(b.x), lonB = geoRadians(b.y);
+    const q1 = Math.cos(lonA - lonB);
+    const q2 = Math.cos(latA - latB);
+    const q3 = Math.cos(latA + latB);
+    return Math.floor(EARTH_RADIUS * Math.acos(0.5 * ((1.0 + q1) * q2 - (1.0 - q1) * q3)) + 1.0);
+  },
+};
+
+// Which (i, j) cells each EXPLICIT layout lists, in file order. The column
+// layouts of a symmetric matrix list the same numbers as the opposite row
+// layouts.
+const MATRIX_CELLS = {
+  FULL_MATRIX: (i, j) => true,
+  UPPER_ROW: (i, j) => j > i,
+  LOWER_ROW: (i, j) => j < i,
+  UPPER_DIAG_ROW: (i, j) => j >= i,
+  LOWER_DIAG_ROW: (i, j) => j <= i,
+};
+const COLUMN_ALIASES = {
+  UPPER_COL: 'LOWER_ROW',
+  LOWER_COL: 'UPPER_ROW',
+  UPPER_DIAG_COL: 'LOWER_DIAG_ROW',
+  LOWER_DIAG_COL: 'UPPER_DIAG_ROW',
+};
+
+const SECTIONS = ['NODE_COORD_SECTION', 'EDGE_WEIGHT_SECTION', 'DISPLAY_DATA_SECTION', 'TOUR_SECTION'];
+
+function readSections(text) {
+  const header = {};
+  const sections = {};
+  let current = null;
+  text.split(/\r?\n/).forEach(raw => {
+    const line = raw.trim();
+    if (line === '' || line === 'EOF') return;
+    const name = line.replace(/\s*:.*$/, '').toUpperCase();
+    if (SECTIONS.includes(name)) {
+      current = name;
+      sections[current] = [];
+      return;
+    }
+    const kv = line.match(/^([A-Za-z_]+)\s*:\s*(.*)$/);
+    if (kv) {
+      current = null;
+      header[kv[1].toUpperCase()] = kv[2].trim();
+      return;
+    }
+    if (!current) throw new Error(`Unexpected line "${line}".`);
+    sections[current].push(...line.split(/\s+/));
+  });
+  return { header, sections };
+}
+
+function readCoords(tokens, n, what) {
+  if (!tokens || tokens.length !== 3 * n) {
+    throw new Error(`${what} should list ${n} nodes as "<id> <x> <y>".`);
+  }
+  const coords = Array(n);
+  for (let k = 0; k < n; k++) {
+    const id = Number(tokens[3 * k]) - 1;
+    const x = Number(tokens[3 * k + 1]);
+    const y = Number(tokens[3 * k + 2]);
+    if (!Number.isInteger(id) || id < 0 || id >= n || !Number.isFinite(x) || !Number.isFinite(y)) {
+      throw new Error(`${what} has a malformed entry for node ${tokens[3 * k]}.`);
+    }
+    coords[id] = { x, y };
+  }
+  if (coords.includes(undefined)) throw new Error(`${what} does not list every node.`);
+  return coords;
+}
+
+function readMatrix(tokens, n, format) {
+  const layout = COLUMN_ALIASES[format] || format;
+  const include = MATRIX_CELLS[layout];
+  if (!include) throw new Error(`EDGE_WEIGHT_FORMAT ${format} is not supported.`);
+  const values = (tokens || []).map(Number);
+  const weights = Array.from({ length: n }, () => Array(n).fill(0));
+  let k = 0;
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      if (!include(i, j)) continue;
+      if (k >= values.length) throw new Error('EDGE_WEIGHT_SECTION has too few numbers.');
+      const w = values[k++];
+      if (!Number.isFinite(w) || w < 0) throw new Error('EDGE_WEIGHT_SECTION contains an invalid weight.');
+      if (layout === 'FULL_MATRIX') {
+        weights[i][j] = w;
+      } else {
+        weights[i][j] = w;
+        weights[j][i] = w;
+      }
+    }
+  }
+  if (k !== values.length) throw new Error('EDGE_WEIGHT_SECTION has too many numbers.');
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      if (weights[i][j] !== weights[j][i]) throw new Error('Only symmetric instances are supported.');
+    }
+  }
+  return weights;
+}
+
+function circleCoords(n) {
+  return Array.from({ length: n }, (_, i) => ({
+    x: Math.cos((2 * Math.PI * i) / n),
+    y: Math.sin((2 * Math.PI * i) / n),
+  }));
+}
+
+export function tourLength(weights, tour) {
+  return tour.reduce((sum, id, i) => sum + weights[id][tour[(i + 1) % tour.length]], 0);
+}
+
+/**
+ * Returns { name, nodes, weights, optimalLen, tour }:
+ * nodes are scaled into the 400x400 board, weights is the n x n distance
+ * matrix, optimalLen is the file's OPTIMUM (or null) and tour the file's
+ * TOUR_SECTION when it has the optimal length (or null).
+ */
+export function parseTsplib(text, { maxCities = 16 } = {}) {
+  const { header, sections } = readSections(text);
+  const type = (header.TYPE || 'TSP').split(/\s/)[0].toUpperCase();
+  if (type !== 'TSP') throw new Error(`TYPE ${type} is not supported; only symmetric TSP instances are.`);
+  const n = Number(header.DIMENSION);
+  if (!Number.isInteger(n) || n < 3) throw new Error('DIMENSION must be a whole number of at least 3.');
+  if (n > maxCities) throw new Error(`Instances with more than ${maxCities} cities are too large to play.`);
+
+  const weightType = (header.EDGE_WEIGHT_TYPE || '').toUpperCase();
+  let coords;
+  let weights;
+  if (METRICS[weightType]) {
+    const metric = METRICS[weightType];
+    coords = readCoords(sections.NODE_COORD_SECTION, n, 'NODE_COORD_SECTION');
+    weights = coords.map(a => coords.map(b => (a === b ? 0 : metric(a, b))));
+    if (weightType === 'GEO') coords = coords.map(({ x, y }) => ({ x: y, y: -x }));
+  } else if (weightType === 'EXPLICIT') {
+    const format = (header.EDGE_WEIGHT_FORMAT || '').toUpperCase();
+    weights = readMatrix(sections.EDGE_WEIGHT_SECTION, n, format);
+    coords = sections.DISPLAY_DATA_SECTION
+      ? readCoords(sections.DISPLAY_DATA_SECTION, n, 'DISPLAY_DATA_SECTION')
+      : sections.NODE_COORD_SECTION
+        ? readCoords(sections.NODE_COORD_SECTION, n, 'NODE_COORD_SECTION')
+        : circleCoords(n);
+  } else {
+    throw new Error(
+      `EDGE_WEIGHT_TYPE ${weightType || '(missing)'} is not supported; use EUC_2D, ATT, GEO or EXPLICIT.`
+    );
+  }
+
+  const known = header.OPTIMUM || header.BEST_KNOWN;
+  const optimalLen = known !== undefined ? Number(known) : null;
+  if (optimalLen !== null && !(Number.isFinite(optimalLen) && optimalLen > 0)) {
+    throw new Error('OPTIMUM must be a positive number.');
+  }
+
+  let tour = null;
+  if (sections.TOUR_SECTION) {
+    const ids = sections.TOUR_SECTION.map(Number).filter(id => id !== -1).map(id => id - 1);
+    const valid = ids.length === n && new Set(ids).size === n && ids.every(id => id >= 0 && id < n);
+    if (!valid) throw new Error('TOUR_SECTION must visit every city exactly once.');
+    if (optimalLen !== null && tourLength(weights, ids) === optimalLen) tour = ids;
+  }
+
+  const nodes = fitToBox(coords.map((p, i) => ({ id: i, ...p })));
+  return { name: header.NAME || null, nodes, weights, optimalLen, tour };
+}
+
+export function toTsplib({ nodes, weights }, name = 'nphard') {
+  return [
+    `NAME : ${name}`,
+    'TYPE : TSP',
+    `DIMENSION : ${nodes.length}`,
+    'EDGE_WEIGHT_TYPE : EXPLICIT',
+    'EDGE_WEIGHT_FORMAT : FULL_MATRIX',
+    'DISPLAY_DATA_TYPE : TWOD_DISPLAY',
+    'EDGE_WEIGHT_SECTION',
+    ...weights.map(row => row.join(' ')),
+    'DISPLAY_DATA_SECTION',
+    ...nodes.map(p => `${p.id + 1} ${Math.round(p.x)} ${Math.round(p.y)}`),
+    'EOF',
+  ].join('\n') + '\n';
+}
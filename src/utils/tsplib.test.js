@@ -0,0 +1,84 @@
+import { parseTsplib, toTsplib, tourLength } from './tsplib';
+
+const ulysses16 = `NAME: ulysses16.tsp
+TYPE: TSP
+COMMENT: Odyssey of Ulysses (Groetschel/Padberg)
+DIMENSION: 16
+EDGE_WEIGHT_TYPE: GEO
+OPTIMUM: 6859
+DISPLAY_DATA_TYPE: COORD_DISPLAY
+NODE_COORD_SECTION
+ 1 38.24 20.42
+ 2 39.57 26.15
+ 3 40.56 25.32
+ 4 36.26 23.12
+ 5 33.48 10.54
+ 6 37.56 12.19
+ 7 38.42 13.11
+ 8 37.52 20.44
+ 9 41.23 9.10
+ 10 41.17 13.05
+ 11 36.08 -5.21
+ 12 38.47 15.13
+ 13 38.15 15.35
+ 14 37.51 15.17
+ 15 35.49 14.32
+ 16 39.36 19.56
+TOUR_SECTION
+1 14 13 12 7 6 15 5 11 9 10 16 3 2 4 8 -1
+EOF
+`;
+
+test('reads GEO instances with their optimum and optimal tour', () => {
+  const inst = parseTsplib(ulysses16);
+  expect(inst.name).toBe('ulysses16.tsp');
+  expect(inst.nodes).toHaveLength(16);
+  expect(inst.optimalLen).toBe(6859);
+  expect(inst.tour).toHaveLength(16);
+  expect(tourLength(inst.weights, inst.tour)).toBe(6859);
+  inst.nodes.forEach(p => {
+    expect(p.x).toBeGreaterThanOrEqual(30);
+    expect(p.x).toBeLessThanOrEqual(370);
+    expect(p.y).toBeGreaterThanOrEqual(30);
+    expect(p.y).toBeLessThanOrEqual(370);
+  });
+});
+
+test('reads EUC_2D and ATT distances', () => {
+  const coords = 'NODE_COORD_SECTION\n1 0 0\n2 3 4\n3 0 8\nEOF\n';
+  const euc = parseTsplib(`NAME: t\nTYPE: TSP\nDIMENSION: 3\nEDGE_WEIGHT_TYPE: EUC_2D\n${coords}`);
+  expect(euc.weights).toEqual([[0, 5, 8], [5, 0, 5], [8, 5, 0]]);
+  expect(euc.optimalLen).toBeNull();
+  const att = parseTsplib(`DIMENSION: 3\nEDGE_WEIGHT_TYPE: ATT\n${coords}`);
+  expect(att.weights[0][1]).toBe(2);
+  expect(att.weights[0][2]).toBe(3);
+});
+
+test('reads EXPLICIT matrices and round-trips through toTsplib', () => {
+  const inst = parseTsplib(
+    'DIMENSION: 4\nEDGE_WEIGHT_TYPE: EXPLICIT\nEDGE_WEIGHT_FORMAT: UPPER_ROW\n' +
+    'EDGE_WEIGHT_SECTION\n1 2 3\n4 5\n6\nEOF\n'
+  );
+  expect(inst.weights).toEqual([[0, 1, 2, 3], [1, 0, 4, 5], [2, 4, 0, 6], [3, 5, 6, 0]]);
+  const lower = parseTsplib(
+    'DIMENSION: 4\nEDGE_WEIGHT_TYPE: EXPLICIT\nEDGE_WEIGHT_FORMAT: LOWER_DIAG_ROW\n' +
+    'EDGE_WEIGHT_SECTION\n0 1 0 2 4 0 3 5 6 0\n'
+  );
+  expect(lower.weights).toEqual(inst.weights);
+  const again = parseTsplib(toTsplib(inst, 'square'));
+  expect(again.name).toBe('square');
+  expect(again.weights).toEqual(inst.weights);
+  expect(again.nodes.map(p => Math.round(p.x))).toEqual(inst.nodes.map(p => Math.round(p.x)));
+});
+
+test('rejects what the game cannot play', () => {
+  expect(() => parseTsplib('TYPE: ATSP\nDIMENSION: 3\n')).toThrow('ATSP');
+  expect(() => parseTsplib('DIMENSION: 17\nEDGE_WEIGHT_TYPE: EUC_2D\n')).toThrow('too large');
+  expect(() => parseTsplib('DIMENSION: 3\nEDGE_WEIGHT_TYPE: MAN_2D\n')).toThrow('MAN_2D');
+  expect(() => parseTsplib(
+    'DIMENSION: 3\nEDGE_WEIGHT_TYPE: EXPLICIT\nEDGE_WEIGHT_FORMAT: FULL_MATRIX\n' +
+    'EDGE_WEIGHT_SECTION\n0 1 2\n1 0 3\n2 4 0\n'
+  )).toThrow('symmetric');
+  expect(() => parseTsplib('DIMENSION: 3\nEDGE_WEIGHT_TYPE: EUC_2D\nNODE_COORD_SECTION\n1 0 0\n2 1 1\n'))
+    .toThrow('NODE_COORD_SECTION');
+});
@@ -0,0 +1,25 @@
+import { useRef, useCallback } from 'react';
+
+/**
+ * For a game played as part of a challenge. Returns finish(solved), which
+ * hands the round's result to challenge.onDone(solved, seconds) the first
+ * time it is called and returns true, or returns false when the game is not
+ * in a challenge and should carry on as usual. `elapsed` is the run's
+ * elapsed time on the round (see useRun.js), which leaves pauses out.
+ */
+export function useChallenge(challenge, elapsed) {
+  const challengeRef = useRef(challenge);
+  const elapsedRef = useRef(elapsed);
+  const doneRef = useRef(false);
+  challengeRef.current = challenge;
+  elapsedRef.current = elapsed;
+
+  return useCallback(solved => {
+    if (!challengeRef.current) return false;
+    if (!doneRef.current) {
+      doneRef.current = true;
+      challengeRef.current.onDone(solved, elapsedRef.current);
+    }
+    return true;
+  }, []);
+}
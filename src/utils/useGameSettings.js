@@ -0,0 +1,71 @@
+import { useMemo, useCallback } from 'react';
+import { defaultSettings, normalizeSettings } from '../puzzles/settings';
+import { GAME_TIERS } from '../puzzles';
+import { updateProfile, useProfileData } from './profiles';
+import { DEFAULT_MODE, useMode } from './modes';
+import { DEFAULT_SCORING, useScoring } from './scoring';
+
+// Settings and tiers are kept per game in the current profile, see
+// profiles.js. Both are validated on the way out, not on the way in, so a
+// stored value from an older version of a game still reads sensibly.
+
+/**
+ * The current profile's settings of one game, see puzzles/settings.js.
+ * Returns [settings, setSettings] like useState.
+ */
+export function useGameSettings(gameId) {
+  const select = useCallback(profile => profile.settings[gameId], [gameId]);
+  const saved = useProfileData(select);
+  // Keyed on the contents, so a re-read of unchanged storage keeps the
+  // settings object, and with it the round options, the same.
+  const savedJson = JSON.stringify(saved ?? null);
+  const settings = useMemo(() => normalizeSettings(gameId, JSON.parse(savedJson)), [gameId, savedJson]);
+
+  const setSettings = useCallback(
+    update =>
+      updateProfile(profile => {
+        const current = normalizeSettings(gameId, profile.settings[gameId]);
+        const next = typeof update === 'function' ? update(current) : update;
+        return { ...profile, settings: { ...profile.settings, [gameId]: next } };
+      }),
+    [gameId]
+  );
+
+  return [settings, setSettings];
+}
+
+/**
+ * The current profile's difficulty tier of one game, one of
+ * GAME_TIERS[gameId]. Returns [tier, setTier] like useState.
+ */
+export function useTier(gameId) {
+  const select = useCallback(profile => profile.tiers[gameId], [gameId]);
+  const saved = useProfileData(select);
+  const tier = GAME_TIERS[gameId].includes(saved) ? saved : GAME_TIERS[gameId][0];
+
+  const setTier = useCallback(
+    next => updateProfile(profile => ({ ...profile, tiers: { ...profile.tiers, [gameId]: next } })),
+    [gameId]
+  );
+
+  return [tier, setTier];
+}
+
+/**
+ * The settings, tier, game mode and scoring a game plays with: the
+ * player's own, or for a challenge (see DailyChallenge) the challenge's
+ * tier with the default settings in Classic mode and exact scoring, so
+ * that everyone gets the same puzzles, time and score. Returns
+ * { settings, setSettings, tier, setTier, mode, scoring }.
+ */
+export function useRoundSettings(gameId, challenge) {
+  const [saved, setSettings] = useGameSettings(gameId);
+  const [savedTier, setTier] = useTier(gameId);
+  const [savedMode] = useMode();
+  const [savedScoring] = useScoring();
+  const fixedTier = challenge ? challenge.tier : null;
+  const settings = useMemo(() => (fixedTier ? defaultSettings(gameId) : saved), [fixedTier, gameId, saved]);
+  const mode = challenge ? DEFAULT_MODE : savedMode;
+  const scoring = challenge ? DEFAULT_SCORING : savedScoring;
+  return { settings, setSettings, tier: fixedTier || savedTier, setTier, mode, scoring };
+}
@@ -0,0 +1,40 @@
+import { useCallback, useRef } from 'react';
+import { updateProfile, useProfileData } from './profiles';
+import { DEFAULT_MODE } from './modes';
+import { DEFAULT_SCORING } from './scoring';
+
+// Classic scores are kept under the tier alone, as they were before there
+// were modes, and every other mode's under `${mode}/${tier}`. Scores under
+// partial credit add `/${scoring}`.
+function scoreKey(tier, mode, scoring) {
+  const key = mode === DEFAULT_MODE ? tier : `${mode}/${tier}`;
+  return scoring === DEFAULT_SCORING ? key : `${key}/${scoring}`;
+}
+
+/**
+ * The current profile's high score in one game, difficulty tier, game
+ * mode (see modes.js) and scoring (see scoring.js). Returns
+ * [highScore, setHighScore] like useState; switching any of them or
+ * profiles shows that score. setHighScore keeps
+ * its identity across them and always updates the current one.
+ */
+export function useHighScore(gameId, tier, mode = DEFAULT_MODE, scoring = DEFAULT_SCORING) {
+  const key = scoreKey(tier, mode, scoring);
+  const select = useCallback(profile => (profile.highScores[gameId] || {})[key] || 0, [gameId, key]);
+  const highScore = useProfileData(select);
+  const atRef = useRef();
+  atRef.current = { gameId, key };
+
+  const setHighScore = useCallback(update => {
+    const { gameId: game, key: at } = atRef.current;
+    updateProfile(profile => {
+      const scores = profile.highScores[game] || {};
+      const base = scores[at] || 0;
+      const value = typeof update === 'function' ? update(base) : update;
+      if (value === base) return profile;
+      return { ...profile, highScores: { ...profile.highScores, [game]: { ...scores, [at]: value } } };
+    });
+  }, []);
+
+  return [highScore, setHighScore];
+}
@@ -0,0 +1,57 @@
+import { renderHook, act } from '@testing-library/react';
+import { useHighScore } from './useHighScore';
+import { createProfile, switchProfile, currentProfile } from './profiles';
+
+beforeEach(() => localStorage.clear());
+
+test('each tier keeps its own high score', () => {
+  const { result, rerender } = renderHook(({ tier }) => useHighScore('vertex-cover', tier), {
+    initialProps: { tier: 'easy' },
+  });
+  act(() => result.current[1](4));
+  expect(result.current[0]).toBe(4);
+
+  rerender({ tier: 'hard' });
+  expect(result.current[0]).toBe(0);
+  act(() => result.current[1](hs => Math.max(hs, 7)));
+  expect(result.current[0]).toBe(7);
+
+  rerender({ tier: 'easy' });
+  expect(result.current[0]).toBe(4);
+  expect(currentProfile().highScores['vertex-cover']).toEqual({ easy: 4, hard: 7 });
+});
+
+test('switching profiles shows that profile\'s scores', () => {
+  const { result } = renderHook(() => useHighScore('clique-game', 'easy'));
+  act(() => result.current[1](5));
+  const first = JSON.parse(localStorage.getItem('nphardProfiles')).current;
+
+  act(() => {
+    createProfile('Sam');
+  });
+  expect(result.current[0]).toBe(0);
+  act(() => result.current[1](2));
+
+  act(() => switchProfile(first));
+  expect(result.current[0]).toBe(5);
+});
+
+test('each game mode keeps its own high score', () => {
+  const { result, rerender } = renderHook(({ mode }) => useHighScore('partition-game', 'easy', mode), {
+    initialProps: { mode: 'classic' },
+  });
+  act(() => result.current[1](3));
+  rerender({ mode: 'timeAttack' });
+  expect(result.current[0]).toBe(0);
+  act(() => result.current[1](8));
+
+  rerender({ mode: 'classic' });
+  expect(result.current[0]).toBe(3);
+  expect(currentProfile().highScores['partition-game']).toEqual({ easy: 3, 'timeAttack/easy': 8 });
+});
+
+test('partial credit keeps its own high score', () => {
+  const { result } = renderHook(() => useHighScore('partition-game', 'easy', 'zen', 'partial'));
+  act(() => result.current[1](24));
+  expect(currentProfile().highScores['partition-game']).toEqual({ 'zen/easy/partial': 24 });
+});
@@ -0,0 +1,75 @@
+import { useState, useMemo } from 'react';
+
+function freshLog(round, initial, at, value = initial(round)) {
+  const start = { value, at };
+  return { round, entries: [start], index: 0, timeline: [{ ...start, action: 'start' }] };
+}
+
+// Moves to entries[index] and notes the step on the timeline.
+function step(log, index, at, action) {
+  const { value } = log.entries[index];
+  return { ...log, index, timeline: [...log.timeline, { value, at, action }] };
+}
+
+/**
+ * A game's selection together with the moves that made it, for undo and
+ * redo. Works like useState, except that it starts over from
+ * initial(round) whenever `round`, the puzzle on screen, changes. The
+ * first round starts from `start` instead when one is given, such as the
+ * selection of a resumed session. Moves are timed by clock(), Date.now by
+ * default; a game passes its run's clock (see useRun.js), which leaves
+ * pauses out.
+ *
+ * Returns { value, move, undo, redo, canUndo, canRedo, entries, index,
+ * timeline }:
+ * move(update) sets the selection like a state setter and records it as a
+ * move unless nothing changed; a move after an undo drops the moves that
+ * were undone. entries[0..index] are the selections so far as
+ * { value, at }, at being the time of the move. timeline is everything
+ * that happened since the round started, undos and redos included, as
+ * { value, at, action } with action 'start', 'move', 'undo' or 'redo';
+ * it is what the game-over replay plays back. move, undo and redo keep
+ * their identity as long as clock does.
+ */
+export function useMoveLog(round, initial, start, clock = Date.now) {
+  const [stored, setLog] = useState(() => freshLog(round, initial, clock(), start || undefined));
+  let log = stored;
+  if (log.round !== round) {
+    log = freshLog(round, initial, clock());
+    setLog(log);
+  }
+
+  const actions = useMemo(
+    () => ({
+      move: update => {
+        const at = clock();
+        setLog(l => {
+          const current = l.entries[l.index].value;
+          const value = typeof update === 'function' ? update(current) : update;
+          if (value === current) return l;
+          const entries = [...l.entries.slice(0, l.index + 1), { value, at }];
+          return step({ ...l, entries }, l.index + 1, at, 'move');
+        });
+      },
+      undo: () => {
+        const at = clock();
+        setLog(l => (l.index > 0 ? step(l, l.index - 1, at, 'undo') : l));
+      },
+      redo: () => {
+        const at = clock();
+        setLog(l => (l.index < l.entries.length - 1 ? step(l, l.index + 1, at, 'redo') : l));
+      },
+    }),
+    [clock]
+  );
+
+  return {
+    ...actions,
+    value: log.entries[log.index].value,
+    canUndo: log.index > 0,
+    canRedo: log.index < log.entries.length - 1,
+    entries: log.entries,
+    index: log.index,
+    timeline: log.timeline,
+  };
+}
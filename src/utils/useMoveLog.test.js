@@ -0,0 +1,91 @@
+import { renderHook, act } from '@testing-library/react';
+import { useMoveLog } from './useMoveLog';
+
+const empty = round => Array(round.length).fill(false);
+const toggle = i => s => s.map((v, j) => (j === i ? !v : v));
+
+test('undo and redo walk the moves, and a new move drops the redo tail', () => {
+  const round = [3, 1, 4];
+  const { result } = renderHook(() => useMoveLog(round, empty));
+  expect(result.current.canUndo).toBe(false);
+
+  act(() => result.current.move(toggle(0)));
+  act(() => result.current.move(toggle(2)));
+  expect(result.current.value).toEqual([true, false, true]);
+
+  act(() => result.current.undo());
+  act(() => result.current.undo());
+  expect(result.current.value).toEqual([false, false, false]);
+  expect(result.current.canUndo).toBe(false);
+  act(() => result.current.redo());
+  expect(result.current.value).toEqual([true, false, false]);
+  expect(result.current.canRedo).toBe(true);
+
+  act(() => result.current.move(toggle(1)));
+  expect(result.current.value).toEqual([true, true, false]);
+  expect(result.current.canRedo).toBe(false);
+  expect(result.current.entries).toHaveLength(3);
+});
+
+test('a move that changes nothing is not recorded', () => {
+  const { result } = renderHook(() => useMoveLog('round', () => []));
+  const moveBefore = result.current.move;
+  act(() => result.current.move(prev => prev));
+  expect(result.current.canUndo).toBe(false);
+  expect(result.current.move).toBe(moveBefore);
+});
+
+test('a new round starts a fresh log', () => {
+  const { result, rerender } = renderHook(({ round }) => useMoveLog(round, empty), {
+    initialProps: { round: [1, 2] },
+  });
+  act(() => result.current.move(toggle(1)));
+  expect(result.current.canUndo).toBe(true);
+
+  rerender({ round: [5, 6, 7] });
+  expect(result.current.value).toEqual([false, false, false]);
+  expect(result.current.canUndo).toBe(false);
+  expect(result.current.entries).toHaveLength(1);
+});
+
+test('the timeline keeps undos and redos in the order they happened', () => {
+  const { result } = renderHook(() => useMoveLog('round', () => 0));
+  act(() => result.current.move(1));
+  act(() => result.current.move(2));
+  act(() => result.current.undo());
+  act(() => result.current.move(3));
+  act(() => result.current.undo());
+  act(() => result.current.redo());
+
+  expect(result.current.timeline.map(t => [t.action, t.value])).toEqual([
+    ['start', 0],
+    ['move', 1],
+    ['move', 2],
+    ['undo', 1],
+    ['move', 3],
+    ['undo', 1],
+    ['redo', 3],
+  ]);
+  expect(result.current.entries.map(e => e.value)).toEqual([0, 1, 3]);
+});
+
+test('moves are timed by the clock it is given', () => {
+  let now = 0;
+  const clock = () => now;
+  const { result } = renderHook(() => useMoveLog('round', () => 0, undefined, clock));
+  now = 1200;
+  act(() => result.current.move(1));
+  now = 1500;
+  act(() => result.current.undo());
+  expect(result.current.timeline.map(t => t.at)).toEqual([0, 1200, 1500]);
+});
+
+test('the first round can start from a given selection', () => {
+  const { result, rerender } = renderHook(({ round }) => useMoveLog(round, empty, [false, true]), {
+    initialProps: { round: [3, 1] },
+  });
+  expect(result.current.value).toEqual([false, true]);
+  expect(result.current.canUndo).toBe(false);
+  rerender({ round: [2, 7] });
+  expect(result.current.value).toEqual([false, false]);
+});
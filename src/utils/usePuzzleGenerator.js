@@ -0,0 +1,141 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { GENERATORS } from '../puzzles';
+import createWorker from '../puzzles/createWorker';
+
+// One worker serves every game. Cancelling the last job left terminates
+// it, since the generators are synchronous and cannot be interrupted any
+// other way; the next job starts a fresh worker. While other jobs remain
+// the worker keeps going, and the cancelled job's answer is dropped.
+let worker = null;
+let nextJobId = 0;
+const jobs = new Map();
+
+function getWorker() {
+  if (worker) return worker;
+  worker = createWorker();
+  if (!worker) return null;
+  worker.onmessage = ({ data }) => {
+    const job = jobs.get(data.id);
+    if (!job) return;
+    if (data.progress !== undefined) {
+      job.onProgress(data.progress);
+      return;
+    }
+    jobs.delete(data.id);
+    if (data.error !== undefined) job.reject(new Error(data.error));
+    else job.resolve(data.round);
+  };
+  worker.onerror = e => {
+    e.preventDefault();
+    stopWorker(new Error(e.message || 'Puzzle generation failed.'));
+  };
+  return worker;
+}
+
+function stopWorker(reason) {
+  if (!worker) return;
+  worker.terminate();
+  worker = null;
+  jobs.forEach(job => job.reject(reason));
+  jobs.clear();
+}
+
+/**
+ * Runs GENERATORS[gameId](options) in the worker, or inline where workers
+ * are unavailable. Returns { promise, cancel }; a cancelled job's promise
+ * never settles.
+ */
+export function runGenerator(gameId, options = {}, onProgress = () => {}) {
+  const id = nextJobId++;
+  let cancelled = false;
+  const w = getWorker();
+
+  const promise = new Promise((resolve, reject) => {
+    if (!w) {
+      setTimeout(() => {
+        if (cancelled) return;
+        try {
+          resolve(GENERATORS[gameId](options, onProgress));
+        } catch (e) {
+          reject(e);
+        }
+      }, 0);
+      return;
+    }
+    jobs.set(id, {
+      onProgress: value => !cancelled && onProgress(value),
+      resolve: round => !cancelled && resolve(round),
+      reject: e => !cancelled && reject(e),
+    });
+    w.postMessage({ id, gameId, options });
+  });
+
+  const cancel = () => {
+    cancelled = true;
+    if (jobs.delete(id) && jobs.size === 0) stopWorker(new Error('Cancelled.'));
+  };
+  return { promise, cancel };
+}
+
+/**
+ * Generates rounds for one game. `generate(options)` replaces any job still
+ * running and hands the new round to onReady; `first` holds the options of
+ * the round to generate on mount, or null if the game already has one.
+ * progress is a fraction in [0, 1] while generating and null otherwise,
+ * and options those of the last round handed to onReady. Whatever is
+ * running is cancelled when the game unmounts.
+ */
+export function usePuzzleGenerator(gameId, { first = null, onReady }) {
+  const [progress, setProgress] = useState(first ? 0 : null);
+  const [error, setError] = useState(null);
+  const [lastOptions, setLastOptions] = useState(null);
+  const jobRef = useRef(null);
+  const mountedRef = useRef(false);
+  const onReadyRef = useRef(onReady);
+  const optionsRef = useRef(first);
+  onReadyRef.current = onReady;
+
+  const cancel = useCallback(() => {
+    if (jobRef.current) jobRef.current.cancel();
+    jobRef.current = null;
+    setProgress(null);
+  }, []);
+
+  const generate = useCallback((options = {}) => {
+    // A round finished just before leaving may still schedule the next one.
+    if (!mountedRef.current) return;
+    if (jobRef.current) jobRef.current.cancel();
+    const job = runGenerator(gameId, options, setProgress);
+    jobRef.current = job;
+    optionsRef.current = options;
+    setProgress(0);
+    setError(null);
+    job.promise.then(
+      round => {
+        jobRef.current = null;
+        setProgress(null);
+        setLastOptions(options);
+        onReadyRef.current(round);
+      },
+      e => {
+        jobRef.current = null;
+        setProgress(null);
+        setError(e.message);
+      }
+    );
+  }, [gameId]);
+
+  const retry = useCallback(() => generate(optionsRef.current || {}), [generate]);
+
+  const firstRef = useRef(first);
+  useEffect(() => {
+    mountedRef.current = true;
+    if (firstRef.current) generate(firstRef.current);
+    return () => {
+      mountedRef.current = false;
+      cancel();
+    };
+  }, [generate, cancel]);
+
+  return { generating: progress !== null, progress, error, options: lastOptions, generate, retry };
+}
@@ -0,0 +1,48 @@
+import { runGenerator } from './usePuzzleGenerator';
+import { GENERATORS } from '../puzzles';
+
+test('every generator is deterministic for a seed', async () => {
+  for (const [gameId, newRound] of Object.entries(GENERATORS)) {
+    const round = await runGenerator(gameId, { seed: 'q7m2' }).promise;
+    expect(round.seed).toBe('q7m2');
+    expect(JSON.parse(JSON.stringify(round))).toEqual(JSON.parse(JSON.stringify(newRound({ seed: 'q7m2' }))));
+  }
+});
+
+test('a cancelled job never delivers its round', async () => {
+  const onReady = jest.fn();
+  const job = runGenerator('subset-sum-game', { seed: 'x' });
+  job.promise.then(onReady, onReady);
+  job.cancel();
+  await new Promise(resolve => setTimeout(resolve, 50));
+  expect(onReady).not.toHaveBeenCalled();
+});
+
+test('cancelling a job leaves the others running in the shared worker', async () => {
+  const workers = [];
+  const createWorker = () => {
+    const w = {
+      terminated: false,
+      postMessage: ({ id, options }) =>
+        setTimeout(() => !w.terminated && w.onmessage({ data: { id, round: options } }), 0),
+      terminate: () => {
+        w.terminated = true;
+      },
+    };
+    workers.push(w);
+    return w;
+  };
+  jest.resetModules();
+  jest.doMock('../puzzles/createWorker', () => ({ __esModule: true, default: createWorker }));
+  const run = require('./usePuzzleGenerator').runGenerator;
+
+  const cancelled = run('subset-sum-game', { seed: 'a' });
+  const kept = run('subset-sum-game', { seed: 'b' });
+  cancelled.cancel();
+  expect(workers[0].terminated).toBe(false);
+  await expect(kept.promise).resolves.toEqual({ seed: 'b' });
+
+  run('subset-sum-game', { seed: 'c' }).cancel();
+  expect(workers[0].terminated).toBe(true);
+  jest.dontMock('../puzzles/createWorker');
+});
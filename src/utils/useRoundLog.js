@@ -0,0 +1,37 @@
+import { useRef, useMemo } from 'react';
+import { recordRound } from './stats';
+
+/**
+ * Logs a game's rounds to the player's statistics, see stats.js. `round`
+ * describes the round on screen as { tier, size, elapsed }, elapsed being
+ * the seconds played on it so far; it is read when the round ends. An
+ * optional round.onMistake is called on every mistake, see useRun.js.
+ * Returns { start, mistake, end }, which keep their identity:
+ *   start()       a new round is on screen
+ *   mistake()     counts a mistake in the current round
+ *   end(solved)   logs the current round, once
+ */
+export function useRoundLog(gameId, round) {
+  const latestRef = useRef();
+  latestRef.current = { gameId, ...round };
+  const currentRef = useRef({ mistakes: 0, ended: false });
+
+  return useMemo(
+    () => ({
+      start: () => {
+        currentRef.current = { mistakes: 0, ended: false };
+      },
+      mistake: () => {
+        currentRef.current.mistakes += 1;
+        latestRef.current.onMistake?.();
+      },
+      end: solved => {
+        const { gameId: game, tier, size, elapsed } = latestRef.current;
+        if (currentRef.current.ended || !size) return;
+        currentRef.current.ended = true;
+        recordRound({ gameId: game, tier, size, seconds: elapsed, mistakes: currentRef.current.mistakes, solved });
+      },
+    }),
+    []
+  );
+}
@@ -0,0 +1,209 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { MODES } from './modes';
+import { useHighScore } from './useHighScore';
+import { DEFAULT_SCORING, SCORING, credit } from './scoring';
+
+// Seconds on the countdown when a run, or under 'round' a puzzle, starts.
+function startingTime(mode, roundTime) {
+  if (mode.countdown === 'round') return roundTime;
+  if (mode.countdown === 'run') return roundTime * mode.runFactor;
+  return null;
+}
+
+function freshRun(round, mode, roundTime) {
+  const left = startingTime(mode, roundTime);
+  return {
+    round,
+    left,
+    elapsed: 0,
+    total: 0,
+    score: 0,
+    rounds: 0,
+    breakdown: [],
+    failed: false,
+    solved: false,
+    fresh: false,
+    paused: false,
+  };
+}
+
+// The run a game opens with: a saved one (see session.js) goes on from
+// where it was left, paused, as long as its round could be restored.
+function openingRun(round, mode, roundTime, saved) {
+  if (round == null) return { ...freshRun(round, mode, roundTime), fresh: true };
+  if (!saved) return freshRun(round, mode, roundTime);
+  const left = mode.countdown ? saved.left ?? startingTime(mode, roundTime) : null;
+  const { elapsed, total, score, rounds, breakdown } = saved;
+  return { ...freshRun(round, mode, roundTime), left, elapsed, total, score, rounds, breakdown, paused: true };
+}
+
+// Why a run has ended, a key of OVER_TITLES in modes.js, or null while it
+// goes on.
+function overOf(run, mode) {
+  if (run.failed) return 'mistake';
+  if (mode.puzzles && run.rounds >= mode.puzzles) return 'done';
+  if (run.left !== null && run.left <= 0) return 'time';
+  return null;
+}
+
+/**
+ * The score and clock of a game's run under a game mode, see modes.js.
+ * `round` is the puzzle on screen, and a new one starts its clock over;
+ * `roundTime` is the game's time limit for it. The clock ticks each second
+ * while `running` and not paused, and pauses by itself when the page is
+ * hidden or loses focus. `saved` is the progress of a resumed session, see
+ * session.js. A solved round scores a point, or under partial credit
+ * (`scoring`, see scoring.js) points by how close the answer came. Once
+ * the run is over the high score is recorded: the most points, or for
+ * Marathon the fewest seconds taken.
+ *
+ * Returns { mode, scoring, score, highScore, rounds, breakdown, timeLeft,
+ * elapsed, total, over, solved, paused, progress, solve, mistake,
+ * penalize, restart, isOver, pause, resume, clock }:
+ *   rounds      rounds solved so far
+ *   breakdown   { ratio, points } of each of them
+ *   timeLeft    seconds left on the countdown, null if the mode has none
+ *   elapsed     seconds spent on the round on screen
+ *   total       seconds spent on the whole run
+ *   over        why the run has ended, see OVER_TITLES, or null
+ *   solved      whether the round on screen has been solved
+ *   progress    { mode, scoring, tier, left, elapsed, total, score, rounds,
+ *               breakdown } to save, null once the round on screen is
+ *               solved or the run is over
+ *   solve(r)    counts the round on screen as solved by an answer of
+ *               approximation ratio r, 1 (a best answer) by default
+ *   mistake()   a wrong move, which ends a Sudden Death run
+ *   penalize(s) takes s seconds off the countdown, or adds them to the clock
+ *   restart()   starts a new run with the next round
+ *   isOver()    whether the run has ended, for timers set before a render
+ *   pause(), resume()  stop and restart the clock
+ *   clock()     milliseconds the clock has run so far, to time moves by;
+ *               unlike Date.now() it stands still while the run is paused
+ * The functions keep their identity. A round that arrives after the run is
+ * over, such as an imported one, starts a new run too.
+ */
+export function useRun(
+  gameId,
+  { mode: modeId, scoring = DEFAULT_SCORING, tier, round, roundTime, running, saved = null }
+) {
+  const mode = MODES[modeId];
+  const [highScore, setHighScore] = useHighScore(gameId, tier, modeId, scoring);
+  const [stored, setRun] = useState(() =>
+    openingRun(round, mode, roundTime, saved && saved.mode === modeId && saved.scoring === scoring ? saved : null)
+  );
+  let run = stored;
+  if (run.round !== round) {
+    run =
+      run.fresh || overOf(run, mode)
+        ? freshRun(round, mode, roundTime)
+        : { ...run, round, elapsed: 0, solved: false, left: mode.countdown === 'round' ? roundTime : run.left };
+    setRun(run);
+  }
+  const over = overOf(run, mode);
+
+  const latestRef = useRef();
+  latestRef.current = { mode, scoring, roundTime, over };
+  // Milliseconds spent while ticking before `since`, when it last started.
+  const clockRef = useRef({ spent: 0, since: null });
+
+  const ticking = running && !run.paused && !over;
+  useEffect(() => {
+    if (!ticking) return;
+    const clock = clockRef.current;
+    clock.since = Date.now();
+    const pause = () => setRun(r => ({ ...r, paused: true }));
+    const onVisibility = () => {
+      if (document.visibilityState === 'hidden') pause();
+    };
+    document.addEventListener('visibilitychange', onVisibility);
+    window.addEventListener('blur', pause);
+    const id = setInterval(() => {
+      setRun(r => ({
+        ...r,
+        left: r.left === null ? null : r.left - 1,
+        elapsed: r.elapsed + 1,
+        total: r.total + 1,
+      }));
+    }, 1000);
+    return () => {
+      clock.spent += Date.now() - clock.since;
+      clock.since = null;
+      clearInterval(id);
+      document.removeEventListener('visibilitychange', onVisibility);
+      window.removeEventListener('blur', pause);
+    };
+  }, [ticking]);
+
+  const { score, total } = run;
+  useEffect(() => {
+    if (over === 'done') setHighScore(best => (best ? Math.min(best, total) : total));
+    else if (over) setHighScore(best => Math.max(best, score));
+  }, [over, score, total, setHighScore]);
+
+  const actions = useMemo(
+    () => ({
+      solve: (ratio = 1) => {
+        const points = SCORING[latestRef.current.scoring].ratios ? credit(ratio) : 1;
+        setRun(r => ({
+          ...r,
+          score: r.score + points,
+          rounds: r.rounds + 1,
+          breakdown: [...r.breakdown, { ratio, points }],
+          solved: true,
+        }));
+      },
+      mistake: () => {
+        if (latestRef.current.mode.suddenDeath) setRun(r => ({ ...r, failed: true }));
+      },
+      penalize: seconds =>
+        setRun(r => ({
+          ...r,
+          left: r.left === null ? null : Math.max(0, r.left - seconds),
+          elapsed: r.elapsed + seconds,
+          total: r.total + seconds,
+        })),
+      restart: () => {
+        const { mode: m, roundTime: time } = latestRef.current;
+        setRun(r => ({ ...freshRun(r.round, m, time), fresh: true }));
+      },
+      isOver: () => latestRef.current.over !== null,
+      pause: () => setRun(r => ({ ...r, paused: true })),
+      resume: () => setRun(r => ({ ...r, paused: false })),
+      clock: () => {
+        const { spent, since } = clockRef.current;
+        return since === null ? spent : spent + Date.now() - since;
+      },
+    }),
+    []
+  );
+
+  return {
+    ...actions,
+    mode,
+    scoring,
+    score: run.score,
+    highScore,
+    rounds: run.rounds,
+    breakdown: run.breakdown,
+    timeLeft: run.left,
+    elapsed: run.elapsed,
+    total: run.total,
+    over,
+    solved: run.solved,
+    paused: run.paused,
+    progress:
+      run.solved || over
+        ? null
+        : {
+            mode: modeId,
+            scoring,
+            tier,
+            left: run.left,
+            elapsed: run.elapsed,
+            total: run.total,
+            score: run.score,
+            rounds: run.rounds,
+            breakdown: run.breakdown,
+          },
+  };
+}
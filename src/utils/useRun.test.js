@@ -0,0 +1,148 @@
+import { renderHook, act } from '@testing-library/react';
+import { useRun } from './useRun';
+import { currentProfile } from './profiles';
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.useFakeTimers();
+});
+
+afterEach(() => jest.useRealTimers());
+
+const renderRun = (mode, round = 'first') =>
+  renderHook(props => useRun('vertex-cover', props), {
+    initialProps: { mode, tier: 'easy', round, roundTime: 10, running: true },
+  });
+
+const tick = seconds => act(() => jest.advanceTimersByTime(seconds * 1000));
+
+test('Classic gives every round its own time and ends when it runs out', () => {
+  const { result, rerender } = renderRun('classic');
+  act(() => result.current.mistake());
+  expect(result.current.over).toBe(null);
+  tick(4);
+  expect(result.current.timeLeft).toBe(6);
+  act(() => result.current.solve());
+
+  rerender({ mode: 'classic', tier: 'easy', round: 'second', roundTime: 10, running: true });
+  expect(result.current.timeLeft).toBe(10);
+  expect(result.current.elapsed).toBe(0);
+  tick(10);
+  expect(result.current.over).toBe('time');
+  expect(result.current.isOver()).toBe(true);
+  expect(currentProfile().highScores['vertex-cover']).toEqual({ easy: 1 });
+});
+
+test('Time Attack carries the clock across rounds until a restart', () => {
+  const { result, rerender } = renderRun('timeAttack');
+  expect(result.current.timeLeft).toBe(50);
+  tick(5);
+  rerender({ mode: 'timeAttack', tier: 'easy', round: 'second', roundTime: 10, running: true });
+  expect(result.current.timeLeft).toBe(45);
+  act(() => result.current.penalize(15));
+  expect(result.current.timeLeft).toBe(30);
+
+  act(() => result.current.restart());
+  rerender({ mode: 'timeAttack', tier: 'easy', round: 'third', roundTime: 10, running: true });
+  expect(result.current.timeLeft).toBe(50);
+  expect(result.current.total).toBe(0);
+});
+
+test('Sudden Death ends on the first mistake', () => {
+  const { result } = renderRun('suddenDeath');
+  act(() => result.current.solve());
+  act(() => result.current.mistake());
+  expect(result.current.over).toBe('mistake');
+  expect(currentProfile().highScores['vertex-cover']).toEqual({ 'suddenDeath/easy': 1 });
+});
+
+test('Zen has no countdown and never ends', () => {
+  const { result } = renderRun('zen');
+  tick(500);
+  expect(result.current.timeLeft).toBe(null);
+  expect(result.current.elapsed).toBe(500);
+  expect(result.current.over).toBe(null);
+});
+
+test('Marathon ends after its puzzles and keeps the fastest finish', () => {
+  const { result, rerender } = renderRun('marathon');
+  for (let i = 0; i < 10; i++) {
+    rerender({ mode: 'marathon', tier: 'easy', round: i, roundTime: 10, running: true });
+    tick(3);
+    act(() => result.current.solve());
+  }
+  expect(result.current.over).toBe('done');
+  expect(result.current.total).toBe(30);
+  expect(result.current.highScore).toBe(30);
+  tick(5);
+  expect(result.current.total).toBe(30);
+});
+
+test('the clock stops while paused and when the page is hidden or loses focus', () => {
+  const { result } = renderRun('classic');
+  act(() => result.current.pause());
+  tick(3);
+  expect(result.current.timeLeft).toBe(10);
+  act(() => result.current.resume());
+  tick(2);
+  expect(result.current.timeLeft).toBe(8);
+
+  act(() => window.dispatchEvent(new Event('blur')));
+  expect(result.current.paused).toBe(true);
+  act(() => result.current.resume());
+  const hidden = jest.spyOn(document, 'visibilityState', 'get').mockReturnValue('hidden');
+  act(() => document.dispatchEvent(new Event('visibilitychange')));
+  tick(3);
+  expect(result.current.paused).toBe(true);
+  expect(result.current.timeLeft).toBe(8);
+  hidden.mockRestore();
+});
+
+test('the run clock leaves pauses out', () => {
+  const { result } = renderRun('classic');
+  tick(2);
+  act(() => result.current.pause());
+  tick(5);
+  expect(result.current.clock()).toBe(2000);
+  act(() => result.current.resume());
+  act(() => jest.advanceTimersByTime(1500));
+  expect(result.current.clock()).toBe(3500);
+});
+
+test('a saved run goes on paused from where it was left', () => {
+  const saved = {
+    mode: 'timeAttack',
+    scoring: 'exact',
+    tier: 'easy',
+    left: 12,
+    elapsed: 4,
+    total: 38,
+    score: 3,
+    rounds: 3,
+    breakdown: [1, 1, 1].map(ratio => ({ ratio, points: 1 })),
+  };
+  const { result } = renderHook(() =>
+    useRun('vertex-cover', { mode: 'timeAttack', tier: 'easy', round: 'first', roundTime: 10, running: true, saved })
+  );
+  expect(result.current.paused).toBe(true);
+  expect(result.current.timeLeft).toBe(12);
+  expect(result.current.score).toBe(3);
+  expect(result.current.progress).toEqual(saved);
+  act(() => result.current.solve());
+  expect(result.current.progress).toBe(null);
+});
+
+test('partial credit scores each round by how close the answer came', () => {
+  const { result, rerender } = renderHook(props => useRun('vertex-cover', props), {
+    initialProps: { mode: 'classic', scoring: 'partial', tier: 'easy', round: 'first', roundTime: 10, running: true },
+  });
+  act(() => result.current.solve(6 / 5));
+  rerender({ mode: 'classic', scoring: 'partial', tier: 'easy', round: 'second', roundTime: 10, running: true });
+  act(() => result.current.solve());
+  expect(result.current.score).toBe(14);
+  expect(result.current.rounds).toBe(2);
+  expect(result.current.breakdown).toEqual([
+    { ratio: 1.2, points: 4 },
+    { ratio: 1, points: 10 },
+  ]);
+});
@@ -0,0 +1,144 @@
+import { isSatisfied } from './sat';
+import { tourLength } from './tsplib';
+
+// Certificate checkers, one per problem. Each decides whether the player's
+// answer meets the problem's definition, so any valid answer scores, not
+// only the one the generator planted. Sets are Sets of vertex ids, edges
+// are { u, v } lists and orders are arrays of vertex ids.
+
+function adjacency(edges) {
+  const has = new Set();
+  edges.forEach(({ u, v }) => {
+    has.add(`${u},${v}`);
+    has.add(`${v},${u}`);
+  });
+  return (u, v) => has.has(`${u},${v}`);
+}
+
+// A cover of at most k vertices.
+export function isVertexCover(edges, set, k = Infinity) {
+  return set.size <= k && edges.every(({ u, v }) => set.has(u) || set.has(v));
+}
+
+// An independent set of at least k vertices.
+export function isIndependentSet(edges, set, k = 0) {
+  return set.size >= k && edges.every(({ u, v }) => !(set.has(u) && set.has(v)));
+}
+
+// A clique of at least k vertices.
+export function isClique(edges, set, k = 0) {
+  const adjacent = adjacency(edges);
+  const list = [...set];
+  return list.length >= k && list.every((u, i) => list.slice(i + 1).every(v => adjacent(u, v)));
+}
+
+// colors[v] is v's colour in 0..numColors-1.
+export function isProperColoring(n, edges, colors, numColors = 3) {
+  if (colors.length !== n) return false;
+  if (!colors.every(c => Number.isInteger(c) && c >= 0 && c < numColors)) return false;
+  return edges.every(({ u, v }) => colors[u] !== colors[v]);
+}
+
+function isPermutation(n, order) {
+  return order.length === n && new Set(order).size === n && order.every(v => Number.isInteger(v) && v >= 0 && v < n);
+}
+
+// order visits every vertex once and each step, including the one back to
+// the start, follows an edge.
+export function isHamiltonianCycle(n, edges, order) {
+  const adjacent = adjacency(edges);
+  return isPermutation(n, order) && order.every((v, i) => adjacent(v, order[(i + 1) % n]));
+}
+
+// order is a closed tour through every city no longer than maxLength.
+export function isTourWithin(weights, order, maxLength) {
+  return isPermutation(weights.length, order) && tourLength(weights, order) <= maxLength;
+}
+
+export function satisfiesFormula(clauses, assignment) {
+  return clauses.every(clause => isSatisfied(clause, assignment));
+}
+
+// selected[i] says whether values[i] is in the subset.
+export function isSubsetWithSum(values, selected, target) {
+  return values.reduce((sum, v, i) => sum + (selected[i] ? v : 0), 0) === target;
+}
+
+// side[i] says which of the two groups values[i] is in.
+export function isEqualPartition(values, side) {
+  const diff = values.reduce((d, v, i) => d + (side[i] ? v : -v), 0);
+  return diff === 0;
+}
+
+// Violations: what keeps a partial answer from meeting the definition, for
+// the graph games' "Show violations" layer. Each returns { u, v } edges.
+
+// Edges with neither end in the set, which a vertex cover must not leave.
+export function uncoveredEdges(edges, set) {
+  return edges.filter(({ u, v }) => !set.has(u) && !set.has(v));
+}
+
+// Edges with both ends in the set, which an independent set must not have.
+export function innerEdges(edges, set) {
+  return edges.filter(({ u, v }) => set.has(u) && set.has(v));
+}
+
+// Pairs of the set that no edge joins, which a clique must not have.
+export function missingEdges(edges, set) {
+  const adjacent = adjacency(edges);
+  const list = [...set];
+  return list.flatMap((u, i) => list.slice(i + 1).filter(v => !adjacent(u, v)).map(v => ({ u, v })));
+}
+
+// Edges whose ends have the same colour.
+export function monochromaticEdges(edges, colors) {
+  return edges.filter(({ u, v }) => colors[u] === colors[v]);
+}
+
+// Ratios: how far a valid answer is from the best one, for partial credit
+// (see scoring.js). Each is at least 1, and exactly 1 for a best answer, or
+// null when the answer is not valid or too small to measure.
+
+const ratio = (answer, best) => (answer > 0 && best > 0 ? Math.max(answer / best, best / answer) : null);
+
+// A cover's size against the smallest cover's, k.
+export function coverRatio(edges, set, k) {
+  return isVertexCover(edges, set) ? ratio(set.size, k) : null;
+}
+
+// An independent set's size against the largest one's, k.
+export function independentSetRatio(edges, set, k) {
+  return isIndependentSet(edges, set) ? ratio(set.size, k) : null;
+}
+
+// A clique's size against the largest one's, k.
+export function cliqueRatio(edges, set, k) {
+  return isClique(edges, set) ? ratio(set.size, k) : null;
+}
+
+// A colouring with clashes counts the edges it gets right against all of
+// them.
+export function coloringRatio(edges, colors) {
+  return ratio(edges.length - monochromaticEdges(edges, colors).length, edges.length);
+}
+
+// A closed tour's length against the shortest one's.
+export function tourRatio(weights, order, optimalLength) {
+  return isTourWithin(weights, order, Infinity) ? ratio(tourLength(weights, order), optimalLength) : null;
+}
+
+// The clauses an assignment satisfies against all of them.
+export function clauseRatio(clauses, assignment) {
+  return ratio(clauses.filter(clause => isSatisfied(clause, assignment)).length, clauses.length);
+}
+
+// A subset's sum against the target, from above or below.
+export function subsetSumRatio(values, selected, target) {
+  return ratio(values.reduce((sum, v, i) => sum + (selected[i] ? v : 0), 0), target);
+}
+
+// The heavier group against half the total.
+export function partitionRatio(values, side) {
+  const [a, b] = values.reduce(([x, y], v, i) => (side[i] ? [x, y + v] : [x + v, y]), [0, 0]);
+  return ratio(Math.max(a, b), (a + b) / 2);
+}
@@ -0,0 +1,104 @@
+import {
+  isVertexCover,
+  isIndependentSet,
+  isClique,
+  isProperColoring,
+  isHamiltonianCycle,
+  isTourWithin,
+  satisfiesFormula,
+  isSubsetWithSum,
+  isEqualPartition,
+  uncoveredEdges,
+  innerEdges,
+  missingEdges,
+  monochromaticEdges,
+  coverRatio,
+  independentSetRatio,
+  cliqueRatio,
+  coloringRatio,
+  tourRatio,
+  clauseRatio,
+  subsetSumRatio,
+  partitionRatio,
+} from './verifiers';
+
+// A 4-cycle 0-1-2-3 with the chord 0-2.
+const square = [{ u: 0, v: 1 }, { u: 1, v: 2 }, { u: 2, v: 3 }, { u: 3, v: 0 }, { u: 0, v: 2 }];
+
+test('set problems check the definition and the size bound', () => {
+  expect(isVertexCover(square, new Set([0, 2]), 2)).toBe(true);
+  expect(isVertexCover(square, new Set([1, 3]), 2)).toBe(false);
+  expect(isVertexCover(square, new Set([0, 1, 2]), 2)).toBe(false);
+  expect(isIndependentSet(square, new Set([1, 3]), 2)).toBe(true);
+  expect(isIndependentSet(square, new Set([0, 2]), 2)).toBe(false);
+  expect(isClique(square, new Set([0, 1, 2]), 3)).toBe(true);
+  expect(isClique(square, new Set([0, 2, 3]), 3)).toBe(true);
+  expect(isClique(square, new Set([1, 2, 3]), 3)).toBe(false);
+  expect(isClique(square, new Set([0, 1]), 3)).toBe(false);
+});
+
+test('colourings must colour every vertex without conflicts', () => {
+  expect(isProperColoring(4, square, [0, 1, 2, 1])).toBe(true);
+  expect(isProperColoring(4, square, [0, 1, 0, 1])).toBe(false);
+  expect(isProperColoring(4, square, [0, 1, 2])).toBe(false);
+});
+
+test('any Hamiltonian cycle counts, in any rotation or direction', () => {
+  // K4 has three distinct Hamiltonian cycles.
+  const k4 = [...square, { u: 1, v: 3 }];
+  expect(isHamiltonianCycle(4, k4, [0, 1, 2, 3])).toBe(true);
+  expect(isHamiltonianCycle(4, k4, [0, 2, 1, 3])).toBe(true);
+  expect(isHamiltonianCycle(4, k4, [2, 0, 3, 1])).toBe(true);
+  expect(isHamiltonianCycle(4, square, [0, 2, 1, 3])).toBe(false);
+  expect(isHamiltonianCycle(4, square, [0, 1, 2])).toBe(false);
+  expect(isHamiltonianCycle(4, square, [0, 1, 1, 3])).toBe(false);
+});
+
+test('tours must visit every city within the length bound', () => {
+  const w = [[0, 1, 2, 1], [1, 0, 1, 2], [2, 1, 0, 1], [1, 2, 1, 0]];
+  expect(isTourWithin(w, [0, 1, 2, 3], 4)).toBe(true);
+  expect(isTourWithin(w, [3, 2, 1, 0], 4)).toBe(true);
+  expect(isTourWithin(w, [0, 2, 1, 3], 4)).toBe(false);
+  expect(isTourWithin(w, [0, 1, 2], 4)).toBe(false);
+});
+
+test('formulas, subsets and partitions', () => {
+  const clauses = [[{ var: 0, neg: false }, { var: 1, neg: true }], [{ var: 1, neg: false }]];
+  expect(satisfiesFormula(clauses, [true, true])).toBe(true);
+  expect(satisfiesFormula(clauses, [false, true])).toBe(false);
+  expect(isSubsetWithSum([3, 5, 7, 2], [true, false, true, false], 10)).toBe(true);
+  expect(isSubsetWithSum([3, 5, 7, 2], [false, true, false, false], 10)).toBe(false);
+  expect(isEqualPartition([3, 5, 7, 1], [true, false, false, true])).toBe(false);
+  expect(isEqualPartition([3, 5, 7, 1], [true, true, false, false])).toBe(true);
+});
+
+test('violations list the edges that break each definition', () => {
+  expect(uncoveredEdges(square, new Set([0]))).toEqual([{ u: 1, v: 2 }, { u: 2, v: 3 }]);
+  expect(uncoveredEdges(square, new Set([0, 2]))).toEqual([]);
+  expect(innerEdges(square, new Set([0, 1, 3]))).toEqual([{ u: 0, v: 1 }, { u: 3, v: 0 }]);
+  expect(missingEdges(square, new Set([1, 0, 3]))).toEqual([{ u: 1, v: 3 }]);
+  expect(missingEdges(square, new Set([0, 1, 2]))).toEqual([]);
+  expect(monochromaticEdges(square, [0, 1, 0, 2])).toEqual([{ u: 0, v: 2 }]);
+});
+
+test('ratios measure valid answers against the best and reject invalid ones', () => {
+  expect(coverRatio(square, new Set([0, 2]), 2)).toBe(1);
+  expect(coverRatio(square, new Set([0, 1, 2]), 2)).toBe(1.5);
+  expect(coverRatio(square, new Set([0, 1]), 2)).toBe(null);
+  expect(independentSetRatio(square, new Set([1]), 2)).toBe(2);
+  expect(cliqueRatio(square, new Set([0, 1]), 3)).toBe(1.5);
+  expect(cliqueRatio(square, new Set([1, 3]), 3)).toBe(null);
+  expect(coloringRatio(square, [0, 1, 0, 1])).toBe(5 / 4);
+
+  const w = [[0, 1, 2, 1], [1, 0, 1, 2], [2, 1, 0, 1], [1, 2, 1, 0]];
+  expect(tourRatio(w, [0, 2, 1, 3], 4)).toBe(1.5);
+  expect(tourRatio(w, [0, 2, 1], 4)).toBe(null);
+
+  const clauses = [[{ var: 0, neg: false }, { var: 1, neg: true }], [{ var: 1, neg: false }]];
+  expect(clauseRatio(clauses, [false, true])).toBe(2);
+  expect(clauseRatio(clauses, [false, false])).toBe(2);
+  expect(subsetSumRatio([3, 5, 7, 2], [true, true, false, true], 10)).toBe(1);
+  expect(subsetSumRatio([3, 5, 7, 2], [true, true, true, false], 10)).toBe(1.5);
+  expect(subsetSumRatio([3, 5], [false, false], 10)).toBe(null);
+  expect(partitionRatio([3, 5, 7, 1], [true, false, false, true])).toBe(12 / 8);
+});